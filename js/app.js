@@ -2,7 +2,8 @@
  * PassportCard Refer - Main Application Entry Point
  * 
  * This is the main entry point for the modular application.
- * It imports all modules and initializes the application.
+ * It imports the core modules and initializes the application. Route
+ * components are imported on first navigation (see CONFIG.ROUTES loader).
  * 
  * @module app
  */
@@ -16,13 +17,23 @@ import { CONFIG, ACTIVITY_TYPES } from './core/config.js';
 import { StateManager, stateManager } from './core/state.js';
 import { Router, router } from './core/router.js';
 import { Component } from './core/component.js';
+import { html } from './core/html.js';
+import { createLoggerMiddleware, createValidationMiddleware } from './core/middleware.js';
+import { hasRole } from './core/permissions.js';
+import { errorReporter } from './core/error-reporter.js';
 import { renderIcon, debounce, setViewportHeight, showCSSCelebration } from './core/utils.js';
 
 // Services
 import { AnimationService, animationService } from './services/animation.js';
-import { AuthService } from './services/auth.js';
+import { AuthService, authService } from './services/auth.js';
 import { NavigationManager, navigationManager } from './services/navigation.js';
 import { ModalManager, modalManager } from './services/modal.js';
+import { otpService, EmailOTPProvider } from './services/otp.js';
+import { OIDCProvider } from './services/oidc.js';
+import { sessionService } from './services/session.js';
+import { dataService, getDataErrorMessage } from './services/data-service.js';
+import { MockAdapter } from './services/mock-adapter.js';
+import { HttpAdapter } from './services/http-adapter.js';
 
 // Data
 import { STAMP_TYPES } from './data/stamp-types.js';
@@ -32,18 +43,12 @@ import { MOCK_REFERRALS } from './data/mock-referrals.js';
 import { MOCK_CAMPAIGNS } from './data/mock-campaigns.js';
 import { generateUserFromEmail, generateDemoStamps, generateReferralStats, generateActivityFeed, formatPoints, formatPointsRTL, formatPointsDelta, formatDate, timeAgo, getHebrewMonthName } from './data/user-generator.js';
 
-// Components
-import { LoginComponent, OTPModalComponent, initLoginModule } from './components/login.js';
+// Components (route components are loaded on demand - see CONFIG.ROUTES loader)
 import { HeaderComponent, initHeaderModule } from './components/header.js';
 import { BottomNavComponent, SidebarNavComponent, initNavigationModule } from './components/navigation.js';
-import { SMSToastComponent, showSMSToast, dismissSMSToast, initSMSToastModule } from './components/sms-toast.js';
-import { DashboardComponent, initDashboardModule } from './components/dashboard.js';
-import { PassportComponent, initPassportModule } from './components/passport.js';
-import { PositionsComponent, initPositionsModule } from './components/positions.js';
-import { SettingsComponent, initSettingsModule } from './components/settings.js';
-import { HowToEarnComponent, CampaignsComponent, initCampaignsModule } from './components/campaigns.js';
-import { ReferralsComponent, StatusPipeline, renderStatusPipeline, initReferralsModule } from './components/referrals.js';
-import { ReferralFormComponent, ReferralConfirmationComponent, initReferralFormModule } from './components/referral-form.js';
+import { SMSToastComponent, showSMSToast, dismissSMSToast, smsToastChannel, initSMSToastModule } from './components/sms-toast.js';
+import { StatusPipeline, renderStatusPipeline } from './components/referrals.js';
+import { NotFoundComponent, RouteErrorComponent, ForbiddenComponent, initErrorPagesModule } from './components/error-pages.js';
 
 // Modals
 import { StampDetailModal, stampDetailModal, initStampDetailModule } from './components/modals/stamp-detail.js';
@@ -79,24 +84,16 @@ window.generateDemoStamps = generateDemoStamps;
 window.generateReferralStats = generateReferralStats;
 window.generateActivityFeed = generateActivityFeed;
 
-// Component classes
+// Component classes (route components are added as their modules load)
 window.Component = Component;
-window.LoginComponent = LoginComponent;
-window.OTPModalComponent = OTPModalComponent;
 window.HeaderComponent = HeaderComponent;
 window.BottomNavComponent = BottomNavComponent;
 window.SidebarNavComponent = SidebarNavComponent;
 window.SMSToastComponent = SMSToastComponent;
-window.DashboardComponent = DashboardComponent;
-window.PassportComponent = PassportComponent;
-window.PositionsComponent = PositionsComponent;
-window.SettingsComponent = SettingsComponent;
-window.HowToEarnComponent = HowToEarnComponent;
-window.CampaignsComponent = CampaignsComponent;
-window.ReferralsComponent = ReferralsComponent;
 window.StatusPipeline = StatusPipeline;
-window.ReferralFormComponent = ReferralFormComponent;
-window.ReferralConfirmationComponent = ReferralConfirmationComponent;
+window.NotFoundComponent = NotFoundComponent;
+window.RouteErrorComponent = RouteErrorComponent;
+window.ForbiddenComponent = ForbiddenComponent;
 
 // Modal classes and instances
 window.StampDetailModal = StampDetailModal;
@@ -121,6 +118,21 @@ window.AnimationService = AnimationService;
 window.NavigationManager = NavigationManager;
 window.ModalManager = ModalManager;
 
+/* ============================================================================
+   STATE MIDDLEWARE
+   ============================================================================
+   Installed at module load so every setState - including the ones made
+   during page initialization - runs through the chain
+   ========================================================================== */
+
+const isDevEnvironment = ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+
+stateManager.use(createValidationMiddleware());
+
+if (isDevEnvironment) {
+  stateManager.use(createLoggerMiddleware({ ignoreKeys: ['toasts', 'isLoading', 'session'] }));
+}
+
 /* ============================================================================
    APP CLASS
    ============================================================================
@@ -131,6 +143,12 @@ export class App {
   constructor() {
     this._components = new Map();
     this._currentComponent = null;
+    
+    // Lazy route modules (see loadRoute)
+    this._routeLoads = new Map();
+    this._initializedModules = new WeakSet();
+    this._moduleDeps = null;
+    this._renderId = 0;
   }
   
   /**
@@ -140,14 +158,34 @@ export class App {
     // Set up event delegation
     this._setupEventDelegation();
     
-    // Initialize navigation manager
-    navigationManager.init();
+    // Initialize navigation manager (standalone pages have no app chrome)
+    const pageRoute = CONFIG.ROUTES[CONFIG.PAGE_ROUTES[router.getCurrentPage()]];
+    if (!pageRoute?.standalone) {
+      navigationManager.init();
+    }
     
     // Subscribe to view changes
     stateManager.subscribe('currentView', (view) => {
       this._renderView(view);
     });
     
+    // Tell the user when persistence fails (storage full or blocked)
+    stateManager.subscribe('storageError', (error) => {
+      if (!error) return;
+      const message = error.type === 'quota'
+        ? 'שטח האחסון במכשיר מלא - ייתכן ששינויים אחרונים לא יישמרו'
+        : 'שמירת הנתונים במכשיר נכשלה - ייתכן ששינויים אחרונים לא יישמרו';
+      this.showToast(message, 'warning', 6000);
+    });
+    
+    // Start loading a route's module as soon as a link to it is pointed at
+    const prefetchLinkTarget = (event) => {
+      const target = event.target.closest?.('[data-navigate]');
+      if (target) this.prefetchRoute(target.dataset.navigate);
+    };
+    document.addEventListener('pointerover', prefetchLinkTarget);
+    document.addEventListener('focusin', prefetchLinkTarget);
+    
     // Initial render
     this._renderView(stateManager.getState('currentView'));
   }
@@ -172,9 +210,10 @@ export class App {
       
       if (!target) return;
       
-      // Handle navigation
+      // Handle navigation (modified clicks on links open in a new tab as usual)
       const navigateTo = target.dataset.navigate;
       if (navigateTo) {
+        if (!router.isRoutableClick(event, target)) return;
         event.preventDefault();
         router.navigate(navigateTo);
         return;
@@ -215,6 +254,18 @@ export class App {
       modalContainer.addEventListener('click', handleClick);
     }
     
+    // Skip links stay in the page - with clean URLs (see BrowserHistory) the
+    // page's <base> would resolve "#main-content" against the app root
+    document.querySelectorAll('.skip-link').forEach(link => {
+      link.addEventListener('click', (event) => {
+        const target = document.getElementById(link.hash.slice(1));
+        if (!target) return;
+        event.preventDefault();
+        target.focus();
+        target.scrollIntoView();
+      });
+    });
+    
     // Form submission delegation
     appContainer.addEventListener('submit', (event) => {
       const form = event.target;
@@ -248,6 +299,14 @@ export class App {
     // This is a placeholder for the action dispatch system
     const handlers = this._actionHandlers || {};
     
+    // Sensitive actions are limited to some roles (see registerAction)
+    const roles = this._actionRoles?.[action];
+    if (handlers[action] && roles && !hasRole(stateManager.getState('currentUser'), roles)) {
+      console.warn(`App: Action "${action}" needs one of the roles: ${roles.join(', ')}`);
+      this.showToast('אין לך הרשאה לבצע פעולה זו', 'error');
+      return;
+    }
+    
     if (handlers[action]) {
       handlers[action](target, event);
     } else {
@@ -259,12 +318,21 @@ export class App {
    * Registers an action handler
    * @param {string} action - Action name
    * @param {Function} handler - Handler function
+   * @param {Object} [options]
+   * @param {Array<string>} [options.roles] - Roles allowed to run the action (see CONFIG.ROLES);
+   *   anyone when omitted
    */
-  registerAction(action, handler) {
+  registerAction(action, handler, options = {}) {
     if (!this._actionHandlers) {
       this._actionHandlers = {};
+      this._actionRoles = {};
     }
     this._actionHandlers[action] = handler;
+    if (options.roles) {
+      this._actionRoles[action] = [].concat(options.roles);
+    } else {
+      delete this._actionRoles[action];
+    }
   }
   
   /**
@@ -274,11 +342,13 @@ export class App {
   unregisterAction(action) {
     if (this._actionHandlers) {
       delete this._actionHandlers[action];
+      delete this._actionRoles[action];
     }
   }
   
   /**
    * Renders the view for a route
+   * Shows a loading skeleton while a route's module is fetched on first visit
    * @param {string} view - View/route name
    */
   _renderView(view) {
@@ -289,6 +359,9 @@ export class App {
       return;
     }
     
+    // Loads started for an earlier view must not render over this one
+    const renderId = ++this._renderId;
+    
     // Unmount current component
     if (this._currentComponent) {
       this._currentComponent.unmount();
@@ -304,35 +377,199 @@ export class App {
       return;
     }
     
-    // For now, render a placeholder - components will be implemented in later stories
     const componentName = routeConfig.component;
     const ComponentClass = this._components.get(componentName);
     
     if (ComponentClass) {
-      this._currentComponent = new ComponentClass();
-      appContainer.innerHTML = this._currentComponent.render();
-      this._currentComponent.mount();
+      const component = new ComponentClass();
+      component.setStateManager(stateManager);
+      this._currentComponent = component;
+      
+      // Error boundary - a page that throws is replaced by the error view
+      let phase = 'render';
+      try {
+        appContainer.innerHTML = component.render();
+        phase = 'mount';
+        // Async mounts (data loading) can fail after this returns
+        Promise.resolve(component.mount())
+          .catch(error => this._handleComponentError(component, error, 'mount'));
+      } catch (error) {
+        this._handleComponentError(component, error, phase);
+        return;
+      }
       
       // Announce page change to screen readers (Story 6.3 - Accessibility)
       animationService.announcePageChange(view);
-    } else {
-      // Placeholder for unimplemented components
-      appContainer.innerHTML = `
-        <div style="
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          justify-content: center;
-          min-height: 100vh;
-          padding: var(--space-4);
-          text-align: center;
-        ">
-          <i class="ti ti-loader" style="font-size: 3rem; color: var(--color-gray-400);"></i>
-          <p style="margin-top: var(--space-4); color: var(--color-gray-500);">
-            טוען...
-          </p>
+      
+      this._schedulePrefetch(routeConfig.prefetch);
+      return;
+    }
+    
+    if (!routeConfig.loader) {
+      router.showError(new Error(`App: Component "${componentName}" is not registered`));
+      return;
+    }
+    
+    // First visit - fetch the route's module, then render it
+    appContainer.innerHTML = this._renderLoadingSkeleton();
+    
+    this.loadRoute(view)
+      .then(() => {
+        if (renderId !== this._renderId) return;
+        this._renderView(view);
+      })
+      .catch((error) => {
+        if (renderId !== this._renderId) return;
+        router.showError(error, { message: 'לא הצלחנו לטעון את הדף. בדקו את החיבור לאינטרנט ונסו שוב.' });
+      });
+  }
+  
+  /**
+   * Handles an error thrown while rendering or mounting a page component
+   * @param {Component} component - Component that threw
+   * @param {Error} error - What went wrong
+   * @param {string} phase - 'render' or 'mount'
+   */
+  _handleComponentError(component, error, phase) {
+    // An async mount failing after the user moved on - nothing to replace
+    if (component !== this._currentComponent) {
+      errorReporter.report(error, { component: component.constructor.name, phase, route: router.getCurrentRoute() });
+      return;
+    }
+    
+    // The error view itself failed - fall back to static markup
+    if (stateManager.getState('currentView') === CONFIG.ERROR_ROUTE) {
+      errorReporter.report(error, { component: component.constructor.name, phase, route: CONFIG.ERROR_ROUTE });
+      component.unmount();
+      this._currentComponent = null;
+      
+      const appContainer = document.getElementById('main-content');
+      if (appContainer) appContainer.innerHTML = this._renderErrorFallback();
+      return;
+    }
+    
+    component.handleError(error, phase);
+  }
+  
+  /**
+   * Renders the last-resort error message (used when the error view fails)
+   * @returns {string} HTML string
+   */
+  _renderErrorFallback() {
+    return html`
+      <main class="route-status" role="main">
+        <div class="empty-state route-status__content" role="alert">
+          <h1 class="empty-state__title">משהו השתבש</h1>
+          <p class="empty-state__description">לא הצלחנו להציג את הדף. רעננו את הדף ונסו שוב.</p>
         </div>
-      `;
+      </main>
+    `;
+  }
+  
+  /**
+   * Renders the placeholder shown while a route's module loads
+   * @returns {string} HTML string
+   */
+  _renderLoadingSkeleton() {
+    return html`
+      <div class="app-layout route-loading" aria-busy="true">
+        <span class="sr-only" role="status">טוען...</span>
+        <div class="skeleton route-loading__title"></div>
+        ${Array(3).fill(0).map(() => html`
+          <div class="skeleton route-loading__card"></div>
+        `)}
+      </div>
+    `;
+  }
+  
+  /**
+   * Sets the dependencies passed to route modules as they load
+   * @param {Object} deps - Dependencies object (stateManager, router, ...)
+   */
+  setModuleDependencies(deps) {
+    this._moduleDeps = deps;
+  }
+  
+  /**
+   * Loads a route's component module and registers its component
+   * Each module is fetched and initialized once; a failed load is retried
+   * on the next call
+   * @param {string} route - Route name
+   * @returns {Promise<Function|null>} The component class (null for unknown routes)
+   */
+  loadRoute(route) {
+    const routeConfig = CONFIG.ROUTES[route];
+    if (!routeConfig) return Promise.resolve(null);
+    
+    const registered = this._components.get(routeConfig.component);
+    if (registered) return Promise.resolve(registered);
+    if (!routeConfig.loader) return Promise.resolve(null);
+    
+    if (!this._routeLoads.has(route)) {
+      const load = routeConfig.loader().then((module) => {
+        this._initRouteModule(module);
+        
+        const ComponentClass = module[routeConfig.component];
+        if (!ComponentClass) {
+          throw new Error(`Module of route "${route}" has no ${routeConfig.component} export`);
+        }
+        
+        this.registerComponent(routeConfig.component, ComponentClass);
+        window[routeConfig.component] = ComponentClass;
+        return ComponentClass;
+      });
+      
+      load.catch(() => this._routeLoads.delete(route));
+      this._routeLoads.set(route, load);
+    }
+    
+    return this._routeLoads.get(route);
+  }
+  
+  /**
+   * Runs a route module's init function (initXModule) the first time it loads
+   * Several routes can share a module (refer and referral-confirmation)
+   * @param {Object} module - Module namespace object
+   */
+  _initRouteModule(module) {
+    if (this._initializedModules.has(module)) return;
+    this._initializedModules.add(module);
+    
+    const initName = Object.keys(module).find(name => /^init\w+Module$/.test(name));
+    if (initName) {
+      module[initName](this._moduleDeps || {});
+    }
+  }
+  
+  /**
+   * Loads a route's module ahead of navigation
+   * Routes the user may not open are skipped; failures are left for the
+   * real navigation to report
+   * @param {string} path - Route name or path (e.g. 'positions?dept=x', 'referrals/ref-001')
+   */
+  prefetchRoute(path) {
+    const match = router.matchPath(String(path || '').split('?')[0]);
+    if (!match || !router.canAccess(match.route)) return;
+    
+    this.loadRoute(match.route).catch((error) => {
+      console.warn(`App: Prefetching route "${match.route}" failed`, error);
+    });
+  }
+  
+  /**
+   * Prefetches routes once the browser is idle
+   * Skipped when the user asked to save data
+   * @param {Array<string>} [routes] - Route names
+   */
+  _schedulePrefetch(routes) {
+    if (!routes || routes.length === 0 || navigator.connection?.saveData) return;
+    
+    const prefetch = () => routes.forEach(route => this.prefetchRoute(route));
+    
+    if ('requestIdleCallback' in window) {
+      window.requestIdleCallback(prefetch, { timeout: 5000 });
+    } else {
+      setTimeout(prefetch, 2000);
     }
   }
   
@@ -371,10 +608,12 @@ export class App {
    * @param {string} message - Toast message
    * @param {string} type - Toast type: 'success', 'error', 'warning', 'info'
    * @param {number} duration - Duration in ms (default 3000)
+   * @param {Object} [action] - Optional action button { label, onClick }
+   * @returns {HTMLElement|null} The toast element (e.g. to remove it early)
    */
-  showToast(message, type = 'info', duration = 3000) {
+  showToast(message, type = 'info', duration = 3000, action = null) {
     const toastContainer = document.getElementById('toast-container');
-    if (!toastContainer) return;
+    if (!toastContainer) return null;
     
     const toast = document.createElement('div');
     toast.className = `toast toast--${type}`;
@@ -386,11 +625,19 @@ export class App {
       info: 'ti-info-circle'
     };
     
-    toast.innerHTML = `
+    toast.innerHTML = html`
       <i class="ti ${icons[type] || icons.info} toast__icon"></i>
       <span class="toast__message">${message}</span>
+      ${action ? html`<button type="button" class="toast__action">${action.label}</button>` : ''}
     `;
     
+    if (action) {
+      toast.querySelector('.toast__action').addEventListener('click', () => {
+        action.onClick();
+        toast.remove();
+      }, { once: true });
+    }
+    
     toastContainer.appendChild(toast);
     
     // Trigger animation
@@ -407,6 +654,37 @@ export class App {
       // Fallback removal
       setTimeout(() => toast.remove(), 300);
     }, duration);
+    
+    return toast;
+  }
+  
+  /**
+   * Shows a toast with an "undo" button that reverts the last history entry
+   * The entry is captured now - once newer changes are on top of it the
+   * button only says it can no longer be undone
+   * @param {string} message - Toast message
+   * @param {Function} [onUndo] - Called after the state was reverted (e.g. to refresh the view)
+   */
+  showUndoToast(message, onUndo) {
+    const past = stateManager.getHistory().past;
+    const entryId = past[past.length - 1]?.id;
+    if (entryId === undefined) {
+      this.showToast(message, 'info');
+      return;
+    }
+    
+    this.showToast(message, 'info', 5000, {
+      label: 'ביטול',
+      onClick: () => {
+        if (!stateManager.undo({ entryId })) {
+          this.showToast('לא ניתן לבטל - בוצעו שינויים נוספים מאז', 'warning');
+          return;
+        }
+        if (onUndo) {
+          onUndo();
+        }
+      }
+    });
   }
 }
 
@@ -418,7 +696,13 @@ window.app = app;
    INITIALIZATION
    ========================================================================== */
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // Wait for records (referrals, stamps, activities) from the storage adapter
+  await stateManager.ready;
+  
+  // The router is already replacing this page (e.g. inbound referral link)
+  if (router.isLeavingPage()) return;
+  
   // Multi-page entry point handler (Story 7.0)
   // If on index.html, redirect to appropriate page based on auth state
   const currentPage = document.body?.dataset?.page || 'index';
@@ -434,32 +718,34 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Redirect to appropriate page
-    const targetPage = stateManager.getState('isAuthenticated') ? 'dashboard' : 'login';
-    const hash = window.location.hash.slice(1);
-    
-    // If hash specifies a valid route, respect it (for bookmarked URLs)
-    if (hash && CONFIG.ROUTES[hash]) {
-      const routeConfig = CONFIG.ROUTES[hash];
+    const targetRoute = stateManager.getState('isAuthenticated') ? CONFIG.AUTH_DEFAULT_ROUTE : CONFIG.DEFAULT_ROUTE;
+    const location = router.getLocation();
+    
+    // If the URL specifies a valid route or deep link, respect it (for bookmarked URLs)
+    // Fallback views (no page of their own) can't be opened from here
+    const match = location ? router.matchPath(location.split('?')[0]) : null;
+    if (match && CONFIG.ROUTES[match.route].page) {
+      const routeConfig = CONFIG.ROUTES[match.route];
       const routePage = routeConfig.page;
       
       // Check auth requirements
       if (routeConfig.requiresAuth && !stateManager.getState('isAuthenticated')) {
         // Needs auth but not logged in - go to login
-        window.location.replace('login.html');
+        window.location.replace(router.href(CONFIG.DEFAULT_ROUTE));
         return;
-      } else if (!routeConfig.requiresAuth && hash === 'auth' && stateManager.getState('isAuthenticated')) {
+      } else if (!routeConfig.requiresAuth && match.route === 'auth' && stateManager.getState('isAuthenticated')) {
         // Already authenticated, skip login
-        window.location.replace('dashboard.html');
+        window.location.replace(router.href(CONFIG.AUTH_DEFAULT_ROUTE));
         return;
       } else {
         // Navigate to the route's page
-        window.location.replace(`${routePage}.html#${hash}`);
+        window.location.replace(router.href(location));
         return;
       }
     }
     
-    // No valid hash - go to default page
-    window.location.replace(`${targetPage}.html`);
+    // No valid route - go to default page
+    window.location.replace(router.href(targetRoute));
     return;
   }
   
@@ -473,11 +759,6 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   // Initialize module dependencies
-  initLoginModule({
-    stateManager,
-    router
-  });
-  
   initHeaderModule({
     stateManager
   });
@@ -486,36 +767,35 @@ document.addEventListener('DOMContentLoaded', () => {
     stateManager
   });
   
-  initDashboardModule({
+  // Route modules are initialized as they load (see App.loadRoute)
+  app.setModuleDependencies({
     stateManager,
-    animationService
+    router,
+    animationService,
+    modalManager
   });
   
-  initPassportModule({
+  initErrorPagesModule({
     stateManager,
-    animationService
-  });
-  
-  initPositionsModule({
-    stateManager
-  });
-  
-  initSettingsModule({
-    stateManager
-  });
-  
-  initCampaignsModule({
-    stateManager
+    router
   });
-  
-  initReferralsModule();
-  initReferralFormModule();
   initStampDetailModule();
   initPositionDetailModule();
   initReferralDetailModule();
   initSharePanelModule();
   initSMSToastModule();
   
+  // State history debug panel - Ctrl+Shift+H, development hosts only
+  if (isDevEnvironment) {
+    document.addEventListener('keydown', (event) => {
+      if (event.ctrlKey && event.shiftKey && event.code === 'KeyH') {
+        event.preventDefault();
+        import('./components/history-panel.js')
+          .then(({ toggleHistoryPanel }) => toggleHistoryPanel(stateManager));
+      }
+    });
+  }
+  
   // Set NavigationManager dependencies
   navigationManager.setDependencies({
     stateManager,
@@ -524,33 +804,62 @@ document.addEventListener('DOMContentLoaded', () => {
     SidebarNavComponent
   });
   
+  // Login codes are shown in the SMS toast until an SMS gateway is connected
+  otpService.setDeliveryChannel(smsToastChannel);
+  
+  // Sign-in providers - CONFIG.AUTH.PROVIDER picks the one the login page uses
+  authService.registerProvider(new EmailOTPProvider(otpService));
+  authService.registerProvider(new OIDCProvider());
+  
+  // Data adapters - CONFIG.API.ADAPTER picks the one the repositories use
+  dataService.registerAdapter(new MockAdapter());
+  dataService.registerAdapter(new HttpAdapter({
+    getAccessToken: () => stateManager.getState('session')?.accessToken || null
+  }));
+  
   // Set ModalManager dependencies
   modalManager.setDependencies({
     stateManager,
     router,
-    OTPModalComponent,
     stampDetailModal,
     positionDetailModal,
     referralDetailModal,
-    showSMSToast,
-    dismissSMSToast,
-    MOCK_POSITIONS
+    dismissSMSToast
   });
   
-  // Register components
-  app.registerComponent('LoginComponent', LoginComponent);
-  app.registerComponent('DashboardComponent', DashboardComponent);
-  app.registerComponent('SettingsComponent', SettingsComponent);
-  app.registerComponent('PassportComponent', PassportComponent);
-  app.registerComponent('PositionsComponent', PositionsComponent);
-  app.registerComponent('ReferralFormComponent', ReferralFormComponent);
-  app.registerComponent('ReferralConfirmationComponent', ReferralConfirmationComponent);
-  app.registerComponent('ReferralsComponent', ReferralsComponent);
+  // Register components (route components register themselves as they load)
+  app.registerComponent('NotFoundComponent', NotFoundComponent);
+  app.registerComponent('RouteErrorComponent', RouteErrorComponent);
+  app.registerComponent('ForbiddenComponent', ForbiddenComponent);
   
   // Register action handlers
   app.registerAction('submit-login', (target, event) => {
-    if (app._currentComponent && app._currentComponent instanceof LoginComponent) {
-      app._currentComponent.handleSubmit(event);
+    const loginComponent = app.getComponent('LoginComponent');
+    if (loginComponent) {
+      loginComponent.handleSubmit(event);
+    }
+  });
+  
+  // Corporate SSO sign-in (CONFIG.AUTH.PROVIDER 'oidc')
+  app.registerAction('start-sso-login', () => {
+    const loginComponent = app.getComponent('LoginComponent');
+    if (loginComponent) {
+      loginComponent.startSSOLogin();
+    }
+  });
+  
+  // Recent accounts on the login screen
+  app.registerAction('resume-account', (target) => {
+    const loginComponent = app.getComponent('LoginComponent');
+    if (loginComponent) {
+      loginComponent.resumeAccount(target.dataset.email);
+    }
+  });
+  
+  app.registerAction('forget-account', (target) => {
+    const loginComponent = app.getComponent('LoginComponent');
+    if (loginComponent) {
+      loginComponent.forgetAccount(target.dataset.userId);
     }
   });
   
@@ -559,6 +868,36 @@ document.addEventListener('DOMContentLoaded', () => {
     AuthService.logout();
   });
   
+  // Logout and delete this account's data from the device (shared computers)
+  app.registerAction('logout-purge', () => {
+    if (window.confirm('להתנתק ולמחוק את הנתונים שלך ממכשיר זה?')) {
+      AuthService.logout({ purgeData: true });
+    }
+  });
+  
+  // Login policy editor in settings (admins only)
+  app.registerAction('save-login-policy', (target) => {
+    const settingsComponent = app.getComponent('SettingsComponent');
+    if (settingsComponent) {
+      settingsComponent.saveLoginPolicy(target);
+    }
+  }, { roles: [CONFIG.ROLES.ADMIN] });
+  
+  app.registerAction('reset-login-policy', () => {
+    const settingsComponent = app.getComponent('SettingsComponent');
+    if (settingsComponent) {
+      settingsComponent.resetLoginPolicy();
+    }
+  }, { roles: [CONFIG.ROLES.ADMIN] });
+  
+  // Audit log export in settings (admins only)
+  app.registerAction('export-audit-log', (target) => {
+    const settingsComponent = app.getComponent('SettingsComponent');
+    if (settingsComponent) {
+      settingsComponent.exportAuditLog(target.dataset.format);
+    }
+  }, { roles: [CONFIG.ROLES.ADMIN] });
+  
   // Register toggle user menu action handler
   app.registerAction('toggle-user-menu', () => {
     const headerComponent = navigationManager.getHeaderComponent();
@@ -627,12 +966,12 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   // Register navigate-campaign-positions action handler (Story 2.4 - Campaign Banner)
-  app.registerAction('navigate-campaign-positions', (target) => {
+  app.registerAction('navigate-campaign-positions', async (target) => {
     const campaignId = target.dataset.campaignId;
     
     if (campaignId) {
-      // Use MOCK_CAMPAIGNS directly (Story 5.4)
-      const campaign = MOCK_CAMPAIGNS.find(c => c.id === campaignId);
+      // The positions page still filters by campaignFilter if this fails
+      const campaign = await dataService.campaigns.get(campaignId).catch(() => null);
       
       if (campaign) {
         // Store campaign filter for positions page
@@ -648,16 +987,17 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
-    router.navigate('positions');
+    // Campaign goes in the URL so the filter survives the page change
+    router.navigate('positions', { query: { campaign: campaignId } });
   });
   
   // Register view-campaign-positions action handler (Story 5.4 - Campaigns Section)
-  app.registerAction('view-campaign-positions', (target) => {
+  app.registerAction('view-campaign-positions', async (target) => {
     const campaignId = target.dataset.campaignId || 
                        target.closest('[data-campaign-id]')?.dataset.campaignId;
     
     if (campaignId) {
-      const campaign = MOCK_CAMPAIGNS.find(c => c.id === campaignId);
+      const campaign = await dataService.campaigns.get(campaignId).catch(() => null);
       
       if (campaign) {
         // Store campaign filter for positions page
@@ -673,10 +1013,12 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
-    router.navigate('positions');
+    // Campaign goes in the URL so the filter survives the page change
+    router.navigate('positions', { query: { campaign: campaignId } });
   });
   
   // Register clear-campaign-filter action handler (Story 5.4)
+  // PositionsComponent re-renders itself when campaignFilter changes (and on undo)
   app.registerAction('clear-campaign-filter', () => {
     stateManager.setState({
       campaignFilter: null,
@@ -686,16 +1028,9 @@ document.addEventListener('DOMContentLoaded', () => {
         eligibleDepartments: [],
         eligiblePositionIds: []
       }
-    });
+    }, { label: 'clear-campaign-filter' });
     
-    // Re-render positions if on positions page
-    if (router.getCurrentRoute() === 'positions') {
-      const positionsComponent = app.currentComponent;
-      if (positionsComponent && positionsComponent._filterPositions) {
-        positionsComponent._filterPositions();
-        positionsComponent.render();
-      }
-    }
+    app.showUndoToast('סינון הקמפיין נוקה');
   });
   
   // Register open-passport action handler (Story 3.1 - Passport Cover Design)
@@ -858,12 +1193,22 @@ document.addEventListener('DOMContentLoaded', () => {
     animationService.dismissCelebration();
   });
   
+  /**
+   * Gets the position an action is about (from the loaded list when it is there)
+   * @param {string} positionId - Position id
+   * @returns {Promise<Object|null>} Position, or null after telling the user why not
+   */
+  const getActionPosition = (positionId) => dataService.positions.get(positionId).catch((error) => {
+    app.showToast(getDataErrorMessage(error), 'error');
+    return null;
+  });
+  
   // Open position details modal (Story 4.1, implemented in Story 4.3)
-  app.registerAction('view-position-details', (target) => {
+  app.registerAction('view-position-details', async (target) => {
     const positionId = target.dataset.positionId || target.closest('[data-position-id]')?.dataset.positionId;
     if (!positionId) return;
     
-    const position = MOCK_POSITIONS.find(p => p.id === positionId);
+    const position = await getActionPosition(positionId);
     if (position) {
       stateManager.setState({
         selectedPosition: position,
@@ -874,11 +1219,11 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   // Navigate to referral form for a position (Story 4.1)
-  app.registerAction('refer-position', (target) => {
+  app.registerAction('refer-position', async (target) => {
     const positionId = target.dataset.positionId;
     if (!positionId) return;
     
-    const position = MOCK_POSITIONS.find(p => p.id === positionId);
+    const position = await getActionPosition(positionId);
     if (position) {
       stateManager.setState({
         referringPosition: position
@@ -896,6 +1241,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  // Load the positions again after a failed load
+  app.registerAction('retry-load-positions', () => {
+    const component = app.currentComponent;
+    if (component && typeof component.retryLoad === 'function') {
+      component.retryLoad();
+    }
+  });
+  
   // Clear all position filters (Story 4.2)
   app.registerAction('clear-all-position-filters', () => {
     const component = app.currentComponent;
@@ -960,7 +1313,7 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   // Continue to referral form after sharing
-  app.registerAction('continue-to-referral', (target) => {
+  app.registerAction('continue-to-referral', async (target) => {
     const positionId = target.dataset.positionId;
     if (!positionId) return;
     
@@ -971,7 +1324,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Set referral state
-    const position = MOCK_POSITIONS.find(p => p.id === positionId);
+    const position = await getActionPosition(positionId);
     if (position) {
       stateManager.setState({
         referringPosition: position
@@ -1005,22 +1358,16 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   // Back from referral form
-  app.registerAction('back-from-referral', () => {
-    const formComponent = stateManager.getState('referralFormInstance');
-    const hasData = formComponent && formComponent.hasFormData();
-    
-    if (hasData) {
-      // Show confirmation dialog
-      const confirmed = window.confirm('האם לבטל את ההפניה?');
-      if (!confirmed) return;
-    }
+  // The form's dirty check makes the router confirm when it has data
+  app.registerAction('back-from-referral', async () => {
+    const left = await router.navigate('positions');
+    if (!left) return;
     
-    // Clear state and navigate back
+    // Clear state after leaving
     stateManager.setState({
       referringPosition: null,
       referralFormInstance: null
     });
-    router.navigate('positions');
   });
   
   // Navigate to positions (fallback)
@@ -1032,6 +1379,32 @@ document.addEventListener('DOMContentLoaded', () => {
     router.navigate('positions');
   });
   
+  // ============================================
+  // ACTION HANDLERS - Not Found / Error Views
+  // ============================================
+  
+  // Back to where the broken link was opened from
+  app.registerAction('route-back', () => {
+    window.history.back();
+  });
+  
+  // Load the failed route again
+  app.registerAction('retry-route', () => {
+    router.retry();
+  });
+  
+  // ============================================
+  // ACTION HANDLERS - Hiring (CONFIG.STATUS_UPDATE_ROLES)
+  // ============================================
+  
+  // Move a candidate to the next stage, or reject them
+  app.registerAction('update-candidate-status', (target) => {
+    const hiringComponent = app.getComponent('HiringComponent');
+    if (hiringComponent) {
+      hiringComponent.updateStatus(target);
+    }
+  }, { roles: CONFIG.STATUS_UPDATE_ROLES });
+  
   // ============================================
   // ACTION HANDLERS - Referral Confirmation (Story 4.6)
   // ============================================
@@ -1104,19 +1477,26 @@ document.addEventListener('DOMContentLoaded', () => {
   let howToEarnInstance = null;
   
   // Open How to Earn modal
-  app.registerAction('open-how-to-earn', () => {
+  // campaigns.js is loaded (and initialized) with the dashboard, where the button is
+  app.registerAction('open-how-to-earn', async () => {
+    const { HowToEarnComponent } = await import('./components/campaigns.js');
+    
+    // Usually loaded with the dashboard already. The campaigns are extra -
+    // without them the modal still shows the points table
+    const campaigns = await dataService.campaigns.listActive({ cached: true }).catch(() => []);
+    
     // Clean up previous instance if exists
     if (howToEarnInstance) {
       howToEarnInstance.unmount();
       howToEarnInstance = null;
     }
     
-    howToEarnInstance = new HowToEarnComponent();
-    const html = howToEarnInstance.render();
+    howToEarnInstance = new HowToEarnComponent({ campaigns });
+    const markup = howToEarnInstance.render();
     
     // Insert into modal container
     const container = document.getElementById('modal-container');
-    container.innerHTML = html;
+    container.innerHTML = markup;
     
     // Trigger open animation
     requestAnimationFrame(() => {
@@ -1256,6 +1636,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize modal manager
   modalManager.init();
   
+  // Watch the session for idle timeout and expiry
+  sessionService.start();
+  
   console.log('[App] PassportCard Refer initialized (modular version)');
 });
 
@@ -1277,6 +1660,10 @@ export {
   animationService,
   navigationManager,
   modalManager,
+  otpService,
+  sessionService,
+  authService,
+  dataService,
   AuthService,
   
   // Data
@@ -1293,25 +1680,17 @@ export {
   generateActivityFeed,
   
   // Components
-  LoginComponent,
-  OTPModalComponent,
   HeaderComponent,
   BottomNavComponent,
   SidebarNavComponent,
   SMSToastComponent,
   showSMSToast,
   dismissSMSToast,
-  DashboardComponent,
-  PassportComponent,
-  PositionsComponent,
-  SettingsComponent,
-  HowToEarnComponent,
-  CampaignsComponent,
-  ReferralsComponent,
   StatusPipeline,
   renderStatusPipeline,
-  ReferralFormComponent,
-  ReferralConfirmationComponent,
+  NotFoundComponent,
+  RouteErrorComponent,
+  ForbiddenComponent,
   
   // Modals
   StampDetailModal,
@@ -5,8 +5,9 @@
 
 import { Component } from '../core/component.js';
 import { renderIcon } from '../core/utils.js';
+import { html } from '../core/html.js';
 import { STAMP_TYPES } from '../data/stamp-types.js';
-import { MOCK_CAMPAIGNS } from '../data/mock-campaigns.js';
+import { dataService } from '../services/data-service.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
@@ -24,9 +25,13 @@ export function initCampaignsModule(deps) {
  * Implements: AC1-AC18 (How to Earn More Section)
  */
 export class HowToEarnComponent extends Component {
+  /**
+   * @param {Object} [props]
+   * @param {Array} [props.campaigns] - Active campaigns to list
+   */
   constructor(props) {
     super(props);
-    this.campaigns = [];
+    this.campaigns = props?.campaigns || [];
     this._focusTrapHandler = null;
     this._escapeHandler = null;
   }
@@ -36,7 +41,7 @@ export class HowToEarnComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
-    return `
+    return html`
       <div class="how-to-earn" role="dialog" aria-modal="true" aria-labelledby="how-to-earn-heading">
         <div class="how-to-earn__backdrop" data-action="close-how-to-earn"></div>
         <div class="how-to-earn__content">
@@ -71,7 +76,7 @@ export class HowToEarnComponent extends Component {
    * @returns {string} HTML string
    */
   _renderPointsBreakdown() {
-    return `
+    return html`
       <section class="how-to-earn__section" aria-labelledby="points-breakdown-heading">
         <h3 class="how-to-earn__section-title" id="points-breakdown-heading">
           <span class="how-to-earn__section-icon">${renderIcon('coins')}</span>
@@ -86,7 +91,7 @@ export class HowToEarnComponent extends Component {
   
   /**
    * Renders individual earning opportunity rows
-   * @returns {string} HTML string
+   * @returns {Array<SafeHTML>} Row markup
    */
   _renderEarningOpportunities() {
     // Order: submission flow first, then bonuses
@@ -102,7 +107,7 @@ export class HowToEarnComponent extends Component {
     
     return opportunities.map(opp => {
       const stampType = STAMP_TYPES[opp.type];
-      return `
+      return html`
         <li class="points-breakdown__item" role="listitem">
           <span class="points-breakdown__icon" style="--stamp-color: ${stampType.color}">
             ${renderIcon(stampType.icon)}
@@ -111,7 +116,7 @@ export class HowToEarnComponent extends Component {
           <span class="points-breakdown__points">${opp.pointsLabel}</span>
         </li>
       `;
-    }).join('');
+    });
   }
   
   /**
@@ -119,9 +124,7 @@ export class HowToEarnComponent extends Component {
    * @returns {string} HTML string
    */
   _renderCampaignsSection() {
-    this.campaigns = this._getActiveCampaigns();
-    
-    return `
+    return html`
       <section class="how-to-earn__section" aria-labelledby="campaigns-section-heading">
         <h3 class="how-to-earn__section-title" id="campaigns-section-heading">
           <span class="how-to-earn__section-icon">${renderIcon('bolt')}</span>
@@ -134,40 +137,27 @@ export class HowToEarnComponent extends Component {
     `;
   }
   
-  /**
-   * Gets active campaigns from mock data
-   * @returns {Array} Active campaigns
-   */
-  _getActiveCampaigns() {
-    const now = new Date();
-    return MOCK_CAMPAIGNS.filter(campaign => {
-      const start = new Date(campaign.startDate);
-      const end = new Date(campaign.endDate);
-      return campaign.isActive && now >= start && now <= end;
-    });
-  }
-  
   /**
    * Renders campaigns list
    * @returns {string} HTML string
    */
   _renderCampaignsList() {
-    return `
+    return html`
       <ul class="campaigns-list" role="list">
-        ${this.campaigns.map(campaign => `
+        ${this.campaigns.map(campaign => html`
           <li class="campaigns-list__item" 
               role="listitem"
               tabindex="0"
               data-action="view-campaign-positions-from-earn"
               data-campaign-id="${campaign.id}">
             <span class="campaigns-list__icon">${campaign.icon}</span>
-            <span class="campaigns-list__title">${this._escapeHtml(campaign.title)}</span>
+            <span class="campaigns-list__title">${campaign.title}</span>
             <span class="campaigns-list__multiplier" style="--campaign-color: ${campaign.accentColor}">
               x${campaign.multiplier}
             </span>
             <i class="ti ti-chevron-left campaigns-list__arrow" aria-hidden="true"></i>
           </li>
-        `).join('')}
+        `)}
       </ul>
     `;
   }
@@ -177,7 +167,7 @@ export class HowToEarnComponent extends Component {
    * @returns {string} HTML string
    */
   _renderNoCampaigns() {
-    return `
+    return html`
       <div class="campaigns-empty-state">
         <p class="campaigns-empty-state__text">אין קמפיינים פעילים כרגע</p>
         <p class="campaigns-empty-state__subtext">עקבו אחר עדכונים בדשבורד</p>
@@ -197,19 +187,19 @@ export class HowToEarnComponent extends Component {
       'נצלו קמפיינים מיוחדים'
     ];
     
-    return `
+    return html`
       <section class="how-to-earn__section" aria-labelledby="tips-section-heading">
         <h3 class="how-to-earn__section-title" id="tips-section-heading">
           <span class="how-to-earn__section-icon">${renderIcon('bulb')}</span>
           טיפים להצלחה
         </h3>
         <ul class="tips-list" role="list">
-          ${tips.map(tip => `
+          ${tips.map(tip => html`
             <li class="tips-list__item" role="listitem">
               <i class="ti ti-check tips-list__check" aria-hidden="true"></i>
               <span class="tips-list__text">${tip}</span>
             </li>
-          `).join('')}
+          `)}
         </ul>
       </section>
     `;
@@ -220,14 +210,14 @@ export class HowToEarnComponent extends Component {
    * @returns {string} HTML string
    */
   _renderCTAs() {
-    return `
+    return html`
       <div class="how-to-earn__ctas">
         <button class="btn btn--primary btn--lg how-to-earn__cta-primary"
                 data-action="navigate-to-positions-from-earn">
           צפה במשרות פתוחות
           <i class="ti ti-arrow-left" aria-hidden="true"></i>
         </button>
-        ${this.campaigns.length > 0 ? `
+        ${this.campaigns.length > 0 ? html`
           <button class="btn btn--ghost how-to-earn__cta-secondary"
                   data-action="navigate-to-campaigns">
             צפה בקמפיינים פעילים
@@ -237,18 +227,6 @@ export class HowToEarnComponent extends Component {
     `;
   }
   
-  /**
-   * Escapes HTML entities for security
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-  
   /**
    * Lifecycle: Mount component
    */
@@ -379,7 +357,7 @@ export class CampaignsComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
-    return `
+    return html`
       <section class="campaigns-section" aria-labelledby="campaigns-heading">
         <header class="campaigns-section__header">
           <h2 class="campaigns-section__title" id="campaigns-heading">
@@ -406,9 +384,9 @@ export class CampaignsComponent extends Component {
       new Date(a.endDate) - new Date(b.endDate)
     );
     
-    return `
+    return html`
       <div class="campaigns-scroll" role="list">
-        ${sorted.map(campaign => this._renderCampaignCard(campaign)).join('')}
+        ${sorted.map(campaign => this._renderCampaignCard(campaign))}
       </div>
     `;
   }
@@ -422,7 +400,7 @@ export class CampaignsComponent extends Component {
     const countdown = this._calculateCountdown(campaign.endDate);
     const urgencyClass = this._getUrgencyClass(countdown);
     
-    return `
+    return html`
       <article class="campaign-card" 
                role="listitem"
                data-campaign-id="${campaign.id}"
@@ -435,10 +413,10 @@ export class CampaignsComponent extends Component {
         
         <div class="campaign-card__icon">${campaign.icon}</div>
         
-        <h3 class="campaign-card__title">${this._escapeHtml(campaign.title)}</h3>
+        <h3 class="campaign-card__title">${campaign.title}</h3>
         
         <p class="campaign-card__description">
-          ${this._escapeHtml(campaign.description)}
+          ${campaign.description}
         </p>
         
         <div class="campaign-card__eligibility">
@@ -469,7 +447,7 @@ export class CampaignsComponent extends Component {
    */
   _renderEligibility(campaign) {
     if (!campaign.eligibleDepartments || campaign.eligibleDepartments.length === 0) {
-      return '<span class="campaign-card__eligibility-text">כל המשרות</span>';
+      return html`<span class="campaign-card__eligibility-text">כל המשרות</span>`;
     }
     
     const departments = campaign.eligibleDepartments.slice(0, 2);
@@ -477,7 +455,7 @@ export class CampaignsComponent extends Component {
       ? ` +${campaign.eligibleDepartments.length - 2}` 
       : '';
     
-    return `
+    return html`
       <span class="campaign-card__eligibility-text">
         ${departments.join(', ')}${more}
       </span>
@@ -535,7 +513,7 @@ export class CampaignsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderEmptyState() {
-    return `
+    return html`
       <div class="campaigns-empty">
         <div class="campaigns-empty__icon">${renderIcon('calendar-event', { size: 'xl' })}</div>
         <p class="campaigns-empty__text">אין קמפיינים פעילים כרגע</p>
@@ -544,18 +522,6 @@ export class CampaignsComponent extends Component {
     `;
   }
   
-  /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-  
   /**
    * Starts countdown timer interval
    */
@@ -586,16 +552,11 @@ export class CampaignsComponent extends Component {
   }
   
   /**
-   * Gets active campaigns from mock data
+   * Gets the active campaigns loaded last (the dashboard loads them)
    * @returns {Array} Active campaigns
    */
   _getActiveCampaigns() {
-    const now = new Date();
-    return MOCK_CAMPAIGNS.filter(campaign => {
-      const start = new Date(campaign.startDate);
-      const end = new Date(campaign.endDate);
-      return campaign.isActive && now >= start && now <= end;
-    });
+    return dataService.campaigns.peekActive();
   }
   
   /**
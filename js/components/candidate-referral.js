@@ -0,0 +1,376 @@
+/**
+ * PassportCard Refer - Candidate Referral Page
+ * Public page opened from a referral link - candidates apply to a position
+ * and the application is credited to the employee who shared the link
+ */
+
+import { ReferralFormComponent } from './referral-form.js';
+import { stateManager } from '../core/state.js';
+import { html } from '../core/html.js';
+import { getInboundReferralLink } from '../services/referral-submission.js';
+import { dataService, getDataErrorMessage } from '../services/data-service.js';
+import { auditLog, AUDIT_EVENTS } from '../services/audit-log.js';
+
+/* ============================================================================
+   CANDIDATE REFERRAL COMPONENT
+   ============================================================================
+   Reuses the referral form (fields, validation, résumé upload) with the
+   candidate filling in their own details. No employee session is needed:
+   the referrer and position come from the link (?ref=<userId>&pos=<id>).
+   The position and referrer are checked with the data service once the page
+   is mounted, and the application is sent through it - the server credits
+   it to the referrer, so links work on any device.
+   ========================================================================== */
+
+const RESUME_REQUIRED_HINT = 'יש לצרף קורות חיים כדי להגיש מועמדות';
+
+export class CandidateReferralComponent extends ReferralFormComponent {
+  constructor(props) {
+    super(props);
+    this.link = getInboundReferralLink();
+    this.submittedReferral = null;
+    this.position = null;
+    this.isLoadingPosition = !!this.link;
+    this.loadError = null;
+  }
+
+  /**
+   * Main template
+   * @returns {string} HTML string
+   */
+  template() {
+    if (this.isLoadingPosition) {
+      return this._renderLoading();
+    }
+
+    if (this.loadError) {
+      return this._renderLoadError();
+    }
+
+    if (!this.position) {
+      return this._renderInvalidLink();
+    }
+
+    if (this.submittedReferral) {
+      return this._renderThankYou();
+    }
+
+    // Store instance in state for action handlers (submit, remove résumé)
+    stateManager.setState({ referralFormInstance: this });
+
+    return html`
+      <div class="app-layout candidate-apply">
+        <main class="referral-form" id="referral-form">
+          ${this._renderHeader()}
+
+          <form class="referral-form__form" novalidate>
+            ${this._renderPositionSummary()}
+            ${this._renderFormFields()}
+            ${this._renderUploadZone()}
+            ${this._renderSubmitSection()}
+          </form>
+        </main>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the page header (no back button - there is nowhere to go back to)
+   * @returns {string} HTML string
+   */
+  _renderHeader() {
+    return html`
+      <header class="referral-form__header candidate-apply__header">
+        <img src="assets/passportcard-logo.svg" alt="PassportCard" class="candidate-apply__logo">
+        <h1 class="referral-form__title">הגשת מועמדות</h1>
+      </header>
+    `;
+  }
+
+  /**
+   * Renders the position details the candidate applies to
+   * @returns {string} HTML string
+   */
+  _renderPositionSummary() {
+    const p = this.position;
+    const requirements = p.requirements || [];
+
+    return html`
+      <section class="referral-form__position-card candidate-apply__position" aria-labelledby="candidate-position-title">
+        <div class="referral-form__position-info">
+          <p class="candidate-apply__invite">הוזמנת להגיש מועמדות למשרה</p>
+          <h2 class="referral-form__position-title" id="candidate-position-title">${p.title}</h2>
+          <p class="referral-form__position-meta">
+            <span><i class="ti ti-building" aria-hidden="true"></i> ${p.department}</span>
+            <span><i class="ti ti-map-pin" aria-hidden="true"></i> ${p.location}</span>
+          </p>
+          ${p.description ? html`<p class="candidate-apply__description">${p.description}</p>` : ''}
+          ${requirements.length > 0 ? html`
+            <h3 class="candidate-apply__subtitle">דרישות התפקיד</h3>
+            <ul class="candidate-apply__requirements">
+              ${requirements.map(req => html`<li>${req}</li>`)}
+            </ul>
+          ` : ''}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the candidate's own detail fields
+   * @returns {string} HTML string
+   */
+  _renderFormFields() {
+    return html`
+      <div class="referral-form__fields">
+        ${this._renderTextField('candidateName', 'שם מלא', 'text', true)}
+        ${this._renderTextField('candidateEmail', 'אימייל', 'email', true)}
+        ${this._renderTextField('candidatePhone', 'טלפון', 'tel', false, 'לדוגמה: 050-1234567')}
+        ${this._renderTextareaField()}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders submit section
+   * @returns {string} HTML string
+   */
+  _renderSubmitSection() {
+    const isValid = this._isFormValid();
+
+    return html`
+      <div class="referral-form__submit-section">
+        <p class="referral-form__points-hint">
+          ${this.uploadedFile ? '' : RESUME_REQUIRED_HINT}
+        </p>
+
+        <button type="submit"
+                class="btn btn--primary btn--lg btn--full referral-form__submit-btn"
+                ${!isValid || this.isSubmitting ? 'disabled' : ''}
+                data-action="submit-referral">
+          ${this.isSubmitting ? html`
+            <span class="btn__spinner" aria-hidden="true"></span>
+            שולח...
+          ` : `
+            📤 הגשת מועמדות
+          `}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the state shown while the position loads
+   * @returns {string} HTML string
+   */
+  _renderLoading() {
+    return html`
+      <div class="app-layout candidate-apply">
+        <main class="referral-form-error" aria-busy="true">
+          <i class="ti ti-loader-2" style="font-size: 3rem; color: var(--text-muted);" aria-hidden="true"></i>
+          <p>טוען את פרטי המשרה...</p>
+        </main>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the error state for a position that failed to load
+   * @returns {string} HTML string
+   */
+  _renderLoadError() {
+    return html`
+      <div class="app-layout candidate-apply">
+        <main class="referral-form-error" role="alert">
+          <i class="ti ti-cloud-off" style="font-size: 3rem; color: var(--text-muted);" aria-hidden="true"></i>
+          <p>${getDataErrorMessage(this.loadError)}</p>
+          ${this.loadError.retryable ? html`
+            <button class="btn btn--primary" data-action="retry-load-positions">
+              <i class="ti ti-refresh" aria-hidden="true"></i>
+              נסו שוב
+            </button>
+          ` : ''}
+        </main>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the error state for broken or unknown links
+   * @returns {string} HTML string
+   */
+  _renderInvalidLink() {
+    return html`
+      <div class="app-layout candidate-apply">
+        <main class="referral-form-error">
+          <i class="ti ti-link-off" style="font-size: 3rem; color: var(--text-muted);" aria-hidden="true"></i>
+          <p>קישור ההפניה אינו תקף או שהמשרה כבר אינה פתוחה</p>
+        </main>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the confirmation shown after applying
+   * @returns {string} HTML string
+   */
+  _renderThankYou() {
+    return html`
+      <div class="app-layout candidate-apply">
+        <main class="referral-form-error candidate-apply__thanks" aria-live="polite">
+          <i class="ti ti-circle-check candidate-apply__thanks-icon" aria-hidden="true"></i>
+          <h1 class="referral-form__title">תודה, ${this.submittedReferral.candidateName}!</h1>
+          <p>המועמדות שלך למשרת ${this.submittedReferral.positionTitle} התקבלה. ניצור איתך קשר בהקדם.</p>
+        </main>
+      </div>
+    `;
+  }
+
+  // ========================
+  // VALIDATION
+  // ========================
+
+  /**
+   * Validates the candidate's details - a résumé is required when applying
+   * @returns {boolean} True if form is valid
+   */
+  _isFormValid() {
+    const requiredFields = ['candidateName', 'candidateEmail'];
+
+    for (const field of requiredFields) {
+      if (this._validateField(field, this.formData[field])) return false;
+    }
+
+    if (this.formData.candidatePhone && this._validateField('candidatePhone', this.formData.candidatePhone)) {
+      return false;
+    }
+
+    return !!this.uploadedFile;
+  }
+
+  /**
+   * Updates submit button enabled state and the résumé hint
+   */
+  _updateSubmitButtonState() {
+    super._updateSubmitButtonState();
+
+    const hint = document.querySelector('.referral-form__points-hint');
+    if (hint) {
+      hint.textContent = this.uploadedFile ? '' : RESUME_REQUIRED_HINT;
+    }
+  }
+
+  // ========================
+  // SUBMISSION
+  // ========================
+
+  /**
+   * Submits the application as a referral of the employee who shared the link
+   */
+  async handleSubmit() {
+    if (!this._isFormValid() || this.isSubmitting) return;
+
+    this.isSubmitting = true;
+    this._updateSubmitButton();
+    this._disableFormFields();
+
+    let referral;
+    try {
+      referral = await dataService.referralLinks.apply(this.link.referrerId, {
+        positionId: this.position.id,
+        candidate: {
+          candidateName: this.formData.candidateName.trim(),
+          candidateEmail: this.formData.candidateEmail.trim(),
+          candidatePhone: this.formData.candidatePhone,
+          notes: this.formData.notes
+        },
+        resumeFile: this.uploadedFile
+      });
+    } catch (error) {
+      this.isSubmitting = false;
+      // The referrer or position went away since the page was opened
+      if (error.reason === 'not-found') {
+        this.position = null;
+      }
+      this._rerender();
+      app.showToast(`לא הצלחנו לשלוח את המועמדות. ${getDataErrorMessage(error)}`, 'error');
+      return;
+    }
+
+    // The candidate is not signed in - not even as whoever uses this device
+    auditLog.record(AUDIT_EVENTS.CANDIDATE_APPLIED, {
+      referralId: referral?.id || null,
+      referrerId: this.link.referrerId,
+      positionId: this.position.id,
+      hasResume: !!this.uploadedFile
+    }, { actor: {} });
+
+    this.submittedReferral = referral;
+    stateManager.setState({ referralFormInstance: null });
+    this._rerender();
+  }
+
+  // ========================
+  // LOADING
+  // ========================
+
+  /**
+   * Loads the position of the link and checks its referrer - unknown
+   * positions and referrers show as an invalid link
+   */
+  async _loadPosition() {
+    this.isLoadingPosition = true;
+    this.loadError = null;
+
+    try {
+      const [position] = await Promise.all([
+        dataService.positions.get(this.link.positionId),
+        dataService.referralLinks.resolve(this.link.referrerId)
+      ]);
+      this.position = position;
+    } catch (error) {
+      this.position = null;
+      if (error.reason !== 'not-found') {
+        this.loadError = error;
+      }
+    }
+
+    this.isLoadingPosition = false;
+    if (this._mounted) {
+      this._rerender();
+    }
+  }
+
+  /**
+   * Loads the position again after a failure (retry button)
+   */
+  retryLoad() {
+    this._loadPosition();
+    this._rerender();
+  }
+
+  /**
+   * Renders the component again in place (after loading and submit)
+   */
+  _rerender() {
+    const container = document.getElementById('main-content');
+    if (!container) return;
+
+    container.innerHTML = this.render();
+    this.bindEvents();
+  }
+
+  mount() {
+    super.mount();
+    if (this.isLoadingPosition) {
+      this._loadPosition();
+    }
+  }
+}
+
+/**
+ * Initialize module - exposes component to global scope for backward compatibility
+ */
+export function initCandidateReferralModule() {
+  window.CandidateReferralComponent = CandidateReferralComponent;
+}
@@ -5,13 +5,30 @@
 
 import { Component } from '../core/component.js';
 import { renderIcon } from '../core/utils.js';
-import { CampaignsComponent } from './campaigns.js';
+import { CampaignsComponent, initCampaignsModule } from './campaigns.js';
 import { formatRelativeTime } from '../data/user-generator.js';
+import { referralStatsSelector, totalPointsSelector, levelInfoSelector } from '../core/selectors.js';
+import { html } from '../core/html.js';
+import { dataService } from '../services/data-service.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
 let animationService = null;
 
+/**
+ * What the dashboard shows from state: the user, referral counts and points
+ * One selector, so an update of several of them (a referral submit sets
+ * currentUser, referrals and stamps) refreshes the dashboard once
+ */
+const dashboardViewSelector = {
+  deps: ['currentUser', 'referrals', 'stamps'],
+  fn: (currentUser, referrals, stamps) => ({
+    currentUser,
+    ...referralStatsSelector.fn(referrals),
+    points: totalPointsSelector.fn(stamps)
+  })
+};
+
 /**
  * Initialize module with app dependencies
  * @param {Object} deps - Dependencies object
@@ -19,6 +36,9 @@ let animationService = null;
 export function initDashboardModule(deps) {
   stateManager = deps.stateManager;
   animationService = deps.animationService;
+  
+  // The campaigns section is loaded with the dashboard
+  initCampaignsModule(deps);
 }
 
 /**
@@ -40,10 +60,11 @@ export class DashboardComponent extends Component {
     const user = stateManager.getState('currentUser');
     if (!user) return this._renderLoading();
     
-    const { firstName, points } = user;
-    const levelInfo = this._calculateLevel(points);
+    const { firstName } = user;
+    const points = stateManager.select(totalPointsSelector);
+    const levelInfo = stateManager.select(levelInfoSelector);
     
-    return `
+    return html`
       <div class="app-layout">
         <main class="dashboard page-content">
           <section class="dashboard__greeting">
@@ -71,8 +92,7 @@ export class DashboardComponent extends Component {
    * @returns {string} HTML string for stats cards
    */
   _renderStatsCards() {
-    const referrals = stateManager.getState('referrals') || [];
-    const stats = this._calculateStats(referrals);
+    const stats = stateManager.select(referralStatsSelector);
     const trends = this._calculateTrends(stats);
     
     const cards = [
@@ -105,10 +125,10 @@ export class DashboardComponent extends Component {
       }
     ];
     
-    return `
+    return html`
       <section class="dashboard__cards" aria-label="סטטיסטיקות הפניות">
         <div class="stats-cards">
-          ${cards.map(card => this._renderStatCard(card)).join('')}
+          ${cards.map(card => this._renderStatCard(card))}
         </div>
       </section>
     `;
@@ -120,14 +140,14 @@ export class DashboardComponent extends Component {
    * @returns {string} HTML string
    */
   _renderStatCard(card) {
-    const trendHTML = card.trend !== 0 ? `
+    const trendHTML = card.trend !== 0 ? html`
       <span class="stat-card__trend stat-card__trend--${card.trend > 0 ? 'up' : 'down'}">
         <i class="ti ${card.trend > 0 ? 'ti-trending-up' : 'ti-trending-down'}"></i>
         <span class="stat-card__trend-value">${Math.abs(card.trend)}</span>
       </span>
     ` : '';
     
-    return `
+    return html`
       <article 
         class="stat-card stat-card--${card.color}"
         data-action="navigate-referrals"
@@ -148,21 +168,6 @@ export class DashboardComponent extends Component {
     `;
   }
   
-  /**
-   * Calculates stats from referrals array
-   * @param {Array} referrals - User's referrals
-   * @returns {Object} Stats object with total, inProgress, hired counts
-   */
-  _calculateStats(referrals) {
-    return {
-      total: referrals.length,
-      inProgress: referrals.filter(r => 
-        ['submitted', 'review', 'interview', 'offer'].includes(r.status)
-      ).length,
-      hired: referrals.filter(r => r.status === 'hired').length
-    };
-  }
-  
   /**
    * Renders the activity feed section
    * @returns {string} HTML string for activity feed
@@ -175,7 +180,7 @@ export class DashboardComponent extends Component {
       return this._renderEmptyActivity();
     }
     
-    return `
+    return html`
       <section class="dashboard__activity" aria-label="פעילות אחרונה">
         <header class="activity-feed__header">
           <h2 class="activity-feed__title">
@@ -185,7 +190,7 @@ export class DashboardComponent extends Component {
         </header>
         
         <ul class="activity-feed" role="list">
-          ${displayActivities.map(activity => this._renderActivityItem(activity)).join('')}
+          ${displayActivities.map(activity => this._renderActivityItem(activity))}
         </ul>
       </section>
     `;
@@ -198,7 +203,7 @@ export class DashboardComponent extends Component {
    */
   _renderActivityItem(activity) {
     const relativeTime = formatRelativeTime(activity.timestamp);
-    const pointsBadge = activity.points > 0 ? `
+    const pointsBadge = activity.points > 0 ? html`
       <span class="activity-item__points">+${activity.points}</span>
     ` : '';
     
@@ -209,7 +214,7 @@ export class DashboardComponent extends Component {
       tabindex="0"
     ` : '';
     
-    return `
+    return html`
       <li 
         class="activity-item activity-item--${activity.iconColor}"
         ${navigable}
@@ -226,7 +231,7 @@ export class DashboardComponent extends Component {
         
         ${pointsBadge}
         
-        ${activity.referralId ? `
+        ${activity.referralId ? html`
           <i class="ti ti-chevron-left activity-item__arrow" aria-hidden="true"></i>
         ` : ''}
       </li>
@@ -238,7 +243,7 @@ export class DashboardComponent extends Component {
    * @returns {string} HTML string
    */
   _renderEmptyActivity() {
-    return `
+    return html`
       <section class="dashboard__activity" aria-label="פעילות אחרונה">
         <header class="activity-feed__header">
           <h2 class="activity-feed__title">
@@ -298,7 +303,7 @@ export class DashboardComponent extends Component {
       }
     ];
     
-    return `
+    return html`
       <section class="dashboard__actions" aria-label="פעולות מהירות">
         <header class="quick-actions__header">
           <h2 class="quick-actions__title">
@@ -308,7 +313,7 @@ export class DashboardComponent extends Component {
         </header>
         
         <div class="quick-actions">
-          ${actions.map(action => this._renderQuickActionButton(action)).join('')}
+          ${actions.map(action => this._renderQuickActionButton(action))}
         </div>
         
         <div class="quick-actions__link">
@@ -331,7 +336,7 @@ export class DashboardComponent extends Component {
       ? 'quick-action-btn quick-action-btn--primary' 
       : 'quick-action-btn quick-action-btn--secondary';
     
-    return `
+    return html`
       <button 
         class="${buttonClass}"
         data-navigate="${action.route}"
@@ -393,7 +398,7 @@ export class DashboardComponent extends Component {
    * @returns {string} HTML string
    */
   _renderLoading() {
-    return `
+    return html`
       <div class="app-layout">
         <main class="dashboard page-content">
           <div class="dashboard__loading">
@@ -414,7 +419,7 @@ export class DashboardComponent extends Component {
   _renderPointsSummary(points, levelInfo) {
     const { level, nextLevel, pointsToNext, progressPercent } = levelInfo;
     
-    return `
+    return html`
       <article class="points-card" aria-label="סיכום נקודות">
         <div class="points-card__header">
           <h2 class="points-card__title">הנקודות שלי</h2>
@@ -435,11 +440,11 @@ export class DashboardComponent extends Component {
               <span class="level-badge level-badge--${this._getLevelClass(level)}">${level}</span>
             </div>
             
-            ${nextLevel ? `
+            ${nextLevel ? html`
               <div class="points-card__next">
                 <span class="points-next-text">עוד <strong class="points-value--inline" dir="ltr">${pointsToNext.toLocaleString('he-IL')}</strong> נקודות לרמה הבאה</span>
               </div>
-            ` : `
+            ` : html`
               <div class="points-card__next points-card__next--max">
                 <span class="points-next-text">${renderIcon('trophy')} הגעת לרמה הגבוהה ביותר!</span>
               </div>
@@ -461,7 +466,7 @@ export class DashboardComponent extends Component {
     const circumference = 2 * Math.PI * radius;
     const offset = circumference - (percent / 100) * circumference;
     
-    return `
+    return html`
       <svg class="progress-circle" viewBox="0 0 100 100" aria-hidden="true">
         <circle 
           class="progress-circle__bg"
@@ -485,44 +490,6 @@ export class DashboardComponent extends Component {
     `;
   }
   
-  /**
-   * Calculates level information based on points
-   * @param {number} points - User's total points
-   * @returns {Object} Level info with level, nextLevel, pointsToNext, progressPercent
-   */
-  _calculateLevel(points) {
-    const LEVELS = [
-      { name: 'מתחיל', min: 0, max: 249 },
-      { name: 'פעיל', min: 250, max: 749 },
-      { name: 'מומחה', min: 750, max: 1999 },
-      { name: 'אלוף', min: 2000, max: 4999 },
-      { name: 'אגדה', min: 5000, max: Infinity }
-    ];
-    
-    let currentIndex = LEVELS.findIndex(l => points >= l.min && points <= l.max);
-    if (currentIndex === -1) currentIndex = 0;
-    
-    const currentLevel = LEVELS[currentIndex];
-    const nextLevel = LEVELS[currentIndex + 1] || null;
-    
-    let progressPercent = 100;
-    let pointsToNext = 0;
-    
-    if (nextLevel) {
-      const levelRange = nextLevel.min - currentLevel.min;
-      const pointsIntoLevel = points - currentLevel.min;
-      progressPercent = Math.min((pointsIntoLevel / levelRange) * 100, 100);
-      pointsToNext = nextLevel.min - points;
-    }
-    
-    return {
-      level: currentLevel.name,
-      nextLevel: nextLevel?.name || null,
-      pointsToNext,
-      progressPercent
-    };
-  }
-  
   /**
    * Maps Hebrew level name to CSS class
    * @param {string} level - Hebrew level name
@@ -551,10 +518,8 @@ export class DashboardComponent extends Component {
       this._animatePointsCounter();
     }
     
-    // Subscribe to user changes for updates
-    this.subscribe('currentUser', () => {
-      this._refresh();
-    });
+    // Re-render when the user changes or derived stats/points actually change
+    this.subscribeSelector(dashboardViewSelector, () => this._refresh());
     
     // Add keyboard navigation for stat cards
     this._setupStatCardKeyboard();
@@ -565,6 +530,27 @@ export class DashboardComponent extends Component {
     // Setup campaigns section (Story 5.4)
     this._setupCampaignsKeyboard();
     this._startCampaignCountdownTimer();
+    this._loadCampaigns();
+  }
+  
+  /**
+   * Loads the campaigns section (Story 5.4)
+   * Until then it shows the campaigns loaded last time, if any
+   */
+  async _loadCampaigns() {
+    const shown = JSON.stringify(dataService.campaigns.peekActive());
+    
+    try {
+      await dataService.campaigns.listActive();
+    } catch (error) {
+      // The section keeps its empty state - the rest of the dashboard works
+      console.warn('DashboardComponent: Failed to load campaigns', error);
+      return;
+    }
+    
+    if (JSON.stringify(dataService.campaigns.peekActive()) !== shown) {
+      this._refresh();
+    }
   }
   
   /**
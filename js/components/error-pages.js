@@ -0,0 +1,163 @@
+/**
+ * PassportCard Refer - Error Pages
+ * Not-found view for unknown URLs, error view for routes that failed to load
+ * and forbidden view for routes the user has no role for
+ */
+
+import { Component } from '../core/component.js';
+import { CONFIG } from '../core/config.js';
+import { html } from '../core/html.js';
+
+// These will be set by app.js after initialization
+let stateManager = null;
+let router = null;
+
+/**
+ * Initialize module with app dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initErrorPagesModule(deps) {
+  stateManager = deps.stateManager;
+  router = deps.router;
+
+  window.NotFoundComponent = NotFoundComponent;
+  window.RouteErrorComponent = RouteErrorComponent;
+  window.ForbiddenComponent = ForbiddenComponent;
+}
+
+/* ============================================================================
+   ROUTE STATUS BASE
+   ============================================================================
+   Shared layout of the fallback views. The router shows them in place of a
+   route (the URL is kept) with details in the routeError state key:
+   { type: 'not-found' | 'error' | 'forbidden', path, route, message }
+   ========================================================================== */
+
+class RouteStatusComponent extends Component {
+  mount() {
+    super.mount();
+
+    // Another bad link while the view is open - show its details
+    this.subscribe('routeError', () => {
+      const container = document.getElementById('main-content');
+      if (container) container.innerHTML = this.render();
+    });
+  }
+
+  /**
+   * Gets the route the "home" link leads to
+   * @returns {string} Route name
+   */
+  _getHomeRoute() {
+    return stateManager.getState('isAuthenticated') ? CONFIG.AUTH_DEFAULT_ROUTE : CONFIG.DEFAULT_ROUTE;
+  }
+
+  /**
+   * Renders the status layout
+   * @param {Object} content
+   * @param {string} content.icon - Tabler icon name
+   * @param {string} content.title - Heading
+   * @param {string} content.description - Explanation (HTML-escaped)
+   * @param {string} [content.path] - Offending location, shown for reference
+   * @param {string} [content.actions] - Extra action buttons HTML
+   * @returns {string} HTML string
+   */
+  _renderStatus({ icon, title, description, path, actions = '' }) {
+    const home = this._getHomeRoute();
+
+    return html`
+      <main class="route-status" role="main">
+        <div class="empty-state route-status__content">
+          <div class="empty-state__icon">
+            <i class="ti ti-${icon}" aria-hidden="true"></i>
+          </div>
+          <h1 class="empty-state__title">${title}</h1>
+          <p class="empty-state__description">${description}</p>
+          ${path ? html`<p class="route-status__path" dir="ltr"><code>${path}</code></p>` : ''}
+          <div class="route-status__actions">
+            ${actions}
+            <a href="${router.href(home)}" class="btn btn--primary" data-navigate="${home}">
+              <i class="ti ti-home" aria-hidden="true"></i>
+              לדף הבית
+            </a>
+          </div>
+        </div>
+      </main>
+    `;
+  }
+}
+
+/* ============================================================================
+   NOT FOUND
+   ========================================================================== */
+
+export class NotFoundComponent extends RouteStatusComponent {
+  /**
+   * Returns the not-found HTML template
+   * @returns {string} HTML string
+   */
+  template() {
+    const routeError = stateManager.getState('routeError');
+    const canGoBack = !!stateManager.getState('previousView');
+
+    return this._renderStatus({
+      icon: 'map-off',
+      title: 'הדף לא נמצא',
+      description: 'הקישור שפתחת שגוי, או שהדף כבר לא קיים.',
+      path: routeError?.path,
+      actions: canGoBack ? html`
+        <button class="btn btn--secondary" data-action="route-back">
+          <i class="ti ti-arrow-right" aria-hidden="true"></i>
+          חזרה
+        </button>
+      ` : ''
+    });
+  }
+}
+
+/* ============================================================================
+   ROUTE ERROR
+   ========================================================================== */
+
+export class RouteErrorComponent extends RouteStatusComponent {
+  /**
+   * Returns the error HTML template
+   * @returns {string} HTML string
+   */
+  template() {
+    const routeError = stateManager.getState('routeError');
+
+    return this._renderStatus({
+      icon: 'alert-triangle',
+      title: 'משהו השתבש',
+      description: routeError?.message || 'לא הצלחנו לטעון את הדף. נסו שוב בעוד רגע.',
+      actions: routeError?.type === 'error' ? html`
+        <button class="btn btn--secondary" data-action="retry-route">
+          <i class="ti ti-refresh" aria-hidden="true"></i>
+          נסו שוב
+        </button>
+      ` : ''
+    });
+  }
+}
+
+/* ============================================================================
+   FORBIDDEN
+   ========================================================================== */
+
+export class ForbiddenComponent extends RouteStatusComponent {
+  /**
+   * Returns the forbidden HTML template
+   * @returns {string} HTML string
+   */
+  template() {
+    const routeError = stateManager.getState('routeError');
+
+    return this._renderStatus({
+      icon: 'lock',
+      title: 'אין לך הרשאה לדף זה',
+      description: 'הדף זמין רק לבעלי הרשאה מתאימה. אם לדעתך מדובר בטעות, פנו למשאבי אנוש.',
+      path: routeError?.path
+    });
+  }
+}
@@ -5,6 +5,7 @@
 
 import { Component } from '../core/component.js';
 import { CONFIG } from '../core/config.js';
+import { html } from '../core/html.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
@@ -46,7 +47,7 @@ export class HeaderComponent extends Component {
     
     if (!user) return '';
     
-    return `
+    return html`
       <header class="header">
         <div class="header__start">
           <button 
@@ -90,7 +91,7 @@ export class HeaderComponent extends Component {
   _renderDropdown(user) {
     const sidebarCollapsed = stateManager.getState('sidebarCollapsed') || false;
     
-    return `
+    return html`
       <div class="header__dropdown" role="menu">
         <div class="header__dropdown-info">
           <span class="header__dropdown-name">${user.fullName}</span>
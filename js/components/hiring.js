@@ -0,0 +1,235 @@
+/**
+ * PassportCard Refer - Hiring Component
+ * Candidate pipeline for recruiters and hiring managers, who move
+ * candidates along it
+ */
+
+import { Component } from '../core/component.js';
+import { CONFIG } from '../core/config.js';
+import { stateManager } from '../core/state.js';
+import { hasRole } from '../core/permissions.js';
+import { renderIcon } from '../core/utils.js';
+import { html } from '../core/html.js';
+import { REFERRAL_STATUS_CONFIG, PIPELINE_STAGES, STAGE_INDEX } from '../data/status-config.js';
+import { hiringService, getNextStatus } from '../services/hiring.js';
+import { renderStatusPipeline } from './referrals.js';
+
+/* ============================================================================
+   HIRING COMPONENT
+   ============================================================================
+   Lists referred candidates with their referrer and pipeline status.
+   Recruiters and hiring managers (CONFIG.STATUS_UPDATE_ROLES) get buttons
+   to move a candidate to the next stage or reject them (the
+   update-candidate-status action); anyone else reaching the page sees the
+   list read-only.
+   ========================================================================== */
+
+export class HiringComponent extends Component {
+  constructor(props) {
+    super(props);
+    this.candidates = [];
+    this.isLoading = true;
+  }
+
+  /**
+   * Main template
+   * @returns {string} HTML string
+   */
+  template() {
+    return html`
+      <div class="app-layout">
+        <main class="referrals-page" id="hiring-page" role="main">
+          ${this._renderHeader()}
+          ${this._renderContent()}
+        </main>
+      </div>
+    `;
+  }
+
+  /**
+   * Checks whether the current user may change candidate statuses
+   * @returns {boolean} True for CONFIG.STATUS_UPDATE_ROLES
+   */
+  _canUpdateStatus() {
+    return hasRole(stateManager.getState('currentUser'), CONFIG.STATUS_UPDATE_ROLES);
+  }
+
+  /**
+   * Renders page header
+   * @returns {string} HTML string
+   */
+  _renderHeader() {
+    return html`
+      <header class="referrals-header">
+        <h1 class="referrals-header__title">${renderIcon('user-search')} מועמדים</h1>
+        <p class="hiring-header__subtitle">
+          ${this._canUpdateStatus() ? 'עדכון שלבי הגיוס של מועמדים שהופנו' : 'מעקב אחר מועמדים שהופנו'}
+        </p>
+      </header>
+    `;
+  }
+
+  /**
+   * Renders the candidate list (or loading / empty state)
+   * @returns {string} HTML string
+   */
+  _renderContent() {
+    if (this.isLoading) {
+      return html`
+        <div class="referral-list" role="list" aria-label="רשימת מועמדים" aria-busy="true">
+          ${Array(3).fill(0).map(() => html`
+            <article class="referral-card referral-card--skeleton">
+              <div class="referral-card__avatar skeleton skeleton--avatar"></div>
+              <div class="referral-card__content">
+                <div class="skeleton skeleton--text" style="width: 60%"></div>
+                <div class="skeleton skeleton--text-sm" style="width: 80%"></div>
+              </div>
+              <div class="referral-card__status">
+                <div class="skeleton skeleton--badge"></div>
+              </div>
+            </article>
+          `)}
+        </div>
+      `;
+    }
+
+    if (this.candidates.length === 0) {
+      return html`
+        <div class="empty-state">
+          <div class="empty-state__icon">
+            <i class="ti ti-user-search" aria-hidden="true"></i>
+          </div>
+          <h2 class="empty-state__title">אין עדיין מועמדים</h2>
+          <p class="empty-state__description">מועמדים שעובדים יפנו יופיעו כאן</p>
+        </div>
+      `;
+    }
+
+    const canUpdate = this._canUpdateStatus();
+
+    return html`
+      <div class="referral-list" role="list" aria-label="רשימת מועמדים">
+        ${this.candidates.map(candidate => this._renderCandidateCard(candidate, canUpdate))}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders a single candidate card
+   * @param {Object} candidate - { referral, referrerId, referrerName }
+   * @param {boolean} canUpdate - Show the status buttons
+   * @returns {string} HTML string
+   */
+  _renderCandidateCard(candidate, canUpdate) {
+    const { referral, referrerId, referrerName } = candidate;
+    const statusInfo = REFERRAL_STATUS_CONFIG[referral.status] || REFERRAL_STATUS_CONFIG.submitted;
+
+    return html`
+      <article class="referral-card hiring-card referral-card--${referral.status}" role="listitem"
+               data-key="${referrerId}/${referral.id}">
+        <div class="referral-card__avatar" style="--avatar-color: ${statusInfo.color}" aria-hidden="true">
+          ${(referral.candidateName || '?')[0]}
+        </div>
+
+        <div class="referral-card__content">
+          <h3 class="referral-card__candidate-name">${referral.candidateName}</h3>
+          <p class="referral-card__position">${referral.positionTitle}</p>
+          <p class="hiring-card__referrer">הופנה על ידי ${referrerName}</p>
+        </div>
+
+        <div class="referral-card__status">
+          <span class="referral-badge referral-badge--${referral.status}" style="--badge-color: ${statusInfo.color}">
+            ${renderIcon(statusInfo.icon)}
+            <span>${statusInfo.hebrew}</span>
+          </span>
+          ${renderStatusPipeline(referral, 'mini')}
+        </div>
+
+        ${canUpdate ? this._renderStatusActions(candidate) : ''}
+      </article>
+    `;
+  }
+
+  /**
+   * Renders the move-forward and reject buttons of a candidate
+   * @param {Object} candidate - { referral, referrerId, referrerName }
+   * @returns {string} HTML string (empty once hired or rejected)
+   */
+  _renderStatusActions(candidate) {
+    const { referral, referrerId } = candidate;
+    const next = getNextStatus(referral.status);
+    if (!next) return '';
+
+    const data = html`data-referrer-id="${referrerId}" data-referral-id="${referral.id}"`;
+
+    return html`
+      <div class="hiring-card__actions">
+        <button class="btn btn--primary btn--sm" data-action="update-candidate-status" data-status="${next}" ${data}>
+          ${renderIcon('arrow-left')}
+          העברה לשלב ${PIPELINE_STAGES[STAGE_INDEX[next]].label}
+        </button>
+        <button class="btn btn--secondary btn--sm" data-action="update-candidate-status" data-status="rejected" ${data}>
+          ${renderIcon('x')}
+          לא נבחר/ה
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Moves a candidate to the status of a clicked button
+   * @param {HTMLElement} button - Button with referrer, referral and status data
+   */
+  async updateStatus(button) {
+    const { referrerId, referralId, status } = button.dataset;
+    button.disabled = true;
+
+    const referral = await hiringService.updateStatus(referrerId, referralId, status);
+    if (!referral) {
+      button.disabled = false;
+      app.showToast('לא הצלחנו לעדכן את סטטוס המועמד. נסו שוב', 'error');
+      return;
+    }
+
+    this.candidates = this.candidates.map(candidate => (
+      candidate.referral.id === referralId && candidate.referrerId === referrerId
+        ? { ...candidate, referral }
+        : candidate
+    ));
+    this._rerender();
+    app.showToast(`${referral.candidateName}: ${REFERRAL_STATUS_CONFIG[status].hebrew}`, 'success');
+  }
+
+  /**
+   * Re-renders component (patched in place - keeps the scroll position
+   * while recruiters work down the list)
+   */
+  _rerender() {
+    this.update();
+  }
+
+  /**
+   * Lifecycle: Mount component
+   */
+  async mount() {
+    super.mount();
+
+    try {
+      this.candidates = await hiringService.listCandidates();
+    } catch (error) {
+      console.error('HiringComponent: Failed to load candidates', error);
+      this.candidates = [];
+    }
+
+    if (!this._mounted) return;
+    this.isLoading = false;
+    this._rerender();
+  }
+}
+
+/**
+ * Initialize module - exposes component to global scope for backward compatibility
+ */
+export function initHiringModule() {
+  window.HiringComponent = HiringComponent;
+}
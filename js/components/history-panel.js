@@ -0,0 +1,141 @@
+/**
+ * PassportCard Refer - State History Panel (development only)
+ * Lists the StateManager undo/redo history and steps or jumps through it.
+ * Toggled with Ctrl+Shift+H on development hosts (see app.js).
+ */
+
+import { Component } from '../core/component.js';
+import { html } from '../core/html.js';
+
+/**
+ * HistoryPanelComponent - Debug view of stateManager.getHistory()
+ * Rows are positions in history: "0" is the state before the oldest entry,
+ * and each entry row is the state right after that entry
+ */
+export class HistoryPanelComponent extends Component {
+  /**
+   * Returns the panel HTML template
+   * @returns {SafeHTML} Markup
+   */
+  template() {
+    const stateManager = this._stateManager;
+    const { past, future } = stateManager.getHistory();
+
+    // Redo pops from the end of future, so the next state to redo is last
+    const entries = [...past, ...[...future].reverse()];
+    const position = past.length;
+
+    return html`
+      <aside class="history-panel" dir="ltr" aria-label="State history">
+        <div class="history-panel__header">
+          <span class="history-panel__title">State history (${position}/${entries.length})</span>
+          <button type="button" class="history-panel__button" data-history-action="undo"
+                  ${stateManager.canUndo() ? '' : 'disabled'}>Undo</button>
+          <button type="button" class="history-panel__button" data-history-action="redo"
+                  ${stateManager.canRedo() ? '' : 'disabled'}>Redo</button>
+          <button type="button" class="history-panel__button" data-history-action="close"
+                  aria-label="Close">×</button>
+        </div>
+        <ol class="history-panel__list" start="0">
+          ${this._renderRow(0, 'initial', [], null, position)}
+          ${entries.map((entry, i) => this._renderRow(i + 1, entry.label || 'setState', entry.keys, entry.timestamp, position))}
+        </ol>
+      </aside>
+    `;
+  }
+
+  /**
+   * Logs render errors instead of replacing the page with the error view -
+   * a broken debug panel should not take the app down with it
+   * @param {Error} error - What went wrong
+   * @param {string} phase - 'render', 'mount' or 'update'
+   */
+  handleError(error, phase) {
+    console.error(`HistoryPanelComponent: Error during ${phase}`, error);
+  }
+
+  /**
+   * Renders one history position
+   * @param {number} index - Position to pass to goToHistory
+   * @param {string} label - Entry label
+   * @param {string[]} keys - State keys the entry changed
+   * @param {number|null} timestamp - When the entry was recorded
+   * @param {number} position - Current position in history
+   * @returns {SafeHTML} Markup
+   */
+  _renderRow(index, label, keys, timestamp, position) {
+    const modifier = index === position ? 'current' : (index > position ? 'future' : 'past');
+    const time = timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+
+    return html`
+      <li class="history-panel__row history-panel__row--${modifier}" data-key="${index}">
+        <button type="button" class="history-panel__jump" data-history-action="go" data-index="${index}"
+                aria-current="${index === position ? 'step' : 'false'}">
+          <span class="history-panel__label">${label}</span>
+          <span class="history-panel__keys">${keys.join(', ')}</span>
+          <span class="history-panel__time">${time}</span>
+        </button>
+      </li>
+    `;
+  }
+}
+
+// Global reference for the panel instance
+let _historyPanel = null;
+
+/**
+ * Shows the history panel, or removes it if it is already open
+ * @param {StateManager} stateManager - State manager whose history is shown
+ */
+export function toggleHistoryPanel(stateManager) {
+  if (_historyPanel) {
+    closeHistoryPanel();
+    return;
+  }
+
+  const container = document.createElement('div');
+  container.id = 'history-panel-container';
+  document.body.appendChild(container);
+
+  _historyPanel = new HistoryPanelComponent();
+  _historyPanel.setStateManager(stateManager);
+  _historyPanel.setElement(container);
+  _historyPanel.update(container);
+  _historyPanel.mount();
+
+  // Re-render on every change, including undo/redo made elsewhere (toasts)
+  _historyPanel.subscribe('*', () => _historyPanel?.update(container));
+
+  container.addEventListener('click', (e) => {
+    // Not data-action - these are not app actions (see App._handleAction)
+    const target = e.target.closest('[data-history-action]');
+    if (!target) return;
+
+    switch (target.dataset.historyAction) {
+      case 'undo':
+        stateManager.undo();
+        break;
+      case 'redo':
+        stateManager.redo();
+        break;
+      case 'go':
+        stateManager.goToHistory(Number(target.dataset.index));
+        break;
+      case 'close':
+        closeHistoryPanel();
+        break;
+    }
+  });
+}
+
+/**
+ * Removes the history panel if it is open
+ */
+export function closeHistoryPanel() {
+  if (_historyPanel) {
+    const container = _historyPanel.getElement();
+    _historyPanel.unmount();
+    container?.remove();
+    _historyPanel = null;
+  }
+}
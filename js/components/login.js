@@ -6,7 +6,12 @@
 import { Component } from '../core/component.js';
 import { CONFIG } from '../core/config.js';
 import { generatePhoneNumber, maskPhoneNumber } from '../core/utils.js';
-import { generateUserFromEmail } from '../data/user-generator.js';
+import { accountRegistry } from '../core/accounts.js';
+import { html } from '../core/html.js';
+import { otpService } from '../services/otp.js';
+import { authService } from '../services/auth.js';
+import { isValidEmail } from '../services/login-policy.js';
+import { auditLog, AUDIT_EVENTS } from '../services/audit-log.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
@@ -19,6 +24,55 @@ let router = null;
 export function initLoginModule(deps) {
   stateManager = deps.stateManager;
   router = deps.router;
+  
+  // The OTP modal ships with this module
+  deps.modalManager?.setOTPModalComponent(OTPModalComponent);
+}
+
+/**
+ * Gets the message for a failed sign-in step
+ * @param {Object} result - Failed result of authService.startLogin / verify
+ * @returns {string} Message for the user
+ */
+function getLoginErrorMessage(result) {
+  switch (result.reason) {
+    case 'invalid':
+      return result.attemptsLeft === 1
+        ? 'קוד שגוי, נותר ניסיון אחד'
+        : `קוד שגוי, נותרו ${result.attemptsLeft} ניסיונות`;
+    case 'locked': {
+      const minutes = Math.max(1, Math.ceil((result.lockedUntil - Date.now()) / 60000));
+      return `יותר מדי ניסיונות שגויים. נסו שוב בעוד ${minutes} דקות`;
+    }
+    case 'cooldown': {
+      const seconds = Math.max(1, Math.ceil((result.retryAt - Date.now()) / 1000));
+      return `קוד נשלח זה עתה. ניתן לבקש קוד חדש בעוד ${seconds} שניות`;
+    }
+    case 'expired':
+      return 'תוקף הקוד פג. בקשו קוד חדש';
+    case 'missing':
+      return 'הקוד כבר אינו בתוקף. בקשו קוד חדש';
+    case 'format':
+      return 'פורמט אימייל לא תקין';
+    case 'blocked':
+      return 'הכתובת הזו חסומה לכניסה למערכת. לבירור פנו למשאבי אנוש';
+    case 'domain':
+      return `ניתן להתחבר רק עם אימייל ארגוני (${result.allowedDomains.map(domain => `@${domain}`).join(', ')})`;
+    case 'not-invited':
+      return 'הכניסה למערכת בהזמנה בלבד והכתובת הזו אינה ברשימת המוזמנים. לבקשת גישה פנו למשאבי אנוש';
+    case 'config':
+      return 'ההתחברות אינה מוגדרת כראוי. פנו לתמיכה';
+    case 'unavailable':
+      return 'שירות ההתחברות הארגוני אינו זמין כרגע. נסו שוב בעוד רגע';
+    case 'denied':
+      return 'ההתחברות בוטלה';
+    case 'state':
+      return 'תוקף בקשת ההתחברות פג. נסו להתחבר שוב';
+    case 'rejected':
+      return 'ההתחברות הארגונית נכשלה. נסו שוב';
+    default:
+      return 'לא הצלחנו לשלוח את קוד האימות. נסו שוב בעוד רגע';
+  }
 }
 
 /**
@@ -45,6 +99,39 @@ export class LoginComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
+    const isRedirectLogin = authService.getProvider()?.flow === 'redirect';
+    
+    return html`
+      <div class="login-screen">
+        <div class="login-card">
+          <div class="login-hero">
+            <div class="login-logo" role="img" aria-label="PassportCard">
+              <img src="${CONFIG.LOGOS.STANDARD}" alt="" aria-hidden="true" class="login-logo__img" />
+            </div>
+            <h1 class="login-title">ברוכים הבאים</h1>
+            <p class="login-subtitle">מערכת ההפניות של PassportCard</p>
+          </div>
+          
+          ${isRedirectLogin ? this._renderSSOLogin() : this._renderEmailForm()}
+          
+          ${this._renderRecentAccounts()}
+          
+          <div class="login-footer">
+            <p class="login-footer__text">
+              <i class="ti ti-shield-check" style="color: var(--color-success); margin-left: 4px;"></i>
+              התחברות מאובטחת למערכת <strong>PassportCard</strong>
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the email form of code sign-in
+   * @returns {string} HTML string
+   */
+  _renderEmailForm() {
     const { isValid, errorMessage, isSubmitting, email, showSuggestion } = this.state;
     
     const inputClasses = [
@@ -63,79 +150,166 @@ export class LoginComponent extends Component {
     const buttonDisabled = !isValid || isSubmitting ? 'disabled' : '';
     const inputDisabled = isSubmitting ? 'disabled' : '';
 
-    return `
-      <div class="login-screen">
-        <div class="login-card">
-          <div class="login-hero">
-            <div class="login-logo" role="img" aria-label="PassportCard">
-              <img src="${CONFIG.LOGOS.STANDARD}" alt="" aria-hidden="true" class="login-logo__img" />
+    return html`
+      <form class="login-form" data-action="submit-login">
+        <div class="form-group">
+          <label for="email-input" class="form-label">אימייל חברה</label>
+          <div class="email-input-wrapper">
+            <input 
+              type="text" 
+              id="email-input"
+              class="${inputClasses}"
+              placeholder="firstname.lastname@passportcard.co.il"
+              aria-label="הזינו את כתובת האימייל שלכם"
+              aria-describedby="email-error email-suggestion-hint"
+              aria-invalid="${errorMessage ? 'true' : 'false'}"
+              autocomplete="email"
+              autocapitalize="off"
+              autocorrect="off"
+              spellcheck="false"
+              value="${email}"
+              ${inputDisabled}
+            >
+            <div 
+              class="email-suggestion ${showSuggestion && email && !email.includes('@') ? 'email-suggestion--visible' : ''}" 
+              id="email-suggestion-hint"
+              role="button"
+              tabindex="${showSuggestion && email && !email.includes('@') ? '0' : '-1'}"
+              aria-label="לחץ להשלמת האימייל"
+            >
+              <span class="email-suggestion__hint">לחץ Tab להשלמה:</span>
+              <span class="email-suggestion__text">${email}@passportcard.co.il</span>
             </div>
-            <h1 class="login-title">ברוכים הבאים</h1>
-            <p class="login-subtitle">מערכת ההפניות של PassportCard</p>
           </div>
-          
-          <form class="login-form" data-action="submit-login">
-            <div class="form-group">
-              <label for="email-input" class="form-label">אימייל חברה</label>
-              <div class="email-input-wrapper">
-                <input 
-                  type="text" 
-                  id="email-input"
-                  class="${inputClasses}"
-                  placeholder="firstname.lastname@passportcard.co.il"
-                  aria-label="הזינו את כתובת האימייל שלכם"
-                  aria-describedby="email-error email-suggestion-hint"
-                  aria-invalid="${errorMessage ? 'true' : 'false'}"
-                  autocomplete="email"
-                  autocapitalize="off"
-                  autocorrect="off"
-                  spellcheck="false"
-                  value="${email}"
-                  ${inputDisabled}
-                >
-                <div 
-                  class="email-suggestion ${showSuggestion && email && !email.includes('@') ? 'email-suggestion--visible' : ''}" 
-                  id="email-suggestion-hint"
-                  role="button"
-                  tabindex="${showSuggestion && email && !email.includes('@') ? '0' : '-1'}"
-                  aria-label="לחץ להשלמת האימייל"
-                >
-                  <span class="email-suggestion__hint">לחץ Tab להשלמה:</span>
-                  <span class="email-suggestion__text">${email}@passportcard.co.il</span>
-                </div>
-              </div>
-              <div id="email-error" class="form-error" aria-live="polite" role="alert">
-                ${errorMessage}
-              </div>
-            </div>
-            
-            <button 
-              type="submit" 
-              class="${buttonClasses}"
-              ${buttonDisabled}
-              aria-busy="${isSubmitting}"
-            >
-              ${isSubmitting ? '<span class="spinner" aria-hidden="true"></span> שולח...' : '<i class="ti ti-send" style="margin-left: 8px;"></i> שלח קוד אימות'}
-            </button>
-          </form>
-          
-          <div class="login-footer">
-            <p class="login-footer__text">
-              <i class="ti ti-shield-check" style="color: var(--color-success); margin-left: 4px;"></i>
-              התחברות מאובטחת למערכת <strong>PassportCard</strong>
-            </p>
+          <div id="email-error" class="form-error" aria-live="polite" role="alert">
+            ${errorMessage}
           </div>
         </div>
+        
+        <button 
+          type="submit" 
+          class="${buttonClasses}"
+          ${buttonDisabled}
+          aria-busy="${isSubmitting}"
+        >
+          ${isSubmitting ? html`<span class="spinner" aria-hidden="true"></span> שולח...` : html`<i class="ti ti-send" style="margin-left: 8px;"></i> שלח קוד אימות`}
+        </button>
+      </form>
+    `;
+  }
+
+  /**
+   * Renders the corporate SSO sign-in button (redirect sign-in)
+   * @returns {string} HTML string
+   */
+  _renderSSOLogin() {
+    const { errorMessage, isSubmitting } = this.state;
+
+    return html`
+      <div class="login-form">
+        <button
+          type="button"
+          class="btn btn--primary btn--full ${isSubmitting ? 'btn--loading' : ''}"
+          data-action="start-sso-login"
+          ${isSubmitting ? 'disabled' : ''}
+          aria-busy="${isSubmitting}"
+        >
+          ${isSubmitting ? html`<span class="spinner" aria-hidden="true"></span> מתחבר...` : html`<i class="ti ti-building" style="margin-left: 8px;"></i> התחברות עם חשבון הארגון`}
+        </button>
+        <div id="email-error" class="form-error" aria-live="polite" role="alert">
+          ${errorMessage}
+        </div>
       </div>
     `;
   }
 
+  /**
+   * Renders accounts previously used on this device (resume / forget)
+   * @returns {string} HTML string
+   */
+  _renderRecentAccounts() {
+    const accounts = accountRegistry.list();
+    if (accounts.length === 0 || this.state.isSubmitting) return '';
+
+    return html`
+      <section class="login-accounts" aria-labelledby="login-accounts-title">
+        <h2 class="login-accounts__title" id="login-accounts-title">חשבונות אחרונים במכשיר זה</h2>
+        <ul class="login-accounts__list">
+          ${accounts.map(account => {
+            const name = account.fullName || account.email;
+            const email = account.email;
+            return html`
+              <li class="login-accounts__item">
+                <button
+                  type="button"
+                  class="login-accounts__resume"
+                  data-action="resume-account"
+                  data-email="${email}"
+                  aria-label="המשך כ${name}"
+                >
+                  <span class="login-accounts__avatar" aria-hidden="true">${account.avatarInitial}</span>
+                  <span class="login-accounts__details">
+                    <span class="login-accounts__name">${name}</span>
+                    <span class="login-accounts__email" dir="ltr">${email}</span>
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  class="login-accounts__forget"
+                  data-action="forget-account"
+                  data-user-id="${account.id}"
+                  aria-label="הסר את ${name} ומחק את הנתונים שלו מהמכשיר"
+                >
+                  <i class="ti ti-trash" aria-hidden="true"></i>
+                </button>
+              </li>
+            `;
+          })}
+        </ul>
+      </section>
+    `;
+  }
+
+  /**
+   * Resumes a recent account - fills its email and continues to OTP
+   * (or to the corporate sign-in page, suggesting the account there)
+   * @param {string} email - Account email
+   */
+  resumeAccount(email) {
+    if (!email || this.state.isSubmitting) return;
+    if (authService.getProvider()?.flow === 'redirect') {
+      this.startSSOLogin(email);
+      return;
+    }
+    this._updateEmailState(email);
+    this.handleSubmit();
+  }
+
+  /**
+   * Removes a recent account and deletes its data from this device
+   * @param {string} userId - Account user id
+   */
+  forgetAccount(userId) {
+    if (!userId) return;
+    if (!window.confirm('להסיר את החשבון ולמחוק את הנתונים שלו ממכשיר זה?')) return;
+
+    authService.purgeAccount(userId, 'login-screen');
+    this._rerender();
+  }
+
   /**
    * Called after component is mounted to DOM
    */
   mount() {
     super.mount();
     this._bindEvents();
+    
+    // Back from the corporate sign-in page - finish signing in
+    if (authService.isLoginCallback()) {
+      this._completeSSOLogin();
+      return;
+    }
+    
     // Focus email input on mount
     const emailInput = this.$('#email-input');
     if (emailInput) {
@@ -241,14 +415,14 @@ export class LoginComponent extends Component {
   }
 
   /**
-   * Validates email format
+   * Validates email format - who may sign in is up to the login policy,
+   * checked when the form is sent
    * @param {string} email - Email to validate
    * @returns {boolean} True if valid
    */
   _validateEmail(email) {
     const fullEmail = email.includes('@') ? email : `${email}@passportcard.co.il`;
-    const pattern = /^[a-zA-Z]+\.[a-zA-Z]+@passportcard\.co\.il$/;
-    return pattern.test(fullEmail);
+    return isValidEmail(fullEmail);
   }
 
   /**
@@ -352,10 +526,10 @@ export class LoginComponent extends Component {
   }
 
   /**
-   * Handles form submission
+   * Handles form submission - sends a login code, then opens the OTP step
    * @param {Event} e - Submit event
    */
-  handleSubmit(e) {
+  async handleSubmit(e) {
     if (e) e.preventDefault();
     
     if (!this.state.isValid || this.state.isSubmitting) return;
@@ -367,6 +541,13 @@ export class LoginComponent extends Component {
     this.state.isSubmitting = true;
     this._rerender();
 
+    // A code sent moments ago (cooldown) is still valid - go on and enter it
+    const result = await authService.startLogin({ email: fullEmail });
+    if (!result.ok && result.reason !== 'cooldown') {
+      this._showLoginError(result);
+      return;
+    }
+
     // Store email for OTP step
     stateManager.setState({ pendingEmail: fullEmail });
 
@@ -375,6 +556,49 @@ export class LoginComponent extends Component {
       stateManager.setState({ activeModal: 'otp' });
     }, 300);
   }
+
+  /**
+   * Leaves for the corporate sign-in page (redirect sign-in)
+   * @param {string} [email] - Account to suggest there
+   */
+  async startSSOLogin(email) {
+    if (this.state.isSubmitting) return;
+
+    this.state.isSubmitting = true;
+    this.state.errorMessage = '';
+    this._rerender();
+
+    // On success the page is already on its way to the identity provider
+    const result = await authService.startLogin(email ? { email } : {});
+    if (!result.ok) {
+      this._showLoginError(result);
+    }
+  }
+
+  /**
+   * Completes the sign-in the identity provider redirected back with
+   */
+  async _completeSSOLogin() {
+    this.state.isSubmitting = true;
+    this._rerender();
+
+    const result = await authService.handleLoginCallback();
+    if (result.ok) {
+      router.navigate('passport');
+    } else {
+      this._showLoginError(result);
+    }
+  }
+
+  /**
+   * Shows why signing in failed and lets the user try again
+   * @param {Object} result - Failed result of authService.startLogin / verify
+   */
+  _showLoginError(result) {
+    this.state.isSubmitting = false;
+    this.state.errorMessage = getLoginErrorMessage(result);
+    if (this._mounted) this._rerender();
+  }
 }
 
 /**
@@ -405,7 +629,7 @@ export class OTPModalComponent extends Component {
     const phoneNumber = generatePhoneNumber(email);
     const maskedPhone = maskPhoneNumber(phoneNumber);
 
-    return `
+    return html`
       <div class="otp-modal-overlay" data-action="close-otp-overlay">
         <div class="otp-modal" role="dialog" aria-modal="true" aria-labelledby="otp-title">
           <button class="otp-modal__close" data-action="close-otp" aria-label="סגור">
@@ -422,12 +646,12 @@ export class OTPModalComponent extends Component {
                 ? 'מעביר אותך לדשבורד...' 
                 : `קוד אימות נשלח לנייד שלך`}
             </p>
-            ${!this._isSuccess ? `
+            ${!this._isSuccess ? html`
             <p class="otp-modal__phone" dir="ltr">${maskedPhone}</p>
             ` : ''}
           </div>
           
-          ${!this._isSuccess ? `
+          ${!this._isSuccess ? html`
           <div class="otp-inputs ${this._hasError ? 'otp-inputs--error' : ''}" dir="ltr">
             ${this._renderOTPInputs()}
           </div>
@@ -443,14 +667,14 @@ export class OTPModalComponent extends Component {
             ${!this._isOTPComplete() || this._isVerifying ? 'disabled' : ''}
           >
             ${this._isVerifying 
-              ? '<span class="spinner" aria-hidden="true"></span> מאמת...' 
+              ? html`<span class="spinner" aria-hidden="true"></span> מאמת...` 
               : 'אימות'}
           </button>
           
           <div class="otp-resend">
             ${this._resendCountdown > 0 
-              ? `<span class="otp-resend--disabled">שלח שוב (${this._resendCountdown})</span>`
-              : '<a href="#" data-action="resend-otp" class="otp-resend__link">שלח שוב</a>'}
+              ? html`<span class="otp-resend--disabled">שלח שוב (${this._resendCountdown})</span>`
+              : html`<a href="#" data-action="resend-otp" class="otp-resend__link">שלח שוב</a>`}
           </div>
           ` : ''}
         </div>
@@ -460,10 +684,10 @@ export class OTPModalComponent extends Component {
 
   /**
    * Renders the 6 OTP input boxes
-   * @returns {string} HTML string for inputs
+   * @returns {Array<SafeHTML>} Markup for the inputs
    */
   _renderOTPInputs() {
-    return this._otpValues.map((value, index) => `
+    return this._otpValues.map((value, index) => html`
       <input
         type="text"
         inputmode="numeric"
@@ -477,7 +701,7 @@ export class OTPModalComponent extends Component {
         autocomplete="one-time-code"
         ${this._isVerifying ? 'disabled' : ''}
       >
-    `).join('');
+    `);
   }
 
   /**
@@ -624,11 +848,19 @@ export class OTPModalComponent extends Component {
   }
 
   /**
-   * Starts the resend countdown timer (45 seconds)
+   * Starts the resend countdown timer (until the OTP service accepts a new
+   * request - CONFIG.OTP.RESEND_COOLDOWN_SECONDS after the last code)
    */
   _startResendCountdown() {
-    this._resendCountdown = 45;
+    if (this._resendTimer) {
+      clearInterval(this._resendTimer);
+      this._resendTimer = null;
+    }
+    
+    const status = otpService.getStatus(stateManager.getState('pendingEmail'));
+    this._resendCountdown = status ? Math.max(0, Math.ceil((status.resendAt - Date.now()) / 1000)) : 0;
     this._updateResendDisplay();
+    if (this._resendCountdown <= 0) return;
     
     this._resendTimer = setInterval(() => {
       this._resendCountdown--;
@@ -648,8 +880,8 @@ export class OTPModalComponent extends Component {
     const resendContainer = this._$('.otp-resend');
     if (resendContainer) {
       resendContainer.innerHTML = this._resendCountdown > 0
-        ? `<span class="otp-resend--disabled">שלח שוב (${this._resendCountdown})</span>`
-        : '<a href="#" data-action="resend-otp" class="otp-resend__link">שלח שוב</a>';
+        ? html`<span class="otp-resend--disabled">שלח שוב (${this._resendCountdown})</span>`
+        : html`<a href="#" data-action="resend-otp" class="otp-resend__link">שלח שוב</a>`;
     }
   }
 
@@ -710,16 +942,23 @@ export class OTPModalComponent extends Component {
     await new Promise(resolve => setTimeout(resolve, delay));
     
     const enteredOTP = this._otpValues.join('');
+    const email = stateManager.getState('pendingEmail');
+    // Signs the user in when the code is right
+    const result = await authService.verify({ email, code: enteredOTP });
     
-    if (enteredOTP === CONFIG.OTP_CODE) {
+    if (result.ok) {
       await this._handleSuccess();
     } else {
-      this._handleError();
+      auditLog.record(AUDIT_EVENTS.OTP_FAILED, {
+        reason: result.reason,
+        attemptsLeft: result.attemptsLeft ?? null
+      }, { outcome: 'failure', actor: { email } });
+      this._handleError(result);
     }
   }
 
   /**
-   * Handles successful OTP verification
+   * Handles successful OTP verification (the user is signed in)
    */
   async _handleSuccess() {
     // Show success state
@@ -727,22 +966,6 @@ export class OTPModalComponent extends Component {
     this._isVerifying = false;
     this._updateUI();
     
-    // Generate user from email
-    const email = stateManager.getState('pendingEmail');
-    const user = generateUserFromEmail(email);
-    
-    // Update state - include referrals, stamps, activities, and campaigns from generated user (Story 6.5)
-    stateManager.setState({
-      currentUser: user,
-      isAuthenticated: true,
-      sessionToken: `session_${Date.now()}`,
-      referrals: user.referrals,
-      stamps: user.stamps,
-      activities: user.activities,
-      campaigns: user.campaigns,
-      pendingEmail: null
-    });
-    
     // Brief delay to show success, then redirect
     await new Promise(resolve => setTimeout(resolve, 500));
     
@@ -752,12 +975,13 @@ export class OTPModalComponent extends Component {
   }
 
   /**
-   * Handles incorrect OTP entry
+   * Handles a rejected OTP (wrong, expired or locked out)
+   * @param {Object} result - Failed result of authService.verify
    */
-  _handleError() {
+  _handleError(result) {
     this._isVerifying = false;
     this._hasError = true;
-    this._errorMessage = 'קוד שגוי, נסה שוב';
+    this._errorMessage = getLoginErrorMessage(result);
     this._updateUI();
     
     // Remove error state after animation
@@ -771,16 +995,26 @@ export class OTPModalComponent extends Component {
   }
 
   /**
-   * Handles resend OTP action
+   * Handles resend OTP action - the previous code stops working
    */
-  handleResend() {
+  async handleResend() {
     if (this._resendCountdown > 0) return;
     
+    const result = await authService.startLogin({ email: stateManager.getState('pendingEmail') });
+    if (!this._mounted) return;
+    
+    if (result.ok) {
+      this._errorMessage = '';
+      this._otpValues = ['', '', '', '', '', ''];
+      this._updateUI();
+      this._focusFirstInput();
+    } else {
+      this._errorMessage = getLoginErrorMessage(result);
+      this._updateUI();
+    }
+    
     // Restart countdown
     this._startResendCountdown();
-    
-    // In a real app, this would trigger OTP resend API
-    console.log('OTP resent to:', stateManager.getState('pendingEmail'));
   }
 
   /**
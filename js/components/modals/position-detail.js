@@ -7,9 +7,11 @@
  */
 
 import { Component } from '../../core/component.js';
-import { MOCK_POSITIONS } from '../../data/mock-positions.js';
 import { renderIcon } from '../../services/icon-service.js';
 import { stateManager } from '../../core/state.js';
+import { html } from '../../core/html.js';
+import { buildCandidateLink } from '../../services/referral-submission.js';
+import { dataService, getDataErrorMessage } from '../../services/data-service.js';
 
 /* ============================================================================
    POSITION DETAIL MODAL (Story 4.3)
@@ -44,7 +46,7 @@ export class PositionDetailModal extends Component {
 
     const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-    return `
+    return html`
       <div class="modal-overlay modal--position-detail ${reducedMotion ? 'modal--no-animation' : ''}"
            data-action="close-position-modal-overlay"
            role="dialog"
@@ -76,7 +78,7 @@ export class PositionDetailModal extends Component {
   _renderHeader() {
     const position = this._position;
     
-    return `
+    return html`
       <header class="modal__header">
         <button class="modal__close-btn"
                 data-action="close-position-modal"
@@ -85,7 +87,7 @@ export class PositionDetailModal extends Component {
         </button>
         
         <h2 class="modal__title" id="position-modal-title">
-          ${this._escapeHtml(position.title)}
+          ${position.title}
         </h2>
         
         <div class="modal__header-actions">
@@ -106,7 +108,7 @@ export class PositionDetailModal extends Component {
    * @returns {string} HTML string
    */
   _renderDetails() {
-    return `
+    return html`
       <div class="position-detail">
         ${this._renderMetaInfo()}
         ${this._renderBadges()}
@@ -126,15 +128,15 @@ export class PositionDetailModal extends Component {
     const position = this._position;
     const typeLabel = position.type === 'full-time' ? 'משרה מלאה' : 'משרה חלקית';
     
-    return `
+    return html`
       <div class="position-detail__meta">
         <div class="position-detail__meta-item">
           <i class="ti ti-building" aria-hidden="true"></i>
-          <span>${this._escapeHtml(position.department)}</span>
+          <span>${position.department}</span>
         </div>
         <div class="position-detail__meta-item">
           <i class="ti ti-map-pin" aria-hidden="true"></i>
-          <span>${this._escapeHtml(position.location)}</span>
+          <span>${position.location}</span>
         </div>
         <div class="position-detail__meta-item">
           <i class="ti ti-clock" aria-hidden="true"></i>
@@ -155,16 +157,16 @@ export class PositionDetailModal extends Component {
       return '';
     }
     
-    return `
+    return html`
       <div class="position-detail__badges">
-        ${position.isHot ? `
+        ${position.isHot ? html`
           <span class="badge badge--hot badge--lg">
             ${renderIcon('flame')} משרה חמה - דרושים בדחיפות!
           </span>
         ` : ''}
-        ${position.campaign ? `
+        ${position.campaign ? html`
           <span class="badge badge--campaign badge--lg">
-            ${renderIcon('gift')} קמפיין ${this._escapeHtml(position.campaign.name)} - x${position.campaign.multiplier} נקודות!
+            ${renderIcon('gift')} קמפיין ${position.campaign.name} - x${position.campaign.multiplier} נקודות!
           </span>
         ` : ''}
       </div>
@@ -176,14 +178,14 @@ export class PositionDetailModal extends Component {
    * @returns {string} HTML string
    */
   _renderDescription() {
-    return `
+    return html`
       <section class="position-detail__section">
         <h3 class="position-detail__section-title">
           <i class="ti ti-file-description" aria-hidden="true"></i>
           תיאור המשרה
         </h3>
         <p class="position-detail__description">
-          ${this._escapeHtml(this._position.description)}
+          ${this._position.description}
         </p>
       </section>
     `;
@@ -200,19 +202,19 @@ export class PositionDetailModal extends Component {
       return '';
     }
     
-    return `
+    return html`
       <section class="position-detail__section">
         <h3 class="position-detail__section-title">
           <i class="ti ti-list-check" aria-hidden="true"></i>
           דרישות התפקיד
         </h3>
         <ul class="position-detail__requirements">
-          ${requirements.map(req => `
+          ${requirements.map(req => html`
             <li class="position-detail__requirement">
               <i class="ti ti-check" aria-hidden="true"></i>
-              <span>${this._escapeHtml(req)}</span>
+              <span>${req}</span>
             </li>
-          `).join('')}
+          `)}
         </ul>
       </section>
     `;
@@ -225,14 +227,14 @@ export class PositionDetailModal extends Component {
   _renderTeamInfo() {
     const position = this._position;
     
-    return `
+    return html`
       <section class="position-detail__section">
         <h3 class="position-detail__section-title">
           <i class="ti ti-users" aria-hidden="true"></i>
           על הצוות
         </h3>
         <p class="position-detail__team-info">
-          הצטרפו למחלקת ${this._escapeHtml(position.department)} של PassportCard!
+          הצטרפו למחלקת ${position.department} של PassportCard!
           אנחנו צוות דינמי ומקצועי שמחפש אנשים מוכשרים להצטרף אלינו.
           סביבת עבודה מעולה, אפשרויות קידום, והזדמנות להשפיע.
         </p>
@@ -257,7 +259,7 @@ export class PositionDetailModal extends Component {
     const totalBase = stages.reduce((sum, s) => sum + s.basePoints, 0);
     const totalWithMultiplier = Math.round(totalBase * multiplier);
     
-    return `
+    return html`
       <section class="position-detail__section position-detail__section--bonus">
         <h3 class="position-detail__section-title">
           <i class="ti ti-coins" aria-hidden="true"></i>
@@ -267,17 +269,17 @@ export class PositionDetailModal extends Component {
         <div class="bonus-breakdown">
           ${stages.map(stage => {
             const points = Math.round(stage.basePoints * multiplier);
-            return `
+            return html`
               <div class="bonus-breakdown__row">
                 <span class="bonus-breakdown__icon">${renderIcon(stage.icon)}</span>
                 <span class="bonus-breakdown__label">${stage.label}</span>
                 <span class="bonus-breakdown__points ${multiplier > 1 ? 'bonus-breakdown__points--multiplied' : ''}">
                   +${points}
-                  ${multiplier > 1 ? `<span class="bonus-breakdown__multiplier">(x${multiplier})</span>` : ''}
+                  ${multiplier > 1 ? html`<span class="bonus-breakdown__multiplier">(x${multiplier})</span>` : ''}
                 </span>
               </div>
             `;
-          }).join('')}
+          })}
           
           <div class="bonus-breakdown__divider"></div>
           
@@ -290,9 +292,9 @@ export class PositionDetailModal extends Component {
           </div>
         </div>
         
-        ${multiplier > 1 ? `
+        ${multiplier > 1 ? html`
           <p class="bonus-breakdown__campaign-note">
-            ${renderIcon('target')} קמפיין "${this._escapeHtml(position.campaign.name)}" פעיל - נקודות כפולות!
+            ${renderIcon('target')} קמפיין "${position.campaign.name}" פעיל - נקודות כפולות!
           </p>
         ` : ''}
       </section>
@@ -308,7 +310,7 @@ export class PositionDetailModal extends Component {
     const multiplier = position.campaign?.multiplier || 1;
     const totalPoints = Math.round((50 + 100 + position.bonus) * multiplier);
     
-    return `
+    return html`
       <footer class="modal__footer">
         <div class="modal__footer-info">
           <span class="modal__footer-bonus">עד +${totalPoints} נקודות</span>
@@ -323,18 +325,6 @@ export class PositionDetailModal extends Component {
     `;
   }
 
-  /**
-   * Escapes HTML entities for security
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-
   /**
    * Opens the modal with animation
    * @param {Object} position - Position data to display
@@ -381,6 +371,8 @@ export class PositionDetailModal extends Component {
     if (!container) return;
     
     const overlay = container.querySelector('.modal--position-detail');
+    // Already closing (e.g. closed and then left via the back button)
+    if (overlay?.classList.contains('modal--closing')) return;
     if (overlay) {
       overlay.classList.remove('modal--visible');
       overlay.classList.add('modal--closing');
@@ -584,13 +576,18 @@ export class PositionDetailModal extends Component {
    * @param {string} positionId - Position ID to share
    */
   async sharePosition(positionId) {
-    const position = MOCK_POSITIONS.find(p => p.id === positionId);
-    if (!position) return;
+    let position;
+    try {
+      position = await dataService.positions.get(positionId);
+    } catch (error) {
+      app.showToast(getDataErrorMessage(error), 'error');
+      return;
+    }
     
     // Generate share URL
     const currentUser = stateManager.getState('currentUser');
     const userId = currentUser?.id || 'user';
-    const shareUrl = `${window.location.origin}${window.location.pathname}?ref=${userId}&pos=${positionId}`;
+    const shareUrl = buildCandidateLink(userId, positionId);
     const shareText = `משרה מעולה ב-PassportCard: ${position.title}`;
     
     // Try Web Share API first (mobile)
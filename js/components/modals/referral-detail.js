@@ -11,6 +11,7 @@ import { REFERRAL_STATUS_CONFIG } from '../../data/status-config.js';
 import { renderIcon } from '../../services/icon-service.js';
 import { renderStatusPipeline } from '../referrals.js';
 import { stateManager } from '../../core/state.js';
+import { html } from '../../core/html.js';
 
 /* ============================================================================
    REFERRAL DETAIL MODAL (Story 5.3)
@@ -44,7 +45,7 @@ export class ReferralDetailModal extends Component {
 
     const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-    return `
+    return html`
       <div class="modal-overlay modal--referral-detail ${reducedMotion ? 'modal--no-animation' : ''}"
            data-action="close-referral-modal-overlay"
            role="dialog"
@@ -78,7 +79,7 @@ export class ReferralDetailModal extends Component {
     const initials = this._getInitials(referral.candidateName);
     const statusInfo = REFERRAL_STATUS_CONFIG[referral.status] || REFERRAL_STATUS_CONFIG.submitted;
     
-    return `
+    return html`
       <header class="referral-detail-modal__header">
         <div class="referral-detail-modal__candidate">
           <div class="referral-detail-modal__avatar" style="--avatar-color: ${statusInfo.color}">
@@ -86,10 +87,10 @@ export class ReferralDetailModal extends Component {
           </div>
           <div class="referral-detail-modal__info">
             <h2 class="referral-detail-modal__name" id="referral-modal-title">
-              ${this._escapeHtml(referral.candidateName)}
+              ${referral.candidateName}
             </h2>
             <p class="referral-detail-modal__position">
-              ${this._escapeHtml(referral.positionTitle)}
+              ${referral.positionTitle}
             </p>
           </div>
         </div>
@@ -107,7 +108,7 @@ export class ReferralDetailModal extends Component {
    * @returns {string} HTML string
    */
   _renderStatusPipeline() {
-    return `
+    return html`
       <section class="referral-detail-modal__section">
         <h3 class="referral-detail-modal__section-title">
           <i class="ti ti-progress" aria-hidden="true"></i>
@@ -144,14 +145,14 @@ export class ReferralDetailModal extends Component {
    * @returns {string} HTML string
    */
   _renderTimelineContent(timeline) {
-    return `
+    return html`
       <section class="referral-detail-modal__section">
         <h3 class="referral-detail-modal__section-title">
           <i class="ti ti-history" aria-hidden="true"></i>
           ציר זמן
         </h3>
         <div class="referral-timeline">
-          ${timeline.map((entry, index) => this._renderTimelineEntry(entry, index, timeline.length)).join('')}
+          ${timeline.map((entry, index) => this._renderTimelineEntry(entry, index, timeline.length))}
         </div>
       </section>
     `;
@@ -174,7 +175,7 @@ export class ReferralDetailModal extends Component {
     if (isLatest) entryClass += ' referral-timeline__entry--current';
     if (isRejected) entryClass += ' referral-timeline__entry--rejected';
     
-    return `
+    return html`
       <div class="${entryClass}">
         <div class="referral-timeline__marker" style="--marker-color: ${statusInfo.color}">
           <i class="ti ${this._getStatusIcon(entry.status)}" aria-hidden="true"></i>
@@ -182,7 +183,7 @@ export class ReferralDetailModal extends Component {
         <div class="referral-timeline__content">
           <div class="referral-timeline__status">
             <span class="referral-timeline__status-text">${statusInfo.hebrew}</span>
-            ${entry.points > 0 ? `
+            ${entry.points > 0 ? html`
               <span class="referral-timeline__points">+${entry.points} נקודות</span>
             ` : ''}
           </div>
@@ -217,7 +218,7 @@ export class ReferralDetailModal extends Component {
     const isHired = this._referral.status === 'hired';
     const isRejected = this._referral.status === 'rejected';
     
-    return `
+    return html`
       <section class="referral-detail-modal__section">
         <h3 class="referral-detail-modal__section-title">
           <i class="ti ti-trophy" aria-hidden="true"></i>
@@ -238,7 +239,7 @@ export class ReferralDetailModal extends Component {
             ${this._renderStageBreakdown()}
           </div>
           
-          ${!isRejected ? `
+          ${!isRejected ? html`
             <!-- Potential Points -->
             <div class="points-breakdown__row points-breakdown__row--potential">
               <span class="points-breakdown__label">נקודות פוטנציאליות</span>
@@ -269,13 +270,13 @@ export class ReferralDetailModal extends Component {
     
     return earnedStages.map(entry => {
       const statusInfo = REFERRAL_STATUS_CONFIG[entry.status] || {};
-      return `
+      return html`
         <div class="points-breakdown__stage">
           <span>${statusInfo.hebrew || entry.status}</span>
           <span>+${entry.points}</span>
         </div>
       `;
-    }).join('');
+    });
   }
 
   /**
@@ -301,7 +302,7 @@ export class ReferralDetailModal extends Component {
       }
     ];
     
-    return `
+    return html`
       <div class="points-breakdown__milestones">
         <h4 class="points-breakdown__milestones-title">
           <i class="ti ti-calendar-event" aria-hidden="true"></i>
@@ -312,17 +313,17 @@ export class ReferralDetailModal extends Component {
           const isPast = milestoneDate && milestoneDate < today;
           const formattedDate = m.date ? this._formatHebrewDate(m.date) : 'לא ידוע';
           
-          return `
+          return html`
             <div class="points-breakdown__milestone ${isPast ? 'points-breakdown__milestone--earned' : ''}">
               <span class="points-breakdown__milestone-label">
                 ${m.label}: +${m.points} נקודות
               </span>
               <span class="points-breakdown__milestone-date">
-                ${isPast ? `${renderIcon('check')} הושג` : `צפוי: ${formattedDate}`}
+                ${isPast ? html`${renderIcon('check')} הושג` : `צפוי: ${formattedDate}`}
               </span>
             </div>
           `;
-        }).join('')}
+        })}
       </div>
     `;
   }
@@ -332,7 +333,7 @@ export class ReferralDetailModal extends Component {
    * @returns {string} HTML string
    */
   _renderPotentialMilestones() {
-    return `
+    return html`
       <div class="points-breakdown__milestones points-breakdown__milestones--potential">
         <h4 class="points-breakdown__milestones-title">
           <i class="ti ti-sparkles" aria-hidden="true"></i>
@@ -394,18 +395,6 @@ export class ReferralDetailModal extends Component {
     return new Intl.NumberFormat('he-IL').format(num || 0);
   }
 
-  /**
-   * Escapes HTML entities for security
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-
   /**
    * Opens the modal with animation
    * @param {Object} referral - Referral data to display
@@ -452,6 +441,8 @@ export class ReferralDetailModal extends Component {
     if (!container) return;
     
     const overlay = container.querySelector('.modal--referral-detail');
+    // Already closing (e.g. closed and then left via the back button)
+    if (overlay?.classList.contains('modal--closing')) return;
     if (overlay) {
       overlay.classList.remove('modal--visible');
       overlay.classList.add('modal--closing');
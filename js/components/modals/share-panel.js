@@ -7,8 +7,10 @@
  */
 
 import { Component } from '../../core/component.js';
-import { MOCK_POSITIONS } from '../../data/mock-positions.js';
 import { stateManager } from '../../core/state.js';
+import { html } from '../../core/html.js';
+import { buildCandidateLink } from '../../services/referral-submission.js';
+import { dataService, getDataErrorMessage } from '../../services/data-service.js';
 
 /* ============================================================================
    SHARE PANEL COMPONENT (Story 4.4)
@@ -34,7 +36,7 @@ export class SharePanel extends Component {
     
     this.referralLink = this._generateReferralLink();
     
-    return `
+    return html`
       <div class="share-panel-overlay share-panel-overlay--visible" 
            data-action="close-share-panel-overlay"
            role="presentation">
@@ -57,7 +59,7 @@ export class SharePanel extends Component {
           
           <div class="share-panel__content">
             <p class="share-panel__position">
-              משרה: <strong>${this._escapeHtml(this.position.title)}</strong>
+              משרה: <strong>${this.position.title}</strong>
             </p>
             
             ${this._renderLinkField()}
@@ -83,13 +85,13 @@ export class SharePanel extends Component {
    * @returns {string} HTML string
    */
   _renderLinkField() {
-    return `
+    return html`
       <div class="share-panel__link-field">
         <label for="referral-link-input" class="visually-hidden">קישור הפניה</label>
         <input type="text"
                id="referral-link-input"
                class="share-panel__link-input"
-               value="${this._escapeHtml(this.referralLink)}"
+               value="${this.referralLink}"
                readonly
                dir="ltr"
                aria-describedby="link-copy-status">
@@ -117,7 +119,7 @@ export class SharePanel extends Component {
     const whatsappUrl = this._getWhatsAppUrl();
     const emailUrl = this._getEmailUrl();
     
-    return `
+    return html`
       <div class="share-panel__buttons">
         <a href="${whatsappUrl}"
            class="share-panel__btn share-panel__btn--whatsapp"
@@ -145,7 +147,7 @@ export class SharePanel extends Component {
   _renderNativeShare() {
     // Only show if Web Share API is supported
     if (typeof navigator !== 'undefined' && navigator.share) {
-      return `
+      return html`
         <div class="share-panel__native">
           <button class="btn btn--outline-primary btn--full"
                   data-action="native-share-referral"
@@ -167,13 +169,9 @@ export class SharePanel extends Component {
   _generateReferralLink() {
     const currentUser = stateManager.getState('currentUser');
     const userId = currentUser?.id || 'unknown';
-    const positionId = this.position.id;
     
-    // Use current origin + pathname for base URL
-    const baseUrl = `${window.location.origin}${window.location.pathname}`;
-    
-    // Add referral tracking params
-    return `${baseUrl}?ref=${userId}&pos=${positionId}`;
+    // Candidate page with referral tracking params
+    return buildCandidateLink(userId, this.position.id);
   }
   
   /**
@@ -229,18 +227,6 @@ ${this.referralLink}
 בהצלחה!`;
   }
   
-  /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-  
   /**
    * Handles copy to clipboard
    */
@@ -389,10 +375,16 @@ ${this.referralLink}
 /**
  * Opens the share panel for a position
  * @param {string} positionId - Position ID to share
+ * @returns {Promise<void>}
  */
-export function openSharePanel(positionId) {
-  const position = MOCK_POSITIONS.find(p => p.id === positionId);
-  if (!position) return;
+export async function openSharePanel(positionId) {
+  let position;
+  try {
+    position = await dataService.positions.get(positionId);
+  } catch (error) {
+    app.showToast(getDataErrorMessage(error), 'error');
+    return;
+  }
   
   // Close any existing share panel
   const existingInstance = stateManager.getState('sharePanelInstance');
@@ -415,8 +407,7 @@ export function generateReferralLink(positionId, userId = null) {
   const currentUser = stateManager.getState('currentUser');
   const uid = userId || currentUser?.id || 'unknown';
   
-  const baseUrl = `${window.location.origin}${window.location.pathname}`;
-  return `${baseUrl}?ref=${uid}&pos=${positionId}`;
+  return buildCandidateLink(uid, positionId);
 }
 
 /**
@@ -7,6 +7,7 @@ import { Component } from '../../core/component.js';
 import { STAMP_TYPES } from '../../data/stamp-types.js';
 import { renderIcon } from '../../core/utils.js';
 import { stateManager } from '../../core/state.js';
+import { html } from '../../core/html.js';
 
 /* ============================================================================
    STAMP DETAIL MODAL (Story 3.5)
@@ -33,7 +34,7 @@ export class StampDetailModal extends Component {
     const config = STAMP_TYPES[stamp.type] || STAMP_TYPES.submitted;
     const formattedDate = this._formatStampDate(stamp.earnedDate);
 
-    return `
+    return html`
       <div class="modal-overlay modal--stamp-detail"
            data-action="close-stamp-modal-overlay"
            role="dialog"
@@ -70,7 +71,7 @@ export class StampDetailModal extends Component {
                 <i class="ti ti-calendar" aria-hidden="true"></i>
                 <span>נצבר: ${formattedDate}</span>
               </div>
-              ${stamp.candidateName ? `
+              ${stamp.candidateName ? html`
                 <div class="stamp-modal__meta-item">
                   <i class="ti ti-user" aria-hidden="true"></i>
                   <span>מועמד: ${stamp.candidateName}</span>
@@ -90,7 +91,7 @@ export class StampDetailModal extends Component {
    * @returns {string} HTML string
    */
   _renderEnlargedStamp(stamp, config) {
-    return `
+    return html`
       <div class="stamp stamp--large stamp--${config.shape} stamp--${stamp.type}"
            style="--stamp-color: ${config.color}; --stamp-rotation: 0deg"
            aria-hidden="true">
@@ -154,7 +155,8 @@ export class StampDetailModal extends Component {
    * Closes the modal
    */
   close() {
-    if (!this._element) return;
+    // Already closing (e.g. closed and then left via the back button)
+    if (!this._element || this._element.classList.contains('modal--closing')) return;
 
     this._element.classList.remove('modal--visible');
     this._element.classList.add('modal--closing');
@@ -5,6 +5,9 @@
 
 import { Component } from '../core/component.js';
 import { CONFIG } from '../core/config.js';
+import { router } from '../core/router.js';
+import { canAccessRoute } from '../core/permissions.js';
+import { html } from '../core/html.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
@@ -29,21 +32,33 @@ export class BottomNavComponent extends Component {
       { route: 'passport', icon: 'ti-book', label: 'הדרכון שלי' },
       { route: 'positions', icon: 'ti-briefcase', label: 'משרות' },
       { route: 'referrals', icon: 'ti-users', label: 'ההפניות שלי' },
+      { route: 'hiring', icon: 'ti-user-search', label: 'מועמדים' },
       { route: 'settings', icon: 'ti-settings', label: 'הגדרות' }
     ];
   }
   
+  /**
+   * Gets the nav items the current user's roles allow
+   * @returns {Array} Visible nav items
+   */
+  _getVisibleItems() {
+    const user = stateManager.getState('currentUser');
+    return this._navItems.filter(item => canAccessRoute(user, item.route));
+  }
+  
   /**
    * Returns the bottom navigation HTML template
    * @returns {string} HTML string
    */
   template() {
     const currentView = stateManager.getState('currentView');
+    const items = this._getVisibleItems();
     
-    return `
-      <nav class="bottom-nav" aria-label="ניווט ראשי">
-        ${this._navItems.map(item => `
-          <button 
+    return html`
+      <nav class="bottom-nav ${items.length > 5 ? 'bottom-nav--crowded' : ''}" aria-label="ניווט ראשי">
+        ${items.map(item => html`
+          <a 
+            href="${router.href(item.route)}"
             class="bottom-nav__item ${currentView === item.route ? 'bottom-nav__item--active' : ''}"
             data-navigate="${item.route}"
             aria-current="${currentView === item.route ? 'page' : 'false'}"
@@ -51,8 +66,8 @@ export class BottomNavComponent extends Component {
           >
             <i class="ti ${item.icon} bottom-nav__icon"></i>
             <span class="bottom-nav__label">${item.label}</span>
-          </button>
-        `).join('')}
+          </a>
+        `)}
       </nav>
     `;
   }
@@ -98,10 +113,20 @@ export class SidebarNavComponent extends Component {
       { route: 'passport', icon: 'ti-book', label: 'הדרכון שלי' },
       { route: 'positions', icon: 'ti-briefcase', label: 'משרות' },
       { route: 'referrals', icon: 'ti-users', label: 'ההפניות שלי' },
+      { route: 'hiring', icon: 'ti-user-search', label: 'מועמדים' },
       { route: 'settings', icon: 'ti-settings', label: 'הגדרות' }
     ];
   }
   
+  /**
+   * Gets the nav items the current user's roles allow
+   * @returns {Array} Visible nav items
+   */
+  _getVisibleItems() {
+    const user = stateManager.getState('currentUser');
+    return this._navItems.filter(item => canAccessRoute(user, item.route));
+  }
+  
   /**
    * Returns the sidebar navigation HTML template
    * @returns {string} HTML string
@@ -110,7 +135,7 @@ export class SidebarNavComponent extends Component {
     const currentView = stateManager.getState('currentView');
     const user = stateManager.getState('currentUser');
     
-    return `
+    return html`
       <aside class="sidebar-nav" aria-label="ניווט ראשי">
         <div class="sidebar-nav__brand">
           <div class="sidebar-nav__logo" data-navigate="dashboard" role="button" tabindex="0" aria-label="PassportCard - לדשבורד">
@@ -119,19 +144,20 @@ export class SidebarNavComponent extends Component {
         </div>
         
         <nav class="sidebar-nav__menu">
-          ${this._navItems.map(item => `
-            <button 
+          ${this._getVisibleItems().map(item => html`
+            <a 
+              href="${router.href(item.route)}"
               class="sidebar-nav__item ${currentView === item.route ? 'sidebar-nav__item--active' : ''}"
               data-navigate="${item.route}"
               aria-current="${currentView === item.route ? 'page' : 'false'}"
             >
               <i class="ti ${item.icon} sidebar-nav__icon"></i>
               <span class="sidebar-nav__label">${item.label}</span>
-            </button>
-          `).join('')}
+            </a>
+          `)}
         </nav>
         
-        ${user ? `
+        ${user ? html`
           <div class="sidebar-nav__user">
             <div class="sidebar-nav__user-avatar">${user.avatarInitial || user.fullName[0]}</div>
             <div class="sidebar-nav__user-info">
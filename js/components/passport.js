@@ -7,6 +7,8 @@
 import { Component } from '../core/component.js';
 import { CONFIG } from '../core/config.js';
 import { STAMP_TYPES } from '../data/stamp-types.js';
+import { totalPointsSelector } from '../core/selectors.js';
+import { html } from '../core/html.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
@@ -119,7 +121,7 @@ export class PassportComponent extends Component {
     const user = stateManager?.getState('currentUser');
     if (!user) return this._renderLoading();
     
-    return `
+    return html`
       <div class="passport-view page-content">
         ${this._renderPassport(user)}
       </div>
@@ -134,7 +136,7 @@ export class PassportComponent extends Component {
   _renderPassport(user) {
     const passportNumber = this._getPassportNumber(user);
     const stamps = stateManager?.getState('stamps') || [];
-    const points = user.points || 0;
+    const points = stateManager?.select(totalPointsSelector) || 0;
     const isOpen = this.passportState.isOpen;
     const currentPage = this.passportState.currentPage;
     const totalPages = this._getTotalPagesForViewport(stamps);
@@ -142,7 +144,7 @@ export class PassportComponent extends Component {
     // Update state
     this.passportState.totalPages = totalPages;
     
-    return `
+    return html`
       <section class="passport-container" aria-label="הדרכון שלי">
         <article class="passport ${isOpen ? 'passport--open' : 'passport--closed'}"
                  tabindex="0"
@@ -157,7 +159,7 @@ export class PassportComponent extends Component {
           </div>
           
           <!-- Passport Cover (on top, flips open) -->
-          <div class="passport-cover" ${!isOpen ? 'data-action="open-passport"' : ''}>
+          <div class="passport-cover" ${!isOpen ? html`data-action="open-passport"` : ''}>
             <div class="passport-cover__border">
               <div class="passport-cover__content">
                 ${this._renderPassportLogo()}
@@ -212,7 +214,7 @@ export class PassportComponent extends Component {
    * Renders all passport pages in page spreads
    * @param {Object} user - Current user object
    * @param {Array} stamps - User's stamps array
-   * @returns {string} HTML string
+   * @returns {Array<SafeHTML>} Markup of the spreads
    */
   _renderAllPages(user, stamps) {
     const currentPage = this.passportState.currentPage;
@@ -220,7 +222,7 @@ export class PassportComponent extends Component {
     const pages = [];
     
     // Page spread 0: Profile (right in RTL) + First stamps (left in RTL)
-    pages.push(`
+    pages.push(html`
       <div class="passport-spread ${currentPage === 0 ? 'passport-spread--active' : ''}" data-spread="0">
         <div class="passport-page passport-page--stamps">
           ${this._renderStampsPage(0, sortedStamps)}
@@ -237,7 +239,7 @@ export class PassportComponent extends Component {
       const leftPageIdx = i * 2;
       const rightPageIdx = i * 2 - 1;
       
-      pages.push(`
+      pages.push(html`
         <div class="passport-spread ${currentPage === i ? 'passport-spread--active' : ''}" data-spread="${i}">
           <div class="passport-page passport-page--stamps">
             ${this._renderStampsPage(leftPageIdx, sortedStamps)}
@@ -249,7 +251,7 @@ export class PassportComponent extends Component {
       `);
     }
     
-    return pages.join('');
+    return pages;
   }
   
   /**
@@ -269,10 +271,10 @@ export class PassportComponent extends Component {
     // For empty pages (future pages), show all placeholders
     if (pageStamps.length === 0) {
       const placeholderTypes = this._getFuturePlaceholderTypes(STAMPS_PER_PAGE);
-      return `
+      return html`
         <div class="stamps-page stamps-page--future">
           <div class="stamps-grid">
-            ${placeholderTypes.map(type => this._renderStampPlaceholder(type)).join('')}
+            ${placeholderTypes.map(type => this._renderStampPlaceholder(type))}
           </div>
           <p class="stamps-page__future-hint">
             <i class="ti ti-sparkles" aria-hidden="true"></i>
@@ -285,11 +287,11 @@ export class PassportComponent extends Component {
     // For pages with some stamps, fill remaining with contextual placeholders
     const placeholderTypes = this._getPlaceholderTypes(stamps, emptySlots);
     
-    return `
+    return html`
       <div class="stamps-page">
         <div class="stamps-grid">
-          ${pageStamps.map(stamp => this._renderStamp(stamp)).join('')}
-          ${placeholderTypes.map(type => this._renderStampPlaceholder(type)).join('')}
+          ${pageStamps.map(stamp => this._renderStamp(stamp))}
+          ${placeholderTypes.map(type => this._renderStampPlaceholder(type))}
         </div>
       </div>
     `;
@@ -316,7 +318,7 @@ export class PassportComponent extends Component {
     const formattedDate = this._formatStampDate(stamp.earnedDate);
     const isNew = stamp.isNew;
     
-    return `
+    return html`
       <button class="stamp stamp--${config.shape} stamp--${stamp.type} ${isNew ? 'stamp--new' : ''}"
               style="--stamp-rotation: ${rotation}deg; --stamp-color: ${config.color}"
               data-action="view-stamp-details"
@@ -347,7 +349,7 @@ export class PassportComponent extends Component {
     const config = STAMP_TYPES[stampType];
     if (!config) return '';
     
-    return `
+    return html`
       <div class="stamp stamp--placeholder stamp--${config.shape}"
            style="--stamp-color: ${config.color}"
            aria-hidden="true">
@@ -442,7 +444,7 @@ export class PassportComponent extends Component {
     const prevDisabled = !isOpen;
     const nextDisabled = !isOpen;
     
-    return `
+    return html`
       <div class="passport-nav">
         <button class="passport-nav__btn passport-nav__btn--prev ${prevDisabled ? 'passport-nav__btn--disabled' : ''}"
                 data-action="passport-prev"
@@ -469,7 +471,7 @@ export class PassportComponent extends Component {
    * @returns {string} HTML string
    */
   _renderSwipeHint() {
-    return `
+    return html`
       <div class="passport-swipe-hint" aria-hidden="true">
         <i class="ti ti-arrows-left-right"></i>
         <span>החלק לניווט</span>
@@ -487,10 +489,11 @@ export class PassportComponent extends Component {
   _renderProfilePage(user) {
     const stamps = stateManager?.getState('stamps') || [];
     const referrals = stateManager?.getState('referrals') || [];
+    const points = stateManager?.select(totalPointsSelector) || 0;
     const joinDate = this._formatJoinDate(user.joinDate);
     const initial = user.firstName ? user.firstName.charAt(0) : '?';
     
-    return `
+    return html`
       <div class="profile-page">
         <div class="profile-page__header">
           <div class="profile-page__avatar" aria-hidden="true">
@@ -511,7 +514,7 @@ export class PassportComponent extends Component {
         
         <div class="profile-page__stats">
           <div class="profile-page__stat">
-            <span class="profile-page__stat-value">${user.points?.toLocaleString('he-IL') || 0}</span>
+            <span class="profile-page__stat-value">${points.toLocaleString('he-IL')}</span>
             <span class="profile-page__stat-label">נקודות</span>
           </div>
           <div class="profile-page__stat">
@@ -688,7 +691,7 @@ export class PassportComponent extends Component {
    * @returns {string} HTML string
    */
   _renderPassportLogo() {
-    return `
+    return html`
       <div class="passport-cover__logo" role="img" aria-label="PassportCard">
         <img src="${CONFIG.LOGOS.WHITE}" alt="" aria-hidden="true" class="passport-cover__logo-img" />
       </div>
@@ -713,7 +716,7 @@ export class PassportComponent extends Component {
    * @returns {string} HTML string
    */
   _renderLoading() {
-    return `
+    return html`
       <div class="app-layout">
         <main class="passport-view page-content">
           <div class="loading-state">
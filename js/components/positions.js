@@ -5,8 +5,8 @@
 
 import { Component } from '../core/component.js';
 import { renderIcon, debounce } from '../core/utils.js';
-import { MOCK_POSITIONS } from '../data/mock-positions.js';
-import { MOCK_CAMPAIGNS } from '../data/mock-campaigns.js';
+import { html, raw, escapeHtml } from '../core/html.js';
+import { dataService, getDataErrorMessage, isCampaignActive } from '../services/data-service.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
@@ -19,6 +19,15 @@ export function initPositionsModule(deps) {
   stateManager = deps.stateManager;
 }
 
+/**
+ * Sort options for the positions list ('recommended' keeps the curated order)
+ */
+const POSITION_SORT_OPTIONS = [
+  { value: 'recommended', label: 'מומלצות' },
+  { value: 'newest', label: 'החדשות ביותר' },
+  { value: 'bonus', label: 'בונוס גבוה' }
+];
+
 /**
  * PositionsComponent - Displays list of open positions with filtering
  * Implements: Story 4.1 (Positions List)
@@ -27,8 +36,10 @@ export class PositionsComponent extends Component {
   constructor(props) {
     super(props);
     this.positions = [];
+    this.campaigns = [];
     this.filteredPositions = [];
     this.isLoading = true;
+    this.loadError = null;
     
     // Initialize filter state from StateManager
     this.filters = stateManager?.getState('positionFilters') || {
@@ -36,6 +47,16 @@ export class PositionsComponent extends Component {
       department: 'all',
       location: 'all'
     };
+    this.sort = stateManager?.getState('positionSort') || 'recommended';
+    this._campaignFilter = stateManager?.getState('campaignFilter') || null;
+    
+    // Follow filter changes made outside the filter bar
+    // (URL back/forward, campaign actions, undo)
+    if (stateManager) {
+      ['positionFilters', 'campaignFilter', 'positionSort'].forEach(key => {
+        this._subscriptions.push(stateManager.subscribe(key, () => this._syncFiltersFromState()));
+      });
+    }
     
     // Create debounced search handler
     this._debouncedSearch = debounce(this._handleSearchChange.bind(this), 300);
@@ -46,10 +67,13 @@ export class PositionsComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
-    return `
+    // Sections are keyed so update() never morphs one into another when the
+    // campaign indicator comes and goes - the filter controls keep the
+    // listeners bound in mount()
+    return html`
       <div class="app-layout">
         <main class="positions-page" role="main">
-          <header class="positions-header">
+          <header class="positions-header" data-key="header">
             <h1 class="positions-title">${renderIcon('briefcase')} משרות פתוחות</h1>
             <p class="positions-subtitle">מצאו משרה מתאימה והפנו מועמדים מהרשת שלכם</p>
           </header>
@@ -58,11 +82,11 @@ export class PositionsComponent extends Component {
           
           ${this._renderFilterBar()}
           
-          <div class="positions-results-count" aria-live="polite">
+          <div class="positions-results-count" data-key="results-count" aria-live="polite">
             ${this._renderResultsCount()}
           </div>
           
-          <div class="positions-list" id="positions-list" role="list" aria-label="רשימת משרות פתוחות">
+          <div class="positions-list" id="positions-list" data-key="list" role="list" aria-label="רשימת משרות פתוחות">
             ${this.isLoading ? this._renderSkeletons() : this._renderPositions()}
           </div>
         </main>
@@ -78,11 +102,11 @@ export class PositionsComponent extends Component {
     const campaignId = stateManager?.getState('campaignFilter');
     if (!campaignId) return '';
     
-    const campaign = MOCK_CAMPAIGNS.find(c => c.id === campaignId);
+    const campaign = this.campaigns.find(c => c.id === campaignId);
     if (!campaign) return '';
     
-    return `
-      <div class="positions-filter-indicator">
+    return html`
+      <div class="positions-filter-indicator" data-key="campaign-indicator">
         <span class="positions-filter-indicator__icon">${campaign.icon}</span>
         <span class="positions-filter-indicator__text">
           מציג משרות מקמפיין: ${campaign.title}
@@ -106,8 +130,8 @@ export class PositionsComponent extends Component {
     const locations = this._getUniqueLocations();
     const hasActiveFilters = this._hasActiveFilters();
     
-    return `
-      <div class="filter-bar" role="search" aria-label="סינון משרות">
+    return html`
+      <div class="filter-bar" data-key="filter-bar" role="search" aria-label="סינון משרות">
         <div class="filter-bar__search">
           <i class="ti ti-search filter-bar__search-icon" aria-hidden="true"></i>
           <input
@@ -115,10 +139,10 @@ export class PositionsComponent extends Component {
             id="position-search"
             class="filter-bar__search-input"
             placeholder="🔍 חיפוש משרה..."
-            value="${this._escapeHtml(this.filters.search)}"
+            value="${this.filters.search}"
             aria-label="חיפוש משרות"
           />
-          ${this.filters.search ? `
+          ${this.filters.search ? html`
             <button
               class="filter-bar__clear-search"
               data-action="clear-position-search"
@@ -138,11 +162,11 @@ export class PositionsComponent extends Component {
               aria-label="סינון לפי מחלקה"
             >
               <option value="all">כל המחלקות</option>
-              ${departments.map(dept => `
-                <option value="${this._escapeHtml(dept)}" ${this.filters.department === dept ? 'selected' : ''}>
-                  ${this._escapeHtml(dept)}
+              ${departments.map(dept => html`
+                <option value="${dept}" ${this.filters.department === dept ? 'selected' : ''}>
+                  ${dept}
                 </option>
-              `).join('')}
+              `)}
             </select>
           </div>
           
@@ -154,16 +178,31 @@ export class PositionsComponent extends Component {
               aria-label="סינון לפי מיקום"
             >
               <option value="all">כל המיקומים</option>
-              ${locations.map(loc => `
-                <option value="${this._escapeHtml(loc)}" ${this.filters.location === loc ? 'selected' : ''}>
-                  ${this._escapeHtml(loc)}
+              ${locations.map(loc => html`
+                <option value="${loc}" ${this.filters.location === loc ? 'selected' : ''}>
+                  ${loc}
                 </option>
-              `).join('')}
+              `)}
+            </select>
+          </div>
+          
+          <div class="filter-bar__select-wrapper">
+            <label for="position-sort" class="visually-hidden">מיון משרות</label>
+            <select
+              id="position-sort"
+              class="filter-bar__select"
+              aria-label="מיון משרות"
+            >
+              ${POSITION_SORT_OPTIONS.map(option => html`
+                <option value="${option.value}" ${this.sort === option.value ? 'selected' : ''}>
+                  ${option.label}
+                </option>
+              `)}
             </select>
           </div>
         </div>
         
-        ${hasActiveFilters ? `
+        ${hasActiveFilters ? html`
           <button
             class="filter-bar__clear-all btn btn--ghost btn--sm"
             data-action="clear-all-position-filters"
@@ -182,7 +221,7 @@ export class PositionsComponent extends Component {
    * @returns {string[]} Array of unique department names
    */
   _getUniqueDepartments() {
-    const depts = new Set(MOCK_POSITIONS.map(p => p.department));
+    const depts = new Set(this.positions.map(p => p.department));
     return Array.from(depts).sort();
   }
   
@@ -191,7 +230,7 @@ export class PositionsComponent extends Component {
    * @returns {string[]} Array of unique location names
    */
   _getUniqueLocations() {
-    const locs = new Set(MOCK_POSITIONS.map(p => p.location));
+    const locs = new Set(this.positions.map(p => p.location));
     return Array.from(locs).sort();
   }
   
@@ -214,16 +253,16 @@ export class PositionsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderResultsCount() {
-    if (this.isLoading) return '';
+    if (this.isLoading || this.loadError) return '';
     
     const total = this.positions.length;
     const filtered = this.filteredPositions.length;
     
     if (!this._hasActiveFilters()) {
-      return `<span class="results-count">מציג ${total} משרות</span>`;
+      return html`<span class="results-count">מציג ${total} משרות</span>`;
     }
     
-    return `<span class="results-count">מציג ${filtered} מתוך ${total} משרות</span>`;
+    return html`<span class="results-count">מציג ${filtered} מתוך ${total} משרות</span>`;
   }
   
   /**
@@ -235,7 +274,7 @@ export class PositionsComponent extends Component {
     // Filter by campaign (Story 5.4)
     const campaignId = stateManager?.getState('campaignFilter');
     if (campaignId) {
-      const campaign = MOCK_CAMPAIGNS.find(c => c.id === campaignId);
+      const campaign = this.campaigns.find(c => c.id === campaignId);
       if (campaign) {
         filtered = filtered.filter(position => {
           // If no department restrictions, all positions eligible
@@ -278,6 +317,13 @@ export class PositionsComponent extends Component {
       );
     }
     
+    // Sort ('recommended' keeps the order of the source list)
+    if (this.sort === 'newest') {
+      filtered.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
+    } else if (this.sort === 'bonus') {
+      filtered.sort((a, b) => b.bonus - a.bonus);
+    }
+    
     this.filteredPositions = filtered;
   }
   
@@ -288,10 +334,8 @@ export class PositionsComponent extends Component {
    */
   _getCampaignForPosition(position) {
     const now = new Date();
-    return MOCK_CAMPAIGNS.find(campaign => {
-      const start = new Date(campaign.startDate);
-      const end = new Date(campaign.endDate);
-      if (!campaign.isActive || now < start || now > end) return false;
+    return this.campaigns.find(campaign => {
+      if (!isCampaignActive(campaign, now)) return false;
       
       // If no department restrictions, all positions eligible
       if (!campaign.eligibleDepartments || campaign.eligibleDepartments.length === 0) {
@@ -329,16 +373,17 @@ export class PositionsComponent extends Component {
    * Highlights matching text in a string
    * @param {string} text - Original text
    * @param {string} searchTerm - Term to highlight
-   * @returns {string} HTML string with highlights
+   * @returns {SafeHTML} Markup with highlights
    */
   _highlightMatch(text, searchTerm) {
-    if (!searchTerm.trim()) return this._escapeHtml(text);
+    if (!searchTerm.trim()) return html`${text}`;
     
-    const escapedText = this._escapeHtml(text);
-    const escapedTerm = this._escapeHtml(searchTerm.trim());
+    const escapedText = escapeHtml(text);
+    const escapedTerm = escapeHtml(searchTerm.trim());
     const regex = new RegExp(`(${this._escapeRegex(escapedTerm)})`, 'gi');
     
-    return escapedText.replace(regex, '<mark class="search-highlight">$1</mark>');
+    // Only <mark> is added to the escaped text
+    return raw(escapedText.replace(regex, '<mark class="search-highlight">$1</mark>'));
   }
   
   /**
@@ -350,39 +395,32 @@ export class PositionsComponent extends Component {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
   
-  /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-  
   /**
    * Renders skeleton placeholders during loading
-   * @returns {string} HTML string
+   * @returns {Array<SafeHTML>} Markup of the placeholders
    */
   _renderSkeletons() {
-    const skeletons = Array(6).fill(0).map(() => `
+    const skeletons = Array(6).fill(0).map(() => html`
       <div class="position-card position-card--skeleton" aria-hidden="true">
         <div class="skeleton skeleton--title"></div>
         <div class="skeleton skeleton--text"></div>
         <div class="skeleton skeleton--text skeleton--short"></div>
         <div class="skeleton skeleton--button"></div>
       </div>
-    `).join('');
+    `);
     
     return skeletons;
   }
   
   /**
    * Renders positions or appropriate empty state
-   * @returns {string} HTML string
+   * @returns {SafeHTML|Array<SafeHTML>} Markup
    */
   _renderPositions() {
+    if (this.loadError) {
+      return this._renderLoadError();
+    }
+    
     this._filterPositions();
     
     if (this.filteredPositions.length === 0) {
@@ -394,7 +432,7 @@ export class PositionsComponent extends Component {
     
     return this.filteredPositions.map(position => 
       this._renderPositionCard(position)
-    ).join('');
+    );
   }
   
   /**
@@ -403,30 +441,31 @@ export class PositionsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderPositionCard(position) {
-    // Check for active campaign from MOCK_CAMPAIGNS (Story 5.4)
+    // Check for active campaign (Story 5.4)
     const activeCampaign = this._getCampaignForPosition(position);
     const pointsInfo = this._calculatePointsWithCampaign(position.bonus, activeCampaign);
     
     // Apply search highlighting to title if search is active
     const displayTitle = this.filters.search.trim()
       ? this._highlightMatch(position.title, this.filters.search)
-      : this._escapeHtml(position.title);
+      : position.title;
     
-    return `
+    return html`
       <article class="position-card ${position.isHot ? 'position-card--hot' : ''}"
+               data-key="${position.id}"
                data-action="view-position-details"
                data-position-id="${position.id}"
                tabindex="0"
                role="listitem"
-               aria-label="${this._escapeHtml(position.title)} - ${this._escapeHtml(position.department)}">
+               aria-label="${position.title} - ${position.department}">
         
         <div class="position-card__badges">
-          ${position.isHot ? `
+          ${position.isHot ? html`
             <span class="badge badge--hot" aria-label="משרה חמה">
               ${renderIcon('flame')} חם!
             </span>
           ` : ''}
-          ${activeCampaign ? `
+          ${activeCampaign ? html`
             <span class="badge badge--campaign" 
                   style="--badge-color: ${activeCampaign.accentColor}"
                   aria-label="קמפיין פעיל: ${activeCampaign.title}"
@@ -442,13 +481,13 @@ export class PositionsComponent extends Component {
           <div class="position-card__meta">
             <span class="position-card__department">
               <i class="ti ti-building" aria-hidden="true"></i>
-              ${this._escapeHtml(position.department)}
+              ${position.department}
             </span>
             <span class="position-card__location">
               <i class="ti ti-map-pin" aria-hidden="true"></i>
-              ${this._escapeHtml(position.location)}
+              ${position.location}
             </span>
-            ${position.type === 'part-time' ? `
+            ${position.type === 'part-time' ? html`
               <span class="position-card__type">
                 <i class="ti ti-clock" aria-hidden="true"></i>
                 חלקית
@@ -458,13 +497,13 @@ export class PositionsComponent extends Component {
           
           <div class="position-card__bonus">
             <span class="position-card__bonus-icon">${renderIcon('coins')}</span>
-            ${pointsInfo.hasCampaign ? `
+            ${pointsInfo.hasCampaign ? html`
               <span class="position-card__bonus-text points-with-multiplier">
                 <span class="points-with-multiplier__base">${pointsInfo.base}</span>
                 <span class="points-with-multiplier__multiplier">x${pointsInfo.multiplier}</span>
                 <span class="points-with-multiplier__total">= ${pointsInfo.total}</span>
               </span>
-            ` : `
+            ` : html`
               <span class="position-card__bonus-text">
                 +${pointsInfo.base} לגיוס מוצלח
               </span>
@@ -476,7 +515,7 @@ export class PositionsComponent extends Component {
           <button class="btn btn--primary btn--sm position-card__refer-btn"
                   data-action="refer-position"
                   data-position-id="${position.id}"
-                  aria-label="הפנה מועמד למשרת ${this._escapeHtml(position.title)}">
+                  aria-label="הפנה מועמד למשרת ${position.title}">
             <i class="ti ti-user-plus" aria-hidden="true"></i>
             הפנה מועמד
           </button>
@@ -490,7 +529,7 @@ export class PositionsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderEmptyState() {
-    return `
+    return html`
       <div class="positions-empty" role="status">
         <div class="positions-empty__icon" aria-hidden="true">
           <i class="ti ti-briefcase-off"></i>
@@ -501,6 +540,28 @@ export class PositionsComponent extends Component {
     `;
   }
   
+  /**
+   * Renders the state shown when the positions could not be loaded
+   * @returns {string} HTML string
+   */
+  _renderLoadError() {
+    return html`
+      <div class="positions-empty positions-empty--error" role="alert">
+        <div class="positions-empty__icon" aria-hidden="true">
+          <i class="ti ti-cloud-off"></i>
+        </div>
+        <h2 class="positions-empty__title">לא הצלחנו לטעון את המשרות</h2>
+        <p class="positions-empty__text">${getDataErrorMessage(this.loadError)}</p>
+        ${this.loadError.reason === 'unauthorized' ? '' : html`
+          <button class="btn btn--secondary positions-empty__clear-btn" data-action="retry-load-positions">
+            <i class="ti ti-refresh" aria-hidden="true"></i>
+            נסו שוב
+          </button>
+        `}
+      </div>
+    `;
+  }
+  
   /**
    * Renders no results state when filters return empty
    * @returns {string} HTML string
@@ -508,18 +569,18 @@ export class PositionsComponent extends Component {
   _renderNoSearchResults() {
     const filters = [];
     if (this.filters.search.trim()) {
-      filters.push(`"${this._escapeHtml(this.filters.search)}"`);
+      filters.push(`"${this.filters.search}"`);
     }
     if (this.filters.department !== 'all') {
-      filters.push(this._escapeHtml(this.filters.department));
+      filters.push(this.filters.department);
     }
     if (this.filters.location !== 'all') {
-      filters.push(this._escapeHtml(this.filters.location));
+      filters.push(this.filters.location);
     }
     
     const filterText = filters.join(', ');
     
-    return `
+    return html`
       <div class="positions-empty positions-empty--filtered" role="status">
         <div class="positions-empty__icon" aria-hidden="true">
           <i class="ti ti-search-off"></i>
@@ -569,6 +630,16 @@ export class PositionsComponent extends Component {
     this._updateUI();
   }
   
+  /**
+   * Handles sort changes
+   * @param {string} value - Selected sort option
+   */
+  _handleSortChange(value) {
+    this.sort = value;
+    this._persistFilters();
+    this._updateUI();
+  }
+  
   /**
    * Clears only the search filter
    */
@@ -610,33 +681,52 @@ export class PositionsComponent extends Component {
   _persistFilters() {
     if (stateManager) {
       stateManager.setState({
-        positionFilters: { ...this.filters }
+        positionFilters: { ...this.filters },
+        positionSort: this.sort
       });
     }
   }
   
   /**
-   * Updates UI after filter changes
+   * Re-renders when filters in state no longer match the rendered ones
+   * Own changes (via _persistFilters) already match and are skipped
    */
-  _updateUI() {
-    // Update results count
-    const countEl = document.querySelector('.positions-results-count');
-    if (countEl) {
-      countEl.innerHTML = this._renderResultsCount();
-    }
+  _syncFiltersFromState() {
+    const stored = stateManager.getState('positionFilters') || {};
+    const filters = {
+      search: stored.search ?? '',
+      department: stored.department ?? 'all',
+      location: stored.location ?? 'all'
+    };
+    const sort = stateManager.getState('positionSort') || 'recommended';
+    const campaignFilter = stateManager.getState('campaignFilter') || null;
     
-    // Update positions list
-    const listEl = document.getElementById('positions-list');
-    if (listEl) {
-      listEl.innerHTML = this._renderPositions();
-    }
+    const unchanged = Object.keys(filters).every(key => filters[key] === this.filters[key]) &&
+                      sort === this.sort &&
+                      campaignFilter === this._campaignFilter;
+    if (unchanged) return;
     
-    // Update filter bar (for clear buttons visibility)
-    const filterBar = document.querySelector('.filter-bar');
-    if (filterBar) {
-      filterBar.outerHTML = this._renderFilterBar();
-      this._bindFilterEvents();
-    }
+    this.filters = filters;
+    this.sort = sort;
+    this._campaignFilter = campaignFilter;
+    
+    // Still loading - _loadPositions renders with the new values
+    if (this.isLoading || !this._mounted) return;
+    
+    // update() leaves the focused search box alone - set its text here
+    const searchInput = document.getElementById('position-search');
+    if (searchInput) searchInput.value = this.filters.search;
+    
+    this.update();
+  }
+  
+  /**
+   * Updates UI after filter changes
+   * Patches the page in place (see Component.update) so the search box keeps
+   * focus and the text typed since the debounced search started
+   */
+  _updateUI() {
+    this.update();
   }
   
   /**
@@ -673,37 +763,63 @@ export class PositionsComponent extends Component {
         this._handleLocationChange(e.target.value);
       });
     }
+    
+    // Sort dropdown
+    const sortSelect = document.getElementById('position-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', (e) => {
+        this._handleSortChange(e.target.value);
+      });
+    }
   }
   
   /**
-   * Loads positions from mock data
+   * Loads the positions and the campaigns that boost them
    * @returns {Promise<void>}
    */
   async _loadPositions() {
     this.isLoading = true;
+    this.loadError = null;
     this._updateList();
     
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 300));
-    
-    // Load positions from mock data
-    this.positions = MOCK_POSITIONS;
+    try {
+      // Campaigns only add badges - the list works without them
+      const [positions, campaigns] = await Promise.all([
+        dataService.positions.list(),
+        dataService.campaigns.list({ cached: true }).catch(() => [])
+      ]);
+      this.positions = positions;
+      this.campaigns = campaigns;
+    } catch (error) {
+      console.error('PositionsComponent: Failed to load positions', error);
+      this.positions = [];
+      this.loadError = error;
+    }
     
     // Restore filters from state
     const storedFilters = stateManager?.getState('positionFilters');
     if (storedFilters) {
       this.filters = { ...storedFilters };
     }
+    this.sort = stateManager?.getState('positionSort') || 'recommended';
+    this._campaignFilter = stateManager?.getState('campaignFilter') || null;
     
     this.isLoading = false;
     this._filterPositions();
     
+    // Left the page while loading
+    if (!this._mounted) return;
+    
     // Re-render entire component to show filter bar with correct values
-    const app = document.getElementById('main-content');
-    if (app) {
-      app.innerHTML = this.template();
-      this.mount();
-    }
+    this.update();
+  }
+  
+  /**
+   * Loads the positions again (after a failed load)
+   * @returns {Promise<void>}
+   */
+  retryLoad() {
+    return this._loadPositions();
   }
   
   /**
@@ -712,7 +828,7 @@ export class PositionsComponent extends Component {
   _updateList() {
     const listEl = document.getElementById('positions-list');
     if (listEl) {
-      listEl.innerHTML = this.isLoading ? this._renderSkeletons() : this._renderPositions();
+      listEl.innerHTML = html`${this.isLoading ? this._renderSkeletons() : this._renderPositions()}`;
     }
   }
   
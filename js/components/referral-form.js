@@ -6,8 +6,10 @@
 
 import { Component } from '../core/component.js';
 import { STAMP_TYPES } from '../data/stamp-types.js';
-import { MOCK_POSITIONS } from '../data/mock-positions.js';
 import { renderIcon } from '../core/utils.js';
+import { html } from '../core/html.js';
+import { auditLog, AUDIT_EVENTS } from '../services/audit-log.js';
+import { dataService, getDataErrorMessage } from '../services/data-service.js';
 
 /* ============================================================================
    REFERRAL FORM COMPONENT (Story 4.5)
@@ -37,6 +39,12 @@ export class ReferralFormComponent extends Component {
     this._handleDragOver = this._handleDragOver.bind(this);
     this._handleDragLeave = this._handleDragLeave.bind(this);
     this._handleDrop = this._handleDrop.bind(this);
+    
+    // Ask before leaving with typed candidate details (not once submitted)
+    this.registerDirtyCheck(
+      () => !this.isSubmitting && this.hasFormData(),
+      'האם לבטל את ההפניה? הפרטים שהוזנו לא יישמרו'
+    );
   }
   
   /**
@@ -44,12 +52,12 @@ export class ReferralFormComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
-    // Get position from state or props
+    // Get position from state or props (among the loaded positions)
     this.position = stateManager.getState('referringPosition') || 
-                    MOCK_POSITIONS.find(p => p.id === this.props.positionId);
+                    dataService.positions.peek(this.props.positionId);
     
     if (!this.position) {
-      return `
+      return html`
         <div class="app-layout">
           <main class="referral-form-error">
             <i class="ti ti-alert-circle" style="font-size: 3rem; color: var(--text-muted);" aria-hidden="true"></i>
@@ -66,7 +74,7 @@ export class ReferralFormComponent extends Component {
     // Store instance in state for action handlers
     stateManager.setState({ referralFormInstance: this });
     
-    return `
+    return html`
       <div class="app-layout">
         <main class="referral-form" id="referral-form">
           ${this._renderHeader()}
@@ -87,7 +95,7 @@ export class ReferralFormComponent extends Component {
    * @returns {string} HTML string
    */
   _renderHeader() {
-    return `
+    return html`
       <header class="referral-form__header">
         <button class="referral-form__back-btn"
                 type="button"
@@ -110,13 +118,13 @@ export class ReferralFormComponent extends Component {
     const basePoints = 50 + 100 + (p.bonus || 0);
     const totalPoints = Math.round(basePoints * multiplier);
     
-    return `
+    return html`
       <div class="referral-form__position-card">
         <div class="referral-form__position-info">
-          <h2 class="referral-form__position-title">${this._escapeHtml(p.title)}</h2>
+          <h2 class="referral-form__position-title">${p.title}</h2>
           <p class="referral-form__position-meta">
-            <span><i class="ti ti-building" aria-hidden="true"></i> ${this._escapeHtml(p.department)}</span>
-            <span><i class="ti ti-map-pin" aria-hidden="true"></i> ${this._escapeHtml(p.location)}</span>
+            <span><i class="ti ti-building" aria-hidden="true"></i> ${p.department}</span>
+            <span><i class="ti ti-map-pin" aria-hidden="true"></i> ${p.location}</span>
           </p>
         </div>
         <div class="referral-form__position-bonus">
@@ -132,7 +140,7 @@ export class ReferralFormComponent extends Component {
    * @returns {string} HTML string
    */
   _renderFormFields() {
-    return `
+    return html`
       <div class="referral-form__fields">
         ${this._renderTextField('candidateName', 'שם מלא של המועמד', 'text', true)}
         ${this._renderTextField('candidateEmail', 'אימייל', 'email', true)}
@@ -161,26 +169,26 @@ export class ReferralFormComponent extends Component {
     const inputId = `referral-${name}`;
     const errorId = `${inputId}-error`;
     
-    return `
+    return html`
       <div class="form-field ${error ? 'form-field--error' : ''} ${isValid ? 'form-field--valid' : ''}">
         <label for="${inputId}" class="form-field__label">
           ${label}
-          ${required ? '<span class="form-field__required" aria-hidden="true">*</span>' : ''}
+          ${required ? html`<span class="form-field__required" aria-hidden="true">*</span>` : ''}
         </label>
         <div class="form-field__input-wrapper">
           <input type="${type}"
                  id="${inputId}"
                  name="${name}"
                  class="form-field__input"
-                 value="${this._escapeHtml(value)}"
-                 ${placeholder ? `placeholder="${placeholder}"` : ''}
-                 ${required ? 'aria-required="true"' : ''}
-                 ${error ? `aria-describedby="${errorId}" aria-invalid="true"` : ''}
+                 value="${value}"
+                 ${placeholder ? html`placeholder="${placeholder}"` : ''}
+                 ${required ? html`aria-required="true"` : ''}
+                 ${error ? html`aria-describedby="${errorId}" aria-invalid="true"` : ''}
                  data-field="${name}">
-          ${isValid ? '<i class="ti ti-check form-field__icon form-field__icon--valid" aria-hidden="true"></i>' : ''}
-          ${error ? '<i class="ti ti-alert-circle form-field__icon form-field__icon--error" aria-hidden="true"></i>' : ''}
+          ${isValid ? html`<i class="ti ti-check form-field__icon form-field__icon--valid" aria-hidden="true"></i>` : ''}
+          ${error ? html`<i class="ti ti-alert-circle form-field__icon form-field__icon--error" aria-hidden="true"></i>` : ''}
         </div>
-        ${error ? `<p id="${errorId}" class="form-field__error" role="alert">${error}</p>` : ''}
+        ${error ? html`<p id="${errorId}" class="form-field__error" role="alert">${error}</p>` : ''}
       </div>
     `;
   }
@@ -203,7 +211,7 @@ export class ReferralFormComponent extends Component {
       { value: 'other', label: 'אחר' }
     ];
     
-    return `
+    return html`
       <div class="form-field ${error ? 'form-field--error' : ''} ${isValid ? 'form-field--valid' : ''}">
         <label for="referral-relationship" class="form-field__label">
           איך את/ה מכיר/ה את המועמד?
@@ -214,17 +222,17 @@ export class ReferralFormComponent extends Component {
                   name="relationship"
                   class="form-field__input form-field__input--select"
                   aria-required="true"
-                  ${error ? 'aria-describedby="referral-relationship-error" aria-invalid="true"' : ''}
+                  ${error ? html`aria-describedby="referral-relationship-error" aria-invalid="true"` : ''}
                   data-field="relationship">
-            ${options.map(opt => `
+            ${options.map(opt => html`
               <option value="${opt.value}" ${value === opt.value ? 'selected' : ''}>
                 ${opt.label}
               </option>
-            `).join('')}
+            `)}
           </select>
           <i class="ti ti-chevron-down form-field__select-icon" aria-hidden="true"></i>
         </div>
-        ${error ? `<p id="referral-relationship-error" class="form-field__error" role="alert">${error}</p>` : ''}
+        ${error ? html`<p id="referral-relationship-error" class="form-field__error" role="alert">${error}</p>` : ''}
       </div>
     `;
   }
@@ -239,7 +247,7 @@ export class ReferralFormComponent extends Component {
     const maxChars = 500;
     const isNearLimit = charCount >= 450;
     
-    return `
+    return html`
       <div class="form-field">
         <label for="referral-notes" class="form-field__label">
           הערות נוספות
@@ -250,7 +258,7 @@ export class ReferralFormComponent extends Component {
                   class="form-field__input form-field__input--textarea"
                   rows="3"
                   maxlength="${maxChars}"
-                  data-field="notes">${this._escapeHtml(value)}</textarea>
+                  data-field="notes">${value}</textarea>
         <p class="form-field__counter ${isNearLimit ? 'form-field__counter--warning' : ''}" aria-live="polite">
           <span class="form-field__counter-current">${charCount}</span>/${maxChars}
         </p>
@@ -267,7 +275,7 @@ export class ReferralFormComponent extends Component {
       return this._renderFilePreview();
     }
     
-    return `
+    return html`
       <div class="upload-zone" id="upload-zone" role="region" aria-label="העלאת קורות חיים">
         <input type="file"
                id="resume-input"
@@ -303,13 +311,13 @@ export class ReferralFormComponent extends Component {
     const sizeStr = this._formatFileSize(file.size);
     const icon = file.name.toLowerCase().endsWith('.pdf') ? 'ti-file-type-pdf' : 'ti-file-type-doc';
     
-    return `
+    return html`
       <div class="file-preview" id="file-preview" role="region" aria-label="קובץ שהועלה">
         <div class="file-preview__icon">
           <i class="ti ${icon}" aria-hidden="true"></i>
         </div>
         <div class="file-preview__info">
-          <p class="file-preview__name">${this._escapeHtml(file.name)}</p>
+          <p class="file-preview__name">${file.name}</p>
           <p class="file-preview__size">${sizeStr}</p>
         </div>
         <button type="button"
@@ -331,10 +339,10 @@ export class ReferralFormComponent extends Component {
     const isFirstReferral = this._isFirstReferral();
     const points = isFirstReferral ? 150 : 50;
     
-    return `
+    return html`
       <div class="referral-form__submit-section">
         <p class="referral-form__points-hint">
-          ${isFirstReferral ? `${renderIcon('confetti')} הפניה ראשונה! ` : ''}
+          ${isFirstReferral ? html`${renderIcon('confetti')} הפניה ראשונה! ` : ''}
           <strong>+${points} נקודות</strong> יתווספו לחשבונך
         </p>
         
@@ -342,7 +350,7 @@ export class ReferralFormComponent extends Component {
                 class="btn btn--primary btn--lg btn--full referral-form__submit-btn"
                 ${!isValid || this.isSubmitting ? 'disabled' : ''}
                 data-action="submit-referral">
-          ${this.isSubmitting ? `
+          ${this.isSubmitting ? html`
             <span class="btn__spinner" aria-hidden="true"></span>
             שולח...
           ` : `
@@ -526,7 +534,7 @@ export class ReferralFormComponent extends Component {
    * @returns {string} HTML string
    */
   _renderUploadZoneOnly() {
-    return `
+    return html`
       <div class="upload-zone" id="upload-zone" role="region" aria-label="העלאת קורות חיים">
         <input type="file"
                id="resume-input"
@@ -585,82 +593,43 @@ export class ReferralFormComponent extends Component {
     this._updateSubmitButton();
     this._disableFormFields();
     
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    const referralId = `ref-${Date.now()}`;
+    
+    // Create new referral with its submission (and first-referral) stamps -
+    // the résumé is uploaded with it, so a failed submit leaves nothing behind
+    let submission;
+    try {
+      submission = await dataService.referrals.submit({
+        positionId: this.position.id,
+        candidate: this.formData,
+        resumeFile: this.uploadedFile,
+        referralId
+      });
+    } catch (error) {
+      this._handleSubmitError(error);
+      return;
+    }
     
-    const currentUser = stateManager.getState('currentUser');
     const referrals = stateManager.getState('referrals') || [];
     const stamps = stateManager.getState('stamps') || [];
-    const isFirstReferral = referrals.length === 0;
-    
-    // Create new referral
-    const newReferral = {
-      id: `ref-${Date.now()}`,
-      positionId: this.position.id,
-      positionTitle: this.position.title,
-      candidateName: this.formData.candidateName,
-      candidateEmail: this.formData.candidateEmail,
-      candidatePhone: this.formData.candidatePhone || null,
-      relationship: this.formData.relationship,
-      notes: this.formData.notes || null,
-      resumeFileName: this.uploadedFile?.name || null,
-      status: 'submitted',
-      submittedAt: new Date().toISOString(),
-      timeline: [
-        {
-          status: 'submitted',
-          date: new Date().toISOString(),
-          points: 50
-        }
-      ],
-      pointsEarned: 50
-    };
     
-    // Create submission stamp
-    const submissionStamp = {
-      id: `stmp-${Date.now()}`,
-      type: 'submitted',
-      title: 'קו״ח הוגש',
-      points: 50,
-      earnedAt: new Date().toISOString(),
-      referralId: newReferral.id,
-      positionTitle: this.position.title
-    };
-    
-    const newStamps = [...stamps, submissionStamp];
-    let pointsAdded = 50;
-    const earnedStampsArray = [submissionStamp];
-    
-    // First referral bonus
-    if (isFirstReferral) {
-      const firstReferralStamp = {
-        id: `stmp-${Date.now()}-first`,
-        type: 'first-referral',
-        title: 'הפניה ראשונה',
-        points: 100,
-        earnedAt: new Date().toISOString(),
-        referralId: newReferral.id
-      };
-      newStamps.push(firstReferralStamp);
-      pointsAdded += 100;
-      earnedStampsArray.push(firstReferralStamp);
-    }
-    
-    // Update state
+    // Update state (points are the new stamps - see totalPointsSelector)
     stateManager.setState({
-      referrals: [...referrals, newReferral],
-      stamps: newStamps,
-      currentUser: {
-        ...currentUser,
-        points: (currentUser?.points || 0) + pointsAdded
-      },
-      lastSubmittedReferral: newReferral,
-      pointsEarnedFromSubmission: pointsAdded,
-      earnedStamps: earnedStampsArray,
+      referrals: [...referrals, submission.referral],
+      stamps: [...stamps, ...submission.stamps],
+      lastSubmittedReferral: submission.referral,
+      pointsEarnedFromSubmission: submission.points,
+      earnedStamps: submission.stamps,
       referringPosition: null, // Clear after submission
       referralFormInstance: null
     });
     
+    auditLog.record(AUDIT_EVENTS.REFERRAL_SUBMITTED, {
+      referralId,
+      positionId: this.position?.id || null,
+      hasResume: !!this.uploadedFile
+    });
+    
     // Show success message
     app.showToast('ההפניה נשלחה בהצלחה!', 'success');
     
@@ -668,6 +637,21 @@ export class ReferralFormComponent extends Component {
     router.navigate('referral-confirmation');
   }
   
+  /**
+   * Gives the form back after a failed submission - the typed details stay
+   * @param {Error} error - DataError of the submission
+   */
+  _handleSubmitError(error) {
+    this.isSubmitting = false;
+    this._enableFormFields();
+    this._updateSubmitButton();
+    
+    const retry = error.retryable
+      ? { label: 'נסו שוב', onClick: () => this._mounted && this.handleSubmit() }
+      : null;
+    app.showToast(`ההפניה לא נשלחה. ${getDataErrorMessage(error)}`, 'error', 6000, retry);
+  }
+  
   /**
    * Updates submit button state
    */
@@ -677,10 +661,13 @@ export class ReferralFormComponent extends Component {
     
     if (this.isSubmitting) {
       btn.disabled = true;
-      btn.innerHTML = `
+      btn.innerHTML = html`
         <span class="btn__spinner" aria-hidden="true"></span>
         שולח...
       `;
+    } else {
+      btn.disabled = !this._isFormValid();
+      btn.innerHTML = html`📤 שליחת ההפניה`;
     }
   }
   
@@ -697,20 +684,17 @@ export class ReferralFormComponent extends Component {
     });
   }
   
-  // ========================
-  // UTILITY METHODS
-  // ========================
-  
   /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
+   * Enables the form fields again (after a failed submission)
    */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+  _enableFormFields() {
+    const form = document.querySelector('.referral-form__form');
+    if (!form) return;
+    
+    const inputs = form.querySelectorAll('input, select, textarea, button');
+    inputs.forEach(input => {
+      input.disabled = false;
+    });
   }
   
   // ========================
@@ -991,7 +975,7 @@ export class ReferralConfirmationComponent extends Component {
     
     if (!this.referral) {
       // No submission data, show error state
-      return `
+      return html`
         <div class="app-layout">
           <main class="confirmation-error">
             <i class="ti ti-alert-circle" style="font-size: 3rem; color: var(--text-muted);" aria-hidden="true"></i>
@@ -1005,7 +989,7 @@ export class ReferralConfirmationComponent extends Component {
       `;
     }
     
-    return `
+    return html`
       <div class="app-layout">
         <main class="confirmation" id="confirmation-screen" role="main">
           <div class="confirmation__content">
@@ -1032,10 +1016,10 @@ export class ReferralConfirmationComponent extends Component {
    */
   _renderSuccessHeader() {
     const firstReferralMessage = this.isFirstReferral 
-      ? `<p class="confirmation__first-badge">${renderIcon('star-filled')} הפניה ראשונה - מעולה!</p>`
+      ? html`<p class="confirmation__first-badge">${renderIcon('star-filled')} הפניה ראשונה - מעולה!</p>`
       : '';
     
-    return `
+    return html`
       <header class="confirmation__header">
         <div class="confirmation__success-icon" aria-hidden="true">
           <span class="confirmation__checkmark">${renderIcon('check', { size: 'xl' })}</span>
@@ -1055,7 +1039,7 @@ export class ReferralConfirmationComponent extends Component {
    * @returns {string} HTML string
    */
   _renderReferralInfo() {
-    return `
+    return html`
       <section class="confirmation__referral-info" aria-label="פרטי ההפניה">
         <div class="confirmation__referral-card">
           <div class="confirmation__referral-avatar" aria-hidden="true">
@@ -1063,11 +1047,11 @@ export class ReferralConfirmationComponent extends Component {
           </div>
           <div class="confirmation__referral-details">
             <p class="confirmation__candidate-name">
-              ${this._escapeHtml(this.referral.candidateName)}
+              ${this.referral.candidateName}
             </p>
             <p class="confirmation__position-title">
               <i class="ti ti-briefcase" aria-hidden="true"></i>
-              ${this._escapeHtml(this.referral.positionTitle)}
+              ${this.referral.positionTitle}
             </p>
           </div>
         </div>
@@ -1087,9 +1071,9 @@ export class ReferralConfirmationComponent extends Component {
     const stampsHtml = this.earnedStamps.map((stamp, index) => {
       const animationDelay = this.reducedMotion ? 0 : index * 300;
       return this._renderStamp(stamp, animationDelay);
-    }).join('');
+    });
     
-    return `
+    return html`
       <section class="confirmation__stamps" aria-label="חותמות שהושגו">
         <h2 class="confirmation__section-title">חותמות חדשות!</h2>
         <div class="confirmation__stamps-grid">
@@ -1110,16 +1094,16 @@ export class ReferralConfirmationComponent extends Component {
     const stampConfig = STAMP_TYPES[stampType] || STAMP_TYPES.submitted;
     const animationClass = this.reducedMotion ? 'confirmation__stamp--visible' : 'confirmation__stamp--animate';
     
-    return `
+    return html`
       <div class="confirmation__stamp ${animationClass}"
            style="--animation-delay: ${delay}ms; --stamp-color: ${stampConfig.color};"
            role="img"
-           aria-label="${stamp.title}: +${stamp.points} נקודות">
+           aria-label="${stamp.label}: +${stamp.points} נקודות">
         <div class="confirmation__stamp-inner">
           <span class="confirmation__stamp-icon" aria-hidden="true">
             ${renderIcon(stampConfig.icon)}
           </span>
-          <span class="confirmation__stamp-title">${stamp.title}</span>
+          <span class="confirmation__stamp-title">${stamp.label}</span>
           <span class="confirmation__stamp-points">+${stamp.points}</span>
         </div>
       </div>
@@ -1133,7 +1117,7 @@ export class ReferralConfirmationComponent extends Component {
   _renderPointsSection() {
     const displayValue = this.reducedMotion ? this.pointsEarned : 0;
     
-    return `
+    return html`
       <section class="confirmation__points" aria-label="נקודות שהושגו">
         <div class="confirmation__points-display">
           <span class="confirmation__points-label">נקודות שהושגו</span>
@@ -1144,7 +1128,7 @@ export class ReferralConfirmationComponent extends Component {
         
         <p class="confirmation__points-message">
           ${this.isFirstReferral 
-            ? `${renderIcon('confetti')} כולל בונוס הפניה ראשונה!` 
+            ? html`${renderIcon('confetti')} כולל בונוס הפניה ראשונה!` 
             : 'הנקודות נוספו לחשבונך'}
         </p>
       </section>
@@ -1156,7 +1140,7 @@ export class ReferralConfirmationComponent extends Component {
    * @returns {string} HTML string
    */
   _renderCTAs() {
-    return `
+    return html`
       <section class="confirmation__ctas">
         <button class="btn btn--primary btn--lg confirmation__cta-primary"
                 data-action="view-passport-from-confirmation"
@@ -1377,18 +1361,6 @@ export class ReferralConfirmationComponent extends Component {
     return name.charAt(0);
   }
   
-  /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-  
   // ========================
   // LIFECYCLE
   // ========================
@@ -5,8 +5,10 @@
 
 import { Component } from '../core/component.js';
 import { REFERRAL_STATUS_CONFIG, PIPELINE_STAGES, STAGE_INDEX } from '../data/status-config.js';
-import { MOCK_REFERRALS } from '../data/mock-referrals.js';
+import { dataService, getDataErrorMessage } from '../services/data-service.js';
 import { renderIcon } from '../core/utils.js';
+import { computeReferralStats, IN_PROGRESS_STATUSES } from '../core/selectors.js';
+import { html } from '../core/html.js';
 
 /* ============================================================================
    STATUS PIPELINE COMPONENT (Story 5.2)
@@ -46,7 +48,7 @@ export class StatusPipeline {
       ? `נדחה בשלב ${currentIndex + 1} מתוך ${stages.length}` 
       : `שלב ${currentIndex + 1} מתוך ${stages.length}, ${stages[currentIndex]?.label || stages[0].label}`;
     
-    return `
+    return html`
       <div class="status-pipeline ${sizeClass} ${this.isRejected ? 'status-pipeline--rejected' : ''}"
            role="progressbar"
            aria-valuenow="${currentIndex + 1}"
@@ -55,7 +57,7 @@ export class StatusPipeline {
            aria-label="${progressText}"
            aria-valuetext="${progressText}">
         <div class="status-pipeline__track">
-          ${stages.map((stage, index) => this._renderStage(stage, index, currentIndex)).join('')}
+          ${stages.map((stage, index) => this._renderStage(stage, index, currentIndex))}
         </div>
         ${this.size === 'full' ? this._renderLabels(stages, currentIndex) : ''}
       </div>
@@ -95,19 +97,19 @@ export class StatusPipeline {
     // Determine icon to display
     let iconHtml;
     if (this.isRejected && index === currentIndex) {
-      iconHtml = '<i class="ti ti-x" aria-hidden="true"></i>';
+      iconHtml = html`<i class="ti ti-x" aria-hidden="true"></i>`;
     } else if (index < currentIndex || (index === currentIndex && this.status === 'hired')) {
-      iconHtml = '<i class="ti ti-check" aria-hidden="true"></i>';
+      iconHtml = html`<i class="ti ti-check" aria-hidden="true"></i>`;
     } else if (this.size === 'full' && index === currentIndex && !this.isRejected) {
-      iconHtml = `<i class="ti ${stage.icon}" aria-hidden="true"></i>`;
+      iconHtml = html`<i class="ti ${stage.icon}" aria-hidden="true"></i>`;
     } else {
       iconHtml = '';
     }
     
-    return `
+    return html`
       ${!isFirst ? this._renderConnector(index, currentIndex) : ''}
       <div class="status-pipeline__stage ${stateClass}"
-           ${index === currentIndex ? 'aria-current="step"' : ''}>
+           ${index === currentIndex ? html`aria-current="step"` : ''}>
         <div class="status-pipeline__circle">
           ${iconHtml}
         </div>
@@ -152,7 +154,7 @@ export class StatusPipeline {
       connectorClass += ' status-pipeline__connector--completed';
     }
     
-    return `<div class="${connectorClass}" aria-hidden="true"></div>`;
+    return html`<div class="${connectorClass}" aria-hidden="true"></div>`;
   }
   
   /**
@@ -162,7 +164,7 @@ export class StatusPipeline {
    * @returns {string} HTML string
    */
   _renderLabels(stages, currentIndex) {
-    return `
+    return html`
       <div class="status-pipeline__labels" aria-hidden="true">
         ${stages.map((stage, index) => {
           const isActive = index === currentIndex;
@@ -174,8 +176,8 @@ export class StatusPipeline {
           if (isCompleted) labelClass += ' status-pipeline__label--completed';
           if (isRejectedStage) labelClass += ' status-pipeline__label--rejected';
           
-          return `<span class="${labelClass}">${stage.label}</span>`;
-        }).join('')}
+          return html`<span class="${labelClass}">${stage.label}</span>`;
+        })}
       </div>
     `;
   }
@@ -237,7 +239,7 @@ export class ReferralsComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
-    return `
+    return html`
       <div class="app-layout">
         <main class="referrals-page" id="referrals-page" role="main">
           ${this._renderHeader()}
@@ -253,7 +255,7 @@ export class ReferralsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderHeader() {
-    return `
+    return html`
       <header class="referrals-header">
         <h1 class="referrals-header__title">${renderIcon('clipboard-list')} ההפניות שלי</h1>
       </header>
@@ -266,7 +268,7 @@ export class ReferralsComponent extends Component {
    */
   _renderTabFilters() {
     if (this.isLoading) {
-      return `
+      return html`
         <nav class="referral-tabs" role="tablist" aria-label="סינון הפניות">
           <div class="referral-tab skeleton skeleton--tab"></div>
           <div class="referral-tab skeleton skeleton--tab"></div>
@@ -284,18 +286,18 @@ export class ReferralsComponent extends Component {
       { key: 'rejected', label: 'נדחו', count: counts.rejected, className: 'referral-tab--muted' }
     ];
     
-    return `
+    return html`
       <nav class="referral-tabs" role="tablist" aria-label="סינון הפניות">
-        ${tabs.map(tab => `
+        ${tabs.map(tab => html`
           <button class="referral-tab ${this.filter === tab.key ? 'referral-tab--active' : ''} ${tab.className || ''}"
                   role="tab"
                   aria-selected="${this.filter === tab.key}"
                   data-action="filter-referrals"
                   data-filter="${tab.key}">
-            <span class="referral-tab__label">${tab.label}${tab.icon ? ` ${renderIcon(tab.icon)}` : ''}</span>
+            <span class="referral-tab__label">${tab.label}${tab.icon ? html` ${renderIcon(tab.icon)}` : ''}</span>
             <span class="referral-tab__count">${tab.count}</span>
           </button>
-        `).join('')}
+        `)}
       </nav>
     `;
   }
@@ -305,14 +307,12 @@ export class ReferralsComponent extends Component {
    * @returns {Object} Filter counts
    */
   _calculateFilterCounts() {
-    const referrals = this.referrals || [];
+    const stats = computeReferralStats(this.referrals);
     return {
-      all: referrals.length,
-      inProgress: referrals.filter(r => 
-        ['submitted', 'review', 'interview', 'offer'].includes(r.status)
-      ).length,
-      hired: referrals.filter(r => r.status === 'hired').length,
-      rejected: referrals.filter(r => r.status === 'rejected').length
+      all: stats.total,
+      inProgress: stats.inProgress,
+      hired: stats.hired,
+      rejected: stats.rejected
     };
   }
   
@@ -322,7 +322,7 @@ export class ReferralsComponent extends Component {
    */
   _renderContent() {
     if (this.isLoading) {
-      return `
+      return html`
         <div class="referral-list" role="list" aria-label="רשימת הפניות">
           ${this._renderSkeletons()}
         </div>
@@ -339,19 +339,19 @@ export class ReferralsComponent extends Component {
       return this._renderEmptyState('no-results');
     }
     
-    return `
+    return html`
       <div class="referral-list" role="list" aria-label="רשימת הפניות">
-        ${filteredReferrals.map(referral => this._renderReferralCard(referral)).join('')}
+        ${filteredReferrals.map(referral => this._renderReferralCard(referral))}
       </div>
     `;
   }
   
   /**
    * Renders skeleton loading cards
-   * @returns {string} HTML string
+   * @returns {Array<SafeHTML>} Markup of the cards
    */
   _renderSkeletons() {
-    return Array(3).fill(0).map(() => `
+    return Array(3).fill(0).map(() => html`
       <article class="referral-card referral-card--skeleton">
         <div class="referral-card__avatar skeleton skeleton--avatar"></div>
         <div class="referral-card__content">
@@ -363,7 +363,7 @@ export class ReferralsComponent extends Component {
           <div class="skeleton skeleton--badge"></div>
         </div>
       </article>
-    `).join('');
+    `);
   }
   
   /**
@@ -380,9 +380,7 @@ export class ReferralsComponent extends Component {
     
     switch (this.filter) {
       case 'in-progress':
-        return sorted.filter(r => 
-          ['submitted', 'review', 'interview', 'offer'].includes(r.status)
-        );
+        return sorted.filter(r => IN_PROGRESS_STATUSES.includes(r.status));
       case 'hired':
         return sorted.filter(r => r.status === 'hired');
       case 'rejected':
@@ -402,13 +400,14 @@ export class ReferralsComponent extends Component {
     const initials = this._getInitials(referral.candidateName);
     const formattedDate = this._formatHebrewDate(referral.submittedAt);
     
-    return `
+    return html`
       <article class="referral-card referral-card--${referral.status}"
                role="listitem"
+               data-key="${referral.id}"
                data-action="view-referral-details"
                data-referral-id="${referral.id}"
                tabindex="0"
-               aria-label="הפניה של ${this._escapeHtml(referral.candidateName)} למשרת ${this._escapeHtml(referral.positionTitle)}">
+               aria-label="הפניה של ${referral.candidateName} למשרת ${referral.positionTitle}">
         
         <div class="referral-card__avatar" 
              style="--avatar-color: ${statusInfo.color}"
@@ -418,10 +417,10 @@ export class ReferralsComponent extends Component {
         
         <div class="referral-card__content">
           <h3 class="referral-card__candidate-name">
-            ${this._escapeHtml(referral.candidateName)}
+            ${referral.candidateName}
           </h3>
           <p class="referral-card__position">
-            ${this._escapeHtml(referral.positionTitle)}
+            ${referral.positionTitle}
           </p>
           <p class="referral-card__date">
             <i class="ti ti-calendar" aria-hidden="true"></i>
@@ -447,7 +446,7 @@ export class ReferralsComponent extends Component {
   _renderStatusBadge(status) {
     const statusInfo = REFERRAL_STATUS_CONFIG[status] || REFERRAL_STATUS_CONFIG.submitted;
     
-    return `
+    return html`
       <span class="referral-badge referral-badge--${status}"
             style="--badge-color: ${statusInfo.color}"
             role="status">
@@ -464,7 +463,7 @@ export class ReferralsComponent extends Component {
    */
   _renderEmptyState(type) {
     if (type === 'no-referrals') {
-      return `
+      return html`
         <div class="empty-state">
           <div class="empty-state__icon">
             <i class="ti ti-users-group" aria-hidden="true"></i>
@@ -489,7 +488,7 @@ export class ReferralsComponent extends Component {
       'rejected': 'אין הפניות שנדחו'
     };
     
-    return `
+    return html`
       <div class="empty-state empty-state--filter">
         <div class="empty-state__icon empty-state__icon--small">
           <i class="ti ti-filter-off" aria-hidden="true"></i>
@@ -538,60 +537,51 @@ export class ReferralsComponent extends Component {
   }
   
   /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
-  
-  /**
-   * Re-renders component
+   * Re-renders component (patched in place - the focused card and the
+   * scroll position survive filter and data changes)
    */
   _rerender() {
-    const container = document.getElementById('referrals-page');
-    if (container) {
-      const parent = container.parentElement;
-      if (parent) {
-        parent.innerHTML = this.template();
-        this._bindCardEvents();
-      }
-    }
+    this.update();
   }
   
   /**
-   * Binds keyboard events to cards for accessibility
+   * Opens a focused card with Enter or Space (accessibility)
+   * Delegated from the container, so cards patched in later are covered too
+   * @param {KeyboardEvent} e - Keyboard event
    */
-  _bindCardEvents() {
-    const cards = document.querySelectorAll('.referral-card:not(.referral-card--skeleton)');
-    cards.forEach(card => {
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          card.click();
-        }
-      });
-    });
+  _handleCardKeydown(e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    
+    const card = e.target.closest('.referral-card:not(.referral-card--skeleton)');
+    if (card && card === e.target) {
+      e.preventDefault();
+      card.click();
+    }
   }
   
   /**
    * Loads referrals data
+   * The referrals already in the state are kept if loading fails - the user
+   * is offered to try again.
+   * @returns {Promise<void>}
    */
-  _loadReferrals() {
-    // Get referrals from state or use mock data
-    let referrals = stateManager.getState('referrals') || [];
-    
-    // If no referrals in state, use mock data for demo
-    if (referrals.length === 0) {
-      referrals = MOCK_REFERRALS;
-      stateManager.setState({ referrals: MOCK_REFERRALS });
+  async _loadReferrals() {
+    try {
+      const referrals = await dataService.referrals.list();
+      if (!this._mounted) return;
+      
+      // The subscription picks the new list up
+      if (JSON.stringify(referrals) !== JSON.stringify(stateManager.getState('referrals') || [])) {
+        stateManager.setState({ referrals });
+      }
+    } catch (error) {
+      if (!this._mounted) return;
+      
+      const retry = error.retryable
+        ? { label: 'נסו שוב', onClick: () => this._mounted && this._loadReferrals() }
+        : null;
+      app.showToast(`לא ניתן לטעון את ההפניות. ${getDataErrorMessage(error)}`, 'error', 6000, retry);
     }
-    
-    this.referrals = referrals;
   }
   
   /**
@@ -600,12 +590,16 @@ export class ReferralsComponent extends Component {
   mount() {
     super.mount();
     
-    // Simulate loading delay for UX
     this.isLoading = true;
+    this.referrals = stateManager.getState('referrals') || [];
     
     // Load filter from state
     this.filter = stateManager.getState('referralFilter') || 'all';
     
+    this._container = document.getElementById('main-content');
+    this._onCardKeydown = this._handleCardKeydown.bind(this);
+    this._container?.addEventListener('keydown', this._onCardKeydown);
+    
     // Subscribe to state changes
     this.subscribe('referrals', (referrals) => {
       this.referrals = referrals || [];
@@ -622,17 +616,19 @@ export class ReferralsComponent extends Component {
     });
     
     // Load data and finish loading
-    setTimeout(() => {
-      this._loadReferrals();
+    this._loadReferrals().then(() => {
+      if (!this._mounted) return;
       this.isLoading = false;
       this._rerender();
-    }, 500);
+    });
   }
   
   /**
    * Lifecycle: Unmount component
    */
   unmount() {
+    this._container?.removeEventListener('keydown', this._onCardKeydown);
+    this._container = null;
     super.unmount();
   }
 }
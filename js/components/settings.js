@@ -5,10 +5,35 @@
 
 import { Component } from '../core/component.js';
 import { CONFIG } from '../core/config.js';
+import { totalPointsSelector, levelInfoSelector } from '../core/selectors.js';
+import { hasRole } from '../core/permissions.js';
+import { html } from '../core/html.js';
+import { loginPolicyService } from '../services/login-policy.js';
+import { auditLog, AUDIT_EVENTS } from '../services/audit-log.js';
 
 // These will be set by app.js after initialization
 let stateManager = null;
 
+// Audit events shown in settings (the export has all of them)
+const AUDIT_LOG_VIEW_LIMIT = 30;
+
+// Audit event labels
+const AUDIT_EVENT_LABELS = {
+  [AUDIT_EVENTS.CODE_SENT]: 'נשלח קוד אימות',
+  [AUDIT_EVENTS.LOGIN]: 'התחברות',
+  [AUDIT_EVENTS.LOGIN_FAILED]: 'התחברות נכשלה',
+  [AUDIT_EVENTS.LOGIN_DENIED]: 'התחברות נחסמה',
+  [AUDIT_EVENTS.LOGOUT]: 'התנתקות',
+  [AUDIT_EVENTS.OTP_FAILED]: 'קוד אימות שגוי',
+  [AUDIT_EVENTS.REFERRAL_SUBMITTED]: 'הגשת הפניה',
+  [AUDIT_EVENTS.CANDIDATE_APPLIED]: 'מועמדות דרך קישור הפניה',
+  [AUDIT_EVENTS.CANDIDATE_STATUS_CHANGED]: 'עדכון סטטוס מועמד',
+  [AUDIT_EVENTS.ACCOUNT_PURGED]: 'מחיקת נתוני חשבון מהמכשיר',
+  [AUDIT_EVENTS.POLICY_UPDATED]: 'עדכון מדיניות התחברות',
+  [AUDIT_EVENTS.POLICY_RESET]: 'שחזור מדיניות התחברות',
+  [AUDIT_EVENTS.LOG_EXPORTED]: 'ייצוא יומן ביקורת'
+};
+
 /**
  * Initialize module with app dependencies
  * @param {Object} deps - Dependencies object
@@ -30,13 +55,15 @@ export class SettingsComponent extends Component {
     const user = stateManager.getState('currentUser');
     if (!user) return this._renderNoUser();
     
-    return `
+    return html`
       <main class="settings-page" role="main">
         <div class="settings-container">
           ${this._renderProfileSection(user)}
           ${this._renderGamificationSummary(user)}
           ${this._renderNotificationSection()}
           ${this._renderAccountSection()}
+          ${hasRole(user, CONFIG.ROLES.ADMIN) ? this._renderLoginPolicySection() : ''}
+          ${hasRole(user, CONFIG.ROLES.ADMIN) ? this._renderAuditLogSection() : ''}
           ${this._renderAboutSection()}
           ${this._renderFooter()}
         </div>
@@ -50,7 +77,7 @@ export class SettingsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderProfileSection(user) {
-    return `
+    return html`
       <section class="settings-section" aria-labelledby="profile-heading">
         <h2 class="settings-section__title" id="profile-heading">
           <i class="ti ti-user" aria-hidden="true"></i>
@@ -62,8 +89,8 @@ export class SettingsComponent extends Component {
               ${user.avatarInitial || user.fullName?.charAt(0) || '?'}
             </div>
             <div class="settings-profile__info">
-              <h3 class="settings-profile__name">${this._escapeHtml(user.fullName)}</h3>
-              <p class="settings-profile__department">${this._escapeHtml(user.department)}</p>
+              <h3 class="settings-profile__name">${user.fullName}</h3>
+              <p class="settings-profile__department">${user.department}</p>
             </div>
           </div>
           
@@ -72,14 +99,14 @@ export class SettingsComponent extends Component {
               <span class="settings-field__label" id="field-email-label">אימייל</span>
               <span class="settings-field__value settings-field__value--ltr" 
                     aria-labelledby="field-email-label">
-                ${this._escapeHtml(user.email)}
+                ${user.email}
               </span>
             </div>
             
             <div class="settings-field">
               <span class="settings-field__label" id="field-dept-label">מחלקה</span>
               <span class="settings-field__value" aria-labelledby="field-dept-label">
-                ${this._escapeHtml(user.department)}
+                ${user.department}
               </span>
             </div>
             
@@ -87,7 +114,7 @@ export class SettingsComponent extends Component {
               <span class="settings-field__label" id="field-id-label">מזהה עובד</span>
               <span class="settings-field__value settings-field__value--ltr" 
                     aria-labelledby="field-id-label">
-                ${this._escapeHtml(user.id)}
+                ${user.id}
               </span>
             </div>
             
@@ -111,9 +138,10 @@ export class SettingsComponent extends Component {
   _renderGamificationSummary(user) {
     const stamps = stateManager.getState('stamps') || [];
     const referrals = stateManager.getState('referrals') || [];
-    const levelInfo = this._getLevelInfo(user.points || 0);
+    const points = stateManager.select(totalPointsSelector);
+    const levelInfo = stateManager.select(levelInfoSelector);
     
-    return `
+    return html`
       <section class="settings-section" aria-labelledby="stats-heading">
         <h2 class="settings-section__title" id="stats-heading">
           <i class="ti ti-trophy" aria-hidden="true"></i>
@@ -123,13 +151,13 @@ export class SettingsComponent extends Component {
           <div class="settings-stats">
             <div class="settings-stat">
               <span class="settings-stat__value settings-stat__value--gold">
-                ${this._formatNumber(user.points || 0)}
+                ${this._formatNumber(points)}
               </span>
               <span class="settings-stat__label">נקודות</span>
             </div>
             
             <div class="settings-stat">
-              <span class="settings-stat__value">${levelInfo.name}</span>
+              <span class="settings-stat__value">${levelInfo.level}</span>
               <span class="settings-stat__label">רמה</span>
             </div>
             
@@ -155,7 +183,7 @@ export class SettingsComponent extends Component {
   _renderNotificationSection() {
     const emailNotifications = stateManager.getState('emailNotifications') !== false;
     
-    return `
+    return html`
       <section class="settings-section" aria-labelledby="notifications-heading">
         <h2 class="settings-section__title" id="notifications-heading">
           <i class="ti ti-bell" aria-hidden="true"></i>
@@ -196,7 +224,7 @@ export class SettingsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderAccountSection() {
-    return `
+    return html`
       <section class="settings-section" aria-labelledby="account-heading">
         <h2 class="settings-section__title" id="account-heading">
           <i class="ti ti-logout" aria-hidden="true"></i>
@@ -205,6 +233,7 @@ export class SettingsComponent extends Component {
         <div class="settings-card settings-card--danger">
           <p class="settings-card__description">
             התנתקות תסגור את החיבור לחשבונך. תוכל להתחבר מחדש בכל עת עם אימייל וקוד חד-פעמי.
+            הנתונים שלך נשמרים במכשיר להתחברות הבאה - במחשב משותף מומלץ למחוק אותם.
           </p>
           <button 
             class="btn btn--danger btn--full"
@@ -214,17 +243,244 @@ export class SettingsComponent extends Component {
             <i class="ti ti-logout" aria-hidden="true"></i>
             התנתק
           </button>
+          <button 
+            class="btn btn--secondary btn--full settings-card__secondary-action"
+            data-action="logout-purge"
+            aria-label="התנתק ומחק את הנתונים שלך מהמכשיר"
+          >
+            <i class="ti ti-trash" aria-hidden="true"></i>
+            התנתק ומחק נתונים מהמכשיר
+          </button>
         </div>
       </section>
     `;
   }
   
+  /**
+   * Renders the login policy editor (admins only)
+   * @returns {string} HTML string
+   */
+  _renderLoginPolicySection() {
+    const policy = loginPolicyService.getPolicy();
+    
+    return html`
+      <section class="settings-section" aria-labelledby="login-policy-heading">
+        <h2 class="settings-section__title" id="login-policy-heading">
+          <i class="ti ti-shield-lock" aria-hidden="true"></i>
+          מדיניות התחברות
+        </h2>
+        <form class="settings-card settings-policy" data-action="save-login-policy" novalidate>
+          <p class="settings-card__description">
+            מי רשאי להתחבר למערכת - ערך אחד בכל שורה. כתובות חסומות לא יוכלו להתחבר בשום מקרה.
+          </p>
+          ${this._renderPolicyList('allowedDomains', 'דומיינים מורשים', policy.allowedDomains, 'passportcard.co.il')}
+          ${this._renderPolicyList('blockedAddresses', 'כתובות חסומות', policy.blockedAddresses, 'name@passportcard.co.il')}
+          <label class="settings-policy__checkbox">
+            <input type="checkbox" name="inviteOnly" ${policy.inviteOnly ? 'checked' : ''}>
+            כניסה בהזמנה בלבד
+          </label>
+          ${this._renderPolicyList('invitedAddresses', 'רשימת מוזמנים', policy.invitedAddresses, 'name@passportcard.co.il')}
+          <p class="settings-policy__meta">
+            ${policy.updatedAt
+              ? `עודכנה ב-${new Date(policy.updatedAt).toLocaleString('he-IL')} על ידי ${policy.updatedBy || '---'}`
+              : 'מדיניות ברירת המחדל של המערכת'}
+          </p>
+          <div class="settings-policy__actions">
+            <button type="submit" class="btn btn--primary btn--sm">
+              <i class="ti ti-device-floppy" aria-hidden="true"></i>
+              שמירת מדיניות
+            </button>
+            <button type="button" class="btn btn--secondary btn--sm" data-action="reset-login-policy">
+              <i class="ti ti-restore" aria-hidden="true"></i>
+              שחזור ברירת מחדל
+            </button>
+          </div>
+          <p class="settings-hint">
+            עד לחיבור לשרת, המדיניות חלה רק על התחברות ממכשיר זה
+          </p>
+        </form>
+      </section>
+    `;
+  }
+  
+  /**
+   * Renders one list field of the login policy
+   * @param {string} name - Policy field
+   * @param {string} label - Field label
+   * @param {Array<string>} entries - Current entries
+   * @param {string} placeholder - Example entry
+   * @returns {string} HTML string
+   */
+  _renderPolicyList(name, label, entries, placeholder) {
+    const inputId = `login-policy-${name}`;
+    
+    return html`
+      <div class="form-field">
+        <label for="${inputId}" class="form-field__label">${label}</label>
+        <textarea
+          id="${inputId}"
+          name="${name}"
+          class="form-field__input form-field__input--textarea settings-policy__list"
+          dir="ltr"
+          rows="3"
+          placeholder="${placeholder}"
+        >${entries.join('\n')}</textarea>
+      </div>
+    `;
+  }
+  
+  /**
+   * Saves the login policy from the editor form
+   * @param {HTMLFormElement} form - Login policy form
+   */
+  saveLoginPolicy(form) {
+    const data = new FormData(form);
+    const email = stateManager.getState('currentUser')?.email;
+    const result = loginPolicyService.savePolicy({
+      allowedDomains: data.get('allowedDomains'),
+      blockedAddresses: data.get('blockedAddresses'),
+      inviteOnly: data.get('inviteOnly') === 'on',
+      invitedAddresses: data.get('invitedAddresses')
+    }, email);
+    
+    if (!result.ok) {
+      app.showToast(this._getPolicyErrorMessage(result), 'error', 5000);
+      return;
+    }
+    
+    this.update();
+    
+    // Saving is allowed, but the admin should know they locked themselves out
+    if (!loginPolicyService.check(email).ok) {
+      app.showToast('המדיניות נשמרה. שימו לב: לפיה לא תוכלו להתחבר שוב עם הכתובת שלכם', 'warning', 6000);
+    } else {
+      app.showToast('מדיניות ההתחברות נשמרה', 'success');
+    }
+  }
+  
+  /**
+   * Restores the built-in login policy
+   */
+  resetLoginPolicy() {
+    if (!window.confirm('לשחזר את מדיניות ההתחברות של המערכת? השינויים שנשמרו יימחקו')) return;
+    
+    loginPolicyService.reset();
+    this.update();
+    app.showToast('מדיניות ברירת המחדל שוחזרה', 'success');
+  }
+  
+  /**
+   * Gets the message for a policy that could not be saved
+   * @param {Object} result - Failed result of loginPolicyService.savePolicy
+   * @returns {string} Message for the admin
+   */
+  _getPolicyErrorMessage(result) {
+    switch (result.reason) {
+      case 'no-domains':
+        return 'יש להזין לפחות דומיין מורשה אחד';
+      case 'invalid-domains':
+        return `דומיין לא תקין: ${result.entries.join(', ')}`;
+      case 'invalid-addresses':
+        return `כתובת אימייל לא תקינה: ${result.entries.join(', ')}`;
+      default:
+        return 'שמירת המדיניות נכשלה. נסו שוב';
+    }
+  }
+  
+  /**
+   * Renders the audit log viewer (admins only)
+   * @returns {string} HTML string
+   */
+  _renderAuditLogSection() {
+    const total = auditLog.getEvents().length;
+    const events = auditLog.getEvents({ limit: AUDIT_LOG_VIEW_LIMIT });
+    
+    return html`
+      <section class="settings-section" aria-labelledby="audit-log-heading">
+        <h2 class="settings-section__title" id="audit-log-heading">
+          <i class="ti ti-list-search" aria-hidden="true"></i>
+          יומן ביקורת
+        </h2>
+        <div class="settings-card settings-audit">
+          <p class="settings-card__description">
+            התחברויות, ניסיונות כושלים, התנתקויות ופעולות רגישות במכשיר זה.
+            ${total > events.length ? `מוצגים ${events.length} האירועים האחרונים מתוך ${total}.` : ''}
+          </p>
+          ${events.length === 0
+            ? html`<p class="settings-audit__empty">אין עדיין אירועים ביומן</p>`
+            : html`
+              <div class="settings-audit__scroll">
+                <table class="settings-audit__table">
+                  <thead>
+                    <tr>
+                      <th scope="col">זמן</th>
+                      <th scope="col">אירוע</th>
+                      <th scope="col">משתמש</th>
+                      <th scope="col">פרטים</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${events.map(event => this._renderAuditEvent(event))}
+                  </tbody>
+                </table>
+              </div>
+            `}
+          <div class="settings-policy__actions">
+            <button type="button" class="btn btn--secondary btn--sm" data-action="export-audit-log" data-format="csv"
+                    ${total === 0 ? 'disabled' : ''}>
+              <i class="ti ti-file-spreadsheet" aria-hidden="true"></i>
+              ייצוא CSV
+            </button>
+            <button type="button" class="btn btn--secondary btn--sm" data-action="export-audit-log" data-format="json"
+                    ${total === 0 ? 'disabled' : ''}>
+              <i class="ti ti-file-code" aria-hidden="true"></i>
+              ייצוא JSON
+            </button>
+          </div>
+          <p class="settings-hint">
+            עד לחיבור לשרת, היומן נשמר רק במכשיר זה (עד ${CONFIG.AUDIT_LOG_LIMIT} אירועים)
+          </p>
+        </div>
+      </section>
+    `;
+  }
+  
+  /**
+   * Renders one row of the audit log
+   * @param {Object} event - Audit event
+   * @returns {string} HTML string
+   */
+  _renderAuditEvent(event) {
+    const details = Object.entries(event.details || {})
+      .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(' ') || '---' : value}`)
+      .join(' · ');
+    
+    return html`
+      <tr class="${event.outcome === 'failure' ? 'settings-audit__row--failure' : ''}">
+        <td class="settings-audit__time">${new Date(event.timestamp).toLocaleString('he-IL')}</td>
+        <td>${AUDIT_EVENT_LABELS[event.type] || event.type}</td>
+        <td class="settings-audit__ltr">${event.actor?.email || event.actor?.userId || '---'}</td>
+        <td class="settings-audit__ltr settings-audit__details">${details}</td>
+      </tr>
+    `;
+  }
+  
+  /**
+   * Downloads the audit log
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportAuditLog(format) {
+    const count = auditLog.download(format === 'json' ? 'json' : 'csv');
+    this.update();
+    app.showToast(`יומן הביקורת יוצא (${count} אירועים)`, 'success');
+  }
+  
   /**
    * Renders about/info section
    * @returns {string} HTML string
    */
   _renderAboutSection() {
-    return `
+    return html`
       <section class="settings-section" aria-labelledby="about-heading">
         <h2 class="settings-section__title" id="about-heading">
           <i class="ti ti-info-circle" aria-hidden="true"></i>
@@ -268,7 +524,7 @@ export class SettingsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderFooter() {
-    return `
+    return html`
       <footer class="settings-footer">
         <p class="settings-disclaimer">
           <i class="ti ti-info-circle" aria-hidden="true"></i>
@@ -286,7 +542,7 @@ export class SettingsComponent extends Component {
    * @returns {string} HTML string
    */
   _renderNoUser() {
-    return `
+    return html`
       <div class="settings-error">
         <p>אנא התחבר כדי לצפות בהגדרות</p>
         <button class="btn btn--primary" data-navigate="auth">
@@ -300,29 +556,6 @@ export class SettingsComponent extends Component {
   // UTILITY METHODS
   // ========================
   
-  /**
-   * Gets level info based on points
-   * @param {number} points - User's total points
-   * @returns {Object} Level info with name and threshold
-   */
-  _getLevelInfo(points) {
-    const levels = [
-      { name: 'מתחיל', threshold: 0 },
-      { name: 'פעיל', threshold: 250 },
-      { name: 'מומחה', threshold: 750 },
-      { name: 'אלוף', threshold: 2000 },
-      { name: 'אגדה', threshold: 5000 }
-    ];
-    
-    let currentLevel = levels[0];
-    for (const level of levels) {
-      if (points >= level.threshold) {
-        currentLevel = level;
-      }
-    }
-    return currentLevel;
-  }
-  
   /**
    * Formats number with thousands separator
    * @param {number} num - Number to format
@@ -349,16 +582,4 @@ export class SettingsComponent extends Component {
       return date.toString();
     }
   }
-  
-  /**
-   * Escapes HTML entities
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
-   */
-  _escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
 }
@@ -5,7 +5,7 @@
  */
 
 import { Component } from '../core/component.js';
-import { CONFIG } from '../core/config.js';
+import { html } from '../core/html.js';
 
 /**
  * SMSToastComponent - SMS-style notification showing OTP code (Story 7.4 AC#2)
@@ -14,7 +14,7 @@ import { CONFIG } from '../core/config.js';
 export class SMSToastComponent extends Component {
   constructor(props = {}) {
     super(props);
-    this.otpCode = props.otpCode || CONFIG.OTP_CODE;
+    this.otpCode = props.otpCode || '';
     this.autoCloseDelay = props.autoCloseDelay || 10000;
     this._dismissTimer = null;
     this._animationTimer = null;
@@ -25,7 +25,7 @@ export class SMSToastComponent extends Component {
    * @returns {string} HTML string
    */
   template() {
-    return `
+    return html`
       <div class="sms-toast sms-toast--entering" role="alert" aria-live="polite">
         <div class="sms-toast__icon">
           <i class="ti ti-message-2" aria-hidden="true"></i>
@@ -106,8 +106,9 @@ let _currentSMSToast = null;
 /**
  * Shows the SMS toast notification (Story 7.4 AC#2)
  * Creates toast container if needed and mounts the component
+ * @param {string} otpCode - Code to show
  */
-export function showSMSToast() {
+export function showSMSToast(otpCode) {
   // Remove existing toast if present
   if (_currentSMSToast) {
     _currentSMSToast.dismiss();
@@ -133,7 +134,7 @@ export function showSMSToast() {
   
   // Create and mount the SMS toast
   _currentSMSToast = new SMSToastComponent({
-    otpCode: CONFIG.OTP_CODE,
+    otpCode,
     autoCloseDelay: 10000
   });
   
@@ -142,6 +143,21 @@ export function showSMSToast() {
   _currentSMSToast.mount();
 }
 
+/**
+ * Demo OTP delivery channel (see otpService.setDeliveryChannel) - shows the
+ * code in the SMS toast until an SMS gateway is connected
+ * @type {OTPDeliveryChannel}
+ */
+export const smsToastChannel = {
+  name: 'sms-toast',
+  async deliver({ code }) {
+    // Arrive shortly after the OTP modal opens, like a real SMS
+    setTimeout(() => {
+      showSMSToast(code);
+    }, 800);
+  }
+};
+
 /**
  * Dismisses the current SMS toast if visible
  */
@@ -0,0 +1,104 @@
+/**
+ * PassportCard Refer - Account Registry
+ * Accounts used on this device
+ */
+
+import { CONFIG } from './config.js';
+
+/* ============================================================================
+   ACCOUNT REGISTRY
+   ============================================================================
+   Persisted records are namespaced by user id, so several employees can use
+   the same browser without overwriting each other's data. The registry
+   remembers who signed in here (for the "recent accounts" list on the login
+   screen). The accounts' PII keys are not kept here but in the key store
+   (see crypto.js).
+   ========================================================================== */
+
+export class AccountRegistry {
+  /**
+   * @param {string} [storageKey] - LocalStorage key (defaults to CONFIG.ACCOUNTS_STORAGE_KEY)
+   */
+  constructor(storageKey = CONFIG.ACCOUNTS_STORAGE_KEY) {
+    this._storageKey = storageKey;
+  }
+
+  /**
+   * Reads all registered accounts
+   * @returns {Array} Stored account entries
+   * @private
+   */
+  _read() {
+    try {
+      const stored = localStorage.getItem(this._storageKey);
+      const accounts = stored ? JSON.parse(stored) : [];
+      return Array.isArray(accounts) ? accounts : [];
+    } catch (error) {
+      console.warn('AccountRegistry: Failed to read accounts', error);
+      return [];
+    }
+  }
+
+  /**
+   * Writes all registered accounts
+   * @param {Array} accounts - Account entries
+   * @private
+   */
+  _write(accounts) {
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(accounts));
+    } catch (error) {
+      console.warn('AccountRegistry: Failed to save accounts', error);
+    }
+  }
+
+  /**
+   * Lists recently used accounts, most recent first
+   * @param {number} [limit] - Maximum entries (defaults to CONFIG.RECENT_ACCOUNTS_LIMIT)
+   * @returns {Array<{id, email, fullName, avatarInitial, lastUsedAt}>}
+   */
+  list(limit = CONFIG.RECENT_ACCOUNTS_LIMIT) {
+    return this._read()
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Registers a signed-in user (or refreshes its last-used time)
+   * @param {Object} user - currentUser object
+   */
+  remember(user) {
+    if (!user?.id) return;
+
+    const accounts = this._read();
+    const entry = {
+      id: user.id,
+      email: user.email,
+      fullName: user.fullName,
+      avatarInitial: user.avatarInitial || user.fullName?.[0] || '?',
+      lastUsedAt: new Date().toISOString()
+    };
+
+    this._write([...accounts.filter(account => account.id !== user.id), entry]);
+  }
+
+  /**
+   * Checks whether an account has signed in on this device
+   * @param {string} userId - User id
+   * @returns {boolean} True if registered
+   */
+  has(userId) {
+    return !!userId && this._read().some(account => account.id === userId);
+  }
+
+  /**
+   * Removes an account
+   * @param {string} userId - User id
+   */
+  forget(userId) {
+    this._write(this._read().filter(account => account.id !== userId));
+  }
+}
+
+// Global AccountRegistry singleton instance
+export const accountRegistry = new AccountRegistry();
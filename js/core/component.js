@@ -3,12 +3,25 @@
  * Base class for all UI components with lifecycle methods
  */
 
+import { router } from './router.js';
+import { patchHTML } from './dom-diff.js';
+import { raw } from './html.js';
+import { errorReporter } from './error-reporter.js';
+
 /* ============================================================================
    COMPONENT BASE CLASS
    ============================================================================
    Base class for all UI components with lifecycle methods
+
+   Error boundary: when a page component throws while rendering, mounting
+   (including an async mount) or updating, handleError() reports it and the
+   router shows the error view in its place, with a retry button. Header
+   and navigation are rendered separately and stay usable.
    ========================================================================== */
 
+// Shown on the error view when a page fails to render
+const RENDER_ERROR_MESSAGE = 'אירעה שגיאה בהצגת הדף. נסו שוב, ואם זה חוזר - חזרו לדף הבית.';
+
 export class Component {
   constructor(props = {}) {
     this.props = props;
@@ -27,9 +40,9 @@ export class Component {
   }
   
   /**
-   * Returns the HTML template string
-   * Must be implemented by subclasses
-   * @returns {string} HTML string
+   * Returns the HTML template
+   * Must be implemented by subclasses, with the html tag (see core/html.js)
+   * @returns {SafeHTML|string} Markup
    */
   template() {
     return '';
@@ -37,10 +50,47 @@ export class Component {
   
   /**
    * Renders the component and returns HTML
-   * @returns {string} Rendered HTML
+   * Trusted markup, so components can be nested in other templates
+   * @returns {SafeHTML} Rendered HTML
    */
   render() {
-    return this.template();
+    return raw(this.template());
+  }
+  
+  /**
+   * Re-renders the component in place, patching only the nodes that changed
+   * Opt-in alternative to assigning innerHTML: focus, selection, scroll
+   * position, typed input and listeners on surviving nodes are kept. Give
+   * list items a data-key so they are matched by key (see core/dom-diff.js)
+   * @param {Element} [container] - Element holding the component (defaults to #main-content)
+   */
+  update(container = document.getElementById('main-content')) {
+    if (!container) return;
+    
+    try {
+      patchHTML(container, this.render());
+    } catch (error) {
+      this.handleError(error, 'update');
+    }
+  }
+  
+  /**
+   * Error boundary - called when rendering, mounting or updating throws
+   * Reports the error with the route and a state snapshot, then shows the
+   * error view in place of the page. Override to recover locally instead
+   * (e.g. render a fallback for one section and call super only if that fails)
+   * @param {Error} error - What went wrong
+   * @param {string} phase - 'render', 'mount' or 'update'
+   */
+  handleError(error, phase) {
+    errorReporter.report(error, {
+      component: this.constructor.name,
+      phase,
+      route: router.getCurrentRoute(),
+      location: router.getLocation()
+    });
+    
+    router.showError(error, { message: RENDER_ERROR_MESSAGE });
   }
   
   /**
@@ -84,6 +134,34 @@ export class Component {
     return unsubscribe;
   }
   
+  /**
+   * Subscribes to a memoized derived value with automatic cleanup
+   * @param {Object} selector - Selector object { fn, deps } (see core/selectors.js)
+   * @param {Function} callback - Called with (newValue, oldValue) when the value changes
+   */
+  subscribeSelector(selector, callback) {
+    if (!this._stateManager) {
+      console.warn('Component: No state manager set');
+      return () => {};
+    }
+    const unsubscribe = this._stateManager.subscribeSelector(selector, callback);
+    this._subscriptions.push(unsubscribe);
+    return unsubscribe;
+  }
+  
+  /**
+   * Registers an unsaved-changes check with the router (removed on unmount)
+   * While it returns true, leaving the route, page or tab asks for confirmation
+   * @param {Function} isDirty - Returns true when there are unsaved changes
+   * @param {string} [message] - Confirmation text
+   * @returns {Function} Removes the check
+   */
+  registerDirtyCheck(isDirty, message) {
+    const unregister = router.registerDirtyCheck(this, isDirty, message);
+    this._subscriptions.push(unregister);
+    return unregister;
+  }
+  
   /**
    * Query selector helper scoped to component
    * @param {string} selector - CSS selector
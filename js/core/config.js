@@ -7,9 +7,26 @@
    CONFIGURATION
    ========================================================================== */
 
+// User roles (currentUser.roles). Every signed-in user is an employee;
+// recruiters and hiring managers get the hiring screens on top, and admins
+// pass every role check. Defined first so routes and role lists below can
+// refer to them
+const ROLES = {
+  EMPLOYEE: 'employee',
+  RECRUITER: 'recruiter',
+  HIRING_MANAGER: 'hiring-manager',
+  ADMIN: 'admin'
+};
+
 export const CONFIG = {
-  // Demo OTP code for authentication
-  OTP_CODE: '000000',
+  // One-time login codes (see services/otp.js). Failed attempts count
+  // across resends; reaching MAX_ATTEMPTS locks the address for LOCKOUT_MS
+  OTP: {
+    TTL_MS: 5 * 60 * 1000,
+    MAX_ATTEMPTS: 5,
+    LOCKOUT_MS: 15 * 60 * 1000,
+    RESEND_COOLDOWN_SECONDS: 45
+  },
   
   // PassportCard logo assets (Story 7.2)
   LOGOS: {
@@ -19,18 +36,95 @@ export const CONFIG = {
     WHITE: 'assets/passportcard-logo-white.svg'
   },
   
-  // Application routes with page mapping for multi-page architecture
+  // Application routes with page mapping for multi-page architecture.
+  // roles: who may open the route (see ROLES) - any signed-in user when omitted.
+  // loader: imports the component's module on first visit (see App.loadRoute);
+  // prefetch: routes likely to be opened next, loaded while the browser is idle
   ROUTES: {
-    auth: { component: 'LoginComponent', requiresAuth: false, page: 'login' },
-    dashboard: { component: 'DashboardComponent', requiresAuth: true, page: 'dashboard' },
-    passport: { component: 'PassportComponent', requiresAuth: true, page: 'passport' },
-    positions: { component: 'PositionsComponent', requiresAuth: true, page: 'positions' },
-    refer: { component: 'ReferralFormComponent', requiresAuth: true, page: 'positions' },
-    'referral-confirmation': { component: 'ReferralConfirmationComponent', requiresAuth: true, page: 'positions' },
-    referrals: { component: 'ReferralsComponent', requiresAuth: true, page: 'referrals' },
-    settings: { component: 'SettingsComponent', requiresAuth: true, page: 'settings' }
+    auth: {
+      component: 'LoginComponent', requiresAuth: false, page: 'login',
+      loader: () => import('../components/login.js'),
+      prefetch: ['passport']
+    },
+    dashboard: {
+      component: 'DashboardComponent', requiresAuth: true, page: 'dashboard',
+      loader: () => import('../components/dashboard.js'),
+      prefetch: ['positions', 'passport', 'referrals']
+    },
+    passport: {
+      component: 'PassportComponent', requiresAuth: true, page: 'passport',
+      loader: () => import('../components/passport.js'),
+      prefetch: ['dashboard', 'positions']
+    },
+    positions: {
+      component: 'PositionsComponent', requiresAuth: true, page: 'positions',
+      loader: () => import('../components/positions.js'),
+      prefetch: ['refer']
+    },
+    refer: {
+      component: 'ReferralFormComponent', requiresAuth: true, page: 'positions',
+      loader: () => import('../components/referral-form.js')
+    },
+    'referral-confirmation': {
+      component: 'ReferralConfirmationComponent', requiresAuth: true, page: 'positions',
+      loader: () => import('../components/referral-form.js'),
+      prefetch: ['passport']
+    },
+    referrals: {
+      component: 'ReferralsComponent', requiresAuth: true, page: 'referrals',
+      loader: () => import('../components/referrals.js'),
+      prefetch: ['positions']
+    },
+    settings: {
+      component: 'SettingsComponent', requiresAuth: true, page: 'settings',
+      loader: () => import('../components/settings.js')
+    },
+    hiring: {
+      component: 'HiringComponent', requiresAuth: true, page: 'referrals', roles: [ROLES.RECRUITER, ROLES.HIRING_MANAGER],
+      loader: () => import('../components/hiring.js')
+    },
+    // Public candidate page for referral links - standalone: no app header/navigation
+    apply: {
+      component: 'CandidateReferralComponent', requiresAuth: false, page: 'apply', standalone: true,
+      loader: () => import('../components/candidate-referral.js')
+    },
+    // Fallback views - no page of their own, they render on whichever page is open.
+    // Loaded with the app (no loader) so they work when a route module fails to load
+    'not-found': { component: 'NotFoundComponent', requiresAuth: false, page: null },
+    error: { component: 'RouteErrorComponent', requiresAuth: false, page: null },
+    forbidden: { component: 'ForbiddenComponent', requiresAuth: true, page: null }
+  },
+  
+  // Parameterized routes (deep links) - open a detail modal on top of a route.
+  // ':name' segments are captured as route params
+  ROUTE_PATTERNS: [
+    { pattern: 'referrals/:id', route: 'referrals', modal: 'referral-details' },
+    { pattern: 'positions/:id', route: 'positions', modal: 'position-details' },
+    { pattern: 'passport/stamp/:id', route: 'passport', modal: 'stamp-details' }
+  ],
+  
+  // Route state kept in URL query params (e.g. #positions?dept=פיתוח&sort=bonus)
+  // so filtered views can be bookmarked and shared. Each param maps to a state
+  // key (and a field of it for object keys); replace: true updates the current
+  // history entry instead of pushing a new one (used for search-as-you-type)
+  ROUTE_QUERY_PARAMS: {
+    positions: {
+      q: { state: 'positionFilters', field: 'search', default: '', replace: true },
+      dept: { state: 'positionFilters', field: 'department', default: 'all' },
+      loc: { state: 'positionFilters', field: 'location', default: 'all' },
+      campaign: { state: 'campaignFilter', default: null },
+      sort: { state: 'positionSort', default: 'recommended' }
+    }
   },
   
+  // How routes appear in the URL: 'hash' (referrals.html#referrals/ref-001)
+  // or 'history' (clean /referrals/ref-001 URLs - see js/core/history.js for
+  // the server setup it needs). Pages opened from file:// always use hash
+  ROUTER_MODE: 'hash',
+  
+  // Path the app is served from (history mode - also the pages' <base href>)
+  ROUTER_BASE: '/',
+  
   // Page to default route mapping (for multi-page navigation)
   PAGE_ROUTES: {
     'login': 'auth',
@@ -39,6 +133,7 @@ export const CONFIG = {
     'positions': 'positions',
     'referrals': 'referrals',
     'settings': 'settings',
+    'apply': 'apply',
     'index': 'auth'  // Entry point defaults to auth
   },
   
@@ -48,6 +143,31 @@ export const CONFIG = {
   // Default route for authenticated users
   AUTH_DEFAULT_ROUTE: 'dashboard',
   
+  // Route that handles inbound referral links (?ref=<userId>&pos=<positionId>)
+  CANDIDATE_ROUTE: 'apply',
+  
+  // Views for unknown URLs and for routes that failed to load
+  NOT_FOUND_ROUTE: 'not-found',
+  ERROR_ROUTE: 'error',
+  
+  // View for routes the signed-in user has no role for
+  FORBIDDEN_ROUTE: 'forbidden',
+  
+  // User roles (see ROLES above)
+  ROLES,
+  
+  // Demo role assignments by email - until roles come from the corporate
+  // directory, any other address signs in as a plain employee
+  ROLE_ASSIGNMENTS: {
+    'recruiter@passportcard.co.il': [ROLES.RECRUITER],
+    'manager@passportcard.co.il': [ROLES.HIRING_MANAGER],
+    'admin@passportcard.co.il': [ROLES.ADMIN]
+  },
+  
+  // Roles that may move candidates along the hiring pipeline (the
+  // update-candidate-status action) - everyone the hiring route admits
+  STATUS_UPDATE_ROLES: [ROLES.RECRUITER, ROLES.HIRING_MANAGER],
+  
   // Points values for gamification
   POINTS: {
     REFERRAL_SUBMITTED: 50,
@@ -56,11 +176,143 @@ export const CONFIG = {
     CAMPAIGN_BONUS: 200
   },
   
+  // Gamification levels by minimum points (ascending)
+  LEVELS: [
+    { name: 'מתחיל', min: 0 },
+    { name: 'פעיל', min: 250 },
+    { name: 'מומחה', min: 750 },
+    { name: 'אלוף', min: 2000 },
+    { name: 'אגדה', min: 5000 }
+  ],
+  
   // LocalStorage key for state persistence
   STORAGE_KEY: 'passportcard_refer_state',
   
+  // Persisted state schema version - bump together with a new entry in
+  // STATE_MIGRATIONS (js/core/migrations.js) whenever the data model changes
+  STATE_SCHEMA_VERSION: 3,
+  
+  // Property on the persisted blob that carries the schema version
+  STATE_VERSION_KEY: '__schemaVersion',
+  
+  // LocalStorage key holding the last payload that failed to migrate
+  STORAGE_BACKUP_KEY: 'passportcard_refer_state_backup',
+  
+  // Property on the persisted blob that carries per-key revisions (cross-tab sync)
+  STATE_REVISIONS_KEY: '__revisions',
+  
+  // BroadcastChannel name for cross-tab state synchronisation
+  SYNC_CHANNEL_NAME: 'passportcard_refer_sync',
+  
   // Keys to persist in LocalStorage
-  PERSIST_KEYS: ['isAuthenticated', 'currentUser', 'referrals', 'stamps', 'sessionToken', 'activities', 'sidebarCollapsed']
+  PERSIST_KEYS: ['isAuthenticated', 'currentUser', 'referrals', 'stamps', 'sessionToken', 'session', 'activities', 'sidebarCollapsed'],
+  
+  // Persisted keys that grow with usage - stored as separate records in the
+  // storage adapter (IndexedDB when available) instead of the LocalStorage blob
+  RECORD_PERSIST_KEYS: ['referrals', 'stamps', 'activities'],
+  
+  // Personal fields encrypted at rest (AES-GCM) inside stored records
+  ENCRYPTED_FIELDS: {
+    referrals: ['candidateName', 'candidateEmail', 'candidatePhone', 'notes', 'resumeFileName'],
+    activities: ['description']
+  },
+  
+  // LocalStorage key for accounts used on this device (records are namespaced per account)
+  ACCOUNTS_STORAGE_KEY: 'passportcard_refer_accounts',
+  
+  // Signed-in session lifetime (see services/session.js). Activity slides
+  // the expiry forward, up to MAX_AGE_MS after sign-in; WARNING_MS before
+  // it runs out the user is warned, then signed out
+  SESSION: {
+    IDLE_TIMEOUT_MS: 30 * 60 * 1000,
+    MAX_AGE_MS: 12 * 60 * 60 * 1000,
+    WARNING_MS: 2 * 60 * 1000,
+    // Activity extends the session at most this often
+    REFRESH_INTERVAL_MS: 60 * 1000,
+    // Web Lock held while renewing the provider's credentials, so only one
+    // tab uses a (single-use) refresh token
+    RENEWAL_LOCK_NAME: 'passportcard_refer_session_renewal'
+  },
+  
+  // Sign-in provider used by the login page (see services/auth.js):
+  // 'email-otp' - a code sent for the work email (demo), or 'oidc' - corporate
+  // SSO through an OpenID Connect identity provider (see services/oidc.js)
+  AUTH: {
+    PROVIDER: 'email-otp',
+    OIDC: {
+      // Issuer URL - endpoints come from its /.well-known/openid-configuration.
+      // Point it at a local mock identity server to try the flow
+      ISSUER: '',
+      CLIENT_ID: 'passportcard-refer',
+      SCOPE: 'openid email profile offline_access',
+      // Page the identity provider sends the user back to
+      REDIRECT_PAGE: 'login'
+    }
+  },
+  
+  // Where the app's data comes from (see services/data-service.js):
+  // 'mock' - the demo data, or 'http' - the API at BASE_URL
+  API: {
+    ADAPTER: 'mock',
+    BASE_URL: '',
+    TIMEOUT_MS: 10000,
+    // Failed reads are tried again this many times, waiting RETRY_DELAY_MS
+    // before the first retry and twice as long before each next one
+    RETRIES: 2,
+    RETRY_DELAY_MS: 500,
+    // Simulated delay of the mock data, and the share of its requests that
+    // fail (0-1) - raise it to try the error states
+    MOCK_LATENCY_MS: 300,
+    MOCK_FAILURE_RATE: 0
+  },
+  
+  // Who may sign in (see services/login-policy.js) - the built-in policy;
+  // admins can replace it from the settings page. Addresses on the blocked
+  // list never get in; with INVITE_ONLY, only INVITED_ADDRESSES may sign in
+  LOGIN_POLICY: {
+    ALLOWED_DOMAINS: ['passportcard.co.il'],
+    BLOCKED_ADDRESSES: [],
+    INVITE_ONLY: false,
+    INVITED_ADDRESSES: []
+  },
+  
+  // LocalStorage key for the login policy saved by an admin
+  LOGIN_POLICY_STORAGE_KEY: 'passportcard_refer_login_policy',
+  
+  // LocalStorage key for the security audit log (see services/audit-log.js)
+  AUDIT_LOG_STORAGE_KEY: 'passportcard_refer_audit_log',
+  
+  // Audit events kept on the device - the oldest are dropped beyond this
+  AUDIT_LOG_LIMIT: 500,
+  
+  // LocalStorage key for issued login codes (hashes, expiry, failed attempts)
+  OTP_STORAGE_KEY: 'passportcard_refer_otp',
+  
+  // SessionStorage key for the OIDC sign-in in progress (state, nonce, PKCE verifier)
+  OIDC_STORAGE_KEY: 'passportcard_refer_oidc',
+  
+  // Number of recent accounts offered on the login screen
+  RECENT_ACCOUNTS_LIMIT: 5,
+  
+  // IndexedDB database backing the storage adapter
+  STORAGE_DB_NAME: 'passportcard_refer',
+  STORAGE_DB_VERSION: 1,
+  
+  // IndexedDB database holding the per-account PII keys (see core/crypto.js)
+  KEY_STORE_DB_NAME: 'passportcard_refer_keys',
+  
+  // Maximum number of undoable entries kept by StateManager history
+  HISTORY_LIMIT: 50,
+  
+  // Transient UI keys and the signed-in identity (undo must never bring
+  // back a signed-out session) - never enter undo/redo history
+  HISTORY_EXCLUDE_KEYS: [
+    'isAuthenticated', 'currentUser', 'sessionToken', 'session',
+    'activeModal', 'isLoading', 'toasts', 'currentView', 'previousView', 'pendingEmail',
+    'selectedStamp', 'selectedPosition', 'selectedReferral', 'selectedReferralId',
+    'referralFormInstance', 'sharePanelInstance', 'passportOpen', 'highlightNewStamps',
+    'storageError', 'routeModal', 'routeError'
+  ]
 };
 
 /* ============================================================================
@@ -0,0 +1,324 @@
+/**
+ * PassportCard Refer - PII Encryption
+ * AES-GCM encryption at rest for candidate personal data
+ */
+
+import { CONFIG } from './config.js';
+
+/* ============================================================================
+   PII CIPHER
+   ============================================================================
+   Encrypts the personal fields of stored records (candidate name, email,
+   phone...) and uploaded files before they reach browser storage. In-memory
+   state stays plain, so components read referrals exactly as before.
+
+   Each account has its own random AES-GCM key, generated in the browser as
+   non-extractable and kept in an IndexedDB database of its own (see
+   AccountKeyStore). Page scripts can use the key but never read it, and it
+   is not stored next to the data - a copy of localStorage or of the records
+   database cannot be decrypted. Purging the account deletes the key, which
+   leaves anything of it still in storage unreadable.
+
+   What this does not protect against: code running in the page (it can use
+   the key), and someone with the whole browser profile on disk. Without
+   IndexedDB there is nowhere to keep a key, and records with personal data
+   are not persisted at all.
+   ========================================================================== */
+
+const KEYS_STORE = 'keys';
+
+/**
+ * Property holding the encrypted fields on a stored item
+ */
+export const ENCRYPTED_PROPERTY = '__pii';
+
+/**
+ * Checks whether WebCrypto is available (requires a secure context)
+ * @returns {boolean} True if supported
+ */
+export function isCryptoSupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function';
+}
+
+/**
+ * Generates a random hex token (session tokens, OIDC state and nonce)
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+export function generateSecureToken(bytes = 32) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/* ============================================================================
+   ACCOUNT KEY STORE
+   ========================================================================== */
+
+export class AccountKeyStore {
+  /**
+   * @param {string} [dbName] - Database name (defaults to CONFIG.KEY_STORE_DB_NAME)
+   */
+  constructor(dbName = CONFIG.KEY_STORE_DB_NAME) {
+    this._dbName = dbName;
+    this._dbPromise = null;
+  }
+
+  /**
+   * Checks whether keys can be kept (IndexedDB and WebCrypto)
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return isCryptoSupported() && typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Opens (and if needed creates) the key database
+   * @returns {Promise<IDBDatabase>} Open database
+   * @private
+   */
+  _open() {
+    if (!this._dbPromise) {
+      const request = indexedDB.open(this._dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(KEYS_STORE, { keyPath: 'userId' });
+      };
+      this._dbPromise = promisifyRequest(request).then(db => {
+        // Another tab upgraded the schema - release the connection so it can proceed
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        return db;
+      });
+      // Let a failed open be retried
+      this._dbPromise.catch(() => {
+        this._dbPromise = null;
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Runs a single request in a transaction and resolves once it completes
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} fn - Called with the object store, returns a request
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  async _run(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(KEYS_STORE, mode);
+      const request = fn(tx.objectStore(KEYS_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('AccountKeyStore: Transaction aborted'));
+    });
+  }
+
+  /**
+   * Gets the key of an account
+   * @param {string} userId - User id
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false] - Generate the key if the account has none
+   * @returns {Promise<CryptoKey|null>} Key, or null if there is none (or no key store)
+   */
+  async getKey(userId, options = {}) {
+    if (!userId || !AccountKeyStore.isSupported()) return null;
+
+    const entry = await this._run('readonly', store => store.get(userId));
+    if (entry || !options.create) return entry?.key || null;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    try {
+      // add() fails if another tab stored a key first - use that one then
+      await this._run('readwrite', store => store.add({ userId, key, createdAt: new Date().toISOString() }));
+      return key;
+    } catch (error) {
+      const stored = await this._run('readonly', store => store.get(userId));
+      if (stored) return stored.key;
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the key of an account (its data left in storage becomes unreadable)
+   * @param {string} userId - User id
+   * @returns {Promise<void>}
+   */
+  async deleteKey(userId) {
+    if (!userId || !AccountKeyStore.isSupported()) return;
+    await this._run('readwrite', store => store.delete(userId));
+  }
+}
+
+/* ============================================================================
+   CIPHER
+   ========================================================================== */
+
+export class PIICipher {
+  /**
+   * @param {Object} fieldsByKey - Map of state key → field names to encrypt
+   * @param {Function} resolveKey - async (namespace) => CryptoKey or null
+   */
+  constructor(fieldsByKey, resolveKey) {
+    this._fieldsByKey = fieldsByKey;
+    this._resolveKey = resolveKey;
+    this._keys = new Map();
+  }
+
+  /**
+   * Checks whether a state key has fields that must be encrypted
+   * @param {string} key - State key
+   * @returns {boolean} True if the key carries PII
+   */
+  handles(key) {
+    return Array.isArray(this._fieldsByKey[key]) && this._fieldsByKey[key].length > 0;
+  }
+
+  /**
+   * Forgets the keys held in memory (the key store keeps its own)
+   */
+  wipe() {
+    this._keys.clear();
+  }
+
+  /**
+   * Gets (once per account) the AES-GCM key
+   * @param {string} namespace - Account namespace (user id)
+   * @returns {Promise<CryptoKey>} Key
+   * @private
+   */
+  _getKey(namespace) {
+    if (!isCryptoSupported() || !namespace) {
+      return Promise.reject(new Error('PIICipher: Encryption is not available'));
+    }
+
+    if (!this._keys.has(namespace)) {
+      const keyPromise = Promise.resolve(this._resolveKey(namespace)).then(key => {
+        if (!key) throw new Error(`PIICipher: No key for "${namespace}"`);
+        return key;
+      });
+      // Let a failed lookup be retried
+      keyPromise.catch(() => {
+        if (this._keys.get(namespace) === keyPromise) this._keys.delete(namespace);
+      });
+      this._keys.set(namespace, keyPromise);
+    }
+    return this._keys.get(namespace);
+  }
+
+  /**
+   * Encrypts raw bytes with the account key
+   * @param {string} namespace - Account the data belongs to
+   * @param {ArrayBuffer|Uint8Array} bytes - Plain bytes
+   * @returns {Promise<{iv: string, data: ArrayBuffer}>} Base64 IV and ciphertext
+   */
+  async encryptBytes(namespace, bytes) {
+    const key = await this._getKey(namespace);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: toBase64(iv), data };
+  }
+
+  /**
+   * Decrypts raw bytes
+   * @param {string} namespace - Account the data belongs to
+   * @param {string} iv - Base64 IV
+   * @param {ArrayBuffer} data - Ciphertext
+   * @returns {Promise<ArrayBuffer>} Plain bytes
+   */
+  async decryptBytes(namespace, iv, data) {
+    const key = await this._getKey(namespace);
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, data);
+  }
+
+  /**
+   * Checks whether a stored item has its PII sealed
+   * @param {*} item - Stored item
+   * @returns {boolean} False for items stored before encryption existed
+   */
+  isSealed(item) {
+    return !item || typeof item !== 'object' || !!item[ENCRYPTED_PROPERTY];
+  }
+
+  /**
+   * Encrypts the PII fields of every item in a stored list
+   * @param {string} namespace - Account the list belongs to
+   * @param {string} key - State key (selects the field list)
+   * @param {Array} items - Plain items
+   * @returns {Promise<Array>} Items with PII moved into ENCRYPTED_PROPERTY
+   */
+  async encryptList(namespace, key, items) {
+    const fields = this._fieldsByKey[key] || [];
+    if (!Array.isArray(items) || fields.length === 0) return items;
+
+    const encoder = new TextEncoder();
+    return Promise.all(items.map(async item => {
+      if (!item || typeof item !== 'object') return item;
+
+      const secret = {};
+      const rest = { ...item };
+      fields.forEach(field => {
+        if (field in rest) {
+          secret[field] = rest[field];
+          delete rest[field];
+        }
+      });
+
+      const { iv, data } = await this.encryptBytes(namespace, encoder.encode(JSON.stringify(secret)));
+      return { ...rest, [ENCRYPTED_PROPERTY]: { iv, data: toBase64(data) } };
+    }));
+  }
+
+  /**
+   * Restores the PII fields of every item in a stored list
+   * Items that were stored before encryption existed pass through unchanged
+   * @param {string} namespace - Account the list belongs to
+   * @param {Array} items - Stored items
+   * @returns {Promise<Array>} Plain items
+   */
+  async decryptList(namespace, items) {
+    if (!Array.isArray(items)) return items;
+
+    const decoder = new TextDecoder();
+    return Promise.all(items.map(async item => {
+      const sealed = item?.[ENCRYPTED_PROPERTY];
+      if (!sealed) return item;
+
+      const plain = await this.decryptBytes(namespace, sealed.iv, fromBase64(sealed.data));
+      const { [ENCRYPTED_PROPERTY]: _sealed, ...rest } = item;
+      return { ...rest, ...JSON.parse(decoder.decode(plain)) };
+    }));
+  }
+}
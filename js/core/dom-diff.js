@@ -0,0 +1,229 @@
+/**
+ * PassportCard Refer - DOM Diffing
+ * Patches rendered HTML into the DOM, changing only the nodes that differ
+ */
+
+/* ============================================================================
+   DOM DIFFING
+   ============================================================================
+   Components render HTML strings. Assigning them with innerHTML rebuilds
+   every node - focus, text selection, scroll position, typed input and
+   listeners bound to the old nodes are lost. patchHTML parses the new HTML
+   and morphs the existing nodes into it instead:
+
+   - Nodes are matched by position and tag name; elements with a data-key
+     attribute (list items) are matched by key, so a filtered or re-sorted
+     list moves its nodes rather than rewriting them.
+   - Attributes and text are updated in place.
+   - The focused form control keeps the value the user is typing; other
+     inputs, checkboxes and selects follow the rendered value.
+   - Focus and selection are restored if the focused node had to move.
+   ========================================================================== */
+
+const FORM_CONTROLS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * Gets the key of a node (data-key attribute)
+ * @param {Node} node - DOM node
+ * @returns {string|null} Key, or null for unkeyed nodes
+ */
+function getKey(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null;
+}
+
+/**
+ * Checks whether an existing node can be patched into a new one
+ * @param {Node} current - Existing node
+ * @param {Node} next - Rendered node
+ * @returns {boolean} True if same node type (and tag name for elements)
+ */
+function isSameNodeType(current, next) {
+  return current.nodeType === next.nodeType && current.nodeName === next.nodeName;
+}
+
+/**
+ * Copies the rendered attributes onto an existing element
+ * @param {Element} current - Existing element
+ * @param {Element} next - Rendered element
+ */
+function patchAttributes(current, next) {
+  for (const { name, value } of Array.from(next.attributes)) {
+    if (current.getAttribute(name) !== value) {
+      current.setAttribute(name, value);
+    }
+  }
+
+  for (const { name } of Array.from(current.attributes)) {
+    if (!next.hasAttribute(name)) {
+      current.removeAttribute(name);
+    }
+  }
+}
+
+/**
+ * Syncs form control state (value, checked, selection) with the render
+ * Attributes only set a control's initial state - once the user interacted
+ * the properties have to be set too. The focused control is left alone so
+ * typing is never overwritten.
+ * @param {Element} current - Existing form control
+ * @param {Element} next - Rendered form control
+ */
+function patchFormControl(current, next) {
+  if (current === document.activeElement) return;
+
+  if (current.nodeName === 'SELECT') {
+    const selected = Array.from(next.options).find(option => option.hasAttribute('selected')) || next.options[0];
+    current.value = selected ? selected.value : '';
+  } else if (current.nodeName === 'TEXTAREA') {
+    current.value = next.textContent;
+  } else if (current.type === 'checkbox' || current.type === 'radio') {
+    current.checked = next.hasAttribute('checked');
+  } else if (current.type !== 'file') {
+    current.value = next.getAttribute('value') ?? '';
+  }
+}
+
+/**
+ * Patches an existing node to match a rendered one (same type)
+ * @param {Node} current - Existing node
+ * @param {Node} next - Rendered node
+ */
+function patchNode(current, next) {
+  if (current.nodeType !== Node.ELEMENT_NODE) {
+    if (current.nodeValue !== next.nodeValue) {
+      current.nodeValue = next.nodeValue;
+    }
+    return;
+  }
+
+  patchAttributes(current, next);
+
+  // A textarea's text is its value - handled with the other form controls
+  if (current.nodeName !== 'TEXTAREA') {
+    patchChildren(current, next);
+  }
+
+  if (FORM_CONTROLS.includes(current.nodeName)) {
+    patchFormControl(current, next);
+  }
+}
+
+/**
+ * Patches the children of an existing node to match a rendered node
+ * @param {Node} parent - Existing parent
+ * @param {Node} nextParent - Rendered parent (its children are moved out)
+ */
+function patchChildren(parent, nextParent) {
+  const keyed = new Map();
+  const unkeyed = [];
+
+  for (const child of Array.from(parent.childNodes)) {
+    const key = getKey(child);
+    if (key !== null) {
+      keyed.set(key, child);
+    } else {
+      unkeyed.push(child);
+    }
+  }
+
+  let unkeyedIndex = 0;
+  let position = parent.firstChild;
+
+  for (const next of Array.from(nextParent.childNodes)) {
+    const key = getKey(next);
+    let match = null;
+
+    if (key !== null) {
+      match = keyed.get(key) || null;
+      if (match && !isSameNodeType(match, next)) match = null;
+      keyed.delete(key);
+    } else {
+      // Unkeyed nodes are matched in order; nodes skipped to reach a match
+      // are dropped, a new node with no match ahead consumes nothing
+      let index = unkeyedIndex;
+      while (index < unkeyed.length && !isSameNodeType(unkeyed[index], next)) {
+        index++;
+      }
+      if (index < unkeyed.length) {
+        match = unkeyed[index];
+        unkeyedIndex = index + 1;
+      }
+    }
+
+    if (match) {
+      patchNode(match, next);
+    } else {
+      match = next;
+    }
+
+    if (match !== position) {
+      parent.insertBefore(match, position);
+    } else {
+      position = position.nextSibling;
+    }
+  }
+
+  // Whatever follows the last rendered node is gone from the render
+  while (position) {
+    const stale = position;
+    position = position.nextSibling;
+    stale.remove();
+  }
+}
+
+/**
+ * Remembers the focused element and its text selection
+ * @param {Element} container - Container being patched
+ * @returns {Object|null} Focus snapshot, or null if focus is outside the container
+ */
+function captureFocus(container) {
+  const element = document.activeElement;
+  if (!element || element === document.body || !container.contains(element)) return null;
+
+  // Inputs like email and number have no selection (selectionStart is null)
+  const selection = typeof element.selectionStart === 'number'
+    ? [element.selectionStart, element.selectionEnd, element.selectionDirection]
+    : null;
+
+  return { element, id: element.id, selection };
+}
+
+/**
+ * Puts focus (and selection) back after a patch moved or replaced the element
+ * @param {Element} container - Patched container
+ * @param {Object|null} focus - Snapshot from captureFocus
+ */
+function restoreFocus(container, focus) {
+  if (!focus || document.activeElement === focus.element) return;
+
+  let element = container.contains(focus.element) ? focus.element : null;
+  if (!element && focus.id) {
+    element = document.getElementById(focus.id);
+  }
+  if (!element || !container.contains(element)) return;
+
+  element.focus({ preventScroll: true });
+
+  if (focus.selection && element === focus.element) {
+    try {
+      element.setSelectionRange(...focus.selection);
+    } catch (error) {
+      // Selection no longer applies (e.g. the input type changed)
+    }
+  }
+}
+
+/**
+ * Patches a container's content to match an HTML string
+ * @param {Element} container - Element whose children are patched
+ * @param {string|SafeHTML} html - Rendered HTML for the container's content
+ */
+export function patchHTML(container, html) {
+  const focus = captureFocus(container);
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  patchChildren(container, template.content);
+
+  restoreFocus(container, focus);
+}
@@ -0,0 +1,152 @@
+/**
+ * PassportCard Refer - Error Reporter
+ * Collects errors caught by the component error boundaries
+ */
+
+import { stateManager } from './state.js';
+import { getUserRoles } from './permissions.js';
+
+/* ============================================================================
+   ERROR REPORTER
+   ============================================================================
+   Components that fail to render, mount or update are reported here (see
+   Component.handleError) with the route they were on and a snapshot of the
+   app state at that moment. There is no error-tracking backend yet, so
+   reports are logged and the most recent ones kept in memory; subscribe()
+   is where a backend transport plugs in.
+
+   The snapshot only holds what helps reproduce a bug - the view, filters,
+   the user's id and roles and how many records they have. Session tokens,
+   names, emails and the records themselves stay out of reports.
+   ========================================================================== */
+
+// Reports kept for getReports()
+const MAX_REPORTS = 20;
+
+// State keys copied into the snapshot as they are
+const SNAPSHOT_KEYS = [
+  'currentView',
+  'previousView',
+  'routeModal',
+  'routeError',
+  'activeModal',
+  'positionFilters',
+  'campaignFilter',
+  'positionSort',
+  'referralFilter'
+];
+
+// List keys reported as their length
+const SNAPSHOT_COUNT_KEYS = ['positions', 'referrals', 'stamps', 'activities'];
+
+export class ErrorReporter {
+  /**
+   * @param {StateManager} stateManager - State to snapshot
+   */
+  constructor(stateManager) {
+    this._stateManager = stateManager;
+    this._reports = [];
+    this._listeners = new Set();
+  }
+
+  /**
+   * Reports an error
+   * @param {Error} error - What went wrong
+   * @param {Object} [context]
+   * @param {string} [context.component] - Component class name
+   * @param {string} [context.phase] - Lifecycle phase: 'render', 'mount' or 'update'
+   * @param {string} [context.route] - Route shown when the error happened
+   * @param {string} [context.location] - Location (route path plus query)
+   * @returns {Object} The report
+   */
+  report(error, context = {}) {
+    const report = {
+      id: `err-${Date.now()}-${this._reports.length}`,
+      timestamp: new Date().toISOString(),
+      message: error?.message || String(error),
+      name: error?.name || 'Error',
+      stack: error?.stack || null,
+      component: context.component || null,
+      phase: context.phase || null,
+      route: context.route || null,
+      location: context.location ?? null,
+      state: this._snapshotState()
+    };
+
+    this._reports.push(report);
+    if (this._reports.length > MAX_REPORTS) {
+      this._reports.shift();
+    }
+
+    console.error(`ErrorReporter: ${report.component || 'App'} failed to ${report.phase || 'run'} on "${report.route}"`, error, report);
+
+    this._listeners.forEach(listener => {
+      try {
+        listener(report);
+      } catch (listenerError) {
+        console.warn('ErrorReporter: Error in report listener', listenerError);
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Takes the state snapshot attached to reports
+   * @returns {Object} Snapshot (no tokens or personal details)
+   * @private
+   */
+  _snapshotState() {
+    const state = this._stateManager.getState();
+    const snapshot = {};
+
+    SNAPSHOT_KEYS.forEach(key => {
+      snapshot[key] = state[key] ?? null;
+    });
+
+    snapshot.isAuthenticated = !!state.isAuthenticated;
+    snapshot.user = state.currentUser
+      ? { id: state.currentUser.id, roles: getUserRoles(state.currentUser) }
+      : null;
+
+    snapshot.counts = {};
+    SNAPSHOT_COUNT_KEYS.forEach(key => {
+      snapshot.counts[key] = Array.isArray(state[key]) ? state[key].length : 0;
+    });
+
+    try {
+      // Detach from live state - later changes must not alter the report
+      return JSON.parse(JSON.stringify(snapshot));
+    } catch (error) {
+      return { currentView: snapshot.currentView, unserializable: true };
+    }
+  }
+
+  /**
+   * Gets the most recent reports, oldest first
+   * @returns {Array<Object>} Reports
+   */
+  getReports() {
+    return [...this._reports];
+  }
+
+  /**
+   * Drops the kept reports
+   */
+  clear() {
+    this._reports = [];
+  }
+
+  /**
+   * Subscribes to new reports (e.g. to send them to a tracking service)
+   * @param {Function} listener - Called with each report
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+}
+
+// Global ErrorReporter singleton instance
+export const errorReporter = new ErrorReporter(stateManager);
@@ -0,0 +1,183 @@
+/**
+ * PassportCard Refer - Router History Strategies
+ * How route locations are kept in the URL (hash fragment or clean paths)
+ */
+
+import { CONFIG } from './config.js';
+
+/* ============================================================================
+   HISTORY STRATEGIES
+   ============================================================================
+   The router works with locations - a route path plus optional query
+   ('referrals/ref-001', 'positions?dept=פיתוח') - and leaves it to a history
+   strategy to map them to URLs:
+   - HashHistory:    positions.html#referrals/ref-001  (works everywhere)
+   - BrowserHistory: /referrals/ref-001                (History API)
+
+   Strategy interface:
+   - start(listener)       → calls listener on back/forward (and own changes)
+   - current()             → current location ('' when the URL has none)
+   - push(location)        → new history entry, notifies the listener
+   - replace(location)     → replaces the current entry, notifies the listener
+   - restore(location)     → puts a location back without notifying
+                             (undoes a cancelled back/forward)
+   - url(location, [page]) → URL of a location; page is set for locations
+                             served by another HTML page
+   - fileUrl(page)         → URL of a page's HTML file
+   ========================================================================== */
+
+export class HashHistory {
+  constructor() {
+    this.mode = 'hash';
+  }
+
+  start(listener) {
+    window.addEventListener('hashchange', listener);
+  }
+
+  current() {
+    return window.location.hash.slice(1);
+  }
+
+  push(location) {
+    window.location.hash = location;
+  }
+
+  replace(location) {
+    window.location.replace(`#${location}`);
+  }
+
+  restore(location) {
+    window.history.pushState(null, '', `#${location}`);
+  }
+
+  url(location, page = null) {
+    return page ? `${this.fileUrl(page)}#${location}` : `#${location}`;
+  }
+
+  fileUrl(page) {
+    return `${page}.html`;
+  }
+}
+
+/* ============================================================================
+   BROWSER HISTORY (pushState)
+   ============================================================================
+   Clean URLs under CONFIG.ROUTER_BASE. Needs a server that redirects route
+   paths to the page the route lives on, with the route as its hash
+   (/referrals/ref-001 → /referrals.html#referrals/ref-001, see
+   CONFIG.ROUTES / PAGE_ROUTES), so the page loads its relative css/ and js/
+   URLs from the app root. On start the hash location moves back into the
+   path and a <base href> of ROUTER_BASE keeps later relative URLs (links,
+   images) resolving from the app root on nested paths. HTML files opened
+   directly (login.html) map to their page's default route; hash links from
+   hash mode are converted the same way, so old bookmarks keep working.
+   ========================================================================== */
+
+export class BrowserHistory {
+  /**
+   * @param {string} [base] - Path the app is served from (defaults to CONFIG.ROUTER_BASE)
+   */
+  constructor(base = CONFIG.ROUTER_BASE) {
+    this.mode = 'history';
+    this._base = base.endsWith('/') ? base : `${base}/`;
+    this._listener = null;
+  }
+
+  /**
+   * Checks whether clean URLs can be used here
+   * Pages opened from file:// cannot change their path
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return window.location.protocol !== 'file:' && typeof window.history?.pushState === 'function';
+  }
+
+  start(listener) {
+    this._listener = listener;
+    this._setDocumentBase();
+    this._adoptHashLocation();
+    window.addEventListener('popstate', listener);
+  }
+
+  current() {
+    let path = window.location.pathname;
+    path = path.startsWith(this._base) ? path.slice(this._base.length) : path.replace(/^\//, '');
+
+    // An HTML file itself (login.html, apply.html) has no route path
+    if (path.endsWith('.html')) path = '';
+
+    const query = window.location.search.slice(1);
+    return query ? `${path}?${query}` : path;
+  }
+
+  push(location) {
+    window.history.pushState(null, '', this.url(location));
+    this._listener?.();
+  }
+
+  replace(location) {
+    window.history.replaceState(null, '', this.url(location));
+    this._listener?.();
+  }
+
+  restore(location) {
+    window.history.pushState(null, '', this.url(location));
+  }
+
+  url(location) {
+    return `${this._base}${location}`;
+  }
+
+  fileUrl(page) {
+    return `${this._base}${page}.html`;
+  }
+
+  /**
+   * Resolves the page's relative URLs from ROUTER_BASE instead of the
+   * current (possibly nested) route path
+   * @private
+   */
+  _setDocumentBase() {
+    let base = document.querySelector('base');
+    if (!base) {
+      base = document.createElement('base');
+      document.head.prepend(base);
+    }
+    base.href = this._base;
+  }
+
+  /**
+   * Moves a hash-mode location (page.html?x=1#path?y=2) into the path
+   * The query string and hash query are merged
+   * @private
+   */
+  _adoptHashLocation() {
+    const hash = window.location.hash.slice(1);
+    const [path, hashQuery = ''] = hash.split('?');
+    if (!path || this.current().split('?')[0]) return;
+
+    // Only route paths - not in-page anchors such as #main-content
+    if (!CONFIG.ROUTES[path.split('/')[0]]) return;
+
+    const query = new URLSearchParams(window.location.search);
+    new URLSearchParams(hashQuery).forEach((value, name) => query.set(name, value));
+
+    const search = query.toString();
+    window.history.replaceState(null, '', this.url(search ? `${path}?${search}` : path));
+  }
+}
+
+/**
+ * Creates the history strategy for CONFIG.ROUTER_MODE
+ * Falls back to hash URLs where clean URLs are not possible
+ * @param {string} [mode] - 'hash' or 'history'
+ * @returns {HashHistory|BrowserHistory} History strategy
+ */
+export function createHistory(mode = CONFIG.ROUTER_MODE) {
+  if (mode === 'history') {
+    if (BrowserHistory.isSupported()) return new BrowserHistory();
+    console.warn('Router: Clean URLs are not available here, using hash routing');
+  }
+  return new HashHistory();
+}
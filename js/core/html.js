@@ -0,0 +1,97 @@
+/**
+ * PassportCard Refer - HTML Templates
+ * Auto-escaping `html` template tag used by all component templates
+ */
+
+/* ============================================================================
+   HTML TEMPLATES
+   ============================================================================
+   Components build their markup with the html tag:
+
+     html`<h3 class="card__name">${referral.candidateName}</h3>`
+
+   Every interpolated value is HTML-escaped, so names, emails and other
+   user-supplied text can't inject markup. What the tag returns is trusted
+   markup (SafeHTML) and is inserted as-is when nested in another template;
+   arrays of it are joined, so lists need no .join(''):
+
+     html`<ul>${items.map(item => html`<li>${item.label}</li>`)}</ul>`
+
+   raw() marks markup that was built and escaped elsewhere (e.g. search
+   highlighting) as trusted - never pass it user input. null and undefined
+   render as nothing; anything else (numbers, booleans) as its text.
+   SafeHTML converts to a string wherever one is expected (innerHTML,
+   concatenation, String()).
+   ========================================================================== */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Trusted HTML markup
+ */
+export class SafeHTML {
+  /**
+   * @param {string} markup - Markup to trust
+   */
+  constructor(markup) {
+    this._markup = markup;
+  }
+
+  /**
+   * @returns {string} The markup
+   */
+  toString() {
+    return this._markup;
+  }
+}
+
+/**
+ * Escapes HTML special characters of a value
+ * @param {*} value - Value to escape (null and undefined give '')
+ * @returns {string} Escaped text, safe in element content and quoted attributes
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+/**
+ * Marks markup as trusted so templates insert it unescaped
+ * @param {string|SafeHTML} markup - Markup built from trusted or already escaped parts
+ * @returns {SafeHTML} Trusted markup
+ */
+export function raw(markup) {
+  if (markup instanceof SafeHTML) return markup;
+  return new SafeHTML(markup === null || markup === undefined ? '' : String(markup));
+}
+
+/**
+ * Renders an interpolated value
+ * @param {*} value - Interpolated value
+ * @returns {string} Markup
+ */
+function renderValue(value) {
+  if (value instanceof SafeHTML) return value.toString();
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes interpolated values
+ * @param {TemplateStringsArray} strings - Template parts
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHTML} Markup
+ */
+export function html(strings, ...values) {
+  let markup = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    markup += renderValue(values[i]) + strings[i + 1];
+  }
+  return new SafeHTML(markup);
+}
@@ -0,0 +1,121 @@
+/**
+ * PassportCard Refer - State Middleware
+ * Built-in middlewares for the StateManager update pipeline
+ */
+
+import { STAMP_TYPES } from '../data/stamp-types.js';
+import { REFERRAL_STATUS_CONFIG } from '../data/status-config.js';
+
+/* ============================================================================
+   STATE MIDDLEWARE
+   ============================================================================
+   A middleware is a function (context, next) registered with
+   stateManager.use(). context is { updates, options, getState }.
+   - Call next() to continue with the same updates
+   - Call next(transformedUpdates) to continue with different updates
+   - Return without calling next() to veto the update
+   Code after next() runs once the update was merged, notified and queued
+   for persistence.
+   ========================================================================== */
+
+/**
+ * Creates a dev logging middleware
+ * Prints each update with its before/after values in a collapsed group
+ * @param {Object} [options]
+ * @param {string[]} [options.ignoreKeys] - Keys that do not produce a log entry on their own
+ * @returns {Function} Middleware
+ */
+export function createLoggerMiddleware(options = {}) {
+  const { ignoreKeys = [] } = options;
+
+  return (context, next) => {
+    const keys = Object.keys(context.updates);
+    if (keys.every(key => ignoreKeys.includes(key))) {
+      next();
+      return;
+    }
+
+    const before = {};
+    keys.forEach(key => {
+      before[key] = context.getState(key);
+    });
+
+    const startedAt = performance.now();
+    next();
+    const duration = (performance.now() - startedAt).toFixed(1);
+
+    const label = context.options.label ? ` (${context.options.label})` : '';
+    console.groupCollapsed(`[state] ${keys.join(', ')}${label} - ${duration}ms`);
+    keys.forEach(key => {
+      console.log(key, { before: before[key], after: context.getState(key) });
+    });
+    console.groupEnd();
+  };
+}
+
+/**
+ * Validation rules for objects stored under list keys
+ * Each rule returns an error message or null
+ */
+export const STATE_SCHEMAS = {
+  referrals: (referral) => {
+    if (!referral || typeof referral !== 'object') return 'referral must be an object';
+    if (!referral.id) return 'referral.id is required';
+    if (!referral.candidateName) return `referral ${referral.id}: candidateName is required`;
+    if (!referral.positionId) return `referral ${referral.id}: positionId is required`;
+    if (!REFERRAL_STATUS_CONFIG[referral.status]) return `referral ${referral.id}: unknown status "${referral.status}"`;
+    return null;
+  },
+  stamps: (stamp) => {
+    if (!stamp || typeof stamp !== 'object') return 'stamp must be an object';
+    if (!stamp.id) return 'stamp.id is required';
+    if (!STAMP_TYPES[stamp.type]) return `stamp ${stamp.id}: unknown type "${stamp.type}"`;
+    if (typeof stamp.points !== 'number') return `stamp ${stamp.id}: points must be a number`;
+    return null;
+  }
+};
+
+/**
+ * Creates a schema validation middleware
+ * Invalid referral/stamp lists are rejected before they reach state or storage
+ * @param {Object} [options]
+ * @param {Object} [options.schemas] - Map of state key → item validator (defaults to STATE_SCHEMAS)
+ * @param {string} [options.onInvalid] - 'veto' (default) drops the whole update, 'warn' only logs
+ * @returns {Function} Middleware
+ */
+export function createValidationMiddleware(options = {}) {
+  const { schemas = STATE_SCHEMAS, onInvalid = 'veto' } = options;
+
+  return (context, next) => {
+    const errors = [];
+
+    Object.keys(context.updates).forEach(key => {
+      const validate = schemas[key];
+      const value = context.updates[key];
+      if (!validate || value === null || value === undefined) return;
+
+      if (!Array.isArray(value)) {
+        errors.push(`${key} must be an array`);
+        return;
+      }
+
+      value.forEach(item => {
+        const error = validate(item);
+        if (error) errors.push(error);
+      });
+    });
+
+    if (errors.length === 0) {
+      next();
+      return;
+    }
+
+    if (onInvalid === 'warn') {
+      console.warn('StateManager: Invalid state update', errors);
+      next();
+      return;
+    }
+
+    console.error('StateManager: Rejected invalid state update', errors);
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * PassportCard Refer - State Migrations
+ * Versioned schema and ordered migration registry for persisted state
+ */
+
+import { CONFIG } from './config.js';
+import { STAMP_TYPES } from '../data/stamp-types.js';
+import { generateUserFromEmail, isLegacyUserId } from '../data/user-generator.js';
+
+/* ============================================================================
+   STATE MIGRATIONS
+   ============================================================================
+   Each migration upgrades a persisted payload from (version - 1) to version.
+   Migrations run in order on load, so a returning user on any older schema
+   is walked forward step by step. Never edit a shipped migration - add a new
+   one and bump CONFIG.STATE_SCHEMA_VERSION instead.
+   ========================================================================== */
+
+/**
+ * Legacy stamp type aliases written by older builds
+ */
+const LEGACY_STAMP_TYPES = {
+  'first-referral': 'first'
+};
+
+/**
+ * Ordered migration registry
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+export const STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize stamp shape (earnedAt → earnedDate, legacy type ids, STAMP_TYPES fields)',
+    migrate(state) {
+      if (!Array.isArray(state.stamps)) {
+        return state;
+      }
+
+      const stamps = state.stamps
+        .filter(stamp => stamp && typeof stamp === 'object')
+        .map(stamp => {
+          const type = LEGACY_STAMP_TYPES[stamp.type] || stamp.type;
+          const config = STAMP_TYPES[type] || {};
+          const { earnedAt, title, ...rest } = stamp;
+
+          return {
+            ...rest,
+            type,
+            label: stamp.label || title || config.label,
+            earnedDate: stamp.earnedDate || earnedAt || null,
+            color: stamp.color || config.color,
+            shape: stamp.shape || config.shape,
+            icon: stamp.icon || config.icon,
+            isNew: stamp.isNew === true
+          };
+        });
+
+      return { ...state, stamps };
+    }
+  },
+  {
+    version: 2,
+    description: 'Ensure referrals carry a timeline array and numeric pointsEarned',
+    migrate(state) {
+      if (!Array.isArray(state.referrals)) {
+        return state;
+      }
+
+      const referrals = state.referrals
+        .filter(referral => referral && typeof referral === 'object' && referral.id)
+        .map(referral => ({
+          ...referral,
+          timeline: Array.isArray(referral.timeline) ? referral.timeline : [],
+          pointsEarned: Number(referral.pointsEarned) || 0
+        }));
+
+      return { ...state, referrals };
+    }
+  },
+  {
+    version: 3,
+    description: 'Move the signed-in user to the 8-digit user id (usr-1234 → usr-12345678)',
+    migrate(state) {
+      const user = state.currentUser;
+      if (!user?.email || !isLegacyUserId(user.id)) {
+        return state;
+      }
+
+      // Records are stored under the user id - the ones in this payload
+      // are written to the new id's namespace
+      return { ...state, currentUser: { ...user, id: generateUserFromEmail(user.email).id } };
+    }
+  }
+];
+
+/**
+ * Reads the schema version stamped into a persisted payload
+ * Payloads written before versioning existed have no stamp and count as 0
+ * @param {Object} payload - Parsed persisted state
+ * @returns {number} Schema version
+ */
+export function getPayloadVersion(payload) {
+  const version = payload?.[CONFIG.STATE_VERSION_KEY];
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * Upgrades a persisted payload to the current schema version
+ * Never throws - a failing migration is reported and the caller decides
+ * how to fall back
+ * @param {Object} payload - Parsed persisted state
+ * @param {Array} [migrations] - Migration registry (defaults to STATE_MIGRATIONS)
+ * @returns {Object} { state, report } where report describes what was migrated
+ */
+export function migrateState(payload, migrations = STATE_MIGRATIONS) {
+  const targetVersion = CONFIG.STATE_SCHEMA_VERSION;
+  const fromVersion = getPayloadVersion(payload);
+  const report = {
+    fromVersion,
+    toVersion: targetVersion,
+    applied: [],
+    status: 'current',
+    error: null
+  };
+
+  // Payload written by a newer build - we cannot safely interpret it
+  if (fromVersion > targetVersion) {
+    report.status = 'unsupported';
+    report.error = `Stored schema v${fromVersion} is newer than supported v${targetVersion}`;
+    return { state: null, report };
+  }
+
+  const pending = migrations
+    .filter(m => m.version > fromVersion && m.version <= targetVersion)
+    .sort((a, b) => a.version - b.version);
+
+  let state = { ...payload };
+
+  for (const migration of pending) {
+    try {
+      state = migration.migrate(state) || state;
+      report.applied.push({ version: migration.version, description: migration.description });
+    } catch (error) {
+      report.status = 'failed';
+      report.error = `Migration v${migration.version} failed: ${error.message}`;
+      return { state: null, report };
+    }
+  }
+
+  state[CONFIG.STATE_VERSION_KEY] = targetVersion;
+  if (report.applied.length > 0) {
+    report.status = 'migrated';
+  }
+
+  return { state, report };
+}
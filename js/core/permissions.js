@@ -0,0 +1,68 @@
+/**
+ * PassportCard Refer - Permissions
+ * User roles and the role checks used by routes, navigation and actions
+ */
+
+import { CONFIG } from './config.js';
+
+/* ============================================================================
+   ROLE-BASED ACCESS CONTROL
+   ============================================================================
+   Users carry a roles array (currentUser.roles, see CONFIG.ROLES). Routes
+   list the roles that may open them (CONFIG.ROUTES[name].roles) and actions
+   can be registered with roles (app.registerAction(name, handler, { roles })).
+   An admin passes every check; users stored before roles existed count as
+   employees.
+
+   These checks shape the UI only - with no backend yet, nothing stops a
+   user from editing their stored roles. Any server added later must
+   enforce the same rules itself.
+   ========================================================================== */
+
+/**
+ * Gets the roles assigned to an email address
+ * @param {string} email - User email
+ * @returns {Array<string>} Roles (always includes employee)
+ */
+export function getRolesForEmail(email) {
+  const assigned = CONFIG.ROLE_ASSIGNMENTS[String(email || '').trim().toLowerCase()] || [];
+  return [CONFIG.ROLES.EMPLOYEE, ...assigned.filter(role => role !== CONFIG.ROLES.EMPLOYEE)];
+}
+
+/**
+ * Gets a user's roles
+ * @param {Object|null} user - currentUser object
+ * @returns {Array<string>} Roles (empty when signed out)
+ */
+export function getUserRoles(user) {
+  if (!user) return [];
+  return Array.isArray(user.roles) && user.roles.length > 0 ? user.roles : [CONFIG.ROLES.EMPLOYEE];
+}
+
+/**
+ * Checks whether a user has one of the given roles
+ * @param {Object|null} user - currentUser object
+ * @param {string|Array<string>} [roles] - Accepted roles (none = any signed-in user)
+ * @returns {boolean} True if allowed
+ */
+export function hasRole(user, roles) {
+  const userRoles = getUserRoles(user);
+  if (userRoles.length === 0) return false;
+
+  const accepted = [].concat(roles || []);
+  if (accepted.length === 0 || userRoles.includes(CONFIG.ROLES.ADMIN)) return true;
+
+  return accepted.some(role => userRoles.includes(role));
+}
+
+/**
+ * Checks whether a user may open a route
+ * Only the route's roles are checked - sign-in is the router's concern
+ * @param {Object|null} user - currentUser object
+ * @param {string} routeName - Route name
+ * @returns {boolean} True if allowed
+ */
+export function canAccessRoute(user, routeName) {
+  const roles = CONFIG.ROUTES[routeName]?.roles;
+  return !roles || hasRole(user, roles);
+}
@@ -1,22 +1,66 @@
 /**
  * PassportCard Refer - Router
- * Hash-based routing with authentication guards
+ * Hash or History API routing with authentication guards and deep links
  */
 
 import { CONFIG } from './config.js';
 import { stateManager } from './state.js';
+import { createHistory } from './history.js';
+import { canAccessRoute } from './permissions.js';
 
 /* ============================================================================
    ROUTER
    ============================================================================
-   Hash-based routing with authentication guards
+   Routing with authentication and role guards. The router works with locations -
+   a route path plus query ('positions?dept=...') - that a history strategy
+   (js/core/history.js, CONFIG.ROUTER_MODE) keeps in the URL hash or, with
+   the History API, in clean paths. Each route still lives on the HTML page
+   given by CONFIG.ROUTES / PAGE_ROUTES; other pages are loaded as needed.
+   
+   Besides plain route names, a location can hold a parameterized route from
+   CONFIG.ROUTE_PATTERNS (e.g. #referrals/ref-123). Those resolve to their
+   base route plus a routeModal state entry ({ name, params }) that
+   ModalManager uses to open the matching detail modal.
+   
+   Routes listed in CONFIG.ROUTE_QUERY_PARAMS keep part of their state in
+   the location query (#positions?dept=...). The URL is the source of truth:
+   every location change writes the query into state (missing params reset to
+   their defaults), and local changes to those state keys write the query
+   back, so back/forward steps through filter changes.
+   
+   Routes with roles (CONFIG.ROUTES[name].roles) show the forbidden view,
+   in place and with the URL kept, to signed-in users without one of them.
+   
+   Navigation guards run whenever the route changes (not for query or
+   deep-link changes within a route), in this order:
+   - beforeLeave of the current route config, then router.beforeLeave() hooks
+   - unsaved-changes confirmation if a registered dirty check returns true
+   - beforeEnter of the target route config, then router.beforeEnter() hooks
+   A guard is called with (to, from) and may be async. Returning false
+   cancels the navigation, returning a route path redirects to it.
    ========================================================================== */
 
+const DEFAULT_UNSAVED_MESSAGE = 'יש שינויים שלא נשמרו. לעזוב את העמוד בכל זאת?';
+
 export class Router {
   constructor(stateManager) {
     this._stateManager = stateManager;
     this._routes = CONFIG.ROUTES;
+    this._patterns = CONFIG.ROUTE_PATTERNS || [];
     this._currentRoute = null;
+    this._params = {};
+    // True while the open modal's history entry was pushed by openModalRoute()
+    this._modalEntryPushed = false;
+    // Location of the applied route (restored when a guard cancels a change)
+    this._currentLocation = null;
+    // Location already approved by navigate() - its change event skips the guards
+    this._approvedLocation = null;
+    this._enterHooks = [];
+    this._leaveHooks = [];
+    // Owner → { isDirty, message } registered by components with unsaved changes
+    this._dirtyChecks = new Map();
+    this._leavingPage = false;
+    this._history = createHistory();
     this._currentPage = this._detectCurrentPage();
     this._init();
   }
@@ -45,6 +89,10 @@ export class Router {
    */
   _getPageForRoute(routeName) {
     const routeConfig = this._routes[routeName];
+    
+    // Fallback views (not-found, error) render on whichever page is open
+    if (routeConfig && !routeConfig.page) return this._currentPage;
+    
     return routeConfig?.page || 'index';
   }
   
@@ -52,33 +100,170 @@ export class Router {
    * Initializes the router
    */
   _init() {
-    // Listen to hash changes
-    window.addEventListener('hashchange', () => this._handleHashChange());
+    // Referral links may point at any page - candidates belong on the apply page
+    if (this._redirectInboundLink()) return;
+    
+    // Listen to location changes (back/forward, links, navigate())
+    this._history.start(() => this._handleLocationChange());
+    
+    // Reloading or closing the tab with unsaved changes asks the browser to confirm
+    window.addEventListener('beforeunload', (event) => {
+      if (this._leavingPage || !this.hasUnsavedChanges()) return;
+      event.preventDefault();
+      event.returnValue = '';
+    });
+    
+    // Re-apply route guards when another tab logs out (cross-tab sync)
+    this._stateManager.subscribe('isAuthenticated', (isAuthenticated, wasAuthenticated, meta) => {
+      const routeConfig = this._routes[this.getCurrentRoute()];
+      if (meta?.source === 'remote' && !isAuthenticated && routeConfig?.requiresAuth) {
+        this._handleLocationChange();
+      }
+    });
+    
+    // Signing in as someone else elsewhere may add or take away the current route's role
+    this._stateManager.subscribe('currentUser', () => {
+      const route = this._currentRoute;
+      if (route && (route === CONFIG.FORBIDDEN_ROUTE || !this.canAccess(route))) {
+        this._handleLocationChange();
+      }
+    });
+    
+    // Write route state changes back into the location query
+    this._bindQueryState();
     
     // Handle initial route
-    this._handleHashChange();
+    this._handleLocationChange();
   }
   
   /**
-   * Gets the current route from URL hash
-   * @returns {string} Route name
+   * Sends an inbound referral link (?ref=<userId>&pos=<positionId>) to the
+   * candidate page, keeping its query
+   * @returns {boolean} True if the page is being replaced
    */
-  _parseHash() {
-    const hash = window.location.hash.slice(1);
+  _redirectInboundLink() {
+    const params = new URLSearchParams(window.location.search);
+    const candidatePage = this._getPageForRoute(CONFIG.CANDIDATE_ROUTE);
+    if (!params.get('ref') || !params.get('pos') || this._currentPage === candidatePage) {
+      return false;
+    }
     
-    // If no hash, get default route for current page
-    if (!hash) {
+    this._leavingPage = true;
+    window.location.replace(`${this.pageFileUrl(candidatePage)}${window.location.search}`);
+    return true;
+  }
+  
+  /**
+   * Gets the current route path from the URL
+   * @returns {string} Route path (route name or parameterized path)
+   */
+  _parsePath() {
+    const path = this._history.current().split('?')[0]; // Remove query params if any
+    
+    // If no path, get default route for current page
+    if (!path) {
       const pageRoute = CONFIG.PAGE_ROUTES[this._currentPage];
       return pageRoute || CONFIG.DEFAULT_ROUTE;
     }
     
-    return hash.split('?')[0]; // Remove query params if any
+    return path;
+  }
+  
+  /**
+   * Gets the query params of the current location
+   * @returns {Object} Param name → string value
+   */
+  _parseQuery() {
+    const query = this._history.current().split('?')[1] || '';
+    return Object.fromEntries(new URLSearchParams(query));
+  }
+  
+  /**
+   * Builds a location from a route path and query params
+   * Empty values are left out
+   * @param {string} path - Route path
+   * @param {Object} [query] - Param name → value
+   * @returns {string} Location (e.g. 'positions?dept=פיתוח')
+   */
+  _buildLocation(path, query = {}) {
+    const search = new URLSearchParams();
+    Object.keys(query).forEach(name => {
+      const value = query[name];
+      if (value !== null && value !== undefined && value !== '') {
+        search.set(name, value);
+      }
+    });
+    
+    const queryString = search.toString();
+    return queryString ? `${path}?${queryString}` : path;
   }
   
   /**
-   * Checks authentication state and determines redirect if needed
+   * Splits a location into its route path and query params
+   * @param {string} location - Location (e.g. 'positions?dept=פיתוח')
+   * @returns {{path: string, query: Object}} Path and params
+   */
+  _splitLocation(location) {
+    const [path, search = ''] = location.split('?');
+    return { path, query: Object.fromEntries(new URLSearchParams(search)) };
+  }
+  
+  /**
+   * Resolves a route path to its route, params and deep-link modal
+   * @param {string} path - Route name or parameterized path (e.g. 'referrals/ref-123')
+   * @returns {{route: string, params: Object, modal: string|null, path: string}|null} Match or null
+   */
+  matchPath(path) {
+    if (this._routes[path]) {
+      return { route: path, params: {}, modal: null, path };
+    }
+    
+    const segments = path.split('/');
+    for (const entry of this._patterns) {
+      const parts = entry.pattern.split('/');
+      if (parts.length !== segments.length) continue;
+      
+      const params = {};
+      const matches = parts.every((part, index) => {
+        if (!part.startsWith(':')) return part === segments[index];
+        if (!segments[index]) return false;
+        try {
+          params[part.slice(1)] = decodeURIComponent(segments[index]);
+          return true;
+        } catch (error) {
+          return false; // Malformed escape sequence
+        }
+      });
+      
+      if (matches) {
+        return { route: entry.route, params, modal: entry.modal, path };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Builds the deep-link path of a modal
+   * @param {string} modal - Modal name from CONFIG.ROUTE_PATTERNS
+   * @param {Object} params - Route params (e.g. { id })
+   * @returns {string|null} Path, or null if the modal has no pattern
+   */
+  buildModalPath(modal, params = {}) {
+    const entry = this._patterns.find(pattern => pattern.modal === modal);
+    if (!entry) return null;
+    
+    return entry.pattern
+      .split('/')
+      .map(part => (part.startsWith(':') ? encodeURIComponent(params[part.slice(1)] ?? '') : part))
+      .join('/');
+  }
+  
+  /**
+   * Checks authentication state and roles and determines redirect if needed
    * @param {string} routeName - Requested route
-   * @returns {string} Target route (may differ from routeName if redirect needed)
+   * @returns {string} Target route (may differ from routeName if redirect needed);
+   *   CONFIG.FORBIDDEN_ROUTE if the user lacks the route's roles
    */
   _checkAuth(routeName) {
     const routeConfig = this._routes[routeName];
@@ -96,97 +281,574 @@ export class Router {
       return CONFIG.AUTH_DEFAULT_ROUTE;
     }
     
+    // Signed in without a role the route needs
+    if (isAuthenticated && !this.canAccess(routeName)) {
+      console.log(`Route guard: current user has no role for ${routeName}`);
+      return CONFIG.FORBIDDEN_ROUTE;
+    }
+    
     return routeName; // No redirect needed
   }
   
   /**
-   * Handles hash change events
+   * Handles location changes (hashchange or popstate, depending on the history strategy)
    */
-  _handleHashChange() {
-    const route = this._parseHash();
+  _handleLocationChange() {
+    const location = this._history.current();
+    const approved = location !== '' && location === this._approvedLocation;
+    this._approvedLocation = null;
     
-    // Check if route exists
-    if (!this._routes[route]) {
-      this.navigate(CONFIG.DEFAULT_ROUTE, { replace: true });
-      return;
+    let path = this._parsePath();
+    
+    // In-page anchors (the skip link's #main-content) are not routes
+    if (!this.matchPath(path) && document.getElementById?.(path)) {
+      if (this._currentRoute) return;
+      path = CONFIG.PAGE_ROUTES[this._currentPage] || CONFIG.DEFAULT_ROUTE;
+    }
+    
+    // Unknown paths show the not-found view - the URL stays as typed
+    let match = this.matchPath(path);
+    if (!match) {
+      console.warn(`Router: No route for "${location}"`);
+      match = this._notFoundMatch(path);
     }
+    const route = match.route;
     
-    // Apply route guards (auth checks)
-    const targetRoute = this._checkAuth(route);
+    // Apply route guards (auth and role checks)
+    let targetRoute = this._checkAuth(route);
     
-    if (targetRoute !== route) {
+    if (targetRoute === CONFIG.FORBIDDEN_ROUTE) {
+      // Explained in place - the URL stays, so signing in with the role works
+      match = this._forbiddenMatch(match);
+      targetRoute = match.route;
+    } else if (targetRoute !== route) {
       // Route was redirected by guard - navigate to target
-      this.navigate(targetRoute, { replace: true });
+      this.navigate(targetRoute, { replace: true, force: true });
+      return;
+    }
+    
+    // Navigation guards (back/forward, typed URLs - navigate() ran them already)
+    const guards = approved ? [] : this._collectGuards(targetRoute);
+    if (guards.length === 0) {
+      this._applyRoute(match);
       return;
     }
     
+    this._runGuards(guards, match).then(result => {
+      if (result === true) {
+        this._applyRoute(match);
+      } else if (typeof result === 'string') {
+        this.navigate(result, { replace: true, force: true });
+      } else if (this._currentLocation !== null) {
+        // Cancelled - put the previous route back without another change event
+        this._history.restore(this._currentLocation);
+      } else {
+        this.navigate(CONFIG.DEFAULT_ROUTE, { replace: true, force: true });
+      }
+    });
+  }
+  
+  /**
+   * Builds the match that shows the not-found view for a path
+   * @param {string} path - Path without a route
+   * @returns {Object} Match for CONFIG.NOT_FOUND_ROUTE
+   * @private
+   */
+  _notFoundMatch(path) {
+    return {
+      route: CONFIG.NOT_FOUND_ROUTE,
+      params: {},
+      modal: null,
+      path,
+      error: { type: 'not-found', path }
+    };
+  }
+  
+  /**
+   * Builds the match that shows the forbidden view instead of a route
+   * @param {Object} match - Match of the route the user has no role for
+   * @returns {Object} Match for CONFIG.FORBIDDEN_ROUTE
+   * @private
+   */
+  _forbiddenMatch(match) {
+    return {
+      route: CONFIG.FORBIDDEN_ROUTE,
+      params: {},
+      modal: null,
+      path: match.path,
+      error: { type: 'forbidden', path: match.path, route: match.route }
+    };
+  }
+  
+  /**
+   * Applies a route that passed all guards
+   * @param {Object} match - Result of matchPath(), may carry a routeError (error)
+   */
+  _applyRoute(match) {
+    const targetRoute = match.route;
+    
     // Check if route requires page navigation
     const targetPage = this._getPageForRoute(targetRoute);
     if (targetPage !== this._currentPage && this._currentPage !== 'index') {
-      // Need to navigate to different page
-      this._navigateToPage(targetPage, targetRoute);
+      // Need to navigate to different page (keeping any deep link and query)
+      this._navigateToPage(targetPage, this._buildLocation(match.path, this._parseQuery()));
       return;
     }
     
     // Same page navigation - update state
     const previousView = this._stateManager.getState('currentView');
     this._currentRoute = targetRoute;
+    this._currentLocation = this._buildLocation(match.path, this._parseQuery());
+    this._params = match.params;
+    if (!match.modal) {
+      this._modalEntryPushed = false;
+    }
     
+    const routeModal = match.modal ? { name: match.modal, params: match.params } : null;
+    const routeError = match.error || null;
+    const queryState = this._queryToState(targetRoute, this._parseQuery());
+    
+    // Opening or closing a deep-linked modal keeps the view underneath as is
+    if (targetRoute === previousView) {
+      this._stateManager.setState({ ...queryState, routeModal, routeError }, { history: false });
+      return;
+    }
+    
+    // Query state goes in first so the new view renders with it
     this._stateManager.setState({
+      ...queryState,
       currentView: targetRoute,
-      previousView: previousView
+      previousView: previousView,
+      routeModal,
+      routeError
+    }, { history: false });
+  }
+  
+  /**
+   * Converts location query params into state updates for a route
+   * @param {string} route - Route name
+   * @param {Object} query - Parsed query params
+   * @returns {Object} State updates (only keys whose value differs)
+   */
+  _queryToState(route, query) {
+    const params = CONFIG.ROUTE_QUERY_PARAMS?.[route];
+    if (!params) return {};
+    
+    const updates = {};
+    Object.keys(params).forEach(name => {
+      const { state, field, default: fallback = null } = params[name];
+      const value = query[name] ?? fallback;
+      
+      if (field) {
+        updates[state] = { ...(updates[state] || this._stateManager.getState(state)), [field]: value };
+      } else {
+        updates[state] = value;
+      }
+    });
+    
+    // Leave out keys that already hold these values
+    Object.keys(updates).forEach(key => {
+      const current = this._stateManager.getState(key);
+      const next = updates[key];
+      const unchanged = next !== null && typeof next === 'object'
+        ? Object.keys(next).every(field => current?.[field] === next[field])
+        : current === next;
+      if (unchanged) delete updates[key];
+    });
+    
+    return updates;
+  }
+  
+  /**
+   * Converts route state into location query params
+   * @param {string} route - Route name
+   * @returns {Object} Query params (defaults left out)
+   */
+  _stateToQuery(route) {
+    const params = CONFIG.ROUTE_QUERY_PARAMS?.[route] || {};
+    const query = {};
+    
+    Object.keys(params).forEach(name => {
+      const { state, field, default: fallback = null } = params[name];
+      const stateValue = this._stateManager.getState(state);
+      const value = field ? stateValue?.[field] : stateValue;
+      if (value !== undefined && value !== null && value !== fallback) {
+        query[name] = value;
+      }
+    });
+    
+    return query;
+  }
+  
+  /**
+   * Subscribes to the state keys of CONFIG.ROUTE_QUERY_PARAMS
+   * so local changes are written back into the location query
+   */
+  _bindQueryState() {
+    const stateKeys = new Set();
+    Object.values(CONFIG.ROUTE_QUERY_PARAMS || {}).forEach(params => {
+      Object.values(params).forEach(param => stateKeys.add(param.state));
+    });
+    
+    stateKeys.forEach(key => {
+      this._stateManager.subscribe(key, (value, oldValue, meta) => {
+        // Another tab's filters must not rewrite this tab's URL
+        if (meta?.source === 'remote') return;
+        this._writeQuery();
+      });
     });
   }
   
+  /**
+   * Writes the current route's state into the location query
+   * Pushes a history entry, unless only replace-params changed
+   */
+  _writeQuery() {
+    const params = CONFIG.ROUTE_QUERY_PARAMS?.[this._currentRoute];
+    if (!params) return;
+    
+    const current = this._parseQuery();
+    const next = this._stateToQuery(this._currentRoute);
+    const changed = Object.keys(params).filter(name => (current[name] ?? null) !== (next[name] ?? null));
+    if (changed.length === 0) return;
+    
+    const location = this._buildLocation(this._parsePath(), next);
+    if (changed.every(name => params[name].replace)) {
+      this._history.replace(location);
+    } else {
+      this._history.push(location);
+    }
+  }
+  
   /**
    * Navigates to a different HTML page
    * @param {string} page - Target page name
-   * @param {string} route - Route to set on target page
+   * @param {string} location - Route location to open on the target page
    */
-  _navigateToPage(page, route) {
-    // Build URL with hash for the route
-    const pageUrl = `${page}.html#${route}`;
-    window.location.href = pageUrl;
+  _navigateToPage(page, location) {
+    // Guards already ran - don't let beforeunload ask a second time
+    this._leavingPage = true;
+    
+    window.location.href = this._history.url(location, page);
   }
   
   /**
    * Navigates to a route with route guards applied
    * Handles cross-page navigation automatically
-   * @param {string} route - Route name
+   * @param {string} route - Route name or parameterized path (e.g. 'referrals/ref-123'),
+   *   may carry a query ('positions?dept=פיתוח')
    * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace] - Replace the current history entry
+   * @param {Object} [options.query] - Query params (e.g. { campaign: 'camp-001' })
+   * @param {boolean} [options.force] - Skip navigation guards (redirects)
+   * @returns {Promise<boolean>} False if a guard cancelled the navigation
    */
-  navigate(route, options = {}) {
-    const { replace = false } = options;
+  async navigate(route, options = {}) {
+    const { replace = false, force = false } = options;
+    
+    // Relative links may carry their query in the path
+    const split = this._splitLocation(route);
+    const query = { ...split.query, ...options.query };
+    
+    // Unknown routes open the not-found view (guards still run)
+    const match = this.matchPath(split.path) || this._notFoundMatch(split.path);
+    
+    const location = this._buildLocation(match.path, query);
     
-    // Check if route exists
-    if (!this._routes[route]) {
-      console.warn(`Router: Unknown route "${route}", redirecting to default`);
-      route = CONFIG.DEFAULT_ROUTE;
+    if (!force) {
+      const guards = this._collectGuards(match.route);
+      if (guards.length > 0) {
+        const result = await this._runGuards(guards, match);
+        if (result === false) return false;
+        if (typeof result === 'string') {
+          return this.navigate(result, { replace: true, force: true });
+        }
+      }
+    }
+    
+    // The location change this causes must not run the guards again
+    if (location !== this._history.current()) {
+      this._approvedLocation = location;
     }
     
     // Check if we need to go to a different page
-    const targetPage = this._getPageForRoute(route);
+    const targetPage = this._getPageForRoute(match.route);
     
     if (targetPage !== this._currentPage && this._currentPage !== 'index') {
       // Cross-page navigation
-      this._navigateToPage(targetPage, route);
-      return;
+      this._navigateToPage(targetPage, location);
+      return true;
     }
     
-    // Same page navigation - use hash
+    // Same page navigation
     if (replace) {
-      window.location.replace(`#${route}`);
+      this._history.replace(location);
+    } else {
+      this._history.push(location);
+    }
+    return true;
+  }
+  
+  /* ==========================================================================
+     LINKS
+     ========================================================================== */
+  
+  /**
+   * Builds the href of a route for rendered links (data-navigate)
+   * Lets links be opened in a new tab or copied with the right URL
+   * @param {string} route - Route name or parameterized path, may carry a query
+   * @param {Object} [query] - Query params
+   * @returns {string} URL for the current history strategy
+   */
+  href(route, query = {}) {
+    const split = this._splitLocation(route);
+    const match = this.matchPath(split.path);
+    const page = match ? this._getPageForRoute(match.route) : this._currentPage;
+    const location = this._buildLocation(split.path, { ...split.query, ...query });
+    return this._history.url(location, page !== this._currentPage ? page : null);
+  }
+  
+  /**
+   * Gets the URL of a page's HTML file (e.g. for links into the apply page)
+   * @param {string} page - Page name
+   * @returns {string} URL relative to the current document, or absolute in history mode
+   */
+  pageFileUrl(page) {
+    return this._history.fileUrl(page);
+  }
+  
+  /**
+   * Checks whether a click on a data-navigate element should be routed in the app
+   * Modified clicks on links (new tab/window, download) are left to the browser
+   * @param {MouseEvent} event - Click event
+   * @param {Element} element - Clicked data-navigate element
+   * @returns {boolean} True if the router should handle it
+   */
+  isRoutableClick(event, element) {
+    if (element.tagName !== 'A') return true;
+    if (event.defaultPrevented || event.button !== 0) return false;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    return !element.target || element.target === '_self';
+  }
+  
+  /* ==========================================================================
+     NAVIGATION GUARDS
+     ========================================================================== */
+  
+  /**
+   * Registers a hook that runs before entering any route
+   * @param {Function} hook - (to, from) => boolean|string|Promise
+   * @returns {Function} Removes the hook
+   */
+  beforeEnter(hook) {
+    this._enterHooks.push(hook);
+    return () => {
+      this._enterHooks = this._enterHooks.filter(h => h !== hook);
+    };
+  }
+  
+  /**
+   * Registers a hook that runs before leaving any route
+   * @param {Function} hook - (to, from) => boolean|string|Promise
+   * @returns {Function} Removes the hook
+   */
+  beforeLeave(hook) {
+    this._leaveHooks.push(hook);
+    return () => {
+      this._leaveHooks = this._leaveHooks.filter(h => h !== hook);
+    };
+  }
+  
+  /**
+   * Registers an unsaved-changes check
+   * While it returns true, leaving the route or page asks for confirmation
+   * @param {Object} owner - Registering component (one check per owner)
+   * @param {Function} isDirty - Returns true when there are unsaved changes
+   * @param {string} [message] - Confirmation text (defaults to a generic one)
+   * @returns {Function} Removes the check
+   */
+  registerDirtyCheck(owner, isDirty, message = DEFAULT_UNSAVED_MESSAGE) {
+    this._dirtyChecks.set(owner, { isDirty, message });
+    return () => {
+      if (this._dirtyChecks.get(owner)?.isDirty === isDirty) {
+        this._dirtyChecks.delete(owner);
+      }
+    };
+  }
+  
+  /**
+   * Finds the first registered check reporting unsaved changes
+   * @returns {Object|null} Dirty check entry
+   * @private
+   */
+  _findDirtyCheck() {
+    for (const entry of this._dirtyChecks.values()) {
+      try {
+        if (entry.isDirty()) return entry;
+      } catch (error) {
+        console.error('Router: Error in dirty check', error);
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Checks whether any registered component has unsaved changes
+   * @returns {boolean} True if leaving would lose data
+   */
+  hasUnsavedChanges() {
+    return this._findDirtyCheck() !== null;
+  }
+  
+  /**
+   * Collects the guards for a route change
+   * @param {string} toRoute - Target route name
+   * @returns {Function[]} Guards to run (empty when staying on the route)
+   * @private
+   */
+  _collectGuards(toRoute) {
+    const fromRoute = this._currentRoute;
+    if (toRoute === fromRoute) return [];
+    
+    const guards = [];
+    if (fromRoute) {
+      const fromConfig = this._routes[fromRoute];
+      if (typeof fromConfig?.beforeLeave === 'function') guards.push(fromConfig.beforeLeave);
+      guards.push(...this._leaveHooks);
+      
+      const dirty = this._findDirtyCheck();
+      if (dirty) guards.push(() => window.confirm(dirty.message));
+    }
+    
+    const toConfig = this._routes[toRoute];
+    if (typeof toConfig?.beforeEnter === 'function') guards.push(toConfig.beforeEnter);
+    guards.push(...this._enterHooks);
+    
+    return guards;
+  }
+  
+  /**
+   * Runs guards in order until one cancels or redirects
+   * A guard that throws cancels the navigation
+   * @param {Function[]} guards - Guards from _collectGuards()
+   * @param {Object} match - Target route match
+   * @returns {Promise<boolean|string>} true, false (cancelled) or a redirect path
+   * @private
+   */
+  async _runGuards(guards, match) {
+    const to = { route: match.route, params: match.params, path: match.path };
+    const from = this._currentRoute ? { route: this._currentRoute, params: this.getParams() } : null;
+    
+    for (const guard of guards) {
+      let result;
+      try {
+        result = await guard(to, from);
+      } catch (error) {
+        console.error('Router: Error in navigation guard', error);
+        return false;
+      }
+      if (result === false || typeof result === 'string') return result;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Pushes the deep link of a modal opened on the current view
+   * so it can be shared and closed with the browser back button
+   * @param {string} modal - Modal name from CONFIG.ROUTE_PATTERNS
+   * @param {Object} params - Route params (e.g. { id })
+   */
+  openModalRoute(modal, params) {
+    const path = this.buildModalPath(modal, params);
+    const match = path ? this.matchPath(path) : null;
+    
+    // Modals opened outside their route (a stamp on the dashboard) keep the URL
+    if (!match || match.route !== this._currentRoute || path === this._parsePath()) return;
+    
+    this._modalEntryPushed = true;
+    this._history.push(this._buildLocation(path, this._parseQuery()));
+  }
+  
+  /**
+   * Drops the deep link of a closed modal from the URL
+   * Steps back over an entry pushed by openModalRoute(), otherwise
+   * (the page was loaded with the deep link) replaces it with the base route
+   */
+  closeModalRoute() {
+    const match = this.matchPath(this._parsePath());
+    if (!match?.modal) {
+      this._modalEntryPushed = false;
+      return;
+    }
+    
+    if (this._modalEntryPushed) {
+      this._modalEntryPushed = false;
+      window.history.back();
     } else {
-      window.location.hash = route;
+      this._history.replace(this._buildLocation(match.route, this._parseQuery()));
     }
   }
   
+  /**
+   * Shows the error view in place of a route that failed to load or render
+   * The URL is kept, so retry() (or a reload) tries the route again
+   * @param {Error} [error] - What went wrong (logged)
+   * @param {Object} [options]
+   * @param {string} [options.message] - Text for the user (a generic one by default)
+   */
+  showError(error, options = {}) {
+    const location = this._history.current();
+    const route = this._currentRoute;
+    console.error(`Router: Route "${route}" failed (${location || 'page default route'})`, error);
+    
+    this._applyRoute({
+      route: CONFIG.ERROR_ROUTE,
+      params: {},
+      modal: null,
+      path: this._parsePath(),
+      error: { type: 'error', path: location, route, message: options.message || null }
+    });
+  }
+  
+  /**
+   * Loads the current location again (e.g. from the error view)
+   */
+  retry() {
+    this._currentRoute = null;
+    this._handleLocationChange();
+  }
+  
   /**
    * Gets current route name
    * @returns {string} Current route
    */
   getCurrentRoute() {
-    return this._currentRoute || this._parseHash();
+    return this._currentRoute || this.matchPath(this._parsePath())?.route || CONFIG.DEFAULT_ROUTE;
+  }
+  
+  /**
+   * Gets the current location (route path plus query) from the URL
+   * @returns {string} Location, or '' when the URL has none
+   */
+  getLocation() {
+    return this._history.current();
+  }
+  
+  /**
+   * Gets the query params of the current route
+   * @returns {Object} Param name → string value
+   */
+  getQuery() {
+    return this._parseQuery();
+  }
+  
+  /**
+   * Gets the params of the current parameterized route
+   * @returns {Object} Route params (empty for plain routes)
+   */
+  getParams() {
+    return { ...this._params };
   }
   
   /**
@@ -198,6 +860,15 @@ export class Router {
     return this._routes[route] || null;
   }
   
+  /**
+   * Checks whether the signed-in user has a role the route needs
+   * @param {string} route - Route name
+   * @returns {boolean} True if the route has no roles or the user has one of them
+   */
+  canAccess(route) {
+    return canAccessRoute(this._stateManager.getState('currentUser'), route);
+  }
+  
   /**
    * Gets current page name
    * @returns {string} Current page
@@ -205,6 +876,14 @@ export class Router {
   getCurrentPage() {
     return this._currentPage;
   }
+  
+  /**
+   * Checks whether the router is navigating away to another page
+   * @returns {boolean} True once a page navigation has started
+   */
+  isLeavingPage() {
+    return this._leavingPage;
+  }
 }
 
 // Global Router singleton instance
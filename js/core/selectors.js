@@ -0,0 +1,122 @@
+/**
+ * PassportCard Refer - Selectors
+ * Shared derived-state selectors used with StateManager.select()
+ */
+
+import { CONFIG } from './config.js';
+
+/* ============================================================================
+   SELECTORS
+   ============================================================================
+   Single source of truth for values derived from state. Each selector is
+   { deps, fn } - fn receives the values of deps (state keys) in order, so
+   StateManager can memoize on those keys and skip recomputation.
+   ========================================================================== */
+
+/**
+ * Referral statuses that count as "in progress"
+ */
+export const IN_PROGRESS_STATUSES = ['submitted', 'review', 'interview', 'offer'];
+
+/**
+ * Computes referral counts by bucket
+ * @param {Array} referrals - Referrals array
+ * @returns {Object} { total, inProgress, hired, rejected }
+ */
+export function computeReferralStats(referrals = []) {
+  const list = referrals || [];
+  return {
+    total: list.length,
+    inProgress: list.filter(r => IN_PROGRESS_STATUSES.includes(r.status)).length,
+    hired: list.filter(r => r.status === 'hired').length,
+    rejected: list.filter(r => r.status === 'rejected').length
+  };
+}
+
+/**
+ * Sums points across earned stamps
+ * @param {Array} stamps - Stamps array
+ * @returns {number} Total points
+ */
+export function computeTotalPoints(stamps = []) {
+  return (stamps || []).reduce((sum, stamp) => sum + (Number(stamp?.points) || 0), 0);
+}
+
+/**
+ * Calculates level information for a points total
+ * @param {number} points - Total points
+ * @returns {Object} { level, levelIndex, nextLevel, pointsToNext, progressPercent }
+ */
+export function computeLevelInfo(points) {
+  const levels = CONFIG.LEVELS;
+
+  let currentIndex = 0;
+  levels.forEach((level, index) => {
+    if (points >= level.min) {
+      currentIndex = index;
+    }
+  });
+
+  const currentLevel = levels[currentIndex];
+  const nextLevel = levels[currentIndex + 1] || null;
+
+  let progressPercent = 100;
+  let pointsToNext = 0;
+
+  if (nextLevel) {
+    const levelRange = nextLevel.min - currentLevel.min;
+    const pointsIntoLevel = points - currentLevel.min;
+    progressPercent = Math.min((pointsIntoLevel / levelRange) * 100, 100);
+    pointsToNext = nextLevel.min - points;
+  }
+
+  return {
+    level: currentLevel.name,
+    levelIndex: currentIndex,
+    nextLevel: nextLevel?.name || null,
+    pointsToNext,
+    progressPercent
+  };
+}
+
+/**
+ * Referral counts: { total, inProgress, hired, rejected }
+ */
+export const referralStatsSelector = {
+  deps: ['referrals'],
+  fn: computeReferralStats
+};
+
+/**
+ * Total points earned from stamps
+ */
+export const totalPointsSelector = {
+  deps: ['stamps'],
+  fn: computeTotalPoints
+};
+
+/**
+ * Level info derived from stamp points
+ */
+export const levelInfoSelector = {
+  deps: ['stamps'],
+  fn: (stamps) => computeLevelInfo(computeTotalPoints(stamps))
+};
+
+/**
+ * Shallow equality used to decide whether a derived value changed
+ * @param {*} a - Previous value
+ * @param {*} b - Next value
+ * @returns {boolean} True if equal
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
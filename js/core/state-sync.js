@@ -0,0 +1,117 @@
+/**
+ * PassportCard Refer - State Sync
+ * Cross-tab transport for persisted state (BroadcastChannel + storage events)
+ */
+
+/* ============================================================================
+   STATE SYNC
+   ============================================================================
+   Delivers persisted-state updates between tabs/windows of the same origin.
+   BroadcastChannel is used where available for low-latency messages; the
+   'storage' event is always listened to as well, so browsers without
+   BroadcastChannel (and updates written by other code paths) still arrive.
+   Conflict resolution is left to the StateManager - this class only moves
+   messages around.
+   ========================================================================== */
+
+export class StateSync {
+  /**
+   * @param {Object} options
+   * @param {string} options.channelName - BroadcastChannel name
+   * @param {string} options.storageKey - localStorage key to watch
+   * @param {string} options.tabId - Identifier of this tab (messages from self are ignored)
+   * @param {Function} options.onChanges - Called with (changes) from a BroadcastChannel message
+   * @param {Function} options.onStorage - Called with (parsedPayload) when the storage key changes
+   */
+  constructor(options) {
+    this._channelName = options.channelName;
+    this._storageKey = options.storageKey;
+    this._tabId = options.tabId;
+    this._onChanges = options.onChanges;
+    this._onStorage = options.onStorage;
+    this._channel = null;
+    this._boundStorageHandler = null;
+    this._started = false;
+  }
+
+  /**
+   * Starts listening for updates from other tabs
+   */
+  start() {
+    if (this._started || typeof window === 'undefined') return;
+    this._started = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      try {
+        this._channel = new BroadcastChannel(this._channelName);
+        this._channel.onmessage = (event) => this._handleMessage(event.data);
+      } catch (error) {
+        console.warn('StateSync: BroadcastChannel unavailable, using storage events only', error);
+        this._channel = null;
+      }
+    }
+
+    this._boundStorageHandler = this._handleStorage.bind(this);
+    window.addEventListener('storage', this._boundStorageHandler);
+  }
+
+  /**
+   * Stops listening and closes the channel
+   */
+  stop() {
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    if (this._boundStorageHandler) {
+      window.removeEventListener('storage', this._boundStorageHandler);
+      this._boundStorageHandler = null;
+    }
+    this._started = false;
+  }
+
+  /**
+   * Sends changed keys to other tabs
+   * @param {Object} changes - Map of key → { value, rev, tabId }
+   */
+  broadcast(changes) {
+    if (!this._channel || Object.keys(changes).length === 0) return;
+
+    try {
+      this._channel.postMessage({ type: 'state-changes', tabId: this._tabId, changes });
+    } catch (error) {
+      console.warn('StateSync: Failed to broadcast changes', error);
+    }
+  }
+
+  /**
+   * Handles a BroadcastChannel message
+   * @param {Object} message - Message data
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message || message.type !== 'state-changes' || message.tabId === this._tabId) {
+      return;
+    }
+    this._onChanges(message.changes || {});
+  }
+
+  /**
+   * Handles a storage event for the watched key
+   * @param {StorageEvent} event - Storage event
+   * @private
+   */
+  _handleStorage(event) {
+    // Removal (logout/clear) is announced through a regular state change,
+    // so only writes need handling here
+    if (event.key !== this._storageKey || !event.newValue) {
+      return;
+    }
+
+    try {
+      this._onStorage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('StateSync: Ignoring unreadable storage update', error);
+    }
+  }
+}
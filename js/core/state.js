@@ -4,6 +4,12 @@
  */
 
 import { CONFIG } from './config.js';
+import { migrateState } from './migrations.js';
+import { StateSync } from './state-sync.js';
+import { createStorageAdapter, isQuotaError } from './storage.js';
+import { PIICipher, AccountKeyStore } from './crypto.js';
+import { accountRegistry } from './accounts.js';
+import { shallowEqual } from './selectors.js';
 
 /* ============================================================================
    STATE MANAGER
@@ -15,7 +21,49 @@ export class StateManager {
   constructor() {
     this._state = this._getInitialState();
     this._listeners = new Map();
+    this._migrationReport = null;
+    
+    // Cross-tab sync: per-key revisions resolved last-writer-wins
+    this._tabId = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    this._clock = 0;
+    this._revisions = {};
+    this._dirtyKeys = new Set();
+    
+    // Undo/redo history of setState transitions
+    this._history = { past: [], future: [] };
+    this._historySeq = 0;
+    this._transaction = null;
+    this._transactionDepth = 0;
+    
+    // Memoized selector results keyed by selector function
+    this._selectorCache = new Map();
+    
+    // setState middleware chain, run in registration order
+    this._middlewares = [];
+    
+    // Storage adapter for large records and blobs (IndexedDB, localStorage fallback)
+    this._storageReady = createStorageAdapter().catch(error => {
+      console.warn('StateManager: No storage adapter available, records will not persist', error);
+      return null;
+    });
+    this._recordWrites = Promise.resolve();
+    
+    // At-rest encryption of candidate PII in stored records and blobs
+    this._keyStore = new AccountKeyStore();
+    this._cipher = new PIICipher(CONFIG.ENCRYPTED_FIELDS, namespace => this._resolveKey(namespace));
+    
     this._loadState();
+    this._initSync();
+    
+    // Records are namespaced per account (user id)
+    this._activeNamespace = this._namespace();
+    if (this._activeNamespace && !accountRegistry.has(this._activeNamespace)) {
+      // Session started before this device kept an account registry
+      accountRegistry.remember(this._state.currentUser);
+    }
+    
+    // Resolves (with the loaded keys) once the signed-in account's records are in state
+    this.ready = this._hydrateRecords();
   }
   
   /**
@@ -28,15 +76,19 @@ export class StateManager {
       isAuthenticated: false,
       currentUser: null,
       sessionToken: null,
+      session: null,
       
       // Navigation (not persisted)
       currentView: 'auth',
       previousView: null,
+      routeModal: null,
+      routeError: null,
       
       // UI State (not persisted)
       isLoading: false,
       activeModal: null,
       toasts: [],
+      storageError: null,
       
       // Data (persisted)
       positions: [],
@@ -50,6 +102,8 @@ export class StateManager {
         location: 'all',
         search: ''
       },
+      campaignFilter: null,
+      positionSort: 'recommended',
       
       // Referral list state (Story 5.1)
       referralFilter: 'all',
@@ -77,9 +131,61 @@ export class StateManager {
   
   /**
    * Updates state and notifies listeners
+   * Updates pass through the middleware chain first (see use())
    * @param {Object} updates - Key-value pairs to update
+   * @param {Object} [options] - Update options
+   * @param {string} [options.label] - Human-readable label for the history entry
+   * @param {boolean} [options.history=true] - Set false to keep this update out of undo history
+   * @returns {boolean} False if a middleware vetoed the update
    */
-  setState(updates) {
+  setState(updates, options = {}) {
+    if (this._middlewares.length === 0) {
+      this._applyUpdates(updates, options);
+      return true;
+    }
+    
+    let applied = false;
+    
+    const dispatch = (index, currentUpdates) => {
+      if (index >= this._middlewares.length) {
+        this._applyUpdates(currentUpdates, options);
+        applied = true;
+        return;
+      }
+      
+      let nextCalled = false;
+      const next = (nextUpdates = currentUpdates) => {
+        if (nextCalled) return;
+        nextCalled = true;
+        dispatch(index + 1, nextUpdates);
+      };
+      
+      const context = {
+        updates: currentUpdates,
+        options,
+        getState: (key) => this.getState(key)
+      };
+      
+      try {
+        this._middlewares[index](context, next);
+      } catch (error) {
+        // A broken middleware must not block state updates
+        console.error('StateManager: Error in middleware', error);
+        next();
+      }
+    };
+    
+    dispatch(0, updates);
+    return applied;
+  }
+  
+  /**
+   * Merges updates into state, records history and commits
+   * @param {Object} updates - Key-value pairs to update
+   * @param {Object} options - setState options
+   * @private
+   */
+  _applyUpdates(updates, options) {
     const previousState = { ...this._state };
     
     // Merge updates into state
@@ -100,13 +206,52 @@ export class StateManager {
       }
     });
     
-    // Notify listeners for changed keys
-    Object.keys(updates).forEach(key => {
+    if (options.history !== false) {
+      this._recordHistory(Object.keys(updates), previousState, options.label);
+    }
+    
+    this._commit(Object.keys(updates), previousState);
+  }
+  
+  /**
+   * Finalizes a state change: stamps sync revisions, notifies and persists
+   * @param {string[]} keys - Changed state keys
+   * @param {Object} previousState - State snapshot before the change
+   * @param {Object} [meta] - Listener meta, e.g. { source: 'history' }
+   * @private
+   */
+  _commit(keys, previousState, meta) {
+    // Switching accounts swaps in the new account's records
+    const resetKeys = this._syncNamespace(keys, previousState);
+    
+    // Stamp a new revision on changed persisted keys
+    keys.forEach(key => {
+      if (CONFIG.PERSIST_KEYS.includes(key)) {
+        this._revisions[key] = { rev: ++this._clock, tabId: this._tabId };
+        this._dirtyKeys.add(key);
+      }
+    });
+    
+    this._notifyListeners([...keys, ...resetKeys], previousState, meta);
+    
+    // Persist relevant keys
+    this.persistState();
+  }
+  
+  /**
+   * Notifies key and wildcard listeners about changed keys
+   * @param {string[]} keys - Changed state keys
+   * @param {Object} previousState - State snapshot before the change
+   * @param {Object} [meta] - Passed to listeners as third argument, e.g. { source: 'remote' }
+   * @private
+   */
+  _notifyListeners(keys, previousState, meta = { source: 'local' }) {
+    keys.forEach(key => {
       if (this._listeners.has(key)) {
         const callbacks = this._listeners.get(key);
         callbacks.forEach(callback => {
           try {
-            callback(this._state[key], previousState[key]);
+            callback(this._state[key], previousState[key], meta);
           } catch (error) {
             console.error(`StateManager: Error in listener for "${key}"`, error);
           }
@@ -118,21 +263,339 @@ export class StateManager {
     if (this._listeners.has('*')) {
       this._listeners.get('*').forEach(callback => {
         try {
-          callback(this._state, previousState);
+          callback(this._state, previousState, meta);
         } catch (error) {
           console.error('StateManager: Error in wildcard listener', error);
         }
       });
     }
+  }
+  
+  /* ==========================================================================
+     MIDDLEWARE
+     ========================================================================== */
+  
+  /**
+   * Registers a setState middleware
+   * Signature: (context, next) where context is { updates, options, getState }.
+   * Call next() to continue, next(newUpdates) to transform, or return without
+   * calling next() to veto. Code after next() runs once the update is applied.
+   * Middlewares are synchronous; undo/redo and updates from other tabs bypass
+   * the chain since they were validated when first applied.
+   * @param {Function} middleware - Middleware function
+   * @returns {Function} Function that removes the middleware
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      console.warn('StateManager: Middleware must be a function');
+      return () => {};
+    }
     
-    // Persist relevant keys
-    this.persistState();
+    this._middlewares.push(middleware);
+    
+    return () => {
+      const index = this._middlewares.indexOf(middleware);
+      if (index > -1) {
+        this._middlewares.splice(index, 1);
+      }
+    };
+  }
+  
+  /* ==========================================================================
+     SELECTORS
+     ========================================================================== */
+  
+  /**
+   * Normalizes select()/subscribeSelector() arguments
+   * Accepts either (fn, deps) or a selector object { fn, deps }
+   * @private
+   */
+  _normalizeSelector(fnOrSelector, deps) {
+    if (typeof fnOrSelector === 'function') {
+      return { fn: fnOrSelector, deps: deps || [] };
+    }
+    return { fn: fnOrSelector.fn, deps: fnOrSelector.deps || [] };
+  }
+  
+  /**
+   * Computes a derived value, memoized on the referenced state keys
+   * The selector is only re-run when one of its deps changed by reference
+   * @param {Function|Object} fnOrSelector - fn(...depValues) or { fn, deps }
+   * @param {string[]} [deps] - State keys passed to fn (when fn is a function)
+   * @returns {*} Derived value
+   */
+  select(fnOrSelector, deps) {
+    const { fn, deps: keys } = this._normalizeSelector(fnOrSelector, deps);
+    const depValues = keys.map(key => this.getState(key));
+    const cached = this._selectorCache.get(fn);
+    
+    if (cached && cached.depValues.length === depValues.length &&
+        cached.depValues.every((value, i) => value === depValues[i])) {
+      return cached.value;
+    }
+    
+    const value = fn(...depValues);
+    this._selectorCache.set(fn, { depValues, value });
+    return value;
+  }
+  
+  /**
+   * Subscribes to a derived value
+   * The callback only fires when the derived value actually changes
+   * (shallow comparison), not on every update of its deps
+   * @param {Function|Object} fnOrSelector - fn(...depValues) or { fn, deps }
+   * @param {string[]|Function} depsOrCallback - Deps array, or the callback when passing a selector object
+   * @param {Function} [callback] - Called with (newValue, oldValue)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeSelector(fnOrSelector, depsOrCallback, callback) {
+    const isSelectorObject = typeof fnOrSelector !== 'function';
+    const selector = this._normalizeSelector(fnOrSelector, isSelectorObject ? null : depsOrCallback);
+    const listener = isSelectorObject ? depsOrCallback : callback;
+    
+    let lastValue = this.select(selector);
+    const handleChange = () => {
+      const nextValue = this.select(selector);
+      if (shallowEqual(lastValue, nextValue)) return;
+      
+      const previousValue = lastValue;
+      lastValue = nextValue;
+      listener(nextValue, previousValue);
+    };
+    
+    const unsubscribers = selector.deps.map(key => this.subscribe(key.split('.')[0], handleChange));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+  
+  /* ==========================================================================
+     UNDO / REDO HISTORY
+     ========================================================================== */
+  
+  /**
+   * Records a setState transition in history (or the open transaction)
+   * @param {string[]} keys - Updated keys
+   * @param {Object} previousState - State snapshot before the change
+   * @param {string} [label] - Entry label
+   * @private
+   */
+  _recordHistory(keys, previousState, label) {
+    const tracked = keys.filter(key =>
+      !CONFIG.HISTORY_EXCLUDE_KEYS.includes(key) &&
+      previousState[key] !== this._state[key]
+    );
+    if (tracked.length === 0) return;
+    
+    const entry = this._transaction || this._createHistoryEntry(label);
+    tracked.forEach(key => {
+      // Keep the earliest "before" so a grouped entry undoes in one step
+      if (!entry.changes.hasOwnProperty(key)) {
+        entry.changes[key] = { before: previousState[key] };
+      }
+      entry.changes[key].after = this._state[key];
+    });
+    
+    if (!this._transaction) {
+      this._pushHistoryEntry(entry);
+    }
+  }
+  
+  /**
+   * Creates an empty history entry
+   * @param {string} [label] - Entry label
+   * @returns {Object} { id, label, timestamp, changes }
+   * @private
+   */
+  _createHistoryEntry(label) {
+    return { id: ++this._historySeq, label: label || null, timestamp: Date.now(), changes: {} };
+  }
+  
+  /**
+   * Adds an entry to the undo stack and drops the redo branch
+   * @param {Object} entry - History entry
+   * @private
+   */
+  _pushHistoryEntry(entry) {
+    this._history.past.push(entry);
+    if (this._history.past.length > CONFIG.HISTORY_LIMIT) {
+      this._history.past.shift();
+    }
+    this._history.future = [];
+  }
+  
+  /**
+   * Starts grouping subsequent setState calls into one undoable entry
+   * Transactions nest - only the outermost commit creates the entry
+   * @param {string} [label] - Entry label
+   */
+  beginTransaction(label) {
+    if (this._transactionDepth === 0) {
+      this._transaction = this._createHistoryEntry(label);
+    }
+    this._transactionDepth++;
+  }
+  
+  /**
+   * Closes the current transaction and records it as a single entry
+   */
+  commitTransaction() {
+    if (this._transactionDepth === 0) {
+      console.warn('StateManager: commitTransaction called without an open transaction');
+      return;
+    }
+    
+    this._transactionDepth--;
+    if (this._transactionDepth > 0) return;
+    
+    const entry = this._transaction;
+    this._transaction = null;
+    if (Object.keys(entry.changes).length > 0) {
+      this._pushHistoryEntry(entry);
+    }
+  }
+  
+  /**
+   * Runs fn with all its setState calls grouped into one undoable entry
+   * Async functions keep the transaction open until their promise settles
+   * @param {string} label - Entry label
+   * @param {Function} fn - Function performing the updates
+   * @returns {*} Return value of fn
+   */
+  transaction(label, fn) {
+    this.beginTransaction(label);
+    
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.commitTransaction();
+      throw error;
+    }
+    
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => this.commitTransaction());
+    }
+    
+    this.commitTransaction();
+    return result;
+  }
+  
+  /**
+   * Reverts the most recent history entry
+   * @param {Object} [options]
+   * @param {number} [options.entryId] - Only undo if the most recent entry is this one
+   *   (id from getHistory()) - e.g. an undo button shown for a specific change
+   * @returns {Object|null} Summary of the undone entry, or null if nothing to undo
+   */
+  undo(options = {}) {
+    if (this._transaction) {
+      console.warn('StateManager: Cannot undo while a transaction is open');
+      return null;
+    }
+    
+    const latest = this._history.past[this._history.past.length - 1];
+    if (!latest || (options.entryId !== undefined && latest.id !== options.entryId)) return null;
+    
+    const entry = this._history.past.pop();
+    
+    // Move the entry first, so listeners see the history they end up in
+    this._history.future.push(entry);
+    this._applyHistoryEntry(entry, 'before');
+    return this._summarizeEntry(entry);
+  }
+  
+  /**
+   * Re-applies the most recently undone entry
+   * @returns {Object|null} Summary of the redone entry, or null if nothing to redo
+   */
+  redo() {
+    if (this._transaction) {
+      console.warn('StateManager: Cannot redo while a transaction is open');
+      return null;
+    }
+    
+    const entry = this._history.future.pop();
+    if (!entry) return null;
+    
+    this._history.past.push(entry);
+    this._applyHistoryEntry(entry, 'after');
+    return this._summarizeEntry(entry);
+  }
+  
+  /**
+   * Time-travels to a position in history (number of applied entries)
+   * @param {number} index - 0 reverts everything, past.length + future.length replays everything
+   */
+  goToHistory(index) {
+    while (this._history.past.length > index && this.undo()) { /* step back */ }
+    while (this._history.past.length < index && this.redo()) { /* step forward */ }
+  }
+  
+  /**
+   * @returns {boolean} True if there is an entry to undo
+   */
+  canUndo() {
+    return this._history.past.length > 0;
+  }
+  
+  /**
+   * @returns {boolean} True if there is an entry to redo
+   */
+  canRedo() {
+    return this._history.future.length > 0;
+  }
+  
+  /**
+   * Gets a read-only summary of history (for debug panels)
+   * @returns {Object} { past, future } arrays of { id, label, timestamp, keys }
+   */
+  getHistory() {
+    return {
+      past: this._history.past.map(entry => this._summarizeEntry(entry)),
+      future: this._history.future.map(entry => this._summarizeEntry(entry))
+    };
+  }
+  
+  /**
+   * Drops all undo/redo entries
+   */
+  clearHistory() {
+    this._history = { past: [], future: [] };
+  }
+  
+  /**
+   * Writes one side of a history entry back into state
+   * Values are assigned directly (no deep merge) so nested objects are restored exactly
+   * @param {Object} entry - History entry
+   * @param {string} side - 'before' or 'after'
+   * @private
+   */
+  _applyHistoryEntry(entry, side) {
+    const previousState = { ...this._state };
+    const keys = Object.keys(entry.changes);
+    keys.forEach(key => {
+      this._state[key] = entry.changes[key][side];
+    });
+    this._commit(keys, previousState, { source: 'history' });
+  }
+  
+  /**
+   * @param {Object} entry - History entry
+   * @returns {Object} { label, timestamp, keys }
+   * @private
+   */
+  _summarizeEntry(entry) {
+    return {
+      id: entry.id,
+      label: entry.label,
+      timestamp: entry.timestamp,
+      keys: Object.keys(entry.changes)
+    };
   }
   
   /**
    * Subscribes to state changes
    * @param {string} key - State key to watch (or '*' for all changes)
-   * @param {Function} callback - Called with (newValue, oldValue)
+   * @param {Function} callback - Called with (newValue, oldValue, meta) - meta.source is 'local', 'remote' (another tab) or 'history' (undo/redo)
    * @returns {Function} Unsubscribe function
    */
   subscribe(key, callback) {
@@ -166,6 +629,22 @@ export class StateManager {
     this._debouncedPersist();
   }
   
+  /**
+   * Persists pending changes now, skipping the debounce
+   * (e.g. before another tab reads them - see syncFromStorage)
+   */
+  persistNow() {
+    this._persistStateImmediate();
+  }
+  
+  /**
+   * Adopts the values other tabs have persisted since the last sync,
+   * without waiting for their broadcast
+   */
+  syncFromStorage() {
+    this._mergeStoredState();
+  }
+  
   /**
    * Creates debounced persist function (100ms debounce for batching rapid updates)
    * @private
@@ -186,18 +665,733 @@ export class StateManager {
    */
   _persistStateImmediate() {
     try {
-      const stateToPersist = {};
+      // Another tab may have written newer values since we last looked -
+      // adopt them first so a stale tab never overwrites fresher data
+      const staleRecordKeys = this._mergeStoredState();
+      
+      const stateToPersist = {
+        [CONFIG.STATE_VERSION_KEY]: CONFIG.STATE_SCHEMA_VERSION,
+        [CONFIG.STATE_REVISIONS_KEY]: { ...this._revisions }
+      };
       CONFIG.PERSIST_KEYS.forEach(key => {
-        stateToPersist[key] = this._state[key];
+        if (!this._isRecordKey(key)) {
+          stateToPersist[key] = this._state[key];
+        }
+      });
+      
+      // Record keys go to the storage adapter; skip any that another tab
+      // has already replaced with a newer record
+      const records = {};
+      this._dirtyKeys.forEach(key => {
+        if (this._isRecordKey(key) && !staleRecordKeys.includes(key)) {
+          records[key] = {
+            value: this._state[key],
+            ...this._revisions[key],
+            version: CONFIG.STATE_SCHEMA_VERSION
+          };
+        }
       });
+      this._writeRecords(records, this._namespace());
+      
       localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(stateToPersist));
+      
+      this._broadcastDirtyKeys();
     } catch (error) {
-      console.warn('StateManager: Failed to persist state', error);
+      this._handleStorageError(error);
     }
   }
   
+  /* ==========================================================================
+     STORAGE ADAPTER
+     ========================================================================== */
+  
+  /**
+   * Checks whether a key is stored as an adapter record
+   * @param {string} key - State key
+   * @returns {boolean} True for CONFIG.RECORD_PERSIST_KEYS
+   * @private
+   */
+  _isRecordKey(key) {
+    return CONFIG.RECORD_PERSIST_KEYS.includes(key);
+  }
+  
+  /**
+   * Gets the storage namespace of the signed-in account
+   * @returns {string|null} User id, or null when signed out
+   * @private
+   */
+  _namespace() {
+    return this._state.currentUser?.id || null;
+  }
+  
+  /**
+   * Builds the adapter key of a record or blob inside a namespace
+   * @param {string} namespace - Account namespace
+   * @param {string} key - Record key or blob id
+   * @returns {string} Namespaced key
+   * @private
+   */
+  _scopedKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+  
+  /**
+   * Handles a change of signed-in account
+   * Pending writes of the previous account are flushed to its namespace, and
+   * record keys the update did not set are emptied and reloaded from the new
+   * account's namespace (see this.ready)
+   * @param {string[]} keys - Keys changed by the current update
+   * @param {Object} previousState - State before the update
+   * @returns {string[]} Record keys that were reset
+   * @private
+   */
+  _syncNamespace(keys, previousState) {
+    const namespace = this._namespace();
+    const previousNamespace = this._activeNamespace;
+    if (namespace === previousNamespace) return [];
+    
+    this._activeNamespace = namespace;
+    
+    if (previousNamespace) {
+      const pending = {};
+      this._dirtyKeys.forEach(key => {
+        if (this._isRecordKey(key)) {
+          pending[key] = {
+            value: previousState[key],
+            ...this._revisions[key],
+            version: CONFIG.STATE_SCHEMA_VERSION
+          };
+          this._dirtyKeys.delete(key);
+        }
+      });
+      this._writeRecords(pending, previousNamespace);
+    }
+    
+    const initial = this._getInitialState();
+    const resetKeys = CONFIG.RECORD_PERSIST_KEYS.filter(key => !keys.includes(key));
+    resetKeys.forEach(key => {
+      this._state[key] = initial[key];
+      delete this._revisions[key];
+    });
+    
+    this.ready = this._hydrateRecords(resetKeys);
+    return resetKeys;
+  }
+  
+  /**
+   * Runs a callback with the opened storage adapter
+   * @param {Function} fn - Called with the adapter
+   * @returns {Promise<*>} Callback result, or undefined without an adapter
+   * @private
+   */
+  async _withStorage(fn) {
+    const storage = await this._storageReady;
+    if (!storage) return undefined;
+    return fn(storage);
+  }
+  
+  /**
+   * Replaces the storage adapter and copies current records into it
+   * @param {Object} adapter - Adapter implementing the interface in storage.js
+   * @returns {Promise<void>} Resolves once the adapter is open
+   */
+  setStorageAdapter(adapter) {
+    this._storageReady = Promise.resolve(adapter.open()).then(() => adapter);
+    
+    // Copy the signed-in account's records into the new adapter
+    if (this._namespace()) {
+      CONFIG.RECORD_PERSIST_KEYS.forEach(key => {
+        if (!this._revisions[key]) {
+          this._revisions[key] = { rev: ++this._clock, tabId: this._tabId };
+        }
+        this._dirtyKeys.add(key);
+      });
+      this.persistState();
+    }
+    
+    return this._storageReady.then(() => {});
+  }
+  
+  /**
+   * Loads the signed-in account's records, keeping whichever revision is newer
+   * @param {string[]} [keys] - Record keys to load (defaults to all)
+   * @returns {Promise<string[]>} Keys that were loaded from storage
+   * @private
+   */
+  async _hydrateRecords(keys = CONFIG.RECORD_PERSIST_KEYS) {
+    const namespace = this._namespace();
+    if (!namespace || keys.length === 0) return [];
+    
+    try {
+      const scopedKeys = keys.map(key => this._scopedKey(namespace, key));
+      const stored = await this._withStorage(storage => storage.getRecords(scopedKeys)) || {};
+      const changes = {};
+      const unsealedKeys = [];
+      
+      for (const key of keys) {
+        const record = stored[this._scopedKey(namespace, key)];
+        if (!record) continue;
+        
+        const opened = await this._openRecord(key, record, namespace);
+        if (!opened) continue;
+        if (this._cipher.handles(key) && this._hasUnsealedItems(record.value)) {
+          unsealedKeys.push(key);
+        }
+        
+        const value = this._migrateRecord(key, opened);
+        if (value !== undefined) {
+          changes[key] = { value, rev: record.rev, tabId: record.tabId };
+        }
+      }
+      
+      // The account changed while we were reading - these records are stale
+      if (namespace !== this._namespace()) return [];
+      
+      this._applyRemoteChanges(changes, { source: 'storage' });
+      
+      // Records written before encryption - rewrite them sealed
+      if (unsealedKeys.length > 0) {
+        unsealedKeys.forEach(key => this._dirtyKeys.add(key));
+        this.persistState();
+      }
+      return Object.keys(changes);
+    } catch (error) {
+      console.warn('StateManager: Failed to load stored records', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Upgrades a single stored record to the current schema version
+   * The upgraded value is written back the next time the key changes
+   * @param {string} key - State key
+   * @param {Object} record - { value, rev, tabId, version }
+   * @returns {*} Migrated value, or undefined if the record cannot be used
+   * @private
+   */
+  _migrateRecord(key, record) {
+    if (record.version === CONFIG.STATE_SCHEMA_VERSION) {
+      return record.value;
+    }
+    
+    const { state, report } = migrateState({
+      [CONFIG.STATE_VERSION_KEY]: record.version,
+      [key]: record.value
+    });
+    
+    if (!state) {
+      console.warn(`StateManager: Ignoring stored "${key}" record - ${report.error}`);
+      return undefined;
+    }
+    return state[key];
+  }
+  
+  /**
+   * Gets an account's PII key for the cipher
+   * Accounts on this device get their key created on first use
+   * @param {string} namespace - Account namespace (user id)
+   * @returns {Promise<CryptoKey|null>} Key, or null if there is none
+   * @private
+   */
+  _resolveKey(namespace) {
+    return this._keyStore.getKey(namespace, { create: accountRegistry.has(namespace) });
+  }
+  
+  /**
+   * Forgets the PII keys held in memory (call on logout)
+   * The account keys stay in the key store - the next sign-in needs them to
+   * read the account's records - until the account is purged.
+   */
+  wipeEncryptionKeys() {
+    this._cipher.wipe();
+  }
+  
+  /**
+   * Checks whether a stored list has items stored before encryption existed
+   * @param {Array} items - Stored items
+   * @returns {boolean} True if any item is stored plain
+   * @private
+   */
+  _hasUnsealedItems(items) {
+    return Array.isArray(items) && items.some(item => !this._cipher.isSealed(item));
+  }
+  
+  /**
+   * Decrypts the PII fields of a stored record
+   * @param {string} key - State key
+   * @param {Object} record - { value, rev, tabId, version }
+   * @param {string} namespace - Account the record belongs to
+   * @returns {Promise<Object|null>} Record with a plain value, or null if it cannot be read
+   * @private
+   */
+  async _openRecord(key, record, namespace) {
+    if (!this._cipher.handles(key)) return record;
+    
+    try {
+      return { ...record, value: await this._cipher.decryptList(namespace, record.value) };
+    } catch (error) {
+      console.warn(`StateManager: Cannot decrypt stored "${key}" for this session, ignoring it`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Encrypts the PII fields of records and scopes them to a namespace
+   * @param {Object} records - Map of key → { value, rev, tabId, version }
+   * @param {string} namespace - Account the records belong to
+   * @returns {Promise<Object>} Sealed records keyed by namespaced key
+   * @private
+   */
+  async _sealRecords(records, namespace) {
+    const sealed = {};
+    for (const key of Object.keys(records)) {
+      const record = records[key];
+      sealed[this._scopedKey(namespace, key)] = this._cipher.handles(key)
+        ? { ...record, value: await this._cipher.encryptList(namespace, key, record.value) }
+        : record;
+    }
+    return sealed;
+  }
+  
+  /**
+   * Queues records for writing to an account's namespace
+   * Writes run one at a time so encryption cannot reorder them.
+   * Nothing is written while signed out.
+   * @param {Object} records - Map of key → { value, rev, tabId, version }
+   * @param {string|null} namespace - Account the records belong to
+   * @returns {Promise<boolean|undefined>} Resolves once written - true if stored
+   * @private
+   */
+  _writeRecords(records, namespace) {
+    if (!namespace || Object.keys(records).length === 0) return this._recordWrites;
+    
+    this._recordWrites = this._recordWrites.then(() => this._writeRecordsNow(records, namespace));
+    return this._recordWrites;
+  }
+  
+  /**
+   * Encrypts and writes records to the storage adapter
+   * On a quota error, unreferenced blobs are removed and the write retried once.
+   * Records whose PII cannot be encrypted are kept in memory only.
+   * @param {Object} records - Map of key → { value, rev, tabId, version }
+   * @param {string} namespace - Account the records belong to
+   * @returns {Promise<boolean>} True if stored
+   * @private
+   */
+  async _writeRecordsNow(records, namespace) {
+    let sealed;
+    try {
+      sealed = await this._sealRecords(records, namespace);
+    } catch (error) {
+      console.warn('StateManager: Encryption unavailable, not persisting records with personal data', error);
+      return false;
+    }
+    
+    try {
+      await this._withStorage(storage => storage.putRecords(sealed));
+      return true;
+    } catch (error) {
+      if (isQuotaError(error) && await this._pruneOrphanBlobs(namespace)) {
+        try {
+          await this._withStorage(storage => storage.putRecords(sealed));
+          return true;
+        } catch (retryError) {
+          this._handleStorageError(retryError);
+          return false;
+        }
+      }
+      this._handleStorageError(error);
+      return false;
+    }
+  }
+  
+  /**
+   * Surfaces a failed write through the storageError state key
+   * State stays usable in memory; the UI decides how to tell the user.
+   * The error stays set for the rest of the page session.
+   * @param {Error} error - Error thrown by the write
+   * @private
+   */
+  _handleStorageError(error) {
+    const type = isQuotaError(error) ? 'quota' : 'failed';
+    console.warn(`StateManager: Failed to persist state (${type})`, error);
+    
+    if (this._state.storageError?.type !== type) {
+      this.setState({ storageError: { type, at: new Date().toISOString() } }, { history: false });
+    }
+  }
+  
+  /**
+   * Gets the signed-in account's records from memory
+   * @returns {Object} { referrals, stamps, activities }
+   * @private
+   */
+  _currentRecords() {
+    const records = {};
+    CONFIG.RECORD_PERSIST_KEYS.forEach(key => {
+      records[key] = this._state[key] || [];
+    });
+    return records;
+  }
+  
+  /**
+   * Reads the records of an account on this device
+   * The signed-in account's records come from memory; any other known
+   * account's are read from storage and opened with its own key.
+   * @param {string} userId - Account to read
+   * @returns {Promise<Object|null>} { referrals, stamps, activities }, or null if
+   *   the account is not known on this device or its data can't be read
+   */
+  async getAccountRecords(userId) {
+    if (!userId || !accountRegistry.has(userId)) return null;
+    
+    if (userId === this._namespace()) {
+      await this.ready;
+      return this._currentRecords();
+    }
+    
+    // Let queued writes for this account land before reading it
+    await this._recordWrites;
+    
+    const keys = CONFIG.RECORD_PERSIST_KEYS;
+    const stored = await this._withStorage(storage =>
+      storage.getRecords(keys.map(key => this._scopedKey(userId, key)))
+    ) || {};
+    
+    const records = {};
+    for (const key of keys) {
+      const record = stored[this._scopedKey(userId, key)];
+      if (!record) {
+        records[key] = [];
+        continue;
+      }
+      
+      const opened = await this._openRecord(key, record, userId);
+      const value = opened ? this._migrateRecord(key, opened) : undefined;
+      if (value === undefined) return null;
+      records[key] = value;
+    }
+    return records;
+  }
+  
+  /**
+   * Updates the records of an account on this device
+   * The signed-in account is updated through setState (so open tabs see the
+   * change); any other known account has its records read, updated and
+   * written back sealed with its own key, to be loaded at its next sign-in.
+   * @param {string} userId - Account to update
+   * @param {Function} update - (records: { referrals, stamps, activities }) => record keys to replace
+   * @returns {Promise<boolean>} False if the account is not known on this device
+   *   or its records can't be read
+   */
+  async updateAccountRecords(userId, update) {
+    if (!userId || !accountRegistry.has(userId)) return false;
+    
+    if (userId === this._namespace()) {
+      await this.ready;
+      return this.setState(update(this._currentRecords()), { history: false });
+    }
+    
+    // Never replace data we could not read
+    const records = await this.getAccountRecords(userId);
+    if (!records) return false;
+    
+    const changes = update(records);
+    const writes = {};
+    Object.keys(changes).filter(key => this._isRecordKey(key)).forEach(key => {
+      writes[key] = {
+        value: changes[key],
+        rev: ++this._clock,
+        tabId: this._tabId,
+        version: CONFIG.STATE_SCHEMA_VERSION
+      };
+    });
+    
+    return await this._writeRecords(writes, userId) === true;
+  }
+  
+  /**
+   * Stores a file (e.g. an uploaded résumé) in an account's namespace
+   * Files are encrypted with the account key; the file name is not stored
+   * (keep it on the referencing record, where it is encrypted as PII)
+   * @param {string} id - Blob id to reference from state
+   * @param {Blob} blob - File or Blob
+   * @param {string} [userId] - Owning account (defaults to the signed-in one)
+   * @returns {Promise<boolean>} True if stored
+   */
+  async saveBlob(id, blob, userId = this._namespace()) {
+    if (!userId) return false;
+    
+    let sealed;
+    try {
+      const bytes = await blob.arrayBuffer();
+      sealed = await this._cipher.encryptBytes(userId, bytes);
+    } catch (error) {
+      console.warn('StateManager: Encryption unavailable, not storing file', error);
+      return false;
+    }
+    
+    try {
+      const storage = await this._storageReady;
+      if (!storage) return false;
+      await storage.putBlob(this._scopedKey(userId, id), new Blob([sealed.data]), {
+        name: null,
+        type: blob.type || null,
+        size: blob.size,
+        iv: sealed.iv
+      });
+      return true;
+    } catch (error) {
+      this._handleStorageError(error);
+      return false;
+    }
+  }
+  
+  /**
+   * Reads and decrypts a stored file
+   * @param {string} id - Blob id
+   * @returns {Promise<Object|null>} { blob, type, size, savedAt } or null
+   */
+  async getBlob(id) {
+    const namespace = this._namespace();
+    if (!namespace) return null;
+    
+    try {
+      const entry = await this._withStorage(storage => storage.getBlob(this._scopedKey(namespace, id)));
+      if (!entry) return null;
+      
+      const bytes = await entry.blob.arrayBuffer();
+      const plain = await this._cipher.decryptBytes(namespace, entry.iv, bytes);
+      const { iv, ...meta } = entry;
+      return { ...meta, id, blob: new Blob([plain], { type: entry.type || '' }) };
+    } catch (error) {
+      console.warn(`StateManager: Failed to read blob "${id}"`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Removes a stored file
+   * @param {string} id - Blob id
+   * @returns {Promise<void>}
+   */
+  async deleteBlob(id) {
+    const namespace = this._namespace();
+    if (!namespace) return;
+    
+    try {
+      await this._withStorage(storage => storage.deleteBlob(this._scopedKey(namespace, id)));
+    } catch (error) {
+      console.warn(`StateManager: Failed to delete blob "${id}"`, error);
+    }
+  }
+  
+  /**
+   * Deletes an account's stored blobs that no referral points to any more
+   * @param {string} namespace - Account namespace
+   * @returns {Promise<boolean>} True if anything was freed
+   * @private
+   */
+  async _pruneOrphanBlobs(namespace) {
+    // Only the signed-in account's referrals are known here
+    if (namespace !== this._namespace()) return false;
+    
+    try {
+      const referenced = new Set(
+        (this._state.referrals || [])
+          .map(referral => referral.resumeBlobId)
+          .filter(Boolean)
+          .map(id => this._scopedKey(namespace, id))
+      );
+      const prefix = this._scopedKey(namespace, '');
+      const ids = await this._withStorage(storage => storage.listBlobIds()) || [];
+      const orphans = ids.filter(id => id.startsWith(prefix) && !referenced.has(id));
+      
+      for (const id of orphans) {
+        await this._withStorage(storage => storage.deleteBlob(id));
+      }
+      return orphans.length > 0;
+    } catch (error) {
+      console.warn('StateManager: Failed to prune stored blobs', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Removes an account's records and blobs (e.g. résumé files) from this device,
+   * forgets the account and deletes its key, so anything left behind can no
+   * longer be decrypted
+   * @param {string} userId - Account to purge
+   * @returns {Promise<void>}
+   */
+  purgeAccountData(userId) {
+    if (!userId) return Promise.resolve();
+    
+    accountRegistry.forget(userId);
+    this._cipher.wipe();
+    
+    // Queued behind pending record writes (e.g. the ones flushed to the
+    // account's namespace when it signs out), so none of them lands after
+    // the clear
+    this._recordWrites = this._recordWrites.then(() => Promise.all([
+      this._keyStore.deleteKey(userId),
+      this._withStorage(storage => storage.clear(this._scopedKey(userId, '')))
+    ])).then(() => {}).catch(error => {
+      console.warn('StateManager: Failed to purge account data', error);
+    });
+    return this._recordWrites;
+  }
+  
+  /* ==========================================================================
+     CROSS-TAB SYNC
+     ========================================================================== */
+  
+  /**
+   * Starts listening for state changes made in other tabs/windows
+   * @private
+   */
+  _initSync() {
+    this._sync = new StateSync({
+      channelName: CONFIG.SYNC_CHANNEL_NAME,
+      storageKey: CONFIG.STORAGE_KEY,
+      tabId: this._tabId,
+      onChanges: (changes) => this._applyRemoteChanges(changes),
+      onStorage: (payload) => this._applyStoredPayload(payload)
+    });
+    this._sync.start();
+  }
+  
+  /**
+   * Sends keys changed since the last persist to other tabs
+   * @private
+   */
+  _broadcastDirtyKeys() {
+    if (this._dirtyKeys.size === 0) return;
+    
+    const changes = {};
+    this._dirtyKeys.forEach(key => {
+      changes[key] = { value: this._state[key], ...this._revisions[key] };
+    });
+    this._dirtyKeys.clear();
+    
+    this._sync?.broadcast(changes);
+  }
+  
+  /**
+   * Reads the stored blob and adopts any keys with a newer revision
+   * @returns {string[]} Record keys that are newer in storage (being reloaded)
+   * @private
+   */
+  _mergeStoredState() {
+    const stored = localStorage.getItem(CONFIG.STORAGE_KEY);
+    if (!stored) return [];
+    
+    try {
+      return this._applyStoredPayload(JSON.parse(stored));
+    } catch (error) {
+      // Unreadable blob - it is about to be overwritten anyway
+      return [];
+    }
+  }
+  
+  /**
+   * Applies a persisted blob written by another tab
+   * Record keys are not in the blob - only their revisions are - so newer
+   * ones are reloaded from the storage adapter
+   * @param {Object} payload - Parsed persisted state
+   * @returns {string[]} Record keys being reloaded
+   * @private
+   */
+  _applyStoredPayload(payload) {
+    this._applyRemoteChanges(this._changesFromPayload(payload));
+    
+    if (!payload || payload[CONFIG.STATE_VERSION_KEY] !== CONFIG.STATE_SCHEMA_VERSION) {
+      return [];
+    }
+    
+    const revisions = payload[CONFIG.STATE_REVISIONS_KEY] || {};
+    const staleKeys = CONFIG.RECORD_PERSIST_KEYS.filter(key =>
+      !payload.hasOwnProperty(key) &&
+      this._isNewerRevision(revisions[key], this._revisions[key])
+    );
+    
+    if (staleKeys.length > 0) {
+      this._hydrateRecords(staleKeys);
+    }
+    return staleKeys;
+  }
+  
+  /**
+   * Converts a persisted blob into a per-key change map
+   * Payloads from a different schema version are ignored
+   * @param {Object} payload - Parsed persisted state
+   * @returns {Object} Map of key → { value, rev, tabId }
+   * @private
+   */
+  _changesFromPayload(payload) {
+    const changes = {};
+    if (!payload || payload[CONFIG.STATE_VERSION_KEY] !== CONFIG.STATE_SCHEMA_VERSION) {
+      return changes;
+    }
+    
+    const revisions = payload[CONFIG.STATE_REVISIONS_KEY] || {};
+    CONFIG.PERSIST_KEYS.forEach(key => {
+      if (payload.hasOwnProperty(key) && revisions[key]) {
+        changes[key] = { value: payload[key], ...revisions[key] };
+      }
+    });
+    return changes;
+  }
+  
+  /**
+   * Checks whether an incoming revision beats the local one
+   * Higher revision wins; ties are broken by tab id so every tab
+   * resolves the same conflict the same way
+   * @param {Object} incoming - { rev, tabId }
+   * @param {Object} [current] - { rev, tabId }
+   * @returns {boolean} True if the incoming value should be applied
+   * @private
+   */
+  _isNewerRevision(incoming, current) {
+    if (!incoming || typeof incoming.rev !== 'number') return false;
+    if (!current) return true;
+    if (incoming.rev !== current.rev) return incoming.rev > current.rev;
+    return String(incoming.tabId) > String(current.tabId);
+  }
+  
+  /**
+   * Merges changes from another tab (or the storage adapter) and notifies subscribers
+   * @param {Object} changes - Map of key → { value, rev, tabId }
+   * @param {Object} [meta] - Listener meta
+   * @private
+   */
+  _applyRemoteChanges(changes, meta = { source: 'remote' }) {
+    const accepted = Object.keys(changes).filter(key =>
+      CONFIG.PERSIST_KEYS.includes(key) &&
+      this._isNewerRevision(changes[key], this._revisions[key])
+    );
+    
+    if (accepted.length === 0) return;
+    
+    const previousState = { ...this._state };
+    accepted.forEach(key => {
+      const { value, rev, tabId } = changes[key];
+      this._state[key] = value;
+      this._revisions[key] = { rev, tabId };
+      this._clock = Math.max(this._clock, rev);
+      // Our pending local write for this key lost the conflict
+      this._dirtyKeys.delete(key);
+    });
+    
+    // Another tab signed in as someone else
+    const resetKeys = this._syncNamespace(accepted, previousState);
+    
+    this._notifyListeners([...accepted, ...resetKeys], previousState, meta);
+  }
+  
   /**
    * Loads persisted state from localStorage
+   * Older payloads are upgraded through the migration registry first
    */
   _loadState() {
     try {
@@ -205,14 +1399,53 @@ export class StateManager {
       if (!stored) return;
       
       const parsed = JSON.parse(stored);
+      const { state: migrated, report } = migrateState(parsed);
+      this._migrationReport = report;
+      
+      // Migration failed or payload is from a newer build - keep a copy
+      // of the raw blob for recovery and start from a clean session
+      if (!migrated) {
+        console.warn(`StateManager: ${report.error}, resetting persisted state`);
+        this._backupPayload(stored);
+        this._clearSession();
+        return;
+      }
       
       // Only restore persisted keys
       CONFIG.PERSIST_KEYS.forEach(key => {
-        if (parsed.hasOwnProperty(key)) {
-          this._state[key] = parsed[key];
+        if (migrated.hasOwnProperty(key)) {
+          this._state[key] = migrated[key];
+        }
+      });
+      
+      // Restore sync revisions so this tab continues the shared clock.
+      // Record keys take their revision from the adapter record on hydrate.
+      const revisions = migrated[CONFIG.STATE_REVISIONS_KEY] || {};
+      Object.keys(revisions).forEach(key => {
+        if (typeof revisions[key]?.rev !== 'number') return;
+        this._clock = Math.max(this._clock, revisions[key].rev);
+        if (!this._isRecordKey(key) || migrated.hasOwnProperty(key)) {
+          this._revisions[key] = revisions[key];
         }
       });
       
+      // Blobs written before the storage adapter existed carry record keys
+      // inline - give them a fresh revision so they move to the adapter
+      const inlineRecordKeys = CONFIG.RECORD_PERSIST_KEYS.filter(key => migrated.hasOwnProperty(key));
+      inlineRecordKeys.forEach(key => {
+        this._revisions[key] = { rev: ++this._clock, tabId: this._tabId };
+        this._dirtyKeys.add(key);
+      });
+      
+      if (report.status === 'migrated') {
+        console.log(`StateManager: Migrated persisted state v${report.fromVersion} → v${report.toVersion}`, report.applied);
+      }
+      
+      // Write back immediately so the upgrade/move only runs once
+      if (report.status === 'migrated' || inlineRecordKeys.length > 0) {
+        this._persistStateImmediate();
+      }
+      
       // Validate the restored session
       if (!this._validateSession()) {
         console.warn('StateManager: Invalid session detected, clearing...');
@@ -224,6 +1457,27 @@ export class StateManager {
     }
   }
   
+  /**
+   * Stores a raw persisted payload that could not be migrated
+   * @param {string} raw - Raw JSON string from localStorage
+   * @private
+   */
+  _backupPayload(raw) {
+    try {
+      localStorage.setItem(CONFIG.STORAGE_BACKUP_KEY, raw);
+    } catch (error) {
+      console.warn('StateManager: Failed to back up persisted state', error);
+    }
+  }
+  
+  /**
+   * Gets the report of the last load-time migration
+   * @returns {Object|null} { fromVersion, toVersion, applied, status, error } or null if nothing was loaded
+   */
+  getMigrationReport() {
+    return this._migrationReport ? { ...this._migrationReport } : null;
+  }
+  
   /**
    * Validates the current session state
    * @returns {boolean} True if session is valid
@@ -242,6 +1496,14 @@ export class StateManager {
       return false;
     }
     
+    // Validate the session hasn't expired (sessions stored before expiry
+    // metadata existed have none and must sign in again)
+    const expiresAt = Date.parse(state.session?.expiresAt);
+    if (!(expiresAt > Date.now())) {
+      console.warn('Session validation failed: session expired');
+      return false;
+    }
+    
     // Validate user object structure
     if (!state.currentUser || 
         !state.currentUser.id || 
@@ -262,6 +1524,7 @@ export class StateManager {
     this._state.isAuthenticated = false;
     this._state.currentUser = null;
     this._state.sessionToken = null;
+    this._state.session = null;
     this._state.referrals = [];
     this._state.stamps = [];
     this._state.pendingEmail = null;
@@ -280,6 +1543,7 @@ export class StateManager {
   clearPersistedState() {
     try {
       localStorage.removeItem(CONFIG.STORAGE_KEY);
+      const namespace = this._namespace();
       // Reset persisted keys to initial values
       const initial = this._getInitialState();
       const updates = {};
@@ -287,6 +1551,8 @@ export class StateManager {
         updates[key] = initial[key];
       });
       this.setState(updates);
+      // After the reset, so the writes it flushes to the namespace are purged too
+      this.purgeAccountData(namespace);
     } catch (error) {
       console.warn('StateManager: Failed to clear persisted state', error);
     }
@@ -0,0 +1,320 @@
+/**
+ * PassportCard Refer - Storage Adapters
+ * Pluggable persistence backends for StateManager records and file blobs
+ */
+
+import { CONFIG } from './config.js';
+
+/* ============================================================================
+   STORAGE ADAPTERS
+   ============================================================================
+   StateManager keeps small session keys in its LocalStorage blob (they must
+   be readable synchronously on page load) and hands the large, growing keys
+   (CONFIG.RECORD_PERSIST_KEYS) and uploaded files to a storage adapter.
+
+   Adapter interface (all methods async):
+   - open()                      → resolves when the backend is usable
+   - getRecords(keys)            → { key: { value, rev, tabId, version } }
+   - putRecords(records)         → writes { key: record } entries
+   - putBlob(id, blob, meta)     → stores a File/Blob under id with extra meta
+   - getBlob(id)                 → { blob, name, type, size, savedAt, ...meta } or null
+   - deleteBlob(id)
+   - listBlobIds()               → string[]
+   - clear(prefix)               → removes records and blobs whose key starts
+                                   with prefix (all of them without a prefix)
+
+   Write failures reject with the original error; use isQuotaError() to
+   tell "storage full" apart from other failures.
+   ========================================================================== */
+
+/**
+ * Checks whether an error means the storage quota was exceeded
+ * Browsers disagree on name/code, so check the known variants
+ * @param {Error} error - Error thrown by a storage write
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+         error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+         error.code === 22 ||
+         error.code === 1014;
+}
+
+/* ============================================================================
+   INDEXEDDB ADAPTER
+   ========================================================================== */
+
+const RECORDS_STORE = 'records';
+const BLOBS_STORE = 'blobs';
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class IndexedDBAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName] - Database name
+   * @param {number} [options.version] - Database version
+   */
+  constructor(options = {}) {
+    this.name = 'indexedDB';
+    this._dbName = options.dbName || CONFIG.STORAGE_DB_NAME;
+    this._version = options.version || CONFIG.STORAGE_DB_VERSION;
+    this._db = null;
+  }
+
+  /**
+   * Checks whether IndexedDB exists in this environment
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Opens (and if needed creates) the database
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this._db) return;
+
+    const request = indexedDB.open(this._dbName, this._version);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+        db.createObjectStore(RECORDS_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(BLOBS_STORE)) {
+        db.createObjectStore(BLOBS_STORE, { keyPath: 'id' });
+      }
+    };
+
+    this._db = await promisifyRequest(request);
+
+    // Another tab upgraded the schema - release the connection so it can proceed
+    this._db.onversionchange = () => {
+      this._db.close();
+      this._db = null;
+    };
+  }
+
+  /**
+   * Runs a callback inside a transaction and resolves once it completes
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} fn - Called with the object store, may return a request
+   * @returns {Promise<*>} Result of the returned request (if any)
+   * @private
+   */
+  async _transaction(storeName, mode, fn) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = this._db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async getRecords(keys) {
+    const records = {};
+    await this._transaction(RECORDS_STORE, 'readonly', (store) => {
+      keys.forEach(key => {
+        store.get(key).onsuccess = (event) => {
+          const entry = event.target.result;
+          if (entry) {
+            const { key: _key, ...record } = entry;
+            records[key] = record;
+          }
+        };
+      });
+    });
+    return records;
+  }
+
+  async putRecords(records) {
+    await this._transaction(RECORDS_STORE, 'readwrite', (store) => {
+      Object.keys(records).forEach(key => {
+        store.put({ key, ...records[key] });
+      });
+    });
+  }
+
+  async putBlob(id, blob, meta = {}) {
+    await this._transaction(BLOBS_STORE, 'readwrite', (store) => {
+      store.put({
+        ...meta,
+        id,
+        blob,
+        name: meta.name ?? blob.name ?? null,
+        type: meta.type ?? blob.type ?? null,
+        size: meta.size ?? blob.size,
+        savedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  async getBlob(id) {
+    const entry = await this._transaction(BLOBS_STORE, 'readonly', store => store.get(id));
+    return entry || null;
+  }
+
+  async deleteBlob(id) {
+    await this._transaction(BLOBS_STORE, 'readwrite', store => store.delete(id));
+  }
+
+  async listBlobIds() {
+    const ids = await this._transaction(BLOBS_STORE, 'readonly', store => store.getAllKeys());
+    return ids || [];
+  }
+
+  async clear(prefix) {
+    const range = prefix ? IDBKeyRange.bound(prefix, `${prefix}\uffff`) : null;
+    const clearStore = store => (range ? store.delete(range) : store.clear());
+
+    await this._transaction(RECORDS_STORE, 'readwrite', clearStore);
+    await this._transaction(BLOBS_STORE, 'readwrite', clearStore);
+  }
+}
+
+/* ============================================================================
+   LOCALSTORAGE ADAPTER (fallback)
+   ============================================================================
+   Used when IndexedDB is unavailable (some private-browsing modes, locked
+   down webviews). Each record and blob lives under its own key so one large
+   value cannot push the session blob over quota. Blobs are stored as data
+   URLs, which is ~33% larger - large files may not fit.
+   ========================================================================== */
+
+export class LocalStorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Key prefix (defaults to CONFIG.STORAGE_KEY)
+   */
+  constructor(options = {}) {
+    this.name = 'localStorage';
+    this._prefix = options.prefix || CONFIG.STORAGE_KEY;
+  }
+
+  _recordKey(key) {
+    return `${this._prefix}:record:${key}`;
+  }
+
+  _blobKey(id) {
+    return `${this._prefix}:blob:${id}`;
+  }
+
+  async open() {
+    // Throws in environments where localStorage is disabled
+    localStorage.getItem(this._prefix);
+  }
+
+  async getRecords(keys) {
+    const records = {};
+    keys.forEach(key => {
+      const raw = localStorage.getItem(this._recordKey(key));
+      if (!raw) return;
+      try {
+        records[key] = JSON.parse(raw);
+      } catch (error) {
+        console.warn(`LocalStorageAdapter: Ignoring unreadable record "${key}"`, error);
+      }
+    });
+    return records;
+  }
+
+  async putRecords(records) {
+    Object.keys(records).forEach(key => {
+      localStorage.setItem(this._recordKey(key), JSON.stringify(records[key]));
+    });
+  }
+
+  async putBlob(id, blob, meta = {}) {
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+
+    localStorage.setItem(this._blobKey(id), JSON.stringify({
+      ...meta,
+      dataUrl,
+      name: meta.name ?? blob.name ?? null,
+      type: meta.type ?? blob.type ?? null,
+      size: meta.size ?? blob.size,
+      savedAt: new Date().toISOString()
+    }));
+  }
+
+  async getBlob(id) {
+    const raw = localStorage.getItem(this._blobKey(id));
+    if (!raw) return null;
+
+    const { dataUrl, ...meta } = JSON.parse(raw);
+    const blob = await (await fetch(dataUrl)).blob();
+    return { id, blob, ...meta };
+  }
+
+  async deleteBlob(id) {
+    localStorage.removeItem(this._blobKey(id));
+  }
+
+  async listBlobIds() {
+    const prefix = this._blobKey('');
+    const ids = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) {
+        ids.push(key.slice(prefix.length));
+      }
+    }
+    return ids;
+  }
+
+  async clear(prefix = '') {
+    const prefixes = [this._recordKey(prefix), this._blobKey(prefix)];
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && prefixes.some(p => key.startsWith(p))) {
+        keys.push(key);
+      }
+    }
+    keys.forEach(key => localStorage.removeItem(key));
+  }
+}
+
+/**
+ * Creates the best available storage adapter
+ * Prefers IndexedDB and falls back to LocalStorage if it cannot be opened
+ * @returns {Promise<Object>} Opened storage adapter
+ */
+export async function createStorageAdapter() {
+  if (IndexedDBAdapter.isSupported()) {
+    const adapter = new IndexedDBAdapter();
+    try {
+      await adapter.open();
+      return adapter;
+    } catch (error) {
+      console.warn('Storage: IndexedDB unavailable, falling back to localStorage', error);
+    }
+  }
+
+  const fallback = new LocalStorageAdapter();
+  await fallback.open();
+  return fallback;
+}
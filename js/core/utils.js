@@ -3,6 +3,8 @@
  * Error handling, icons, and utility helpers
  */
 
+import { html } from './html.js';
+
 /* ============================================================================
    ERROR HANDLING - Story 6.5 AC7
    ============================================================================
@@ -136,7 +138,7 @@ export function safeGetStorage(key) {
  * @param {string} options.ariaLabel - Accessible label for meaningful icons
  * @param {boolean} options.ariaHidden - Whether icon is decorative (default: true)
  * @param {string} options.size - Size class: 'sm', 'md', 'lg', 'xl'
- * @returns {string} HTML string for the icon element
+ * @returns {SafeHTML} Markup for the icon element
  */
 export function renderIcon(iconName, options = {}) {
   const { 
@@ -151,11 +153,9 @@ export function renderIcon(iconName, options = {}) {
     .filter(Boolean)
     .join(' ');
   
-  const ariaAttr = ariaHidden 
-    ? 'aria-hidden="true"' 
-    : `aria-label="${ariaLabel}" role="img"`;
-  
-  return `<i class="${classes}" ${ariaAttr}></i>`;
+  return ariaHidden
+    ? html`<i class="${classes}" aria-hidden="true"></i>`
+    : html`<i class="${classes}" aria-label="${ariaLabel}" role="img"></i>`;
 }
 
 /**
@@ -201,7 +201,7 @@ export function safeCelebrate(options = {}) {
     // Show static celebration for accessibility
     const toast = document.createElement('div');
     toast.className = 'celebration-toast';
-    toast.innerHTML = `${renderIcon('confetti')} מזל טוב!`;
+    toast.innerHTML = html`${renderIcon('confetti')} מזל טוב!`;
     toast.setAttribute('role', 'status');
     toast.setAttribute('aria-live', 'polite');
     document.body.appendChild(toast);
@@ -5,6 +5,7 @@
 
 import { seededRandom } from '../core/utils.js';
 import { ACTIVITY_TYPES } from '../core/config.js';
+import { getRolesForEmail } from '../core/permissions.js';
 import { STAMP_TYPES } from './stamp-types.js';
 import { MOCK_POSITIONS } from './mock-positions.js';
 
@@ -1298,6 +1299,16 @@ function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
 }
 
+/**
+ * Checks for a user id in the 4-digit format of older builds (usr-1234)
+ * The 8-digit id now generated for the same email starts with those digits
+ * @param {string} id - User id
+ * @returns {boolean} True for a legacy id
+ */
+export function isLegacyUserId(id) {
+  return /^usr-\d{4}$/.test(id);
+}
+
 /**
  * Generates a complete user object from email using seeded random (Story 6.5 AC1)
  * Same email always produces identical user data (deterministic)
@@ -1348,8 +1359,10 @@ export function generateUserFromEmail(email) {
   // Generate campaigns (Story 2.4)
   const campaigns = generateMockCampaigns(random);
   
-  // Generate user ID (deterministic from email)
-  const userId = `usr-${Math.floor(random() * 10000).toString().padStart(4, '0')}`;
+  // Generate user ID (deterministic from email) - wide enough that two
+  // employees never share a storage namespace on the same device. Older
+  // builds used the first 4 digits (see isLegacyUserId, migration v3)
+  const userId = `usr-${Math.floor(random() * 100000000).toString().padStart(8, '0')}`;
   
   return {
     id: userId,
@@ -1358,6 +1371,7 @@ export function generateUserFromEmail(email) {
     lastName: lastName,
     fullName: fullName,
     department: department,
+    roles: getRolesForEmail(email),
     points: totalPoints,
     level: levelInfo.name,
     levelInfo: levelInfo,
@@ -4,6 +4,7 @@
  */
 
 import { renderIcon } from '../core/utils.js';
+import { html } from '../core/html.js';
 
 /* ============================================================================
    ANIMATION SERVICE
@@ -632,7 +633,7 @@ export class AnimationService {
   _showCelebrationMessage(message) {
     const messageEl = document.createElement('div');
     messageEl.className = 'celebration-message';
-    messageEl.innerHTML = `<span class="celebration-message__text">${message}</span>`;
+    messageEl.innerHTML = html`<span class="celebration-message__text">${message}</span>`;
     messageEl.setAttribute('role', 'alert');
     messageEl.setAttribute('aria-live', 'polite');
 
@@ -665,7 +666,7 @@ export class AnimationService {
     const toast = document.createElement('div');
     toast.className = `toast toast--${type}`;
     toast.setAttribute('role', 'alert');
-    toast.innerHTML = `
+    toast.innerHTML = html`
       <i class="ti ti-${type === 'success' ? 'check' : type === 'error' ? 'x' : 'info-circle'} toast__icon"></i>
       <span class="toast__message">${message}</span>
     `;
@@ -699,7 +700,7 @@ export class AnimationService {
     toast.className = 'toast toast--celebration';
     toast.style.setProperty('--celebration-color', color);
     toast.setAttribute('role', 'alert');
-    toast.innerHTML = `
+    toast.innerHTML = html`
       <span class="toast__message">${message}</span>
       <span class="toast__sparkle" aria-hidden="true">${renderIcon('sparkles')}</span>
     `;
@@ -0,0 +1,235 @@
+/**
+ * PassportCard Refer - Audit Log Service
+ * Security audit trail: sign-ins, failed codes, sign-outs and sensitive actions
+ */
+
+import { CONFIG } from '../core/config.js';
+import { stateManager } from '../core/state.js';
+
+/* ============================================================================
+   AUDIT LOG SERVICE
+   ============================================================================
+   Structured events written by AuthService, the OTP modal, the referral
+   forms (employee and candidate link), the hiring pipeline and the login
+   policy. Until there is an audit backend the log is kept in LocalStorage -
+   device-wide, so it outlives sign-outs and account purges - up to
+   CONFIG.AUDIT_LOG_LIMIT events, oldest dropped first. Admins view and
+   export it (JSON / CSV) from the settings page.
+
+   Events say who did what and when. Codes, tokens and candidate details
+   never go into them. Purging an account from the device keeps its events
+   but drops its email from them (forgetActor): they stay attributed to the
+   user id, which the directory can map back to the employee and this
+   device no longer can.
+   ========================================================================== */
+
+// Event types
+export const AUDIT_EVENTS = {
+  CODE_SENT: 'auth.code-sent',
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login-failed',
+  LOGIN_DENIED: 'auth.login-denied',
+  LOGOUT: 'auth.logout',
+  OTP_FAILED: 'otp.failed',
+  REFERRAL_SUBMITTED: 'referral.submitted',
+  CANDIDATE_APPLIED: 'referral.candidate-applied',
+  CANDIDATE_STATUS_CHANGED: 'candidate.status-changed',
+  ACCOUNT_PURGED: 'account.purged',
+  POLICY_UPDATED: 'policy.updated',
+  POLICY_RESET: 'policy.reset',
+  LOG_EXPORTED: 'audit.exported'
+};
+
+// CSV columns, in order
+const CSV_COLUMNS = ['id', 'timestamp', 'type', 'outcome', 'userId', 'email', 'route', 'details'];
+
+/**
+ * @typedef {Object} AuditEvent
+ * @property {string} id - Event id
+ * @property {string} timestamp - When it happened (ISO date)
+ * @property {string} type - One of AUDIT_EVENTS
+ * @property {string} outcome - 'success' or 'failure'
+ * @property {Object|null} actor - { userId, email } (userId is null before sign-in)
+ * @property {string|null} route - Route shown at the time
+ * @property {Object} details - Event specific fields
+ */
+
+/**
+ * Formats a value as a CSV cell
+ * Cells that a spreadsheet would read as a formula are prefixed with '
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCSVCell(value) {
+  let cell = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+export class AuditLogService {
+  /**
+   * @param {StateManager} stateManager - State holding the signed-in user
+   * @param {string} [storageKey] - LocalStorage key (defaults to CONFIG.AUDIT_LOG_STORAGE_KEY)
+   */
+  constructor(stateManager, storageKey = CONFIG.AUDIT_LOG_STORAGE_KEY) {
+    this._stateManager = stateManager;
+    this._storageKey = storageKey;
+  }
+
+  /**
+   * Reads the stored events
+   * @returns {Array<AuditEvent>} Events, oldest first
+   * @private
+   */
+  _read() {
+    try {
+      const events = JSON.parse(localStorage.getItem(this._storageKey));
+      return Array.isArray(events) ? events : [];
+    } catch (error) {
+      console.warn('AuditLogService: Failed to read the audit log', error);
+      return [];
+    }
+  }
+
+  /**
+   * Gets the signed-in user as the actor of an event
+   * @returns {Object|null} { userId, email } or null when signed out
+   * @private
+   */
+  _getCurrentActor() {
+    const user = this._stateManager.getState('currentUser');
+    return user ? { userId: user.id, email: user.email } : null;
+  }
+
+  /**
+   * Records an event
+   * Never throws - a failing audit log must not stop the action itself.
+   * @param {string} type - One of AUDIT_EVENTS
+   * @param {Object} [details] - Event specific fields
+   * @param {Object} [options]
+   * @param {string} [options.outcome='success'] - 'success' or 'failure'
+   * @param {Object} [options.actor] - { userId, email } when it is not the signed-in user
+   *   (e.g. someone still signing in), {} for someone without an account
+   * @returns {AuditEvent|null} The event, or null if it could not be stored
+   */
+  record(type, details = {}, options = {}) {
+    const { outcome = 'success', actor } = options;
+    const event = {
+      id: `audit-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: new Date().toISOString(),
+      type,
+      outcome,
+      actor: actor
+        ? { userId: actor.userId || null, email: actor.email ? String(actor.email).toLowerCase() : null }
+        : this._getCurrentActor(),
+      route: this._stateManager.getState('currentView') || null,
+      details
+    };
+
+    // Read again before writing - other tabs append to the same log
+    const events = [...this._read(), event].slice(-CONFIG.AUDIT_LOG_LIMIT);
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(events));
+    } catch (error) {
+      console.error(`AuditLogService: Failed to record "${type}"`, error);
+      return null;
+    }
+    return event;
+  }
+
+  /**
+   * Drops an account's email from the recorded events
+   * Its events keep the user id; events recorded before sign-in (known by
+   * email only) get the user id instead of the email
+   * @param {string} userId - Purged account
+   * @param {string|null} email - Its email
+   * @returns {number} Number of events changed
+   */
+  forgetActor(userId, email) {
+    const address = email ? String(email).toLowerCase() : null;
+    let changed = 0;
+
+    const events = this._read().map(event => {
+      const actor = event.actor;
+      if (!actor?.email || (actor.userId !== userId && actor.email !== address)) {
+        return event;
+      }
+      changed++;
+      return { ...event, actor: { userId: actor.userId || userId, email: null } };
+    });
+    if (changed === 0) return 0;
+
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(events));
+    } catch (error) {
+      console.error(`AuditLogService: Failed to forget "${userId}"`, error);
+      return 0;
+    }
+    return changed;
+  }
+
+  /**
+   * Gets the recorded events, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit] - At most this many events
+   * @returns {Array<AuditEvent>} Events
+   */
+  getEvents(options = {}) {
+    const events = this._read().reverse();
+    return options.limit ? events.slice(0, options.limit) : events;
+  }
+
+  /**
+   * Serializes the log for export
+   * @param {string} format - 'json' or 'csv'
+   * @returns {string} Events, oldest first (CSV details as JSON)
+   */
+  serialize(format) {
+    const events = this._read();
+    if (format === 'json') {
+      return JSON.stringify(events, null, 2);
+    }
+
+    const rows = events.map(event => [
+      event.id,
+      event.timestamp,
+      event.type,
+      event.outcome,
+      event.actor?.userId,
+      event.actor?.email,
+      event.route,
+      JSON.stringify(event.details || {})
+    ].map(toCSVCell).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  /**
+   * Downloads the log as a file (the export itself is recorded too)
+   * @param {string} format - 'json' or 'csv'
+   * @returns {number} Number of events exported
+   */
+  download(format) {
+    const count = this._read().length;
+    // Excel needs the byte order mark to read the CSV as UTF-8
+    const content = format === 'csv' ? `\uFEFF${this.serialize('csv')}` : this.serialize('json');
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this.record(AUDIT_EVENTS.LOG_EXPORTED, { format, events: count });
+    return count;
+  }
+}
+
+// Global AuditLogService singleton instance
+export const auditLog = new AuditLogService(stateManager);
@@ -4,16 +4,91 @@
  */
 
 import { CONFIG } from '../core/config.js';
+import { stateManager } from '../core/state.js';
+import { router } from '../core/router.js';
+import { generateSecureToken } from '../core/crypto.js';
+import { accountRegistry } from '../core/accounts.js';
+import { generateUserFromEmail } from '../data/user-generator.js';
+import { loginPolicyService } from './login-policy.js';
+import { auditLog, AUDIT_EVENTS } from './audit-log.js';
 
 /* ============================================================================
    AUTH SERVICE
    ============================================================================
    Authentication service for session management
+
+   Signing in goes through an auth provider (see AuthProvider below) - the
+   one named by CONFIG.AUTH.PROVIDER: 'email-otp' (services/otp.js) or
+   'oidc' (services/oidc.js). Once a provider verified who the user is, the
+   service starts the session and the provider that signed the user in is
+   used to renew it and to sign out. The login policy (services/login-policy.js)
+   is checked before a code is sent and again before the session starts.
+   Sign-ins, turned-away and failed sign-ins and sign-outs are recorded in
+   the audit log (services/audit-log.js); wrong codes are recorded by the
+   OTP modal, which knows about the attempt.
+
+   A session is the sessionToken plus its metadata in the session state key:
+   { issuedAt, expiresAt, provider, ...provider fields } (ISO dates).
+   expiresAt lies IDLE_TIMEOUT_MS after the last activity but never more
+   than MAX_AGE_MS after sign-in (see CONFIG.SESSION). StateManager drops
+   expired sessions on page load and the session service (services/session.js)
+   extends, warns about and ends them while a page is open.
    ========================================================================== */
 
+/**
+ * @typedef {Object} AuthProvider
+ * @property {string} name - Provider name (CONFIG.AUTH.PROVIDER)
+ * @property {string} flow - 'code' (the user enters a code in the app) or
+ *   'redirect' (the user signs in at the provider's site)
+ * @property {Function} startLogin - async (params) => { ok, redirectUrl? } or { ok: false, reason }
+ * @property {Function} verify - async (params) => { ok: true, identity: { email }, session? } or { ok: false, reason }
+ * @property {Function} refresh - async (session) => { ok: true, session? } or { ok: false, reason }
+ *   ('unavailable' keeps the session)
+ * @property {Function} logout - async (session) => { redirectUrl? }
+ * @property {Function} [isCallback] - (url) => true if the URL is the provider's redirect back (redirect flow)
+ * @property {Function} [stripCallback] - (url) => the URL without the provider's callback params
+ */
+
+/**
+ * Calculates when a session expires
+ * @param {number} issuedAt - Sign-in time (ms)
+ * @param {number} lastActivity - Last activity time (ms)
+ * @returns {number} Expiry time (ms)
+ */
+export function getSessionExpiry(issuedAt, lastActivity) {
+  return Math.min(lastActivity + CONFIG.SESSION.IDLE_TIMEOUT_MS, issuedAt + CONFIG.SESSION.MAX_AGE_MS);
+}
+
+/**
+ * Creates a new session for a user who just signed in
+ * @param {Object} [details] - Extra session fields (provider, tokens)
+ * @returns {{sessionToken: string, session: Object}} State updates
+ */
+export function createSession(details = {}) {
+  const now = Date.now();
+  return {
+    sessionToken: `session_${generateSecureToken()}`,
+    session: {
+      ...details,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(getSessionExpiry(now, now)).toISOString()
+    }
+  };
+}
+
+/**
+ * Checks whether a session has expired
+ * @param {Object|null} session - Session metadata { issuedAt, expiresAt }
+ * @returns {boolean} True if expired (or missing)
+ */
+export function isSessionExpired(session) {
+  return !(Date.parse(session?.expiresAt) > Date.now());
+}
+
 export class AuthService {
   constructor(stateManager) {
     this._stateManager = stateManager;
+    this._providers = new Map();
   }
   
   /**
@@ -24,20 +99,218 @@ export class AuthService {
     this._stateManager = stateManager;
   }
   
+  /**
+   * Registers a sign-in provider
+   * @param {AuthProvider} provider - Provider
+   */
+  registerProvider(provider) {
+    this._providers.set(provider.name, provider);
+  }
+  
+  /**
+   * Gets a sign-in provider
+   * @param {string} [name] - Provider name (defaults to CONFIG.AUTH.PROVIDER)
+   * @returns {AuthProvider|null} Provider, or null if not registered
+   */
+  getProvider(name = CONFIG.AUTH.PROVIDER) {
+    return this._providers.get(name) || null;
+  }
+  
+  /**
+   * Starts signing in with the configured provider - sends a code, or leaves
+   * for the provider's sign-in page
+   * @param {Object} [params] - Provider params (e.g. { email })
+   * @returns {Promise<Object>} Provider result - or { ok: false, reason } when the login policy turns
+   *   the email away (see LoginPolicyService.check) or no provider is registered ('config')
+   */
+  async startLogin(params = {}) {
+    const provider = this.getProvider();
+    if (!provider) {
+      console.error(`AuthService: Auth provider "${CONFIG.AUTH.PROVIDER}" is not registered`);
+      return { ok: false, reason: 'config' };
+    }
+    
+    if (params.email) {
+      const policy = loginPolicyService.check(params.email);
+      if (!policy.ok) {
+        auditLog.record(AUDIT_EVENTS.LOGIN_DENIED, { provider: provider.name, reason: policy.reason }, {
+          outcome: 'failure',
+          actor: { email: params.email }
+        });
+        return policy;
+      }
+    }
+    
+    const result = await provider.startLogin(params);
+    if (result.ok && provider.flow === 'code') {
+      auditLog.record(AUDIT_EVENTS.CODE_SENT, { provider: provider.name }, { actor: { email: params.email } });
+    }
+    if (result.ok && result.redirectUrl) {
+      window.location.assign(result.redirectUrl);
+    }
+    return result;
+  }
+  
+  /**
+   * Checks whether the page was opened by the provider's redirect back
+   * @returns {boolean} True if there is a sign-in to complete
+   */
+  isLoginCallback() {
+    return !!this.getProvider()?.isCallback?.(window.location.href);
+  }
+  
+  /**
+   * Completes a sign-in the provider redirected back with
+   * @returns {Promise<Object>} See verify()
+   */
+  handleLoginCallback() {
+    const callbackUrl = window.location.href;
+    
+    // The authorization code works once - keep it out of history and reloads
+    window.history.replaceState(window.history.state, '', this.getProvider().stripCallback(callbackUrl));
+    
+    return this.verify({ callbackUrl });
+  }
+  
+  /**
+   * Verifies the user with the configured provider and signs them in
+   * @param {Object} params - Provider params (e.g. { email, code } or { callbackUrl })
+   * @returns {Promise<Object>} { ok: true, user } or { ok: false, reason } from the provider
+   *   or the login policy
+   */
+  async verify(params) {
+    const provider = this.getProvider();
+    if (!provider) {
+      console.error(`AuthService: Auth provider "${CONFIG.AUTH.PROVIDER}" is not registered`);
+      return { ok: false, reason: 'config' };
+    }
+    
+    const result = await provider.verify(params);
+    if (!result.ok) {
+      if (provider.flow !== 'code') {
+        // Who it was is unknown until the provider verified them
+        auditLog.record(AUDIT_EVENTS.LOGIN_FAILED, { provider: provider.name, reason: result.reason }, {
+          outcome: 'failure',
+          actor: { email: null }
+        });
+      }
+      return result;
+    }
+    
+    // Redirect sign-in only learns the email here
+    const policy = loginPolicyService.check(result.identity.email);
+    if (!policy.ok) {
+      console.warn(`AuthService: Login policy turned "${result.identity.email}" away (${policy.reason})`);
+      auditLog.record(AUDIT_EVENTS.LOGIN_DENIED, { provider: provider.name, reason: policy.reason }, {
+        outcome: 'failure',
+        actor: { email: result.identity.email }
+      });
+      return policy;
+    }
+    
+    const user = await this._signIn(result.identity, { provider: provider.name, ...result.session });
+    auditLog.record(AUDIT_EVENTS.LOGIN, { provider: provider.name });
+    return { ok: true, user };
+  }
+  
+  /**
+   * Starts the session of a verified user
+   * @param {Object} identity - { email } of the user
+   * @param {Object} sessionDetails - Provider name and fields kept with the session
+   * @returns {Promise<Object>} The signed-in user
+   * @private
+   */
+  async _signIn(identity, sessionDetails) {
+    const user = generateUserFromEmail(identity.email);
+    accountRegistry.remember(user);
+    
+    // Update state - switching currentUser loads this account's stored records
+    this._stateManager.setState({
+      currentUser: user,
+      isAuthenticated: true,
+      ...createSession(sessionDetails),
+      campaigns: user.campaigns,
+      pendingEmail: null
+    });
+    
+    // Seed generated referrals, stamps and activities (Story 6.5) only where
+    // this device has nothing stored for the account yet
+    const restoredKeys = await this._stateManager.ready;
+    const seed = {
+      referrals: user.referrals,
+      stamps: user.stamps,
+      activities: user.activities
+    };
+    restoredKeys.forEach(key => delete seed[key]);
+    if (Object.keys(seed).length > 0) {
+      this._stateManager.setState(seed);
+    }
+    
+    return user;
+  }
+  
+  /**
+   * Renews the provider credentials of the session (e.g. OIDC tokens)
+   * Signs the user out if the provider no longer accepts the session.
+   * @returns {Promise<boolean>} True if the session goes on
+   */
+  async refresh() {
+    const session = this._stateManager.getState('session');
+    const provider = this.getProvider(session?.provider);
+    if (!this.isAuthenticated() || !provider) return false;
+    
+    const sessionToken = this._stateManager.getState('sessionToken');
+    const result = await provider.refresh(session);
+    
+    // Signed out (or in as someone else) meanwhile
+    if (this._stateManager.getState('sessionToken') !== sessionToken) return false;
+    
+    if (result.ok) {
+      if (result.session) {
+        this._stateManager.setState({
+          session: { ...this._stateManager.getState('session'), ...result.session }
+        }, { history: false });
+      }
+      return true;
+    }
+    
+    // Provider unreachable - keep the session and try again later
+    if (result.reason === 'unavailable') return true;
+    
+    this.logout({ message: 'פג תוקף ההתחברות. יש להתחבר מחדש', reason: 'revoked' });
+    return false;
+  }
+  
   /**
    * Clears all session data and redirects to login
+   * @param {Object} [options]
+   * @param {boolean} [options.purgeData=false] - Also delete this account's data from the device
+   *   (by default it is kept so the account can be resumed from the login screen)
+   * @param {string} [options.message] - Toast text (e.g. why the session ended)
+   * @param {string} [options.reason='user'] - Why the user is signed out, for the audit log:
+   *   'user', 'expired' (idle or max age) or 'revoked' (the provider no longer accepts the session)
    */
-  logout() {
+  logout(options = {}) {
     if (!this._stateManager) {
       console.warn('AuthService: stateManager not set');
       return;
     }
     
+    const { purgeData = false, message, reason = 'user' } = options;
+    const userId = this._stateManager.getState('currentUser')?.id;
+    const session = this._stateManager.getState('session');
+    
+    // Recorded while the user is still known
+    if (userId) {
+      auditLog.record(AUDIT_EVENTS.LOGOUT, { provider: session?.provider || null, reason, purgeData });
+    }
+    
     // Clear state
     this._stateManager.setState({
       isAuthenticated: false,
       currentUser: null,
       sessionToken: null,
+      session: null,
       referrals: [],
       stamps: [],
       pendingEmail: null,
@@ -51,18 +324,49 @@ export class AuthService {
       console.warn('AuthService: Failed to clear localStorage', error);
     }
     
+    // The account's records stay in its namespace unless asked to purge them
+    if (purgeData && userId) {
+      this.purgeAccount(userId, 'logout');
+    }
+    this._stateManager.wipeEncryptionKeys();
+    
     // Show logout toast (optional per AC)
     if (typeof window.app !== 'undefined' && window.app.showToast) {
-      window.app.showToast('התנתקת בהצלחה', 'success');
+      window.app.showToast(message || (purgeData ? 'התנתקת והנתונים נמחקו מהמכשיר' : 'התנתקת בהצלחה'), message ? 'info' : 'success');
     }
     
+    // The provider may send the user on to sign out there too (e.g. the IdP)
+    const provider = this.getProvider(session?.provider);
+    const providerLogout = Promise.resolve()
+      .then(() => (provider ? provider.logout(session) : {}))
+      .catch(error => {
+        console.warn('AuthService: Provider sign-out failed', error);
+        return {};
+      });
+    
     // Navigate to auth - use direct redirect for multi-page architecture (Story 7.0)
     // Small delay to allow toast to show before page redirect
-    setTimeout(() => {
-      window.location.href = 'login.html';
+    setTimeout(async () => {
+      const { redirectUrl } = await providerLogout;
+      window.location.href = redirectUrl || router.href(CONFIG.DEFAULT_ROUTE);
     }, 300);
   }
   
+  /**
+   * Deletes an account's data from this device and drops its email from
+   * the audit log (see AuditLogService.forgetActor)
+   * @param {string} userId - Account to purge
+   * @param {string} source - Where it was asked for: 'logout' or 'login-screen'
+   * @returns {Promise<void>} Resolves once the data is deleted
+   */
+  purgeAccount(userId, source) {
+    const email = accountRegistry.list(Infinity).find(account => account.id === userId)?.email || null;
+    
+    auditLog.record(AUDIT_EVENTS.ACCOUNT_PURGED, { userId, source });
+    auditLog.forgetActor(userId, email);
+    return this._stateManager.purgeAccountData(userId);
+  }
+  
   /**
    * Checks if current session is valid
    * @returns {boolean} True if authenticated with valid session
@@ -71,48 +375,17 @@ export class AuthService {
     if (!this._stateManager) {
       return false;
     }
-    return this._stateManager.getState('isAuthenticated') === true && 
-           this._stateManager.getState('sessionToken') !== null;
+    return this._stateManager.getState('isAuthenticated') === true &&
+           this._stateManager.getState('sessionToken') !== null &&
+           !isSessionExpired(this._stateManager.getState('session'));
   }
   
   /**
    * Static logout method for backward compatibility
-   * Requires stateManager to be set on window
+   * @param {Object} [options] - See logout()
    */
-  static logout() {
-    const stateManager = window.stateManager;
-    if (!stateManager) {
-      console.warn('AuthService.logout: window.stateManager not set');
-      return;
-    }
-    
-    // Clear state
-    stateManager.setState({
-      isAuthenticated: false,
-      currentUser: null,
-      sessionToken: null,
-      referrals: [],
-      stamps: [],
-      pendingEmail: null,
-      activeModal: null
-    });
-    
-    // Clear localStorage
-    try {
-      localStorage.removeItem(CONFIG.STORAGE_KEY);
-    } catch (error) {
-      console.warn('AuthService: Failed to clear localStorage', error);
-    }
-    
-    // Show logout toast (optional per AC)
-    if (typeof window.app !== 'undefined' && window.app.showToast) {
-      window.app.showToast('התנתקת בהצלחה', 'success');
-    }
-    
-    // Navigate to auth - use direct redirect for multi-page architecture (Story 7.0)
-    setTimeout(() => {
-      window.location.href = 'login.html';
-    }, 300);
+  static logout(options = {}) {
+    authService.logout(options);
   }
   
   /**
@@ -120,11 +393,9 @@ export class AuthService {
    * @returns {boolean}
    */
   static isAuthenticated() {
-    const stateManager = window.stateManager;
-    if (!stateManager) {
-      return false;
-    }
-    return stateManager.getState('isAuthenticated') === true && 
-           stateManager.getState('sessionToken') !== null;
+    return authService.isAuthenticated();
   }
 }
+
+// Global AuthService singleton instance
+export const authService = new AuthService(stateManager);
@@ -0,0 +1,400 @@
+/**
+ * PassportCard Refer - Data Service
+ * Repositories for positions, referrals, campaigns, stamps and the user
+ */
+
+import { CONFIG } from '../core/config.js';
+
+/* ============================================================================
+   DATA SERVICE
+   ============================================================================
+   Components get their data from the repositories of dataService
+   (positions, referrals, referralLinks, campaigns, stamps, user) rather than from the mock
+   data modules. Repositories go through a data adapter (see DataAdapter
+   below) - the one named by CONFIG.API.ADAPTER: 'mock' (services/mock-adapter.js)
+   serves the demo data with a simulated delay, 'http' (services/http-adapter.js)
+   calls the API at CONFIG.API.BASE_URL.
+
+   Reads that fail for a passing reason (network, timeout, server error) are
+   retried CONFIG.API.RETRIES times with a growing delay. Writes are not -
+   sending a referral twice is worse than asking - so the UI offers to try
+   again. Failures reject with a DataError; getDataErrorMessage() has the
+   text to show for it.
+   ========================================================================== */
+
+/**
+ * @typedef {Object} DataAdapter
+ * @property {string} name - Adapter name (CONFIG.API.ADAPTER)
+ * @property {Function} request - async ({ method, path, body? }) => response data;
+ *   rejects with a DataError. body is a plain object (sent as JSON) or, for
+ *   requests with files, FormData built by toMultipart()
+ */
+
+// Failures worth retrying
+const RETRYABLE_REASONS = ['network', 'timeout', 'server'];
+
+/**
+ * Error of a failed data request
+ */
+export class DataError extends Error {
+  /**
+   * @param {string} reason - 'network', 'timeout', 'server', 'unauthorized', 'forbidden',
+   *   'not-found', 'invalid' (request rejected) or 'config' (no adapter / base URL)
+   * @param {string} [message] - Details for the console
+   * @param {number|null} [status] - HTTP status, if there was a response
+   */
+  constructor(reason, message, status = null) {
+    super(message || `Data request failed (${reason})`);
+    this.name = 'DataError';
+    this.reason = reason;
+    this.status = status;
+  }
+
+  /**
+   * @returns {boolean} True if trying again may help
+   */
+  get retryable() {
+    return RETRYABLE_REASONS.includes(this.reason);
+  }
+}
+
+/**
+ * Gets the message for a failed data request
+ * @param {Error} error - DataError (other errors count as server errors)
+ * @returns {string} Message for the user
+ */
+export function getDataErrorMessage(error) {
+  switch (error?.reason) {
+    case 'network':
+      return 'אין חיבור לשרת. בדקו את החיבור לאינטרנט ונסו שוב';
+    case 'timeout':
+      return 'השרת לא הגיב בזמן. נסו שוב';
+    case 'unauthorized':
+      return 'פג תוקף ההתחברות. יש להתחבר מחדש';
+    case 'forbidden':
+      return 'אין לך הרשאה לפעולה זו';
+    case 'not-found':
+      return 'המידע המבוקש לא נמצא';
+    case 'invalid':
+      return 'הבקשה נדחתה. בדקו את הפרטים ונסו שוב';
+    case 'config':
+      return 'החיבור לשרת אינו מוגדר כראוי. פנו לתמיכה';
+    default:
+      return 'משהו השתבש בשרת. נסו שוב בעוד רגע';
+  }
+}
+
+/**
+ * Builds the body of a request that carries files
+ * The fields go as JSON in a "data" part, each file in a part of its own.
+ * @param {Object} fields - Request fields
+ * @param {Object<string, Blob|null>} [files] - Part name → file (empty ones are left out)
+ * @returns {FormData} Multipart request body
+ */
+export function toMultipart(fields, files = {}) {
+  const body = new FormData();
+  body.append('data', JSON.stringify(fields));
+  Object.keys(files).forEach(name => {
+    if (files[name]) {
+      body.append(name, files[name], files[name].name || name);
+    }
+  });
+  return body;
+}
+
+/**
+ * Checks whether a campaign is running now
+ * @param {Object} campaign - Campaign
+ * @param {Date} [now] - Point in time
+ * @returns {boolean} True if active and within its dates
+ */
+export function isCampaignActive(campaign, now = new Date()) {
+  return campaign.isActive && now >= new Date(campaign.startDate) && now <= new Date(campaign.endDate);
+}
+
+/* ----------------------------------------------------------------------------
+   REPOSITORIES
+   ---------------------------------------------------------------------------- */
+
+/**
+ * Open positions
+ * The last loaded list is kept, so positions on screen are looked up
+ * without another request.
+ */
+class PositionsRepository {
+  /**
+   * @param {DataService} client - Service the requests go through
+   */
+  constructor(client) {
+    this._client = client;
+    this._cache = null;
+  }
+
+  /**
+   * Lists the open positions
+   * @returns {Promise<Array<Object>>} Positions (in recommended order)
+   */
+  async list() {
+    this._cache = await this._client.request('GET', '/positions');
+    return this._cache;
+  }
+
+  /**
+   * Gets a position
+   * @param {string} id - Position id
+   * @returns {Promise<Object>} Position (rejects with 'not-found' for unknown ids)
+   */
+  async get(id) {
+    return this.peek(id) || this._client.request('GET', `/positions/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Gets a position from the last loaded list, without a request
+   * @param {string} id - Position id
+   * @returns {Object|null} Position, or null if not loaded
+   */
+  peek(id) {
+    return this._cache?.find(position => position.id === id) || null;
+  }
+}
+
+/**
+ * Referral campaigns (bonus point multipliers)
+ * The last loaded list is kept, like positions.
+ */
+class CampaignsRepository {
+  /**
+   * @param {DataService} client - Service the requests go through
+   */
+  constructor(client) {
+    this._client = client;
+    this._cache = null;
+  }
+
+  /**
+   * Lists all campaigns, past and future ones included
+   * @param {Object} [options]
+   * @param {boolean} [options.cached=false] - Answer from the last loaded list if there is one
+   * @returns {Promise<Array<Object>>} Campaigns
+   */
+  async list(options = {}) {
+    if (options.cached && this._cache) return this._cache;
+
+    this._cache = await this._client.request('GET', '/campaigns');
+    return this._cache;
+  }
+
+  /**
+   * Lists the campaigns running now
+   * @param {Object} [options] - See list()
+   * @returns {Promise<Array<Object>>} Active campaigns
+   */
+  async listActive(options = {}) {
+    return (await this.list(options)).filter(campaign => isCampaignActive(campaign));
+  }
+
+  /**
+   * Gets the campaigns running now from the last loaded list, without a request
+   * @returns {Array<Object>} Active campaigns (empty if not loaded)
+   */
+  peekActive() {
+    return (this._cache || []).filter(campaign => isCampaignActive(campaign));
+  }
+
+  /**
+   * Gets a campaign
+   * @param {string} id - Campaign id
+   * @returns {Promise<Object>} Campaign (rejects with 'not-found' for unknown ids)
+   */
+  async get(id) {
+    return this._cache?.find(campaign => campaign.id === id) ||
+      this._client.request('GET', `/campaigns/${encodeURIComponent(id)}`);
+  }
+}
+
+/**
+ * Referrals of the signed-in user
+ */
+class ReferralsRepository {
+  /**
+   * @param {DataService} client - Service the requests go through
+   */
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * Lists the user's referrals
+   * @returns {Promise<Array<Object>>} Referrals
+   */
+  list() {
+    return this._client.request('GET', '/me/referrals');
+  }
+
+  /**
+   * Submits a referral, uploading the résumé with it (multipart)
+   * @param {Object} submission
+   * @param {string} submission.positionId - Position referred to
+   * @param {Object} submission.candidate - { candidateName, candidateEmail, candidatePhone, relationship, notes }
+   * @param {File|null} [submission.resumeFile] - Résumé to upload
+   * @param {string} [submission.referralId] - Id to use
+   * @returns {Promise<{referral: Object, stamps: Array, points: number}>} New referral, earned
+   *   stamps and their points
+   */
+  submit(submission) {
+    const { resumeFile = null, ...fields } = submission;
+    return this._client.request('POST', '/me/referrals', toMultipart(
+      { ...fields, resumeFileName: resumeFile?.name || null },
+      { resume: resumeFile }
+    ));
+  }
+}
+
+/**
+ * Referral links, as opened by candidates (no sign-in needed)
+ * The server resolves the referrer named in the link and credits the
+ * application to them.
+ */
+class ReferralLinksRepository {
+  /**
+   * @param {DataService} client - Service the requests go through
+   */
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * Checks the referrer of a link
+   * @param {string} referrerId - Referring employee id (from the link)
+   * @returns {Promise<Object>} { id } of the referrer (rejects with 'not-found' for unknown referrers)
+   */
+  resolve(referrerId) {
+    return this._client.request('GET', `/referrers/${encodeURIComponent(referrerId)}`);
+  }
+
+  /**
+   * Sends a candidate's own application, uploading the résumé with it (multipart)
+   * @param {string} referrerId - Referring employee id (from the link)
+   * @param {Object} application
+   * @param {string} application.positionId - Position applied to
+   * @param {Object} application.candidate - { candidateName, candidateEmail, candidatePhone, notes }
+   * @param {File|null} [application.resumeFile] - Résumé to upload
+   * @returns {Promise<Object>} The referral credited to the referrer
+   */
+  apply(referrerId, application) {
+    const { resumeFile = null, ...fields } = application;
+    return this._client.request('POST', `/referrers/${encodeURIComponent(referrerId)}/applications`, toMultipart(
+      { ...fields, resumeFileName: resumeFile?.name || null },
+      { resume: resumeFile }
+    ));
+  }
+}
+
+/**
+ * Stamps of the signed-in user
+ */
+class StampsRepository {
+  /**
+   * @param {DataService} client - Service the requests go through
+   */
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * Lists the user's stamps
+   * @returns {Promise<Array<Object>>} Stamps
+   */
+  list() {
+    return this._client.request('GET', '/me/stamps');
+  }
+}
+
+/**
+ * The signed-in user's profile
+ */
+class UserRepository {
+  /**
+   * @param {DataService} client - Service the requests go through
+   */
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * Gets the signed-in user
+   * @returns {Promise<Object>} User
+   */
+  get() {
+    return this._client.request('GET', '/me');
+  }
+}
+
+/* ----------------------------------------------------------------------------
+   SERVICE
+   ---------------------------------------------------------------------------- */
+
+export class DataService {
+  constructor() {
+    this._adapters = new Map();
+
+    this.positions = new PositionsRepository(this);
+    this.campaigns = new CampaignsRepository(this);
+    this.referrals = new ReferralsRepository(this);
+    this.referralLinks = new ReferralLinksRepository(this);
+    this.stamps = new StampsRepository(this);
+    this.user = new UserRepository(this);
+  }
+
+  /**
+   * Registers a data adapter
+   * @param {DataAdapter} adapter - Adapter
+   */
+  registerAdapter(adapter) {
+    this._adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Gets a data adapter
+   * @param {string} [name] - Adapter name (defaults to CONFIG.API.ADAPTER)
+   * @returns {DataAdapter|null} Adapter, or null if not registered
+   */
+  getAdapter(name = CONFIG.API.ADAPTER) {
+    return this._adapters.get(name) || null;
+  }
+
+  /**
+   * Sends a request through the configured adapter, retrying failed reads
+   * @param {string} method - 'GET' or 'POST'
+   * @param {string} path - Resource path (e.g. '/positions')
+   * @param {Object} [body] - Request body
+   * @returns {Promise<*>} Response data
+   */
+  async request(method, path, body) {
+    const adapter = this.getAdapter();
+    if (!adapter) {
+      throw new DataError('config', `DataService: Data adapter "${CONFIG.API.ADAPTER}" is not registered`);
+    }
+
+    const attempts = method === 'GET' ? CONFIG.API.RETRIES + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await adapter.request({ method, path, body });
+      } catch (error) {
+        const dataError = error instanceof DataError ? error : new DataError('server', error?.message);
+        if (!dataError.retryable || attempt >= attempts) {
+          console.error(`DataService: ${method} ${path} failed (${dataError.reason})`, error);
+          throw dataError;
+        }
+
+        const delay = CONFIG.API.RETRY_DELAY_MS * 2 ** (attempt - 1);
+        console.warn(`DataService: ${method} ${path} failed (${dataError.reason}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+// Global DataService singleton instance
+export const dataService = new DataService();
@@ -0,0 +1,143 @@
+/**
+ * PassportCard Refer - Hiring Service
+ * Candidate pipeline for recruiters and hiring managers
+ */
+
+import { CONFIG } from '../core/config.js';
+import { stateManager } from '../core/state.js';
+import { accountRegistry } from '../core/accounts.js';
+import { auditLog, AUDIT_EVENTS } from './audit-log.js';
+import { STAMP_TYPES } from '../data/stamp-types.js';
+import { PIPELINE_STAGES, STAGE_INDEX } from '../data/status-config.js';
+
+/* ============================================================================
+   HIRING SERVICE
+   ============================================================================
+   Candidates are the referrals employees submitted. Moving a candidate
+   through the pipeline (PIPELINE_STAGES) updates the referring employee's
+   referral - status and timeline - and the interview and hired steps earn
+   the referrer their points and stamp, as in the generated demo history.
+
+   There is no backend yet, so the pipeline holds the referrals of the
+   accounts known on this device (see accounts.js).
+   ========================================================================== */
+
+// Points the referrer earns when their candidate reaches a status
+const STATUS_POINTS = {
+  interview: CONFIG.POINTS.REFERRAL_INTERVIEWED,
+  hired: CONFIG.POINTS.REFERRAL_HIRED
+};
+
+/**
+ * Gets the pipeline status after a referral's current one
+ * @param {string} status - Current status
+ * @returns {string|null} Next status, or null once hired or rejected
+ */
+export function getNextStatus(status) {
+  if (status === 'rejected') return null;
+  return PIPELINE_STAGES[(STAGE_INDEX[status] ?? -1) + 1]?.key || null;
+}
+
+/**
+ * Checks whether a referral may move to a status
+ * Candidates move one stage forward, or are rejected before being hired
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+export function canMoveToStatus(from, to) {
+  if (to === 'rejected') return from !== 'rejected' && from !== 'hired';
+  return getNextStatus(from) === to;
+}
+
+export class HiringService {
+  constructor(stateManager) {
+    this._stateManager = stateManager;
+  }
+
+  /**
+   * Lists the referred candidates, newest first
+   * @returns {Promise<Array<{referral: Object, referrerId: string, referrerName: string}>>}
+   */
+  async listCandidates() {
+    const candidates = [];
+
+    for (const account of accountRegistry.list(Infinity)) {
+      const records = await this._stateManager.getAccountRecords(account.id);
+      if (!records) {
+        console.warn(`HiringService: Could not read the referrals of "${account.id}"`);
+        continue;
+      }
+
+      records.referrals.forEach(referral => {
+        candidates.push({ referral, referrerId: account.id, referrerName: account.fullName });
+      });
+    }
+
+    return candidates.sort((a, b) => new Date(b.referral.submittedAt) - new Date(a.referral.submittedAt));
+  }
+
+  /**
+   * Moves a candidate to a new pipeline status
+   * @param {string} referrerId - Employee who referred the candidate
+   * @param {string} referralId - Referral id
+   * @param {string} status - New status (see canMoveToStatus)
+   * @returns {Promise<Object|null>} The updated referral, or null if it could not be updated
+   */
+  async updateStatus(referrerId, referralId, status) {
+    let updated = null;
+    let previousStatus = null;
+    let points = 0;
+
+    const saved = await this._stateManager.updateAccountRecords(referrerId, (records) => {
+      const referral = records.referrals.find(item => item.id === referralId);
+      if (!referral || !canMoveToStatus(referral.status, status)) return {};
+
+      previousStatus = referral.status;
+      const now = new Date().toISOString();
+      points = STATUS_POINTS[status] || 0;
+      updated = {
+        ...referral,
+        status,
+        updatedAt: now,
+        timeline: [...(referral.timeline || []), { status, date: now, points }],
+        pointsEarned: (referral.pointsEarned || 0) + points
+      };
+
+      const changes = {
+        referrals: records.referrals.map(item => (item.id === referralId ? updated : item))
+      };
+
+      if (points > 0 && STAMP_TYPES[status]) {
+        const stampType = STAMP_TYPES[status];
+        changes.stamps = [...records.stamps, {
+          id: `stmp-${Date.now()}`,
+          type: status,
+          label: stampType.label,
+          points,
+          earnedDate: now,
+          referralId,
+          positionTitle: referral.positionTitle,
+          color: stampType.color,
+          shape: stampType.shape,
+          icon: stampType.icon,
+          isNew: true
+        }];
+      }
+
+      return changes;
+    });
+
+    const details = { referralId, referrerId, from: previousStatus, to: status };
+    if (!saved || !updated) {
+      console.warn(`HiringService: Could not move referral "${referralId}" to "${status}"`);
+      auditLog.record(AUDIT_EVENTS.CANDIDATE_STATUS_CHANGED, details, { outcome: 'failure' });
+      return null;
+    }
+    auditLog.record(AUDIT_EVENTS.CANDIDATE_STATUS_CHANGED, details);
+    return updated;
+  }
+}
+
+// Global HiringService singleton instance
+export const hiringService = new HiringService(stateManager);
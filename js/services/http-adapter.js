@@ -0,0 +1,105 @@
+/**
+ * PassportCard Refer - HTTP Data Adapter
+ * Sends the data service's requests to the API (CONFIG.API.ADAPTER 'http')
+ */
+
+import { CONFIG } from '../core/config.js';
+import { DataError } from './data-service.js';
+
+/* ============================================================================
+   HTTP ADAPTER
+   ============================================================================
+   JSON over fetch against CONFIG.API.BASE_URL (e.g. https://api.example.com/v1
+   + /positions); requests with files (the résumé of a referral) are sent as
+   multipart/form-data. The access token of the session, when the sign-in provider
+   issued one (OIDC), goes in the Authorization header. Requests that take
+   longer than CONFIG.API.TIMEOUT_MS are aborted. HTTP and network failures
+   become DataErrors, which the data service retries where it makes sense.
+   ========================================================================== */
+
+/**
+ * Maps an HTTP error status to a DataError reason
+ * @param {number} status - HTTP status
+ * @returns {string} Reason
+ */
+function getStatusReason(status) {
+  if (status === 401) return 'unauthorized';
+  if (status === 403) return 'forbidden';
+  if (status === 404) return 'not-found';
+  if (status === 408) return 'timeout';
+  // Rate limited - worth retrying, like a server error
+  if (status === 429 || status >= 500) return 'server';
+  return 'invalid';
+}
+
+export class HttpAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API base URL (defaults to CONFIG.API.BASE_URL)
+   * @param {number} [options.timeoutMs] - Request timeout (defaults to CONFIG.API.TIMEOUT_MS)
+   * @param {Function} [options.getAccessToken] - () => bearer token or null
+   */
+  constructor(options = {}) {
+    this.name = 'http';
+    this._baseUrl = options.baseUrl ?? CONFIG.API.BASE_URL;
+    this._timeoutMs = options.timeoutMs ?? CONFIG.API.TIMEOUT_MS;
+    this._getAccessToken = options.getAccessToken || (() => null);
+  }
+
+  /**
+   * Sends a request
+   * @param {Object} request - { method, path, body }
+   * @returns {Promise<*>} Parsed JSON response (null for 204 No Content)
+   */
+  async request({ method, path, body }) {
+    if (!this._baseUrl) {
+      throw new DataError('config', 'HttpAdapter: CONFIG.API.BASE_URL is not set');
+    }
+
+    // Multipart bodies (files) get their Content-Type, with the boundary, from fetch
+    const isMultipart = body instanceof FormData;
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined && !isMultipart) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = this._getAccessToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this._timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${this._baseUrl.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers,
+        body: body === undefined || isMultipart ? body : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw controller.signal.aborted
+        ? new DataError('timeout', `HttpAdapter: ${method} ${path} timed out after ${this._timeoutMs}ms`)
+        : new DataError('network', `HttpAdapter: ${method} ${path} failed - ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new DataError(
+        getStatusReason(response.status),
+        `HttpAdapter: ${method} ${path} failed with status ${response.status}`,
+        response.status
+      );
+    }
+
+    if (response.status === 204) return null;
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new DataError('server', `HttpAdapter: ${method} ${path} returned invalid JSON`, response.status);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * PassportCard Refer - Login Policy Service
+ * Decides which email addresses may sign in
+ */
+
+import { CONFIG } from '../core/config.js';
+import { auditLog, AUDIT_EVENTS } from './audit-log.js';
+
+/* ============================================================================
+   LOGIN POLICY SERVICE
+   ============================================================================
+   Checked by AuthService before a code is sent and again once a provider
+   verified the user, so it applies to every sign-in provider:
+   1. blocked addresses are always turned away
+   2. the address must be in one of the allowed domains (exact match)
+   3. with invite-only on, the address must also be on the invite list
+
+   The built-in policy is CONFIG.LOGIN_POLICY. An admin can save another one
+   from the settings page; it is kept in LocalStorage, so until the policy
+   is served by a backend it only applies on the device it was saved on.
+   Changes are recorded in the audit log.
+   ========================================================================== */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+/**
+ * @typedef {Object} LoginPolicy
+ * @property {Array<string>} allowedDomains - Domains that may sign in
+ * @property {Array<string>} blockedAddresses - Addresses that may never sign in
+ * @property {boolean} inviteOnly - Only invited addresses may sign in
+ * @property {Array<string>} invitedAddresses - The invite list
+ * @property {string|null} updatedAt - When an admin saved it (null for the built-in policy)
+ * @property {string|null} updatedBy - Email of that admin
+ */
+
+/**
+ * Checks the format of an email address
+ * @param {string} email - Email address
+ * @returns {boolean} True if it looks like an address
+ */
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(String(email || '').trim());
+}
+
+/**
+ * Normalizes a list of addresses or domains
+ * @param {Array<string>|string} entries - List, or text with one entry per line (commas work too)
+ * @param {boolean} [domains=false] - Entries are domains (a leading @ is dropped)
+ * @returns {Array<string>} Trimmed, lower-cased, unique entries
+ */
+function normalizeList(entries, domains = false) {
+  const list = Array.isArray(entries) ? entries : String(entries || '').split(/[\n,]/);
+  const normalized = list
+    .map(entry => String(entry).trim().toLowerCase())
+    .map(entry => (domains ? entry.replace(/^@/, '') : entry))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+export class LoginPolicyService {
+  /**
+   * @param {string} [storageKey] - LocalStorage key (defaults to CONFIG.LOGIN_POLICY_STORAGE_KEY)
+   */
+  constructor(storageKey = CONFIG.LOGIN_POLICY_STORAGE_KEY) {
+    this._storageKey = storageKey;
+  }
+
+  /**
+   * Gets the built-in policy
+   * @returns {LoginPolicy} Policy from CONFIG.LOGIN_POLICY
+   */
+  getDefaultPolicy() {
+    return {
+      allowedDomains: normalizeList(CONFIG.LOGIN_POLICY.ALLOWED_DOMAINS, true),
+      blockedAddresses: normalizeList(CONFIG.LOGIN_POLICY.BLOCKED_ADDRESSES),
+      inviteOnly: CONFIG.LOGIN_POLICY.INVITE_ONLY === true,
+      invitedAddresses: normalizeList(CONFIG.LOGIN_POLICY.INVITED_ADDRESSES),
+      updatedAt: null,
+      updatedBy: null
+    };
+  }
+
+  /**
+   * Gets the policy in force - the one an admin saved, or the built-in one
+   * @returns {LoginPolicy} Policy
+   */
+  getPolicy() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this._storageKey));
+      if (stored && Array.isArray(stored.allowedDomains)) {
+        return { ...this.getDefaultPolicy(), ...stored };
+      }
+    } catch (error) {
+      console.warn('LoginPolicyService: Failed to read the saved policy - using the built-in one', error);
+    }
+    return this.getDefaultPolicy();
+  }
+
+  /**
+   * Checks and saves a policy
+   * @param {Object} policy - { allowedDomains, blockedAddresses, inviteOnly, invitedAddresses };
+   *   lists may be arrays or text with one entry per line
+   * @param {string} [updatedBy] - Email of the admin saving it
+   * @returns {Object} { ok: true, policy } or { ok: false, reason, entries } where reason is
+   *   'no-domains' (at least one domain is needed), 'invalid-domains', 'invalid-addresses' or 'storage'
+   */
+  savePolicy(policy, updatedBy = null) {
+    const next = {
+      allowedDomains: normalizeList(policy.allowedDomains, true),
+      blockedAddresses: normalizeList(policy.blockedAddresses),
+      inviteOnly: policy.inviteOnly === true,
+      invitedAddresses: normalizeList(policy.invitedAddresses),
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    };
+
+    if (next.allowedDomains.length === 0) {
+      return { ok: false, reason: 'no-domains', entries: [] };
+    }
+
+    const invalidDomains = next.allowedDomains.filter(domain => !DOMAIN_PATTERN.test(domain));
+    if (invalidDomains.length > 0) {
+      return { ok: false, reason: 'invalid-domains', entries: invalidDomains };
+    }
+
+    const invalidAddresses = [...next.blockedAddresses, ...next.invitedAddresses].filter(email => !isValidEmail(email));
+    if (invalidAddresses.length > 0) {
+      return { ok: false, reason: 'invalid-addresses', entries: invalidAddresses };
+    }
+
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(next));
+    } catch (error) {
+      console.error('LoginPolicyService: Failed to save the policy', error);
+      return { ok: false, reason: 'storage', entries: [] };
+    }
+
+    auditLog.record(AUDIT_EVENTS.POLICY_UPDATED, {
+      allowedDomains: next.allowedDomains,
+      blockedAddresses: next.blockedAddresses,
+      inviteOnly: next.inviteOnly,
+      invitedAddresses: next.invitedAddresses
+    });
+    return { ok: true, policy: next };
+  }
+
+  /**
+   * Drops the saved policy - the built-in one applies again
+   * @returns {LoginPolicy} The built-in policy
+   */
+  reset() {
+    try {
+      localStorage.removeItem(this._storageKey);
+    } catch (error) {
+      console.warn('LoginPolicyService: Failed to remove the saved policy', error);
+    }
+    auditLog.record(AUDIT_EVENTS.POLICY_RESET);
+    return this.getDefaultPolicy();
+  }
+
+  /**
+   * Checks whether an address may sign in
+   * @param {string} email - Email address
+   * @returns {Object} { ok: true } or { ok: false, reason } where reason is 'format',
+   *   'blocked', 'domain' (with allowedDomains) or 'not-invited'
+   */
+  check(email) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!isValidEmail(address)) {
+      return { ok: false, reason: 'format' };
+    }
+
+    const policy = this.getPolicy();
+    if (policy.blockedAddresses.includes(address)) {
+      return { ok: false, reason: 'blocked' };
+    }
+
+    const domain = address.slice(address.lastIndexOf('@') + 1);
+    if (!policy.allowedDomains.includes(domain)) {
+      return { ok: false, reason: 'domain', allowedDomains: policy.allowedDomains };
+    }
+
+    if (policy.inviteOnly && !policy.invitedAddresses.includes(address)) {
+      return { ok: false, reason: 'not-invited' };
+    }
+
+    return { ok: true };
+  }
+}
+
+// Global LoginPolicyService singleton instance
+export const loginPolicyService = new LoginPolicyService();
@@ -0,0 +1,235 @@
+/**
+ * PassportCard Refer - Mock Data Adapter
+ * Serves the demo data to the data service (CONFIG.API.ADAPTER 'mock')
+ */
+
+import { CONFIG } from '../core/config.js';
+import { stateManager } from '../core/state.js';
+import { accountRegistry } from '../core/accounts.js';
+import { MOCK_POSITIONS } from '../data/mock-positions.js';
+import { MOCK_CAMPAIGNS } from '../data/mock-campaigns.js';
+import { MOCK_REFERRALS } from '../data/mock-referrals.js';
+import { isLegacyUserId } from '../data/user-generator.js';
+import { DataError } from './data-service.js';
+import { createReferralSubmission } from './referral-submission.js';
+
+/* ============================================================================
+   MOCK ADAPTER
+   ============================================================================
+   Answers the data service's requests the way the API would, from the mock
+   data modules and - for the signed-in user's own records - the app state.
+   Referrers are the accounts known on this device, so candidate links only
+   resolve in a browser the referrer signed in to (the API has no such limit).
+   Every answer comes after CONFIG.API.MOCK_LATENCY_MS; with
+   CONFIG.API.MOCK_FAILURE_RATE above 0 that share of requests fails with a
+   network error, to try the error and retry states.
+
+   Uploaded résumés are kept where the API would keep them for this demo:
+   encrypted in the referrer's storage on this device. A failed request
+   stores nothing.
+   ========================================================================== */
+
+/**
+ * Gets a signed-in user's state value, as the API would only answer them
+ * @param {string} key - State key
+ * @returns {*} State value
+ */
+function getSignedInState(key) {
+  if (!stateManager.getState('isAuthenticated')) {
+    throw new DataError('unauthorized', 'MockAdapter: Not signed in', 401);
+  }
+  return stateManager.getState(key);
+}
+
+/**
+ * Reads a request body built by toMultipart() - plain objects pass through
+ * @param {Object|FormData} body - Request body
+ * @returns {{fields: Object, files: Object<string, File>}} Fields and files by part name
+ */
+function readBody(body) {
+  if (!(body instanceof FormData)) {
+    return { fields: body || {}, files: {} };
+  }
+
+  const files = {};
+  body.forEach((value, name) => {
+    if (name !== 'data') files[name] = value;
+  });
+  return { fields: JSON.parse(body.get('data') || '{}'), files };
+}
+
+/**
+ * Stores an uploaded résumé the way the API would keep it - in the
+ * referrer's storage on this device
+ * @param {File|undefined} file - Uploaded file
+ * @param {string} referralId - Referral it belongs to
+ * @param {string} [userId] - Owning account (defaults to the signed-in one)
+ * @returns {Promise<string|null>} Blob id, or null without a (stored) file
+ */
+async function storeResume(file, referralId, userId) {
+  if (!file) return null;
+
+  const blobId = `resume-${referralId}`;
+  return await stateManager.saveBlob(blobId, file, userId) ? blobId : null;
+}
+
+/**
+ * Finds a referrer among the accounts of this device
+ * Links shared by older builds carry a 4-digit user id - it matches the
+ * account whose current id starts with it, unless that is ambiguous
+ * @param {string} referrerId - Referring employee id
+ * @returns {Object} { id } (throws 'not-found' for unknown referrers)
+ */
+function findReferrer(referrerId) {
+  if (accountRegistry.has(referrerId)) {
+    return { id: referrerId };
+  }
+
+  const matches = isLegacyUserId(referrerId)
+    ? accountRegistry.list(Infinity).filter(account => account.id.startsWith(referrerId))
+    : [];
+  if (matches.length !== 1) {
+    throw new DataError('not-found', `MockAdapter: No referrer "${referrerId}"`, 404);
+  }
+  return { id: matches[0].id };
+}
+
+/**
+ * Credits a candidate's application to the referrer, with the stamps an
+ * employee-submitted referral earns
+ * @param {string} linkReferrerId - Referring employee id from the link
+ * @param {Object|FormData} body - Application (see ReferralLinksRepository.apply)
+ * @returns {Promise<Object>} The stored referral
+ */
+async function creditApplication(linkReferrerId, body) {
+  const { id: referrerId } = findReferrer(linkReferrerId);
+  const { fields, files } = readBody(body);
+  const position = findById(MOCK_POSITIONS, fields.positionId);
+  const referralId = `ref-${Date.now()}`;
+  const resumeBlobId = await storeResume(files.resume, referralId, referrerId);
+
+  let submission = null;
+  const updated = await stateManager.updateAccountRecords(referrerId, (records) => {
+    submission = createReferralSubmission({
+      position,
+      candidate: fields.candidate,
+      resumeFileName: fields.resumeFileName || null,
+      resumeBlobId,
+      isFirstReferral: records.referrals.length === 0,
+      referralId,
+      source: 'candidate-link'
+    });
+    return {
+      referrals: [...records.referrals, submission.referral],
+      stamps: [...records.stamps, ...submission.stamps]
+    };
+  });
+  if (!updated || !submission) {
+    throw new DataError('server', `MockAdapter: Could not store the application for "${referrerId}"`, 500);
+  }
+  return submission.referral;
+}
+
+/**
+ * Finds an item by id
+ * @param {Array<Object>} items - Items
+ * @param {string} id - Id
+ * @returns {Object} Item (throws 'not-found' if there is none)
+ */
+function findById(items, id) {
+  const item = items.find(entry => entry.id === id);
+  if (!item) {
+    throw new DataError('not-found', `MockAdapter: No item "${id}"`, 404);
+  }
+  return item;
+}
+
+// Request handlers - path params (:id) are passed in params
+const ROUTES = [
+  { method: 'GET', path: '/positions', handler: () => MOCK_POSITIONS },
+  { method: 'GET', path: '/positions/:id', handler: ({ id }) => findById(MOCK_POSITIONS, id) },
+  { method: 'GET', path: '/campaigns', handler: () => MOCK_CAMPAIGNS },
+  { method: 'GET', path: '/campaigns/:id', handler: ({ id }) => findById(MOCK_CAMPAIGNS, id) },
+  { method: 'GET', path: '/referrers/:id', handler: ({ id }) => findReferrer(id) },
+  {
+    method: 'POST',
+    path: '/referrers/:id/applications',
+    latency: 1500,
+    handler: ({ id }, body) => creditApplication(id, body)
+  },
+  { method: 'GET', path: '/me', handler: () => getSignedInState('currentUser') },
+  { method: 'GET', path: '/me/stamps', handler: () => getSignedInState('stamps') || [] },
+  {
+    method: 'GET',
+    path: '/me/referrals',
+    // Accounts without referrals get the demo list
+    handler: () => {
+      const referrals = getSignedInState('referrals') || [];
+      return referrals.length > 0 ? referrals : MOCK_REFERRALS;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/me/referrals',
+    latency: 1500,
+    handler: async (params, body) => {
+      const { fields, files } = readBody(body);
+      const referrals = getSignedInState('referrals') || [];
+      const position = findById(MOCK_POSITIONS, fields.positionId);
+      const referralId = fields.referralId || `ref-${Date.now()}`;
+
+      return createReferralSubmission({
+        ...fields,
+        position,
+        referralId,
+        resumeBlobId: await storeResume(files.resume, referralId),
+        isFirstReferral: referrals.length === 0
+      });
+    }
+  }
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`)
+}));
+
+export class MockAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.latencyMs] - Delay of every answer (defaults to CONFIG.API.MOCK_LATENCY_MS)
+   * @param {number} [options.failureRate] - Share of requests that fail (defaults to CONFIG.API.MOCK_FAILURE_RATE)
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this._latencyMs = options.latencyMs ?? CONFIG.API.MOCK_LATENCY_MS;
+    this._failureRate = options.failureRate ?? CONFIG.API.MOCK_FAILURE_RATE;
+  }
+
+  /**
+   * Answers a request
+   * @param {Object} request - { method, path, body }
+   * @returns {Promise<*>} Response data
+   */
+  async request({ method, path, body }) {
+    let params = null;
+    const route = ROUTES.find(entry => {
+      if (entry.method !== method) return false;
+      const match = entry.pattern.exec(path);
+      params = match ? { ...match.groups } : null;
+      return !!match;
+    });
+
+    await new Promise(resolve => setTimeout(resolve, route?.latency ?? this._latencyMs));
+
+    if (Math.random() < this._failureRate) {
+      throw new DataError('network', `MockAdapter: Simulated failure of ${method} ${path}`);
+    }
+    if (!route) {
+      throw new DataError('not-found', `MockAdapter: No handler for ${method} ${path}`, 404);
+    }
+
+    Object.keys(params).forEach(key => {
+      params[key] = decodeURIComponent(params[key]);
+    });
+    return route.handler(params, body);
+  }
+}
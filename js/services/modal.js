@@ -3,12 +3,25 @@
  * Handles modal rendering and lifecycle
  */
 
+import { errorReporter } from '../core/error-reporter.js';
+import { dataService, getDataErrorMessage } from './data-service.js';
+
 /* ============================================================================
    MODAL MANAGER
    ============================================================================
    Handles modal rendering and lifecycle
    ========================================================================== */
 
+/**
+ * Detail modals that have a deep link (see CONFIG.ROUTE_PATTERNS)
+ * stateKey holds the item the modal shows
+ */
+const ROUTE_MODALS = {
+  'referral-details': { stateKey: 'selectedReferral', notFoundMessage: 'ההפניה המבוקשת לא נמצאה' },
+  'position-details': { stateKey: 'selectedPosition', notFoundMessage: 'המשרה המבוקשת לא נמצאה' },
+  'stamp-details': { stateKey: 'selectedStamp', notFoundMessage: 'החותמת המבוקשת לא נמצאה' }
+};
+
 export class ModalManager {
   constructor() {
     this._currentModal = null;
@@ -16,14 +29,13 @@ export class ModalManager {
     this._stateManager = null;
     this._router = null;
     
-    // Modal components (to be set via setDependencies)
+    // Modal components (to be set via setDependencies; the OTP modal
+    // arrives with the login module - see setOTPModalComponent)
     this._OTPModalComponent = null;
     this._stampDetailModal = null;
     this._positionDetailModal = null;
     this._referralDetailModal = null;
-    this._showSMSToast = null;
     this._dismissSMSToast = null;
-    this._MOCK_POSITIONS = null;
   }
   
   /**
@@ -33,13 +45,18 @@ export class ModalManager {
   setDependencies(deps) {
     this._stateManager = deps.stateManager;
     this._router = deps.router;
-    this._OTPModalComponent = deps.OTPModalComponent;
     this._stampDetailModal = deps.stampDetailModal;
     this._positionDetailModal = deps.positionDetailModal;
     this._referralDetailModal = deps.referralDetailModal;
-    this._showSMSToast = deps.showSMSToast;
     this._dismissSMSToast = deps.dismissSMSToast;
-    this._MOCK_POSITIONS = deps.MOCK_POSITIONS;
+  }
+
+  /**
+   * Sets the OTP modal component (registered when the login module loads)
+   * @param {Function} OTPModalComponent - OTP modal component class
+   */
+  setOTPModalComponent(OTPModalComponent) {
+    this._OTPModalComponent = OTPModalComponent;
   }
 
   /**
@@ -58,6 +75,14 @@ export class ModalManager {
       this._handleModalChange(modalName);
     });
     
+    // Open and close detail modals from deep links (#referrals/:id ...)
+    this._stateManager.subscribe('routeModal', (routeModal) => {
+      this._handleRouteModal(routeModal);
+    });
+    
+    // Records are hydrated by now - open the deep link the page was loaded with
+    this._handleRouteModal(this._stateManager.getState('routeModal'));
+    
     // Set up event delegation for modal container
     if (this._modalContainer) {
       this._modalContainer.addEventListener('click', (e) => {
@@ -83,6 +108,30 @@ export class ModalManager {
 
     if (!this._modalContainer) return;
 
+    try {
+      this._showModal(modalName);
+    } catch (error) {
+      this._handleModalError(modalName, error);
+      return;
+    }
+    
+    // Keep the URL in sync so detail modals can be shared and closed with Back
+    if (this._router) {
+      const routeModal = ROUTE_MODALS[modalName];
+      const item = routeModal ? this._stateManager.getState(routeModal.stateKey) : null;
+      if (item) {
+        this._router.openModalRoute(modalName, { id: item.id });
+      } else if (!modalName) {
+        this._router.closeModalRoute();
+      }
+    }
+  }
+
+  /**
+   * Renders the requested modal, or hides the container
+   * @param {string|null} modalName - Name of modal to show, or null to close
+   */
+  _showModal(modalName) {
     if (modalName === 'otp') {
       // Show OTP modal
       this._modalContainer.classList.add('active');
@@ -94,13 +143,6 @@ export class ModalManager {
         this._modalContainer.innerHTML = this._currentModal.render();
         this._currentModal.mount();
       }
-      
-      // Story 7.4: Trigger SMS toast 500ms after modal opens (simulating SMS delivery)
-      if (this._showSMSToast) {
-        setTimeout(() => {
-          this._showSMSToast();
-        }, 500);
-      }
     } else if (modalName === 'stamp-details') {
       // Show stamp detail modal (Story 3.5)
       const stamp = this._stateManager.getState('selectedStamp');
@@ -129,6 +171,99 @@ export class ModalManager {
     }
   }
 
+  /**
+   * Error boundary for modals - one that fails to render or mount is
+   * reported and closed, so no empty overlay is left over the page
+   * @param {string} modalName - Modal that failed
+   * @param {Error} error - What went wrong
+   */
+  _handleModalError(modalName, error) {
+    errorReporter.report(error, {
+      component: this._currentModal?.constructor.name || modalName,
+      phase: 'mount',
+      route: this._router?.getCurrentRoute(),
+      location: this._router?.getLocation()
+    });
+    
+    if (typeof window.app !== 'undefined' && window.app.showToast) {
+      window.app.showToast('לא הצלחנו לפתוח את החלון. נסו שוב', 'error');
+    }
+    
+    // Closing unmounts the modal and clears its container
+    this._stateManager.setState({ activeModal: null });
+  }
+
+  /**
+   * Handles deep-link changes from the router
+   * @param {{name: string, params: Object}|null} routeModal - Modal requested by the URL
+   */
+  async _handleRouteModal(routeModal) {
+    const activeModal = this._stateManager.getState('activeModal');
+    
+    if (!routeModal) {
+      // Back button left the deep link - close the modal it belongs to
+      if (ROUTE_MODALS[activeModal] && this._currentModal) {
+        this._currentModal.close();
+      }
+      return;
+    }
+    
+    const config = ROUTE_MODALS[routeModal.name];
+    if (!config) return;
+    
+    const { id } = routeModal.params;
+    const selected = this._stateManager.getState(config.stateKey);
+    if (activeModal === routeModal.name && selected?.id === id) return;
+    
+    let item = null;
+    let message = config.notFoundMessage;
+    try {
+      item = await this._findRouteItem(routeModal.name, id);
+    } catch (error) {
+      if (error.reason !== 'not-found') {
+        message = getDataErrorMessage(error);
+      }
+    }
+    
+    // The URL moved on while the item was loading
+    if (this._stateManager.getState('routeModal') !== routeModal) return;
+    
+    if (!item) {
+      console.warn(`ModalManager: No item "${id}" for ${routeModal.name} deep link`);
+      if (typeof window.app !== 'undefined' && window.app.showToast) {
+        window.app.showToast(message, 'error');
+      }
+      this._router?.closeModalRoute();
+      return;
+    }
+    
+    this._stateManager.setState({
+      [config.stateKey]: item,
+      activeModal: routeModal.name
+    });
+  }
+
+  /**
+   * Finds the item a deep-linked modal shows
+   * @param {string} modalName - Modal name
+   * @param {string} id - Item id from the URL
+   * @returns {Promise<Object|null>} Referral, position or stamp (positions come from the
+   *   data service, which rejects with a DataError when they can't be loaded)
+   */
+  async _findRouteItem(modalName, id) {
+    if (modalName === 'position-details') {
+      return dataService.positions.get(id);
+    }
+    
+    let items = [];
+    if (modalName === 'referral-details') {
+      items = this._stateManager.getState('referrals') || [];
+    } else if (modalName === 'stamp-details') {
+      items = this._stateManager.getState('stamps') || [];
+    }
+    return items.find(item => item.id === id) || null;
+  }
+
   /**
    * Handles modal actions via event delegation
    * @param {string} action - Action name
@@ -145,13 +280,8 @@ export class ModalManager {
         
       case 'resend-otp':
         if (this._currentModal && this._currentModal.handleResend) {
+          // The new code is delivered by the OTP service (SMS toast in the demo)
           this._currentModal.handleResend();
-          // Story 7.4: Show SMS toast again when resending
-          if (this._showSMSToast) {
-            setTimeout(() => {
-              this._showSMSToast();
-            }, 500);
-          }
         }
         break;
       
@@ -214,9 +344,10 @@ export class ModalManager {
       case 'refer-from-modal':
         if (this._currentModal === this._positionDetailModal) {
           const positionId = target.dataset.positionId;
-          if (positionId && this._MOCK_POSITIONS) {
-            const position = this._MOCK_POSITIONS.find(p => p.id === positionId);
-            if (position) {
+          if (positionId) {
+            // The position the modal shows
+            const position = this._stateManager.getState('selectedPosition');
+            if (position?.id === positionId) {
               // Close modal first
               this._positionDetailModal.close();
               
@@ -4,6 +4,8 @@
  */
 
 import { router } from '../core/router.js';
+import { getUserRoles } from '../core/permissions.js';
+import { errorReporter } from '../core/error-reporter.js';
 
 /* ============================================================================
    NAVIGATION MANAGER
@@ -54,6 +56,14 @@ export class NavigationManager {
       this._updateNavigation(isAuth);
     });
     
+    // Nav items depend on the user's roles (sign-in and sign-out are handled above)
+    this._stateManager.subscribe('currentUser', (user, previousUser) => {
+      if (!user || !previousUser) return;
+      if (getUserRoles(user).join(',') !== getUserRoles(previousUser).join(',')) {
+        this._renderNavigation();
+      }
+    });
+    
     // Listen for viewport changes
     this._boundMediaHandler = (e) => {
       this._isDesktop = e.matches;
@@ -115,10 +125,7 @@ export class NavigationManager {
     if (this._stateManager) {
       this._headerComponent.setStateManager(this._stateManager);
     }
-    if (headerContainer) {
-      headerContainer.innerHTML = this._headerComponent.render();
-      this._headerComponent.setElement(headerContainer.firstElementChild);
-      this._headerComponent.mount();
+    if (headerContainer && this._mountComponent(this._headerComponent, headerContainer)) {
       // Add has-header class for fixed header padding
       document.body.classList.add('has-header');
     }
@@ -139,7 +146,7 @@ export class NavigationManager {
       // Add click handler for navigation items in sidebar
       sidebarContainer.addEventListener('click', (event) => {
         const target = event.target.closest('[data-navigate]');
-        if (target) {
+        if (target && router.isRoutableClick(event, target)) {
           event.preventDefault();
           const route = target.dataset.navigate;
           
@@ -159,9 +166,7 @@ export class NavigationManager {
         }
       });
     }
-    sidebarContainer.innerHTML = this._sidebarNavComponent.render();
-    this._sidebarNavComponent.setElement(sidebarContainer.firstElementChild);
-    this._sidebarNavComponent.mount();
+    this._mountComponent(this._sidebarNavComponent, sidebarContainer);
     
     // Apply collapsed state if saved (desktop only)
     if (this._isDesktop) {
@@ -194,13 +199,40 @@ export class NavigationManager {
       }
       
       if (navContainer) {
-        navContainer.innerHTML = this._bottomNavComponent.render();
-        this._bottomNavComponent.setElement(navContainer.firstElementChild);
-        this._bottomNavComponent.mount();
+        this._mountComponent(this._bottomNavComponent, navContainer);
       }
     }
   }
   
+  /**
+   * Renders and mounts a navigation component into its container
+   * Error boundary: a component that throws is reported and left out, so
+   * the page and the rest of the navigation stay usable
+   * @param {Component} component - Navigation component
+   * @param {Element} container - Container element
+   * @returns {boolean} True if mounted
+   */
+  _mountComponent(component, container) {
+    let phase = 'render';
+    try {
+      container.innerHTML = component.render();
+      component.setElement(container.firstElementChild);
+      phase = 'mount';
+      component.mount();
+      return true;
+    } catch (error) {
+      errorReporter.report(error, {
+        component: component.constructor.name,
+        phase,
+        route: router.getCurrentRoute(),
+        location: router.getLocation()
+      });
+      component.unmount();
+      container.innerHTML = '';
+      return false;
+    }
+  }
+  
   /**
    * Unmounts all navigation components
    */
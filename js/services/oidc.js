@@ -0,0 +1,359 @@
+/**
+ * PassportCard Refer - OIDC Auth Provider
+ * Corporate SSO sign-in through an OpenID Connect identity provider
+ */
+
+import { CONFIG } from '../core/config.js';
+import { router } from '../core/router.js';
+import { generateSecureToken } from '../core/crypto.js';
+
+/* ============================================================================
+   OIDC AUTH PROVIDER
+   ============================================================================
+   Authorization code flow with PKCE (RFC 7636) - the app is a public client
+   with no backend to keep a client secret:
+   1. startLogin() keeps a random state, nonce and code verifier for this tab
+      (sessionStorage) and returns the IdP's authorization URL
+   2. the IdP sends the browser back to the login page with ?code&state
+   3. verify() matches the state, exchanges the code (with the verifier) at
+      the token endpoint and checks the ID token claims (iss, aud, exp, nonce,
+      email_verified - accounts are keyed by email, so an address the IdP
+      has not verified could sign in as somebody else's account)
+   The ID token comes straight from the token endpoint over TLS, so its
+   signature is not checked (OpenID Connect Core 3.1.3.7).
+
+   Endpoints are read from the issuer's discovery document, so any compliant
+   IdP works - the corporate one or a local mock server (CONFIG.AUTH.OIDC).
+   The tokens live in the session state, which is stored in LocalStorage;
+   before production they belong in a backend session instead.
+   ========================================================================== */
+
+// Time the user has to finish signing in at the IdP
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// Tokens are renewed this long before they expire
+const RENEW_MARGIN_MS = 60 * 1000;
+
+// Query params the IdP adds to the redirect URI
+const CALLBACK_PARAMS = ['code', 'state', 'error', 'error_description', 'session_state', 'iss'];
+
+/**
+ * Encodes bytes as base64url (no padding)
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} base64url string
+ */
+function toBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes the payload of a JWT (without checking its signature)
+ * @param {string} token - JWT
+ * @returns {Object|null} Claims, or null if the token is malformed
+ */
+function decodeJwtPayload(token) {
+  try {
+    const payload = String(token).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '='));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates the PKCE code challenge of a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<string>} S256 code challenge
+ */
+async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return toBase64Url(digest);
+}
+
+export class OIDCProvider {
+  /**
+   * @param {Object} [options] - Overrides of CONFIG.AUTH.OIDC
+   * @param {string} [options.issuer] - Issuer URL
+   * @param {string} [options.clientId] - Client id registered at the IdP
+   * @param {string} [options.scope] - Requested scopes
+   * @param {string} [options.redirectUri] - Redirect URI (defaults to the login page)
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor(options = {}) {
+    this.name = 'oidc';
+    this.flow = 'redirect';
+    this._issuer = (options.issuer ?? CONFIG.AUTH.OIDC.ISSUER).replace(/\/$/, '');
+    this._clientId = options.clientId ?? CONFIG.AUTH.OIDC.CLIENT_ID;
+    this._scope = options.scope ?? CONFIG.AUTH.OIDC.SCOPE;
+    this._redirectUri = options.redirectUri || null;
+    this._fetch = options.fetch || ((...args) => fetch(...args));
+    this._metadata = null;
+  }
+
+  /**
+   * Gets the URI the IdP redirects back to
+   * @returns {string} Absolute URL of the login page
+   * @private
+   */
+  _getRedirectUri() {
+    return this._redirectUri ||
+      new URL(router.pageFileUrl(CONFIG.AUTH.OIDC.REDIRECT_PAGE), window.location.href).href;
+  }
+
+  /**
+   * Loads the IdP's discovery document (once)
+   * @returns {Promise<Object>} Provider metadata
+   * @private
+   */
+  async _discover() {
+    if (!this._metadata) {
+      const response = await this._fetch(`${this._issuer}/.well-known/openid-configuration`);
+      if (!response.ok) {
+        throw new Error(`Discovery failed with status ${response.status}`);
+      }
+      this._metadata = await response.json();
+    }
+    return this._metadata;
+  }
+
+  /**
+   * Starts signing in - prepares the authorization request
+   * @param {Object} [params]
+   * @param {string} [params.email] - Account to suggest at the IdP (login_hint)
+   * @returns {Promise<Object>} { ok: true, redirectUrl } or { ok: false, reason } where
+   *   reason is 'config' (no issuer set) or 'unavailable' (IdP unreachable)
+   */
+  async startLogin(params = {}) {
+    if (!this._issuer || !this._clientId) {
+      console.error('OIDCProvider: CONFIG.AUTH.OIDC is missing the issuer or client id');
+      return { ok: false, reason: 'config' };
+    }
+
+    let metadata;
+    try {
+      metadata = await this._discover();
+    } catch (error) {
+      console.error('OIDCProvider: Failed to load provider metadata', error);
+      return { ok: false, reason: 'unavailable' };
+    }
+
+    const request = {
+      state: generateSecureToken(16),
+      nonce: generateSecureToken(16),
+      verifier: toBase64Url(crypto.getRandomValues(new Uint8Array(32))),
+      redirectUri: this._getRedirectUri(),
+      createdAt: Date.now()
+    };
+    sessionStorage.setItem(CONFIG.OIDC_STORAGE_KEY, JSON.stringify(request));
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this._clientId,
+      redirect_uri: request.redirectUri,
+      scope: this._scope,
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: await createCodeChallenge(request.verifier),
+      code_challenge_method: 'S256',
+      ...(params.email ? { login_hint: params.email } : {})
+    }).toString();
+
+    return { ok: true, redirectUrl: url.href };
+  }
+
+  /**
+   * Checks whether a URL is the IdP's redirect back to the app
+   * @param {string} url - URL
+   * @returns {boolean} True if it carries an authorization response
+   */
+  isCallback(url) {
+    const params = new URL(url).searchParams;
+    return params.has('state') && (params.has('code') || params.has('error'));
+  }
+
+  /**
+   * Removes the authorization response params from a URL
+   * @param {string} url - Callback URL
+   * @returns {string} URL without the code, state and error params
+   */
+  stripCallback(url) {
+    const cleanUrl = new URL(url);
+    CALLBACK_PARAMS.forEach(name => cleanUrl.searchParams.delete(name));
+    return cleanUrl.href;
+  }
+
+  /**
+   * Takes the sign-in request started in this tab (it can be used once)
+   * @returns {Object|null} { state, nonce, verifier, redirectUri, createdAt }
+   * @private
+   */
+  _takeRequest() {
+    try {
+      const stored = sessionStorage.getItem(CONFIG.OIDC_STORAGE_KEY);
+      sessionStorage.removeItem(CONFIG.OIDC_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('OIDCProvider: Failed to read the sign-in request', error);
+      return null;
+    }
+  }
+
+  /**
+   * Completes signing in from the IdP's redirect
+   * @param {Object} params
+   * @param {string} params.callbackUrl - URL the IdP redirected to
+   * @returns {Promise<Object>} { ok: true, identity, session } or { ok: false, reason } where reason is
+   *   'state' (no matching request), 'denied' (cancelled at the IdP), 'unavailable' or 'rejected'
+   */
+  async verify({ callbackUrl }) {
+    const params = new URL(callbackUrl).searchParams;
+    const request = this._takeRequest();
+
+    if (!request || params.get('state') !== request.state || Date.now() - request.createdAt > REQUEST_TTL_MS) {
+      return { ok: false, reason: 'state' };
+    }
+    if (params.get('error')) {
+      console.warn(`OIDCProvider: Authorization failed - ${params.get('error')}`, params.get('error_description'));
+      return { ok: false, reason: params.get('error') === 'access_denied' ? 'denied' : 'rejected' };
+    }
+
+    const tokens = await this._requestTokens({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: request.redirectUri,
+      code_verifier: request.verifier
+    });
+    if (!tokens.ok) return tokens;
+
+    const claims = decodeJwtPayload(tokens.id_token);
+    const problem = this._checkClaims(claims, request.nonce);
+    if (problem) {
+      console.error(`OIDCProvider: ID token rejected - ${problem}`);
+      return { ok: false, reason: 'rejected' };
+    }
+
+    return {
+      ok: true,
+      identity: { email: claims.email, name: claims.name || null, subject: claims.sub },
+      session: this._toSession(tokens)
+    };
+  }
+
+  /**
+   * Checks the claims of an ID token
+   * @param {Object|null} claims - Decoded claims
+   * @param {string} nonce - Nonce sent with the request
+   * @returns {string|null} What is wrong, or null when valid
+   * @private
+   */
+  _checkClaims(claims, nonce) {
+    if (!claims) return 'malformed token';
+    if (claims.iss !== this._metadata.issuer) return 'issuer mismatch';
+
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audience.includes(this._clientId)) return 'audience mismatch';
+    if (audience.length > 1 && claims.azp !== this._clientId) return 'authorized party mismatch';
+
+    if (!(claims.exp * 1000 > Date.now())) return 'token expired';
+    if (claims.nonce !== nonce) return 'nonce mismatch';
+    if (!claims.email) return 'no email claim (is the email scope allowed?)';
+    if (claims.email_verified !== true) return 'email not verified';
+    return null;
+  }
+
+  /**
+   * Calls the token endpoint
+   * @param {Object} body - Grant params
+   * @returns {Promise<Object>} Token response with ok: true, or { ok: false, reason }
+   * @private
+   */
+  async _requestTokens(body) {
+    let response;
+    try {
+      const metadata = await this._discover();
+      response = await this._fetch(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ ...body, client_id: this._clientId }).toString()
+      });
+    } catch (error) {
+      console.error('OIDCProvider: Token endpoint unreachable', error);
+      return { ok: false, reason: 'unavailable' };
+    }
+
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.warn(`OIDCProvider: Token request failed - ${tokens.error || response.status}`);
+      return { ok: false, reason: response.status >= 500 ? 'unavailable' : 'rejected' };
+    }
+    return { ...tokens, ok: true };
+  }
+
+  /**
+   * Picks the session fields of a token response
+   * @param {Object} tokens - Token response
+   * @returns {Object} { accessToken, refreshToken, idToken, renewAt }
+   * @private
+   */
+  _toSession(tokens) {
+    const session = {
+      accessToken: tokens.access_token,
+      idToken: tokens.id_token,
+      refreshToken: tokens.refresh_token || null,
+      renewAt: null
+    };
+    if (session.refreshToken && tokens.expires_in) {
+      session.renewAt = new Date(Date.now() + tokens.expires_in * 1000 - RENEW_MARGIN_MS).toISOString();
+    }
+    return session;
+  }
+
+  /**
+   * Renews the tokens of a session with its refresh token
+   * @param {Object} session - Session with the tokens
+   * @returns {Promise<Object>} { ok: true, session } or { ok: false, reason } - 'unavailable' or 'rejected'
+   */
+  async refresh(session) {
+    if (!session.refreshToken) return { ok: true };
+
+    const tokens = await this._requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken
+    });
+    if (!tokens.ok) return tokens;
+
+    // The IdP may keep the refresh token and ID token it issued before
+    const renewed = this._toSession({
+      refresh_token: session.refreshToken,
+      id_token: session.idToken,
+      ...tokens
+    });
+    return { ok: true, session: renewed };
+  }
+
+  /**
+   * Ends the IdP session too, when the IdP supports RP-initiated logout
+   * @param {Object} session - Session being ended
+   * @returns {Promise<Object>} { redirectUrl } - the IdP's logout URL, if any
+   */
+  async logout(session) {
+    const metadata = await this._discover();
+    if (!metadata.end_session_endpoint) return {};
+
+    const url = new URL(metadata.end_session_endpoint);
+    url.search = new URLSearchParams({
+      client_id: this._clientId,
+      post_logout_redirect_uri: this._getRedirectUri(),
+      ...(session?.idToken ? { id_token_hint: session.idToken } : {})
+    }).toString();
+    return { redirectUrl: url.href };
+  }
+}
@@ -0,0 +1,346 @@
+/**
+ * PassportCard Refer - OTP Service
+ * Issues and verifies the one-time codes used to sign in
+ */
+
+import { CONFIG } from '../core/config.js';
+import { generateSecureToken } from '../core/crypto.js';
+
+/* ============================================================================
+   OTP SERVICE
+   ============================================================================
+   Each sign-in gets a random code for the email address that requested it.
+   Only a salted SHA-256 hash of the code is stored, with its expiry and the
+   failed attempts of the address (CONFIG.OTP). Sending a new code replaces
+   the previous one. Too many wrong codes lock the address for a while -
+   attempts are counted across resends, and the state is kept in
+   LocalStorage so a reload doesn't reset it.
+
+   Codes reach the user through a delivery channel (setDeliveryChannel).
+   Until an SMS gateway is connected, the demo channel shows the code in the
+   SMS toast (see components/sms-toast.js).
+
+   Like the rest of the pilot this runs in the browser - anyone with dev
+   tools can read or reset it. A backend must issue and check the codes
+   before the app is exposed beyond the pilot.
+   ========================================================================== */
+
+// Digits per code - the OTP modal has one input box per digit
+const CODE_LENGTH = 6;
+
+/**
+ * @typedef {Object} OTPDeliveryChannel
+ * @property {string} name - Channel name (for logs)
+ * @property {Function} deliver - async ({ email, code, expiresAt }) => void; throws if the code could not be sent
+ */
+
+/**
+ * Normalizes an email address for use as a record key
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-cased address
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Generates a random numeric code
+ * @param {number} length - Number of digits
+ * @returns {string} Code (may start with zeros)
+ */
+function generateCode(length) {
+  const digits = [];
+  const values = new Uint8Array(1);
+
+  while (digits.length < length) {
+    crypto.getRandomValues(values);
+    // Skip 250-255 so every digit is equally likely
+    if (values[0] < 250) {
+      digits.push(values[0] % 10);
+    }
+  }
+
+  return digits.join('');
+}
+
+/**
+ * Hashes a code with its salt
+ * @param {string} code - Code
+ * @param {string} salt - Per-code salt
+ * @returns {Promise<string>} Hex encoded SHA-256 hash
+ */
+async function hashCode(code, salt) {
+  const data = new TextEncoder().encode(`${salt}:${code}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), value => value.toString(16).padStart(2, '0')).join('');
+}
+
+export class OTPService {
+  /**
+   * @param {string} [storageKey] - LocalStorage key (defaults to CONFIG.OTP_STORAGE_KEY)
+   */
+  constructor(storageKey = CONFIG.OTP_STORAGE_KEY) {
+    this._storageKey = storageKey;
+    this._channel = null;
+  }
+
+  /**
+   * Sets the channel codes are delivered through
+   * @param {OTPDeliveryChannel} channel - Delivery channel
+   */
+  setDeliveryChannel(channel) {
+    this._channel = channel;
+  }
+
+  /**
+   * Reads the stored code records, dropping the ones no longer needed
+   * @returns {Object} Email → { hash, salt, issuedAt, expiresAt, failedAttempts, lockedUntil }
+   * @private
+   */
+  _read() {
+    let records = {};
+    try {
+      const stored = localStorage.getItem(this._storageKey);
+      records = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.warn('OTPService: Failed to read codes', error);
+    }
+    if (!records || typeof records !== 'object') return {};
+
+    // A record outlives its code until the lockout window has passed, so
+    // failed attempts still count when a new code is requested
+    const now = Date.now();
+    Object.keys(records).forEach(email => {
+      const record = records[email];
+      const locked = record.lockedUntil > now;
+      const recent = now - record.issuedAt < CONFIG.OTP.LOCKOUT_MS;
+      if (!locked && !recent) {
+        delete records[email];
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Writes the code records
+   * @param {Object} records - Email → record
+   * @private
+   */
+  _write(records) {
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(records));
+    } catch (error) {
+      console.warn('OTPService: Failed to save codes', error);
+    }
+  }
+
+  /**
+   * Gets the record of an address, clearing a lockout that has ended
+   * @param {Object} records - All records
+   * @param {string} email - Normalized email
+   * @returns {Object|null} Record
+   * @private
+   */
+  _getRecord(records, email) {
+    const record = records[email];
+    if (!record) return null;
+
+    if (record.lockedUntil && record.lockedUntil <= Date.now()) {
+      record.lockedUntil = null;
+      record.failedAttempts = 0;
+    }
+    return record;
+  }
+
+  /**
+   * Gets the code state of an address
+   * @param {string} email - Email address
+   * @returns {{expiresAt: number|null, resendAt: number, attemptsLeft: number, lockedUntil: number|null}|null}
+   *   null when no code was requested recently
+   */
+  getStatus(email) {
+    const record = this._getRecord(this._read(), normalizeEmail(email));
+    if (!record) return null;
+
+    return {
+      expiresAt: record.hash ? record.expiresAt : null,
+      resendAt: record.issuedAt + CONFIG.OTP.RESEND_COOLDOWN_SECONDS * 1000,
+      attemptsLeft: Math.max(0, CONFIG.OTP.MAX_ATTEMPTS - record.failedAttempts),
+      lockedUntil: record.lockedUntil || null
+    };
+  }
+
+  /**
+   * Issues a new code for an address and delivers it
+   * Any code issued before for the address stops working.
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} { ok: true, expiresAt } or { ok: false, reason, ... } where reason is
+   *   'locked' (with lockedUntil), 'cooldown' (a code was just sent - with retryAt) or 'delivery'
+   */
+  async issue(email) {
+    const key = normalizeEmail(email);
+    const records = this._read();
+    const record = this._getRecord(records, key);
+    const now = Date.now();
+
+    if (record?.lockedUntil) {
+      return { ok: false, reason: 'locked', lockedUntil: record.lockedUntil };
+    }
+
+    const retryAt = record ? record.issuedAt + CONFIG.OTP.RESEND_COOLDOWN_SECONDS * 1000 : 0;
+    if (record?.hash && retryAt > now) {
+      return { ok: false, reason: 'cooldown', retryAt };
+    }
+
+    if (!this._channel) {
+      console.error('OTPService: No delivery channel set');
+      return { ok: false, reason: 'delivery' };
+    }
+
+    const code = generateCode(CODE_LENGTH);
+    const salt = generateSecureToken(16);
+    const expiresAt = now + CONFIG.OTP.TTL_MS;
+
+    records[key] = {
+      hash: await hashCode(code, salt),
+      salt,
+      issuedAt: now,
+      expiresAt,
+      failedAttempts: record?.failedAttempts || 0,
+      lockedUntil: null
+    };
+    this._write(records);
+
+    try {
+      await this._channel.deliver({ email: key, code, expiresAt });
+    } catch (error) {
+      console.error(`OTPService: Delivery through "${this._channel.name}" failed`, error);
+      this._clearCode(key);
+      return { ok: false, reason: 'delivery' };
+    }
+
+    return { ok: true, expiresAt };
+  }
+
+  /**
+   * Checks a code entered for an address
+   * A correct code is used up; a wrong one counts as a failed attempt.
+   * @param {string} email - Email address
+   * @param {string} code - Entered code
+   * @returns {Promise<Object>} { ok: true } or { ok: false, reason, ... } where reason is
+   *   'invalid' (with attemptsLeft), 'locked' (with lockedUntil), 'expired' or 'missing'
+   */
+  async verify(email, code) {
+    const key = normalizeEmail(email);
+    const records = this._read();
+    const record = this._getRecord(records, key);
+    const now = Date.now();
+
+    if (record?.lockedUntil) {
+      return { ok: false, reason: 'locked', lockedUntil: record.lockedUntil };
+    }
+    if (!record?.hash) {
+      return { ok: false, reason: 'missing' };
+    }
+    if (record.expiresAt <= now) {
+      this._clearCode(key);
+      return { ok: false, reason: 'expired' };
+    }
+
+    if (await hashCode(String(code), record.salt) === record.hash) {
+      delete records[key];
+      this._write(records);
+      return { ok: true };
+    }
+
+    record.failedAttempts += 1;
+    const attemptsLeft = CONFIG.OTP.MAX_ATTEMPTS - record.failedAttempts;
+
+    if (attemptsLeft <= 0) {
+      record.lockedUntil = now + CONFIG.OTP.LOCKOUT_MS;
+      record.hash = null;
+      this._write(records);
+      console.warn(`OTPService: Too many failed attempts - "${key}" locked`);
+      return { ok: false, reason: 'locked', lockedUntil: record.lockedUntil };
+    }
+
+    this._write(records);
+    return { ok: false, reason: 'invalid', attemptsLeft };
+  }
+
+  /**
+   * Drops the current code of an address (failed attempts are kept)
+   * @param {string} email - Normalized email
+   * @private
+   */
+  _clearCode(email) {
+    const records = this._read();
+    if (!records[email]) return;
+
+    records[email].hash = null;
+    this._write(records);
+  }
+}
+
+/* ============================================================================
+   EMAIL OTP AUTH PROVIDER
+   ============================================================================
+   The sign-in provider (see AuthService) for codes sent to the work email:
+   startLogin issues a code and verify checks it. The session is local only,
+   so there is nothing to renew or sign out of.
+   ========================================================================== */
+
+export class EmailOTPProvider {
+  /**
+   * @param {OTPService} otp - Service issuing the codes
+   */
+  constructor(otp) {
+    this.name = 'email-otp';
+    this.flow = 'code';
+    this._otp = otp;
+  }
+
+  /**
+   * Sends a code for an address
+   * @param {Object} params
+   * @param {string} params.email - Email address
+   * @returns {Promise<Object>} Result of OTPService.issue
+   */
+  startLogin({ email }) {
+    return this._otp.issue(email);
+  }
+
+  /**
+   * Checks the code entered for an address
+   * @param {Object} params
+   * @param {string} params.email - Email address
+   * @param {string} params.code - Entered code
+   * @returns {Promise<Object>} { ok: true, identity } or the failed result of OTPService.verify
+   */
+  async verify({ email, code }) {
+    const result = await this._otp.verify(email, code);
+    if (!result.ok) return result;
+
+    return { ok: true, identity: { email: normalizeEmail(email) } };
+  }
+
+  /**
+   * Renews the session - nothing to renew for codes
+   * @returns {Promise<Object>} { ok: true }
+   */
+  async refresh() {
+    return { ok: true };
+  }
+
+  /**
+   * Signs out at the provider - nothing to do for codes
+   * @returns {Promise<Object>} {} - no redirect
+   */
+  async logout() {
+    return {};
+  }
+}
+
+// Global OTPService singleton instance
+export const otpService = new OTPService();
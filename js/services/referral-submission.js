@@ -0,0 +1,127 @@
+/**
+ * PassportCard Refer - Referral Submission Service
+ * Builds submitted referrals and attributes candidate applications to referrers
+ */
+
+import { CONFIG } from '../core/config.js';
+import { router } from '../core/router.js';
+import { STAMP_TYPES } from '../data/stamp-types.js';
+
+/* ============================================================================
+   REFERRAL SUBMISSION SERVICE
+   ============================================================================
+   Referral links (?ref=<userId>&pos=<positionId>) lead candidates to the
+   public apply page. A candidate's application is sent through the data
+   service (dataService.referralLinks), which resolves the referrer named in
+   the link and credits the application to them as a referral - with the
+   same stamps an employee-submitted referral earns (createReferralSubmission).
+   ========================================================================== */
+
+/**
+ * Reads the referral params from a URL query string
+ * @param {string} [search] - Query string (defaults to the current URL)
+ * @returns {{referrerId: string, positionId: string}|null} Link params, or null if incomplete
+ */
+export function getInboundReferralLink(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const referrerId = params.get('ref');
+  const positionId = params.get('pos');
+
+  if (!referrerId || !positionId) return null;
+  return { referrerId, positionId };
+}
+
+/**
+ * Builds the candidate-facing link for a position
+ * @param {string} userId - Referring employee id
+ * @param {string} positionId - Position id
+ * @returns {string} Absolute URL of the apply page
+ */
+export function buildCandidateLink(userId, positionId) {
+  const url = new URL(router.pageFileUrl(CONFIG.ROUTES[CONFIG.CANDIDATE_ROUTE].page), window.location.href);
+  url.searchParams.set('ref', userId);
+  url.searchParams.set('pos', positionId);
+  return url.toString();
+}
+
+/**
+ * Creates a submitted referral and the stamps it earns
+ * @param {Object} submission
+ * @param {Object} submission.position - Position referred to
+ * @param {Object} submission.candidate - { candidateName, candidateEmail, candidatePhone, relationship, notes }
+ * @param {string|null} [submission.resumeFileName] - Original résumé file name
+ * @param {string|null} [submission.resumeBlobId] - Stored résumé blob id
+ * @param {boolean} [submission.isFirstReferral] - Adds the first-referral stamp
+ * @param {string} [submission.referralId] - Id to use (generated when omitted)
+ * @param {string} [submission.source] - Where the referral came from (e.g. 'candidate-link')
+ * @returns {{referral: Object, stamps: Array, points: number}} New referral, earned stamps and their points
+ */
+export function createReferralSubmission(submission) {
+  const {
+    position,
+    candidate,
+    resumeFileName = null,
+    resumeBlobId = null,
+    isFirstReferral = false,
+    referralId = `ref-${Date.now()}`,
+    source = null
+  } = submission;
+  const now = new Date().toISOString();
+
+  const referral = {
+    id: referralId,
+    positionId: position.id,
+    positionTitle: position.title,
+    candidateName: candidate.candidateName,
+    candidateEmail: candidate.candidateEmail,
+    candidatePhone: candidate.candidatePhone || null,
+    relationship: candidate.relationship || null,
+    notes: candidate.notes || null,
+    resumeFileName,
+    resumeBlobId,
+    status: 'submitted',
+    submittedAt: now,
+    timeline: [
+      {
+        status: 'submitted',
+        date: now,
+        points: CONFIG.POINTS.REFERRAL_SUBMITTED
+      }
+    ],
+    pointsEarned: CONFIG.POINTS.REFERRAL_SUBMITTED,
+    ...(source ? { source } : {})
+  };
+
+  const stamps = [{
+    id: `stmp-${Date.now()}`,
+    type: 'submitted',
+    label: STAMP_TYPES.submitted.label,
+    points: CONFIG.POINTS.REFERRAL_SUBMITTED,
+    earnedDate: now,
+    referralId,
+    positionTitle: position.title,
+    color: STAMP_TYPES.submitted.color,
+    shape: STAMP_TYPES.submitted.shape,
+    icon: STAMP_TYPES.submitted.icon,
+    isNew: true
+  }];
+
+  // First referral bonus
+  if (isFirstReferral) {
+    stamps.push({
+      id: `stmp-${Date.now()}-first`,
+      type: 'first',
+      label: STAMP_TYPES.first.label,
+      points: STAMP_TYPES.first.points,
+      earnedDate: now,
+      referralId,
+      color: STAMP_TYPES.first.color,
+      shape: STAMP_TYPES.first.shape,
+      icon: STAMP_TYPES.first.icon,
+      isNew: true
+    });
+  }
+
+  const points = stamps.reduce((sum, stamp) => sum + stamp.points, 0);
+  return { referral, stamps, points };
+}
@@ -0,0 +1,227 @@
+/**
+ * PassportCard Refer - Session Service
+ * Idle timeout, expiry warning and sliding refresh of the signed-in session
+ */
+
+import { CONFIG } from '../core/config.js';
+import { stateManager } from '../core/state.js';
+import { authService, getSessionExpiry, isSessionExpired } from './auth.js';
+
+/* ============================================================================
+   SESSION SERVICE
+   ============================================================================
+   Keeps the session (see AuthService) alive while the user is active:
+   - activity moves expiresAt forward, at most once per REFRESH_INTERVAL_MS,
+     and renews the provider's credentials once they are due (renewAt)
+   - WARNING_MS before expiry a toast offers to stay signed in
+   - at expiry the user is signed out through authService.logout
+   The session metadata is persisted and synced, so activity in one tab
+   keeps the other tabs signed in as well. Credentials are renewed by one tab
+   at a time (Web Locks): providers may rotate the refresh token, and a tab
+   sending the one another tab just used would be refused and sign the user
+   out everywhere. Browsers without Web Locks renew unserialized.
+   ========================================================================== */
+
+// Interactions that count as activity
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * Checks whether the provider's credentials are due for renewal
+ * @param {Object|null} session - Session metadata
+ * @returns {boolean} True once renewAt has passed
+ */
+function isRenewalDue(session) {
+  return Date.parse(session?.renewAt) <= Date.now();
+}
+
+export class SessionService {
+  /**
+   * @param {StateManager} stateManager - State holding the session
+   */
+  constructor(stateManager) {
+    this._stateManager = stateManager;
+    this._timer = null;
+    this._warningToast = null;
+    this._renewing = false;
+    this._started = false;
+    this._handleActivity = this._handleActivity.bind(this);
+  }
+
+  /**
+   * Starts watching activity and the session expiry
+   */
+  start() {
+    if (this._started) return;
+    this._started = true;
+
+    ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, this._handleActivity, { capture: true, passive: true });
+    });
+
+    // Sign-in, sign-out and refreshes (also from other tabs) move the timers
+    this._stateManager.subscribe('session', () => this._schedule());
+    this._stateManager.subscribe('isAuthenticated', () => this._schedule());
+
+    // Timers are throttled in background tabs - check again when shown
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this._schedule();
+    });
+
+    this._schedule();
+  }
+
+  /**
+   * Gets the session of the signed-in user
+   * @returns {Object|null} Session metadata { issuedAt, expiresAt }
+   * @private
+   */
+  _getSession() {
+    if (!this._stateManager.getState('isAuthenticated')) return null;
+    return this._stateManager.getState('session');
+  }
+
+  /**
+   * Extends the session from now, up to MAX_AGE_MS after sign-in
+   * @returns {boolean} True if the expiry moved
+   */
+  refresh() {
+    const session = this._getSession();
+    if (!session || isSessionExpired(session)) return false;
+
+    const expiresAt = getSessionExpiry(Date.parse(session.issuedAt), Date.now());
+    if (expiresAt <= Date.parse(session.expiresAt)) return false;
+
+    this._stateManager.setState({
+      session: { ...session, expiresAt: new Date(expiresAt).toISOString() }
+    }, { history: false });
+    return true;
+  }
+
+  /**
+   * Renews the provider's credentials (e.g. OIDC tokens) once they are due
+   * @param {Object} session - Session metadata
+   * @private
+   */
+  async _renewCredentials(session) {
+    if (this._renewing || !isRenewalDue(session)) return;
+
+    this._renewing = true;
+    try {
+      await this._withRenewalLock(async () => {
+        // Another tab may have renewed while we waited for the lock - its
+        // credentials are in storage even if its broadcast is still on the way
+        this._stateManager.syncFromStorage();
+        if (!isRenewalDue(this._getSession())) return;
+
+        await authService.refresh();
+        // Store the new credentials before the next tab gets the lock
+        this._stateManager.persistNow();
+      });
+    } catch (error) {
+      console.warn('SessionService: Failed to renew the session', error);
+    } finally {
+      this._renewing = false;
+    }
+  }
+
+  /**
+   * Runs a renewal while holding the cross-tab renewal lock
+   * @param {Function} renew - Async renewal
+   * @returns {Promise<void>}
+   * @private
+   */
+  _withRenewalLock(renew) {
+    if (!navigator.locks) return renew();
+    return navigator.locks.request(CONFIG.SESSION.RENEWAL_LOCK_NAME, renew);
+  }
+
+  /**
+   * Refreshes the session on activity, unless it was refreshed recently
+   * (the provider's credentials are renewed whenever due)
+   * @private
+   */
+  _handleActivity() {
+    const session = this._getSession();
+    if (!session) return;
+
+    this._renewCredentials(session);
+
+    const refreshedAt = Date.parse(session.expiresAt) - CONFIG.SESSION.IDLE_TIMEOUT_MS;
+    if (Date.now() - refreshedAt < CONFIG.SESSION.REFRESH_INTERVAL_MS) return;
+
+    this.refresh();
+  }
+
+  /**
+   * Sets the timer for the next step - warning or sign-out
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const session = this._getSession();
+    if (!session) {
+      this._hideWarning();
+      return;
+    }
+
+    const remaining = Date.parse(session.expiresAt) - Date.now();
+    if (!(remaining > 0)) {
+      this._expire();
+      return;
+    }
+
+    if (remaining <= CONFIG.SESSION.WARNING_MS) {
+      this._showWarning(session, remaining);
+      this._timer = setTimeout(() => this._schedule(), remaining);
+      return;
+    }
+
+    this._hideWarning();
+    this._timer = setTimeout(() => this._schedule(), remaining - CONFIG.SESSION.WARNING_MS);
+  }
+
+  /**
+   * Shows the expiry warning
+   * @param {Object} session - Session metadata
+   * @param {number} remaining - Time left (ms)
+   * @private
+   */
+  _showWarning(session, remaining) {
+    if (this._warningToast || !window.app?.showToast) return;
+
+    const minutes = Math.max(1, Math.round(remaining / 60000));
+    const reachedMaxAge = Date.parse(session.expiresAt) >= Date.parse(session.issuedAt) + CONFIG.SESSION.MAX_AGE_MS;
+
+    // A session at its maximum age cannot be extended - only warn
+    this._warningToast = reachedMaxAge
+      ? window.app.showToast(`החיבור יסתיים בעוד ${minutes} דק׳. יש להתחבר מחדש כדי להמשיך`, 'warning', remaining)
+      : window.app.showToast(`החיבור יסתיים בעוד ${minutes} דק׳ עקב חוסר פעילות`, 'warning', remaining, {
+          label: 'המשך בחיבור',
+          onClick: () => this.refresh()
+        });
+  }
+
+  /**
+   * Removes the expiry warning
+   * @private
+   */
+  _hideWarning() {
+    this._warningToast?.remove();
+    this._warningToast = null;
+  }
+
+  /**
+   * Signs the user out when the session expired
+   * @private
+   */
+  _expire() {
+    this._hideWarning();
+    console.warn('SessionService: Session expired, signing out');
+    authService.logout({ message: 'החיבור הסתיים. יש להתחבר מחדש', reason: 'expired' });
+  }
+}
+
+// Global SessionService singleton instance
+export const sessionService = new SessionService(stateManager);